@@ -7,6 +7,8 @@ const db = require('./config/db');
 db();
 const sessionMiddleware = require('./middlewares/session');
 const userMiddleware = require('./middlewares/user-middleware');
+const { buildImageSet } = require('./utils/image-utils');
+const { productPath, categoryPath } = require('./utils/seo-utils');
 const app = express();
 
 // Initialize Passport configuration
@@ -20,6 +22,12 @@ const adminRoutes = require('./routes/admin/admin-route');
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Responsive product image URLs for views (see views/partials/product-image.ejs)
+app.locals.buildImageSet = buildImageSet;
+// Slug URLs for product and category links in views
+app.locals.productPath = productPath;
+app.locals.categoryPath = categoryPath;
+
 // Configure static file serving with proper MIME types for videos
 app.use(express.static(path.join(__dirname, 'public'), {
   setHeaders: (res, path) => {
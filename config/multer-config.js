@@ -5,6 +5,8 @@ const fs = require('fs');
 // Ensure upload directories exist
 const uploadDir = path.join(__dirname, '../public/uploads/products');
 const profileUploadDir = path.join(__dirname, '../public/uploads/profiles');
+const reviewUploadDir = path.join(__dirname, '../public/uploads/reviews');
+const brandUploadDir = path.join(__dirname, '../public/uploads/brands');
 
 if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
@@ -14,6 +16,14 @@ if (!fs.existsSync(profileUploadDir)) {
     fs.mkdirSync(profileUploadDir, { recursive: true });
 }
 
+if (!fs.existsSync(reviewUploadDir)) {
+    fs.mkdirSync(reviewUploadDir, { recursive: true });
+}
+
+if (!fs.existsSync(brandUploadDir)) {
+    fs.mkdirSync(brandUploadDir, { recursive: true });
+}
+
 // Configure memory storage for cropped images
 const storage = multer.memoryStorage();
 
@@ -50,6 +60,47 @@ const profileUpload = multer({
     fileFilter: fileFilter
 });
 
+// Configure multer for review photos
+const reviewUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit per review photo
+        files: 3 // Maximum 3 photos per review
+    },
+    fileFilter: fileFilter
+});
+
+// Configure multer for brand logos
+const brandUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB limit for a logo
+        files: 1 // One logo per brand
+    },
+    fileFilter: fileFilter
+});
+
+// File filter for catalogue spreadsheets
+const catalogueFileFilter = (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+
+    if (extname === '.csv' || extname === '.xlsx') {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only CSV or XLSX files are allowed'));
+    }
+};
+
+// Configure multer for catalogue imports
+const catalogueUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit for a catalogue file
+        files: 1 // One spreadsheet per import
+    },
+    fileFilter: catalogueFileFilter
+});
+
 // Error handling middleware
 const handleMulterError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
@@ -80,13 +131,25 @@ const handleMulterError = (error, req, res, next) => {
         });
     }
     
+    if (error.message.includes('Only CSV or XLSX files are allowed')) {
+        return res.status(400).json({
+            success: false,
+            message: 'Only CSV or XLSX files are allowed'
+        });
+    }
+    
     next(error);
 };
 
 module.exports = {
     productUpload,
     profileUpload,
+    reviewUpload,
+    brandUpload,
+    catalogueUpload,
     handleMulterError,
     uploadDir,
-    profileUploadDir
+    profileUploadDir,
+    reviewUploadDir,
+    brandUploadDir
 };
\ No newline at end of file
@@ -0,0 +1,270 @@
+// Admin brand management controller
+const mongoose = require('mongoose');
+const Brand = require('../../models/brand-schema');
+const Product = require('../../models/product-schema');
+const { syncBrandName, saveBrandLogo, deleteBrandLogo } = require('../../utils/brand-utils');
+const { escapeRegex } = require('../../utils/search-utils');
+const { parseMetaFields } = require('../../utils/seo-utils');
+
+// Shared by create and update; multipart fields arrive as strings
+const validateBrandForm = ({ name, slug, description, metaTitle, metaDescription, isListed }) => {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+        return { error: 'Brand name is required' };
+    }
+    if (trimmedName.length > 50) {
+        return { error: 'Brand name cannot exceed 50 characters' };
+    }
+    if (!Brand.toNameKey(trimmedName)) {
+        return { error: 'Brand name must contain letters or numbers' };
+    }
+
+    const trimmedSlug = (slug || '').trim();
+    if (trimmedSlug && !Brand.slugify(trimmedSlug)) {
+        return { error: 'URL slug must contain letters or numbers' };
+    }
+
+    const trimmedDescription = (description || '').trim();
+    if (trimmedDescription.length > 1000) {
+        return { error: 'Description cannot exceed 1000 characters' };
+    }
+
+    const meta = parseMetaFields(metaTitle, metaDescription);
+    if (meta.error) {
+        return { error: meta.error };
+    }
+
+    return {
+        data: {
+            name: trimmedName,
+            slug: trimmedSlug ? Brand.slugify(trimmedSlug) : undefined,
+            description: trimmedDescription,
+            metaTitle: meta.metaTitle,
+            metaDescription: meta.metaDescription,
+            isListed: isListed === undefined ? true : isListed === true || isListed === 'true'
+        }
+    };
+};
+
+const getBrandsPage = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 10;
+        const skip = (page - 1) * limit;
+        const search = (req.query.search || '').trim();
+
+        const query = { isDeleted: false };
+        if (search) {
+            query.name = { $regex: escapeRegex(search), $options: 'i' };
+        }
+
+        const [totalBrands, brands] = await Promise.all([
+            Brand.countDocuments(query),
+            Brand.find(query).sort({ name: 1 }).skip(skip).limit(limit).lean()
+        ]);
+
+        const productCounts = await Product.aggregate([
+            { $match: { brandId: { $in: brands.map(brand => brand._id) }, isDeleted: false } },
+            { $group: { _id: '$brandId', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(productCounts.map(row => [row._id.toString(), row.count]));
+        brands.forEach(brand => {
+            brand.productCount = countById.get(brand._id.toString()) || 0;
+        });
+
+        const totalPages = Math.ceil(totalBrands / limit);
+
+        res.render('admin/brands', {
+            brands,
+            search,
+            currentPage: page,
+            totalPages,
+            totalBrands,
+            startIdx: skip,
+            endIdx: Math.min(skip + limit, totalBrands),
+            title: 'Brands'
+        });
+    } catch (error) {
+        console.error('Error loading brands:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load brands'
+        });
+    }
+};
+
+const createBrand = async (req, res) => {
+    let logo = null;
+    try {
+        const { data, error } = validateBrandForm(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const brand = new Brand(data);
+        await brand.validate();
+
+        if (req.file) {
+            logo = await saveBrandLogo(req.file.buffer, brand.slug);
+            brand.logo = logo;
+        }
+        await brand.save();
+
+        res.status(201).json({
+            success: true,
+            message: `Brand "${brand.name}" created`,
+            brand
+        });
+    } catch (error) {
+        deleteBrandLogo(logo);
+        if (error.statusCode === 409) {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        console.error('Error creating brand:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create brand'
+        });
+    }
+};
+
+const updateBrand = async (req, res) => {
+    let logo = null;
+    try {
+        const brandId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(brandId)) {
+            return res.status(400).json({ success: false, message: 'Invalid brand ID' });
+        }
+
+        const brand = await Brand.findOne({ _id: brandId, isDeleted: false });
+        if (!brand) {
+            return res.status(404).json({ success: false, message: 'Brand not found' });
+        }
+
+        const { data, error } = validateBrandForm(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const previousLogo = brand.logo;
+        brand.set({
+            name: data.name,
+            description: data.description,
+            metaTitle: data.metaTitle,
+            metaDescription: data.metaDescription,
+            isListed: data.isListed
+        });
+        if (data.slug && data.slug !== brand.slug) {
+            // Keep the old slug so existing links redirect to the new one
+            brand.previousSlugs = [...brand.previousSlugs.filter(slug => slug !== data.slug), brand.slug];
+            brand.slug = data.slug;
+        }
+        await brand.validate();
+
+        if (req.file) {
+            logo = await saveBrandLogo(req.file.buffer, brand.slug);
+            brand.logo = logo;
+        } else if (req.body.removeLogo === 'true') {
+            brand.logo = null;
+        }
+        await brand.save();
+
+        if (previousLogo && previousLogo !== brand.logo) {
+            deleteBrandLogo(previousLogo);
+        }
+        const productsUpdated = await syncBrandName(brand);
+
+        res.json({
+            success: true,
+            message: productsUpdated > 0
+                ? `Brand "${brand.name}" updated along with ${productsUpdated} product(s)`
+                : `Brand "${brand.name}" updated`,
+            brand
+        });
+    } catch (error) {
+        deleteBrandLogo(logo);
+        if (error.statusCode === 409) {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        console.error('Error updating brand:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update brand'
+        });
+    }
+};
+
+// Unlisting hides the brand page and the brand's products from the shop
+const toggleBrandStatus = async (req, res) => {
+    try {
+        const brandId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(brandId)) {
+            return res.status(400).json({ success: false, message: 'Invalid brand ID' });
+        }
+
+        const brand = await Brand.findOne({ _id: brandId, isDeleted: false });
+        if (!brand) {
+            return res.status(404).json({ success: false, message: 'Brand not found' });
+        }
+
+        brand.isListed = !brand.isListed;
+        await brand.save();
+
+        res.json({
+            success: true,
+            message: `Brand "${brand.name}" ${brand.isListed ? 'listed' : 'unlisted'}`,
+            isListed: brand.isListed
+        });
+    } catch (error) {
+        console.error('Error toggling brand status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update brand status'
+        });
+    }
+};
+
+const deleteBrand = async (req, res) => {
+    try {
+        const brandId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(brandId)) {
+            return res.status(400).json({ success: false, message: 'Invalid brand ID' });
+        }
+
+        const brand = await Brand.findOne({ _id: brandId, isDeleted: false });
+        if (!brand) {
+            return res.status(404).json({ success: false, message: 'Brand not found' });
+        }
+
+        const productCount = await Product.countDocuments({ brandId: brand._id, isDeleted: false });
+        if (productCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Move or delete the ${productCount} product(s) under "${brand.name}" before deleting it`
+            });
+        }
+
+        brand.isDeleted = true;
+        brand.isListed = false;
+        await brand.save();
+
+        res.json({
+            success: true,
+            message: `Brand "${brand.name}" deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting brand:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete brand'
+        });
+    }
+};
+
+module.exports = {
+    getBrandsPage,
+    createBrand,
+    updateBrand,
+    toggleBrandStatus,
+    deleteBrand
+};
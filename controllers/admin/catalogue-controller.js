@@ -0,0 +1,258 @@
+// Admin catalogue import/export controller
+const Product = require('../../models/product-schema');
+const Category = require('../../models/category-schema');
+const Brand = require('../../models/brand-schema');
+const path = require('path');
+const { calculateBestOffer } = require('../../utils/offer-utils');
+const { syncProductSearchFields } = require('../../utils/search-utils');
+const { readCatalogueFile, validateCatalogueRows, buildCatalogueWorkbook } = require('../../utils/catalogue-utils');
+const { saveProductImage, deleteProductImage, mergeImageDerivatives } = require('../../utils/image-utils');
+const { recordStockChanges } = require('../../utils/stock-utils');
+const { recordProductChanges } = require('../../utils/product-history-utils');
+
+const MAX_REMOTE_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Downloads an image URL from an import row and stores it like a cropped upload
+const saveRemoteImage = async (url, filename) => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) {
+        throw new Error(`Image download failed (${response.status}): ${url}`);
+    }
+
+    const tooLarge = () => new Error(`Image is larger than 10MB: ${url}`);
+    if (Number(response.headers.get('content-length')) > MAX_REMOTE_IMAGE_BYTES) {
+        await response.body?.cancel();
+        throw tooLarge();
+    }
+
+    // Read the body in chunks and stop as soon as it passes the limit, so a huge file is never held in memory
+    const chunks = [];
+    let received = 0;
+    const reader = response.body.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.length;
+        if (received > MAX_REMOTE_IMAGE_BYTES) {
+            await reader.cancel();
+            throw tooLarge();
+        }
+        chunks.push(value);
+    }
+
+    return saveProductImage(Buffer.concat(chunks), filename);
+};
+
+const getImportPage = async (req, res) => {
+    try {
+        const [categories, brands] = await Promise.all([
+            Category.find({ isDeleted: false }).select('name attributes').sort({ name: 1 }).lean(),
+            Brand.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean()
+        ]);
+
+        res.render('admin/product-import', {
+            categories,
+            brands,
+            title: 'Import Products'
+        });
+    } catch (error) {
+        console.error('Error loading import page:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load import page'
+        });
+    }
+};
+
+// Validates the uploaded file; with mode=commit and no row errors, applies it
+const importProducts = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Please choose a CSV or XLSX file' });
+        }
+
+        const format = path.extname(req.file.originalname).toLowerCase() === '.csv' ? 'csv' : 'xlsx';
+        const { rows, error } = await readCatalogueFile(req.file.buffer, format);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [categories, brands, products] = await Promise.all([
+            Category.find({ isDeleted: false }).select('name attributes').lean(),
+            Brand.find({ isDeleted: false }).select('name nameKey').lean(),
+            Product.find({ isDeleted: false })
+                .select('productName category regularPrice salePrice attributes variants mainImage subImages')
+                .lean()
+        ]);
+
+        const results = validateCatalogueRows(rows, { categories, brands, products });
+        const summary = {
+            total: results.length,
+            create: results.filter(row => row.action === 'create' && row.errors.length === 0).length,
+            update: results.filter(row => row.action === 'update' && row.errors.length === 0).length,
+            invalid: results.filter(row => row.errors.length > 0).length
+        };
+        const preview = results.map(({ rowNumber, productName, action, errors, warnings }) => ({
+            rowNumber, productName, action, errors, warnings
+        }));
+
+        if (req.body.mode !== 'commit') {
+            return res.json({ success: true, summary, rows: preview });
+        }
+
+        if (summary.invalid > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${summary.invalid} row(s) have errors. Fix them and preview again before importing.`,
+                summary,
+                rows: preview
+            });
+        }
+
+        // Download every new image before writing anything so a bad URL doesn't leave a half-applied import
+        const downloadedImages = [];
+        const downloadedDerivatives = [];
+        try {
+            for (const row of results) {
+                for (let i = 0; i < row.imageSources.length; i++) {
+                    const source = row.imageSources[i];
+                    if (!source.url) continue;
+
+                    const filename = `product-${Date.now()}-${row.rowNumber}-${i + 1}.jpg`;
+                    downloadedImages.push(filename);
+                    downloadedDerivatives.push(await saveRemoteImage(source.url, filename));
+                    source.filename = filename;
+                }
+            }
+        } catch (error) {
+            downloadedImages.forEach(deleteProductImage);
+            return res.status(400).json({
+                success: false,
+                message: error.name === 'TimeoutError' ? 'An image download timed out' : error.message
+            });
+        }
+
+        const touchedIds = [];
+        const stockMovement = {
+            reason: 'manual',
+            actor: req.session.admin_id,
+            actorType: 'admin',
+            note: `Catalogue import (${req.file.originalname})`
+        };
+        for (const row of results) {
+            const images = row.imageSources.map(source => source.filename);
+
+            if (row.action === 'create') {
+                const product = new Product({
+                    ...row.data,
+                    mainImage: images[0],
+                    subImages: images.slice(1),
+                    imageDerivatives: mergeImageDerivatives([], images, downloadedDerivatives),
+                    isDeleted: false,
+                    isBlocked: false
+                });
+                await product.save();
+                await recordStockChanges(null, product, stockMovement);
+                await recordProductChanges(null, product, { admin: req.session.admin_id, note: stockMovement.note });
+                touchedIds.push(product._id);
+                continue;
+            }
+
+            const product = await Product.findById(row.productId);
+            const before = product.toObject();
+            product.set(row.data);
+
+            if (row.variantStock) {
+                product.variants.forEach(variant => {
+                    if (row.variantStock[variant.sku] !== undefined) {
+                        variant.quantity = row.variantStock[variant.sku];
+                    }
+                });
+            }
+
+            if (images.length > 0) {
+                const previousImages = [product.mainImage, ...product.subImages];
+                product.mainImage = images[0];
+                product.subImages = images.slice(1);
+                product.imageDerivatives = mergeImageDerivatives(
+                    product.imageDerivatives.map(entry => entry.toObject()),
+                    images,
+                    downloadedDerivatives
+                );
+                product.variants.forEach(variant => {
+                    variant.images = variant.images.filter(img => images.includes(img));
+                });
+                previousImages.filter(img => !images.includes(img)).forEach(deleteProductImage);
+            }
+
+            await product.save();
+            await recordStockChanges(before, product, stockMovement);
+            await recordProductChanges(before, product, {
+                source: 'import',
+                admin: req.session.admin_id,
+                note: stockMovement.note
+            });
+            touchedIds.push(product._id);
+        }
+
+        for (const productId of touchedIds) {
+            await syncProductSearchFields(productId);
+        }
+
+        res.json({
+            success: true,
+            message: `Import complete: ${summary.create} created, ${summary.update} updated`,
+            summary
+        });
+
+    } catch (error) {
+        console.error('Error importing products:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import products: ' + error.message
+        });
+    }
+};
+
+const exportProducts = async (req, res) => {
+    try {
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+        const products = await Product.find({ isDeleted: false })
+            .populate('category', 'name categoryOffer')
+            .sort({ productName: 1 })
+            .lean();
+
+        for (const product of products) {
+            product.offer = await calculateBestOffer(product);
+        }
+
+        const workbook = buildCatalogueWorkbook(products);
+        const currentDate = new Date().toISOString().split('T')[0];
+        const filename = `miniTorque-Catalogue-${currentDate}.${format}`;
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+            await workbook.csv.write(res);
+        } else {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+            await workbook.xlsx.write(res);
+        }
+        res.end();
+
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export products'
+        });
+    }
+};
+
+module.exports = {
+    getImportPage,
+    importProducts,
+    exportProducts
+};
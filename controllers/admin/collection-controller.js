@@ -0,0 +1,330 @@
+// Admin collection management controller
+const mongoose = require('mongoose');
+const Collection = require('../../models/collection-schema');
+const Product = require('../../models/product-schema');
+const Category = require('../../models/category-schema');
+const Brand = require('../../models/brand-schema');
+const { COLLECTION_SORTS } = require('../../utils/collection-utils');
+const { buildCategoryTree, flattenCategoryTree } = require('../../utils/category-utils');
+const { escapeRegex } = require('../../utils/search-utils');
+const { slugify, generateUniqueSlug, parseMetaFields } = require('../../utils/seo-utils');
+
+const MAX_MANUAL_PRODUCTS = 60;
+
+// Optional whole number form field; blank means "not set"
+const parseOptionalNumber = (value, { min = 0, integer = false } = {}) => {
+    if (value === undefined || value === null || String(value).trim() === '') return { value: null };
+    const number = Number(value);
+    if (isNaN(number) || number < min || (integer && !Number.isInteger(number))) return { error: true };
+    return { value: number };
+};
+
+// Optional datetime-local field
+const parseOptionalDate = (value) => {
+    if (!value) return { value: null };
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? { error: true } : { value: date };
+};
+
+// Keep only ids that exist, in the order given
+const filterExistingIds = async (Model, ids, query = {}) => {
+    const validIds = [...new Set([].concat(ids || []).map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length === 0) return [];
+    const found = await Model.find({ _id: { $in: validIds }, ...query }).select('_id').lean();
+    const foundIds = new Set(found.map(item => item._id.toString()));
+    return validIds.filter(id => foundIds.has(id));
+};
+
+// Shared by create and update; the form posts JSON
+const validateCollectionForm = async (body) => {
+    const name = (body.name || '').trim();
+    if (!name) {
+        return { error: 'Collection name is required' };
+    }
+    if (name.length > 60) {
+        return { error: 'Collection name cannot exceed 60 characters' };
+    }
+
+    const slug = (body.slug || '').trim();
+    if (slug && !slugify(slug)) {
+        return { error: 'URL slug must contain letters or numbers' };
+    }
+
+    const description = (body.description || '').trim();
+    if (description.length > 500) {
+        return { error: 'Description cannot exceed 500 characters' };
+    }
+
+    const type = body.type === 'rule' ? 'rule' : 'manual';
+    const sortBy = Object.keys(COLLECTION_SORTS).includes(body.sortBy) ? body.sortBy : 'manual';
+    if (type === 'rule' && sortBy === 'manual') {
+        return { error: 'Choose a sort order for a rule-based collection' };
+    }
+
+    let products = [];
+    const rules = { categories: [], brands: [], minPrice: null, maxPrice: null, onOfferOnly: false, newWithinDays: null, inStockOnly: false };
+    if (type === 'manual') {
+        products = await filterExistingIds(Product, body.products, { isDeleted: false });
+        if (products.length === 0) {
+            return { error: 'Add at least one product to the collection' };
+        }
+        if (products.length > MAX_MANUAL_PRODUCTS) {
+            return { error: `A collection can list at most ${MAX_MANUAL_PRODUCTS} products` };
+        }
+    } else {
+        const rawRules = body.rules || {};
+        rules.categories = await filterExistingIds(Category, rawRules.categories, { isDeleted: false });
+        rules.brands = await filterExistingIds(Brand, rawRules.brands, { isDeleted: false });
+
+        const minPrice = parseOptionalNumber(rawRules.minPrice);
+        const maxPrice = parseOptionalNumber(rawRules.maxPrice);
+        if (minPrice.error || maxPrice.error) {
+            return { error: 'Prices must be 0 or more' };
+        }
+        if (minPrice.value !== null && maxPrice.value !== null && minPrice.value > maxPrice.value) {
+            return { error: 'Minimum price cannot be more than the maximum price' };
+        }
+        const newWithinDays = parseOptionalNumber(rawRules.newWithinDays, { min: 1, integer: true });
+        if (newWithinDays.error) {
+            return { error: '"Added within" must be a whole number of days' };
+        }
+
+        rules.minPrice = minPrice.value;
+        rules.maxPrice = maxPrice.value;
+        rules.newWithinDays = newWithinDays.value;
+        rules.onOfferOnly = rawRules.onOfferOnly === true || rawRules.onOfferOnly === 'true';
+        rules.inStockOnly = rawRules.inStockOnly === true || rawRules.inStockOnly === 'true';
+    }
+
+    const homePosition = parseOptionalNumber(body.homePosition, { integer: true });
+    const homeLimit = parseOptionalNumber(body.homeLimit, { min: 1, integer: true });
+    if (homePosition.error) {
+        return { error: 'Home page position must be a whole number' };
+    }
+    if (homeLimit.error || (homeLimit.value !== null && homeLimit.value > 12)) {
+        return { error: 'Products on the home page must be between 1 and 12' };
+    }
+
+    const startsAt = parseOptionalDate(body.startsAt);
+    const endsAt = parseOptionalDate(body.endsAt);
+    if (startsAt.error || endsAt.error) {
+        return { error: 'Invalid visibility date' };
+    }
+    if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) {
+        return { error: 'The end date must be after the start date' };
+    }
+
+    const meta = parseMetaFields(body.metaTitle, body.metaDescription);
+    if (meta.error) {
+        return { error: meta.error };
+    }
+
+    return {
+        data: {
+            name,
+            slug: slug ? slugify(slug) : undefined,
+            description,
+            type,
+            products,
+            rules,
+            sortBy,
+            showOnHome: body.showOnHome === true || body.showOnHome === 'true',
+            homePosition: homePosition.value ?? 0,
+            homeLimit: homeLimit.value ?? 4,
+            startsAt: startsAt.value,
+            endsAt: endsAt.value,
+            metaTitle: meta.metaTitle,
+            metaDescription: meta.metaDescription,
+            isListed: body.isListed === undefined ? true : body.isListed === true || body.isListed === 'true'
+        }
+    };
+};
+
+// Label for the status column
+const describeVisibility = (collection, now = new Date()) => {
+    if (!collection.isListed) return 'Unlisted';
+    if (collection.startsAt && new Date(collection.startsAt) > now) return 'Scheduled';
+    if (collection.endsAt && new Date(collection.endsAt) <= now) return 'Ended';
+    return 'Live';
+};
+
+const getCollectionsPage = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 10;
+        const skip = (page - 1) * limit;
+        const search = (req.query.search || '').trim();
+
+        const query = {};
+        if (search) {
+            query.name = { $regex: escapeRegex(search), $options: 'i' };
+        }
+
+        const [totalCollections, collections] = await Promise.all([
+            Collection.countDocuments(query),
+            Collection.find(query).sort({ showOnHome: -1, homePosition: 1, name: 1 }).skip(skip).limit(limit).lean()
+        ]);
+        const now = new Date();
+        collections.forEach(collection => {
+            collection.visibility = describeVisibility(collection, now);
+        });
+
+        // Choices for the collection form
+        const [productOptions, categories, brands] = await Promise.all([
+            Product.find({ isDeleted: false }).select('productName brand').sort({ productName: 1 }).lean(),
+            Category.find({ isDeleted: false }).select('name parent').sort({ name: 1 }).lean(),
+            Brand.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean()
+        ]);
+
+        const totalPages = Math.ceil(totalCollections / limit);
+
+        res.render('admin/collections', {
+            collections,
+            productOptions,
+            categoryOptions: flattenCategoryTree(buildCategoryTree(categories)),
+            brandOptions: brands,
+            sortOptions: COLLECTION_SORTS,
+            search,
+            currentPage: page,
+            totalPages,
+            totalCollections,
+            startIdx: skip,
+            endIdx: Math.min(skip + limit, totalCollections),
+            title: 'Collections'
+        });
+    } catch (error) {
+        console.error('Error loading collections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load collections'
+        });
+    }
+};
+
+const createCollection = async (req, res) => {
+    try {
+        const { data, error } = await validateCollectionForm(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        data.slug = await generateUniqueSlug(Collection, data.slug || data.name, null, 'collection');
+        const collection = await Collection.create(data);
+
+        res.status(201).json({
+            success: true,
+            message: `Collection "${collection.name}" created`,
+            collection
+        });
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create collection'
+        });
+    }
+};
+
+const updateCollection = async (req, res) => {
+    try {
+        const collectionId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+            return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+        }
+
+        const collection = await Collection.findById(collectionId);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        const { data, error } = await validateCollectionForm(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { slug, ...fields } = data;
+        collection.set(fields);
+        if (slug && slug !== collection.slug) {
+            // Keep the old slug so existing links redirect to the new one
+            const newSlug = await generateUniqueSlug(Collection, slug, collection._id, 'collection');
+            collection.previousSlugs = [...collection.previousSlugs.filter(previous => previous !== newSlug), collection.slug];
+            collection.slug = newSlug;
+        }
+        await collection.save();
+
+        res.json({
+            success: true,
+            message: `Collection "${collection.name}" updated`,
+            collection
+        });
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update collection'
+        });
+    }
+};
+
+const toggleCollectionStatus = async (req, res) => {
+    try {
+        const collectionId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+            return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+        }
+
+        const collection = await Collection.findById(collectionId);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        collection.isListed = !collection.isListed;
+        await collection.save();
+
+        res.json({
+            success: true,
+            message: `Collection "${collection.name}" ${collection.isListed ? 'listed' : 'unlisted'}`,
+            isListed: collection.isListed
+        });
+    } catch (error) {
+        console.error('Error toggling collection status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update collection status'
+        });
+    }
+};
+
+// Collections only point at products, so they are deleted outright
+const deleteCollection = async (req, res) => {
+    try {
+        const collectionId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+            return res.status(400).json({ success: false, message: 'Invalid collection ID' });
+        }
+
+        const collection = await Collection.findByIdAndDelete(collectionId);
+        if (!collection) {
+            return res.status(404).json({ success: false, message: 'Collection not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Collection "${collection.name}" deleted`
+        });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete collection'
+        });
+    }
+};
+
+module.exports = {
+    getCollectionsPage,
+    createCollection,
+    updateCollection,
+    toggleCollectionStatus,
+    deleteCollection
+};
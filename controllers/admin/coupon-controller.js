@@ -349,7 +349,7 @@ const deleteCoupon = async (req, res) => {
 
         res.json({
             success: true,
-            message: 'Coupon deleted successfully'
+            message: 'Coupon moved to trash'
         });
     } catch (error) {
         console.error('Error deleting coupon:', error);
@@ -2,6 +2,7 @@ const User = require("../../models/user-model");
 const Order = require("../../models/order-schema");
 const Product = require("../../models/product-schema");
 const Category = require("../../models/category-schema");
+const { getLowStockReport } = require("../../utils/stock-utils");
 
 const getDashboardStats = async (req, res) => {
   try {
@@ -333,6 +334,7 @@ const getBestSellingProducts = async (req, res) => {
           brand: '$product.brand',
           totalQuantity: 1,
           totalRevenue: 1,
+          viewCount: { $ifNull: ['$product.viewCount', 0] },
           mainImage: '$product.mainImage'
         }
       },
@@ -449,8 +451,10 @@ const getBestSellingBrand = async (req, res) => {
         $unwind: '$product'
       },
       {
+        // Group on the Brand reference so spelling differences don't split a brand; products not yet
+        // migrated to a Brand fall back to their name
         $group: {
-          _id: '$product.brand',
+          _id: { $ifNull: ['$product.brandId', '$product.brand'] },
           brandName: { $first: '$product.brand' },
           totalQuantity: { $sum: '$orderedItems.quantity' },
           totalRevenue: { $sum: '$orderedItems.totalPrice' },
@@ -535,6 +539,84 @@ const getRevenueDistribution = async (req, res) => {
   }
 };
 
+// Most viewed products with the units those views turned into. Views are only counted
+// since tracking began, so conversion for long-running products reads high at first.
+const getMostViewedProducts = async (req, res) => {
+  try {
+    const products = await Product.find({ isDeleted: false, viewCount: { $gt: 0 } })
+      .sort({ viewCount: -1 })
+      .limit(5)
+      .select('productName brand viewCount')
+      .lean();
+
+    const sales = await Order.aggregate([
+      {
+        $unwind: '$orderedItems'
+      },
+      {
+        $match: {
+          'orderedItems.product': { $in: products.map(product => product._id) },
+          'orderedItems.status': { $ne: 'Cancelled' }
+        }
+      },
+      {
+        $group: {
+          _id: '$orderedItems.product',
+          totalQuantity: { $sum: '$orderedItems.quantity' }
+        }
+      }
+    ]);
+    const unitsById = new Map(sales.map(row => [row._id.toString(), row.totalQuantity]));
+
+    res.json({
+      success: true,
+      data: products.map(product => {
+        const totalQuantity = unitsById.get(product._id.toString()) || 0;
+        return {
+          _id: product._id,
+          productName: product.productName,
+          brand: product.brand,
+          viewCount: product.viewCount,
+          totalQuantity,
+          conversionRate: Math.round((totalQuantity / product.viewCount) * 1000) / 10
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching most viewed products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch most viewed products',
+      error: error.message
+    });
+  }
+};
+
+const getLowStockProducts = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const report = await getLowStockReport();
+
+    res.json({
+      success: true,
+      data: {
+        outOfStockCount: report.filter(product => product.isOutOfStock).length,
+        lowStockCount: report.filter(product => !product.isOutOfStock).length,
+        products: report.slice(0, limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching low stock products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low stock products',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getSalesData,
@@ -544,5 +626,7 @@ module.exports = {
   getBestSellingProducts,
   getBestSellingCategory,
   getBestSellingBrand,
-  getRevenueDistribution
+  getRevenueDistribution,
+  getMostViewedProducts,
+  getLowStockProducts
 };
\ No newline at end of file
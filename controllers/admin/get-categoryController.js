@@ -1,10 +1,15 @@
 // Admin category management controller
 const Category = require('../../models/category-schema');
 const mongoose = require('mongoose');
+const { PRODUCT_ATTRIBUTES, parseCategoryAttributes } = require('../../utils/attribute-utils');
+const { syncCategorySearchFields } = require('../../utils/search-utils');
+const { invalidateCategoryCache, getCategoryMap, getAncestorChain, validateCategoryParent } = require('../../utils/category-utils');
+const { parseMetaFields, generateUniqueSlug } = require('../../utils/seo-utils');
 
 const renderCategoryManagementPage = async (req, res) => {
     try {
         res.render('admin/get-category', { 
+            attributeDefinitions: PRODUCT_ATTRIBUTES
         });
     } catch (error) {
         console.error("Error rendering category page:", error);
@@ -20,12 +25,23 @@ const getAllCategoriesAPI = async (req, res) => {
                 { isDeleted: { $exists: false } }
             ]
         }).sort({ createdAt: -1 });
+        const categoryMap = await getCategoryMap();
         
         const formattedCategories = categories.map(cat => ({
             _id: cat._id,
             name: cat.name,
             description: cat.description,
+            slug: cat.slug || null,
+            metaTitle: cat.metaTitle || '',
+            metaDescription: cat.metaDescription || '',
+            parent: cat.parent || null,
             categoryOffer: cat.categoryOffer || 0,
+            // Best offer from a parent category, which the products here also get
+            inheritedOffer: Math.max(0, ...getAncestorChain(categoryMap, cat._id)
+                .slice(0, -1)
+                .map(ancestor => ancestor.categoryOffer || 0)),
+            lowStockThreshold: cat.lowStockThreshold,
+            attributes: cat.attributes || [],
             isListed: cat.isListed,
             date: cat.createdAt.toISOString().split('T')[0]
         }));
@@ -38,7 +54,7 @@ const getAllCategoriesAPI = async (req, res) => {
 
 const addCategoryAPI = async (req, res) => {
     try {
-        const { name, description, status, categoryOffer } = req.body;
+        const { name, description, status, categoryOffer, lowStockThreshold, parent, metaTitle, metaDescription } = req.body;
 
         if (!name) {
             return res.status(400).json({ message: 'Category name is required.' });
@@ -48,19 +64,42 @@ const addCategoryAPI = async (req, res) => {
             return res.status(400).json({ message: 'Category offer must be between 0 and 100.' });
         }
 
+        if (lowStockThreshold !== undefined && (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)) {
+            return res.status(400).json({ message: 'Low-stock threshold must be a whole number of 0 or more.' });
+        }
+
+        const metaResult = parseMetaFields(metaTitle, metaDescription);
+        if (metaResult.error) {
+            return res.status(400).json({ message: `${metaResult.error}.` });
+        }
+
+        invalidateCategoryCache();
+        const parentError = await validateCategoryParent(null, parent);
+        if (parentError) {
+            return res.status(400).json({ message: parentError });
+        }
+
         const newCategory = new Category({
             name,
             description,
+            parent: parent || null,
+            metaTitle: metaResult.metaTitle,
+            metaDescription: metaResult.metaDescription,
             categoryOffer: categoryOffer || 0,
+            lowStockThreshold,
             status: status !== undefined ? status : true
         });
 
         await newCategory.save();
+        invalidateCategoryCache();
         res.status(201).json({
             _id: newCategory._id,
             name: newCategory.name,
             description: newCategory.description,
+            slug: newCategory.slug,
+            parent: newCategory.parent,
             categoryOffer: newCategory.categoryOffer,
+            lowStockThreshold: newCategory.lowStockThreshold,
             status: newCategory.status,
             date: newCategory.createdAt.toISOString().split('T')[0]
         });
@@ -76,7 +115,7 @@ const addCategoryAPI = async (req, res) => {
 const updateCategoryAPI = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, status, categoryOffer } = req.body;
+        const { name, description, status, categoryOffer, lowStockThreshold, metaTitle, metaDescription } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: 'Invalid category ID.' });
@@ -89,6 +128,15 @@ const updateCategoryAPI = async (req, res) => {
         if (categoryOffer !== undefined && (categoryOffer < 0 || categoryOffer > 100)) {
             return res.status(400).json({ message: 'Category offer must be between 0 and 100.' });
         }
+
+        if (lowStockThreshold !== undefined && (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)) {
+            return res.status(400).json({ message: 'Low-stock threshold must be a whole number of 0 or more.' });
+        }
+
+        const metaResult = parseMetaFields(metaTitle, metaDescription);
+        if (metaResult.error) {
+            return res.status(400).json({ message: `${metaResult.error}.` });
+        }
         
         if (name) {
             const existingCategory = await Category.findOne({
@@ -111,17 +159,34 @@ const updateCategoryAPI = async (req, res) => {
         if (categoryOffer !== undefined) {
             updateData.categoryOffer = categoryOffer;
         }
+        if (lowStockThreshold !== undefined) {
+            updateData.lowStockThreshold = lowStockThreshold;
+        }
+        if (metaTitle !== undefined || metaDescription !== undefined) {
+            updateData.metaTitle = metaResult.metaTitle;
+            updateData.metaDescription = metaResult.metaDescription;
+        }
+        // Categories from before slugs get one on their next edit; an existing slug never changes
+        const currentCategory = await Category.findById(id).select('slug');
+        if (currentCategory && !currentCategory.slug) {
+            updateData.slug = await generateUniqueSlug(Category, name, id, 'category');
+        }
 
         const updatedCategory = await Category.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
 
         if (!updatedCategory) {
             return res.status(404).json({ message: 'Category not found.' });
         }
+        await syncCategorySearchFields(updatedCategory._id, updatedCategory.name);
+        invalidateCategoryCache();
+
         res.status(200).json({
             _id: updatedCategory._id,
             name: updatedCategory.name,
             description: updatedCategory.description,
+            slug: updatedCategory.slug,
             categoryOffer: updatedCategory.categoryOffer,
+            lowStockThreshold: updatedCategory.lowStockThreshold,
             status: updatedCategory.status,
             date: updatedCategory.createdAt.toISOString().split('T')[0]
         });
@@ -153,6 +218,7 @@ const toggleCategoryStatusAPI = async (req, res) => {
 
         category.isListed = status;
         await category.save();
+        invalidateCategoryCache();
 
         res.status(200).json({
              message: `Category "${category.name}" status updated.`,
@@ -195,6 +261,7 @@ const updateCategoryOfferAPI = async (req, res) => {
 
         category.categoryOffer = categoryOffer;
         await category.save();
+        invalidateCategoryCache();
 
         res.status(200).json({
             message: `Category "${category.name}" offer updated to ${categoryOffer}%.`,
@@ -210,6 +277,87 @@ const updateCategoryOfferAPI = async (req, res) => {
     }
 };
 
+const updateCategoryAttributesAPI = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid category ID.' });
+        }
+
+        const { attributes, error } = parseCategoryAttributes(req.body.attributes);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const category = await Category.findById(id);
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        if (category.isDeleted) {
+            return res.status(400).json({ message: 'Cannot update attributes for deleted category.' });
+        }
+
+        category.attributes = attributes;
+        await category.save();
+
+        res.status(200).json({
+            message: `Attributes for "${category.name}" updated.`,
+            category: {
+                _id: category._id,
+                name: category.name,
+                attributes: category.attributes
+            }
+        });
+    } catch (error) {
+        console.error("Error updating category attributes:", error);
+        res.status(500).json({ message: 'Error updating category attributes', error: error.message });
+    }
+};
+
+// Drag-to-reparent from the category tree; a null parent moves the category to the top level
+const moveCategoryAPI = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const parent = req.body.parent || null;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid category ID.' });
+        }
+
+        const category = await Category.findById(id);
+        if (!category || category.isDeleted) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        invalidateCategoryCache();
+        const parentError = await validateCategoryParent(id, parent);
+        if (parentError) {
+            return res.status(400).json({ message: parentError });
+        }
+
+        category.parent = parent;
+        await category.save();
+        invalidateCategoryCache();
+
+        const parentCategory = parent ? await Category.findById(parent).select('name') : null;
+        res.status(200).json({
+            message: parentCategory
+                ? `"${category.name}" moved under "${parentCategory.name}".`
+                : `"${category.name}" moved to the top level.`,
+            category: {
+                _id: category._id,
+                name: category.name,
+                parent: category.parent
+            }
+        });
+    } catch (error) {
+        console.error("Error moving category:", error);
+        res.status(500).json({ message: 'Error moving category', error: error.message });
+    }
+};
+
 const deleteCategoryAPI = async (req, res) => {
     try {
         const { id } = req.params;
@@ -229,10 +377,15 @@ const deleteCategoryAPI = async (req, res) => {
 
         category.isDeleted = true;
         category.isListed = false;
+        category.deletedAt = new Date();
         await category.save();
 
+        // Subcategories move up a level rather than being left without a parent
+        await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent || null } });
+        invalidateCategoryCache();
+
         res.status(200).json({
-            message: `Category "${category.name}" has been deleted successfully.`,
+            message: `Category "${category.name}" has been moved to the trash.`,
             category: {
                 _id: category._id,
                 name: category.name,
@@ -251,6 +404,8 @@ module.exports = {
     addCategoryAPI,
     updateCategoryAPI,
     updateCategoryOfferAPI,
+    updateCategoryAttributesAPI,
     toggleCategoryStatusAPI,
+    moveCategoryAPI,
     deleteCategoryAPI
 };
\ No newline at end of file
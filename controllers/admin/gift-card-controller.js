@@ -0,0 +1,144 @@
+// Admin gift card lookup: find a card by code, recipient or order, see its history, void or resend it
+const mongoose = require('mongoose');
+const GiftCard = require('../../models/gift-card-schema');
+const { getGiftCardStatus, normalizeGiftCardCode, voidGiftCard, resendGiftCardEmail } = require('../../utils/gift-card-utils');
+const { escapeRegex } = require('../../utils/search-utils');
+
+const STATUS_FILTERS = ['active', 'used', 'expired', 'void'];
+
+// Query for one status filter; mirrors getGiftCardStatus
+const buildStatusQuery = (status, now) => {
+    switch (status) {
+        case 'active':
+            return { isVoid: false, expiresAt: { $gt: now }, balance: { $gt: 0 } };
+        case 'used':
+            return { isVoid: false, expiresAt: { $gt: now }, balance: { $lte: 0 } };
+        case 'expired':
+            return { isVoid: false, expiresAt: { $lte: now } };
+        case 'void':
+            return { isVoid: true };
+        default:
+            return {};
+    }
+};
+
+const getGiftCardsPage = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = 10;
+        const skip = (page - 1) * limit;
+        const search = (req.query.search || '').trim();
+        const status = STATUS_FILTERS.includes(req.query.status) ? req.query.status : '';
+        const now = new Date();
+
+        const query = buildStatusQuery(status, now);
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [
+                { code: { $regex: escapeRegex(normalizeGiftCardCode(search)), $options: 'i' } },
+                { recipientEmail: pattern },
+                { recipientName: pattern },
+                { orderId: pattern }
+            ];
+        }
+
+        const [totalGiftCards, giftCards, outstanding] = await Promise.all([
+            GiftCard.countDocuments(query),
+            GiftCard.find(query)
+                .populate('purchaser', 'fullName email')
+                .populate('product', 'productName')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            GiftCard.aggregate([
+                { $match: buildStatusQuery('active', now) },
+                { $group: { _id: null, balance: { $sum: '$balance' }, count: { $sum: 1 } } }
+            ])
+        ]);
+        giftCards.forEach(giftCard => {
+            giftCard.status = getGiftCardStatus(giftCard, now);
+        });
+
+        const totalPages = Math.ceil(totalGiftCards / limit);
+
+        res.render('admin/gift-cards', {
+            giftCards,
+            outstandingBalance: outstanding.length ? outstanding[0].balance : 0,
+            activeCount: outstanding.length ? outstanding[0].count : 0,
+            search,
+            status,
+            statusFilters: STATUS_FILTERS,
+            currentPage: page,
+            totalPages,
+            totalGiftCards,
+            startIdx: skip,
+            endIdx: Math.min(skip + limit, totalGiftCards),
+            title: 'Gift Cards'
+        });
+    } catch (error) {
+        console.error('Error loading gift cards:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load gift cards'
+        });
+    }
+};
+
+const voidGiftCardById = async (req, res) => {
+    try {
+        const giftCardId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(giftCardId)) {
+            return res.status(400).json({ success: false, message: 'Invalid gift card ID' });
+        }
+
+        const reason = (req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Please give a reason for voiding the card' });
+        }
+        if (reason.length > 200) {
+            return res.status(400).json({ success: false, message: 'Reason cannot exceed 200 characters' });
+        }
+
+        const giftCard = await voidGiftCard(giftCardId, reason);
+
+        res.json({
+            success: true,
+            message: `Gift card ${giftCard.code} has been voided`
+        });
+    } catch (error) {
+        console.error('Error voiding gift card:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to void gift card'
+        });
+    }
+};
+
+const resendGiftCard = async (req, res) => {
+    try {
+        const giftCardId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(giftCardId)) {
+            return res.status(400).json({ success: false, message: 'Invalid gift card ID' });
+        }
+
+        const giftCard = await resendGiftCardEmail(giftCardId);
+
+        res.json({
+            success: true,
+            message: `Gift card ${giftCard.code} emailed to ${giftCard.recipientEmail}`
+        });
+    } catch (error) {
+        console.error('Error resending gift card:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to email gift card'
+        });
+    }
+};
+
+module.exports = {
+    getGiftCardsPage,
+    voidGiftCardById,
+    resendGiftCard
+};
@@ -0,0 +1,168 @@
+// Admin stock adjustment and movement history controller
+const mongoose = require('mongoose');
+const Product = require('../../models/product-schema');
+const StockMovement = require('../../models/stock-movement-schema');
+const { STOCK_REASONS, adjustStock } = require('../../utils/stock-utils');
+const { recordProductChanges } = require('../../utils/product-history-utils');
+
+// Reasons an admin may pick by hand; the rest come from orders and returns
+const MANUAL_REASONS = ['manual', 'damage'];
+
+const getStockPage = async (req, res) => {
+    try {
+        const productId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({ success: false, message: 'Invalid product ID' });
+        }
+
+        const product = await Product.findById(productId)
+            .select('productName mainImage quantity variants isDeleted')
+            .lean();
+        if (!product || product.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = 15;
+        const skip = (page - 1) * limit;
+
+        const [totalMovements, movements] = await Promise.all([
+            StockMovement.countDocuments({ product: productId }),
+            StockMovement.find({ product: productId })
+                .populate('order', 'orderId')
+                .populate('actor', 'fullName email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+        ]);
+
+        const totalPages = Math.ceil(totalMovements / limit);
+        const startIdx = skip;
+        const endIdx = Math.min(skip + limit, totalMovements);
+
+        res.render('admin/product-stock', {
+            product,
+            movements,
+            reasons: STOCK_REASONS,
+            manualReasons: MANUAL_REASONS,
+            currentPage: page,
+            totalPages,
+            totalMovements,
+            startIdx,
+            endIdx,
+            title: 'Stock History'
+        });
+    } catch (error) {
+        console.error('Error loading stock history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load stock history'
+        });
+    }
+};
+
+const adjustProductStock = async (req, res) => {
+    try {
+        const productId = req.params.id;
+        const { variantId, reason } = req.body;
+        const delta = parseInt(req.body.delta);
+        const note = (req.body.note || '').trim();
+
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({ success: false, message: 'Invalid product ID' });
+        }
+
+        if (!MANUAL_REASONS.includes(reason)) {
+            return res.status(400).json({ success: false, message: 'Reason must be a manual adjustment or damage' });
+        }
+
+        if (isNaN(delta) || delta === 0 || String(delta) !== String(req.body.delta).trim()) {
+            return res.status(400).json({ success: false, message: 'Enter a whole number other than 0' });
+        }
+
+        if (reason === 'damage' && delta > 0) {
+            return res.status(400).json({ success: false, message: 'Damaged stock can only be written off' });
+        }
+
+        if (!note) {
+            return res.status(400).json({ success: false, message: 'Please add a note explaining the adjustment' });
+        }
+
+        if (note.length > 300) {
+            return res.status(400).json({ success: false, message: 'Note cannot exceed 300 characters' });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product || product.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        if (product.isBundle) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bundle stock comes from its contents. Adjust the products inside it instead.'
+            });
+        }
+
+        let currentQuantity = product.quantity;
+        if (product.variants.length > 0) {
+            const variant = variantId ? product.variants.id(variantId) : null;
+            if (!variant) {
+                return res.status(400).json({ success: false, message: 'Please choose a variant' });
+            }
+            currentQuantity = variant.quantity;
+        }
+
+        if (currentQuantity + delta < 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Only ${currentQuantity} in stock; cannot remove ${-delta}`
+            });
+        }
+
+        // The check above used an earlier read; requireStock repeats it in the update itself,
+        // so an order placed in between can't push stock below zero
+        const updatedProduct = await adjustStock(
+            productId,
+            product.variants.length > 0 ? variantId : null,
+            delta,
+            {
+                reason,
+                actor: req.session.admin_id,
+                actorType: 'admin',
+                note
+            },
+            { requireStock: delta < 0 }
+        );
+        if (!updatedProduct) {
+            return res.status(409).json({
+                success: false,
+                message: 'Stock changed while you were adjusting it. Please reload and try again.'
+            });
+        }
+
+        await recordProductChanges(product, updatedProduct, {
+            source: 'stock',
+            admin: req.session.admin_id,
+            note: note || STOCK_REASONS[reason]
+        });
+
+        res.json({
+            success: true,
+            message: `Stock ${delta > 0 ? 'increased' : 'reduced'} by ${Math.abs(delta)}`,
+            quantity: updatedProduct.quantity
+        });
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to adjust stock'
+        });
+    }
+};
+
+module.exports = {
+    getStockPage,
+    adjustProductStock
+};
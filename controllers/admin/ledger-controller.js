@@ -60,6 +60,8 @@ const ledgerController = {
                 matchQuery.paymentMethod = 'Online Payment';
             } else if (paymentMethod === 'wallet') {
                 matchQuery.paymentMethod = 'Wallet';
+            } else if (paymentMethod === 'giftcard') {
+                matchQuery.paymentMethod = 'Gift Card';
             } else {
                 matchQuery.paymentMethod = { $regex: new RegExp(paymentMethod, 'i') };
             }
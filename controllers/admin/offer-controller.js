@@ -0,0 +1,271 @@
+// Admin scheduled offer management controller
+const mongoose = require('mongoose');
+const Offer = require('../../models/offer-schema');
+const Order = require('../../models/order-schema');
+const Product = require('../../models/product-schema');
+const Category = require('../../models/category-schema');
+const Brand = require('../../models/brand-schema');
+const { getOfferStatus, invalidateOfferCache } = require('../../utils/offer-utils');
+const { validateOfferForm } = require('../../validator/offerValidator');
+
+const OFFER_TABS = ['Active', 'Scheduled', 'Ended'];
+
+const buildStatusQuery = (status, now) => {
+    if (status === 'Active') {
+        return { startsAt: { $lte: now }, endsAt: { $gt: now } };
+    }
+    if (status === 'Scheduled') {
+        return { startsAt: { $gt: now }, endedEarlyAt: null };
+    }
+    return { $or: [{ endsAt: { $lte: now } }, { endedEarlyAt: { $ne: null } }] };
+};
+
+const getOffersPage = async (req, res) => {
+    try {
+        const now = new Date();
+        const status = OFFER_TABS.includes(req.query.status) ? req.query.status : 'Active';
+        const page = parseInt(req.query.page) || 1;
+        const limit = 10;
+        const skip = (page - 1) * limit;
+        const query = buildStatusQuery(status, now);
+
+        const [totalOffers, offers, products, categories, brands, ...tabCounts] = await Promise.all([
+            Offer.countDocuments(query),
+            Offer.find(query)
+                .populate('product', 'productName')
+                .populate('category', 'name')
+                .populate('brand', 'name')
+                .sort(status === 'Scheduled' ? { startsAt: 1 } : { endsAt: status === 'Active' ? 1 : -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Product.find({ isDeleted: false }).select('productName').sort({ productName: 1 }).lean(),
+            Category.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean(),
+            Brand.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean(),
+            ...OFFER_TABS.map(tab => Offer.countDocuments(buildStatusQuery(tab, now)))
+        ]);
+
+        const counts = {};
+        OFFER_TABS.forEach((tab, index) => { counts[tab] = tabCounts[index]; });
+
+        // Orders placed at each offer's price, for auditing promotions
+        const usage = await Order.aggregate([
+            { $match: { 'orderedItems.appliedOffer.offer': { $in: offers.map(offer => offer._id) } } },
+            { $unwind: '$orderedItems' },
+            { $match: { 'orderedItems.appliedOffer.offer': { $in: offers.map(offer => offer._id) } } },
+            {
+                $group: {
+                    _id: '$orderedItems.appliedOffer.offer',
+                    orders: { $addToSet: '$_id' },
+                    units: { $sum: '$orderedItems.quantity' },
+                    revenue: {
+                        $sum: {
+                            $cond: [
+                                { $in: ['$orderedItems.status', ['Cancelled', 'Returned']] },
+                                0,
+                                '$orderedItems.totalPrice'
+                            ]
+                        }
+                    }
+                }
+            }
+        ]);
+        const usageById = new Map(usage.map(row => [row._id.toString(), row]));
+
+        offers.forEach(offer => {
+            const row = usageById.get(offer._id.toString());
+            offer.status = getOfferStatus(offer, now);
+            offer.orderCount = row ? row.orders.length : 0;
+            offer.unitsSold = row ? row.units : 0;
+            offer.revenue = row ? row.revenue : 0;
+        });
+
+        const totalPages = Math.ceil(totalOffers / limit);
+        const startIdx = skip;
+        const endIdx = Math.min(skip + limit, totalOffers);
+
+        res.render('admin/offers', {
+            offers,
+            status,
+            counts,
+            products,
+            categories,
+            brands,
+            currentPage: page,
+            totalPages,
+            totalOffers,
+            startIdx,
+            endIdx,
+            title: 'Offers'
+        });
+    } catch (error) {
+        console.error('Error loading offers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load offers'
+        });
+    }
+};
+
+const createOffer = async (req, res) => {
+    try {
+        const validation = validateOfferForm(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(validation.errors)[0],
+                errors: validation.errors
+            });
+        }
+
+        const offer = await Offer.create({
+            ...validation.validatedData,
+            createdBy: req.session.admin_id
+        });
+        invalidateOfferCache();
+
+        res.status(201).json({
+            success: true,
+            message: `Offer "${offer.name}" created`,
+            offer
+        });
+    } catch (error) {
+        console.error('Error creating offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create offer'
+        });
+    }
+};
+
+const updateOffer = async (req, res) => {
+    try {
+        const offerId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(offerId)) {
+            return res.status(400).json({ success: false, message: 'Invalid offer ID' });
+        }
+
+        const offer = await Offer.findById(offerId);
+        if (!offer) {
+            return res.status(404).json({ success: false, message: 'Offer not found' });
+        }
+
+        const status = getOfferStatus(offer);
+        if (status === 'Ended' || status === 'Cancelled') {
+            return res.status(400).json({ success: false, message: 'Past offers cannot be edited' });
+        }
+
+        const validation = validateOfferForm(req.body, { startLocked: status === 'Active' });
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(validation.errors)[0],
+                errors: validation.errors
+            });
+        }
+
+        offer.set(validation.validatedData);
+        await offer.save();
+        invalidateOfferCache();
+
+        res.json({
+            success: true,
+            message: `Offer "${offer.name}" updated`,
+            offer
+        });
+    } catch (error) {
+        console.error('Error updating offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update offer'
+        });
+    }
+};
+
+// Ends a live offer now, or cancels one that hasn't started; the record is kept for history
+const endOffer = async (req, res) => {
+    try {
+        const offerId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(offerId)) {
+            return res.status(400).json({ success: false, message: 'Invalid offer ID' });
+        }
+
+        const offer = await Offer.findById(offerId);
+        if (!offer) {
+            return res.status(404).json({ success: false, message: 'Offer not found' });
+        }
+
+        const now = new Date();
+        const status = getOfferStatus(offer, now);
+        if (status === 'Scheduled') {
+            offer.endsAt = offer.startsAt;
+        } else if (status === 'Active') {
+            offer.endsAt = now;
+        } else {
+            return res.status(400).json({ success: false, message: 'This offer has already ended' });
+        }
+        offer.endedEarlyAt = now;
+        await offer.save();
+        invalidateOfferCache();
+
+        res.json({
+            success: true,
+            message: status === 'Scheduled' ? `Offer "${offer.name}" cancelled` : `Offer "${offer.name}" ended`
+        });
+    } catch (error) {
+        console.error('Error ending offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to end offer'
+        });
+    }
+};
+
+const getOfferOrders = async (req, res) => {
+    try {
+        const offerId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(offerId)) {
+            return res.status(400).json({ success: false, message: 'Invalid offer ID' });
+        }
+
+        const orders = await Order.find({ 'orderedItems.appliedOffer.offer': offerId })
+            .populate('userId', 'fullName email')
+            .populate('orderedItems.product', 'productName')
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .lean();
+
+        const data = orders.map(order => ({
+            _id: order._id,
+            orderId: order.orderId,
+            createdAt: order.createdAt,
+            customer: order.userId ? order.userId.fullName : 'Unknown Customer',
+            items: order.orderedItems
+                .filter(item => item.appliedOffer && String(item.appliedOffer.offer) === offerId)
+                .map(item => ({
+                    productName: item.product ? item.product.productName : 'Product removed',
+                    variantLabel: item.variantLabel,
+                    quantity: item.quantity,
+                    price: item.price,
+                    percentage: item.appliedOffer.percentage,
+                    status: item.status
+                }))
+        }));
+
+        res.json({ success: true, orders: data });
+    } catch (error) {
+        console.error('Error fetching offer orders:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch offer orders'
+        });
+    }
+};
+
+module.exports = {
+    getOffersPage,
+    createOffer,
+    updateOffer,
+    endOffer,
+    getOfferOrders
+};
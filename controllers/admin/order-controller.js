@@ -3,6 +3,7 @@ const Order = require('../../models/order-schema');
 const User = require('../../models/user-model');
 const Product = require('../../models/product-schema');
 const Wallet = require('../../models/wallet-schema');
+const { adjustOrderItemStock, hasOrderTakenStock } = require('../../utils/stock-utils');
 
 
 
@@ -165,6 +166,18 @@ const finalAmountActive = subtotalActiveProducts;
   }
 };
 
+// Deposit pre-orders leave a balance that is collected with the delivery
+const collectPreOrderBalance = (order) => {
+  if (!order.preOrderBalance) return;
+
+  order.orderTimeline.push({
+    status: 'Payment Completed',
+    timestamp: new Date(),
+    description: `Pre-order balance of ₹${order.preOrderBalance.toFixed(2)} collected on delivery`
+  });
+  order.preOrderBalance = 0;
+};
+
 const updateOrderStatus = async (req, res) => {
   try {
     const orderId = req.params.id;
@@ -201,6 +214,13 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
+    if (order.status === 'Pre-Order') {
+      return res.status(403).json({
+        success: false,
+        message: 'Pre-orders move to Pending automatically when stock arrives'
+      });
+    }
+
     // Allow status updates for partially cancelled orders, but not for fully cancelled orders
     if (order.status === 'Cancelled') {
       return res.status(403).json({
@@ -291,7 +311,7 @@ const updateOrderStatus = async (req, res) => {
 }
     
     if (status === 'Cancelled') {
-      const activeItems = order.orderedItems.filter(item => item.status === 'Active');
+      const activeItems = order.orderedItems.filter(item => ['Pending', 'Processing'].includes(item.status));
       const returnRequestItems = order.orderedItems.filter(item => item.status === 'Return Request');
       const includedItems = [...activeItems, ...returnRequestItems];
       
@@ -307,6 +327,12 @@ const updateOrderStatus = async (req, res) => {
       if (order.couponApplied && order.couponDiscount > 0) {
         refundAmount -= order.couponDiscount;
       }
+
+      // Only money that was actually collected goes back; a pre-order balance never was
+      refundAmount -= order.preOrderBalance;
+      if (order.paymentStatus !== 'Completed') {
+        refundAmount = 0;
+      }
       
       if (refundAmount > 0) {
         try {
@@ -322,16 +348,20 @@ const updateOrderStatus = async (req, res) => {
       }
       
       for (const item of order.orderedItems) {
-        if (item.status === 'Active') {
+        if (['Pending', 'Processing'].includes(item.status)) {
           item.status = 'Cancelled';
           item.cancellationReason = 'Order cancelled by admin';
           item.cancelledAt = new Date();
           
+          // An unpaid online order never took stock, so there is nothing to put back
+          if (!hasOrderTakenStock(order)) continue;
           try {
-            await Product.findByIdAndUpdate(
-              item.product,
-              { $inc: { quantity: item.quantity } }
-            );
+            await adjustOrderItemStock(item, item.quantity, {
+              reason: 'cancel',
+              order: order._id,
+              actor: req.session.admin_id,
+              actorType: 'admin'
+            });
           } catch (stockError) {
             console.error('Error restoring product stock:', stockError);
           }
@@ -340,8 +370,13 @@ const updateOrderStatus = async (req, res) => {
       
       order.totalPrice = 0;
       order.finalAmount = 0;
+      order.preOrderBalance = 0;
     }
     
+    if (status === 'Delivered') {
+      collectPreOrderBalance(order);
+    }
+
     if (status === 'Delivered' && order.paymentMethod === 'Cash on Delivery' && order.paymentStatus === 'Pending') {
       order.paymentStatus = 'Completed';
       
@@ -611,6 +646,13 @@ const updateItemsStatusBulk = async (req, res) => {
       });
     }
 
+    if (order.status === 'Pre-Order') {
+      return res.status(403).json({
+        success: false,
+        message: 'Pre-order items move to Pending automatically when stock arrives'
+      });
+    }
+
     const validStatuses = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled', 'Return Request', 'Returned'];
     let updatedCount = 0;
     const updateResults = [];
@@ -657,10 +699,12 @@ const updateItemsStatusBulk = async (req, res) => {
         
         // Restore stock
         try {
-          await Product.findByIdAndUpdate(
-            item.product,
-            { $inc: { quantity: item.quantity } }
-          );
+          await adjustOrderItemStock(item, item.quantity, {
+            reason: 'cancel',
+            order: order._id,
+            actor: req.session.admin_id,
+            actorType: 'admin'
+          });
         } catch (stockError) {
           console.error('Error restoring stock:', stockError);
         }
@@ -687,10 +731,12 @@ const updateItemsStatusBulk = async (req, res) => {
         
         // Restore stock
         try {
-          await Product.findByIdAndUpdate(
-            item.product,
-            { $inc: { quantity: item.quantity } }
-          );
+          await adjustOrderItemStock(item, item.quantity, {
+            reason: 'return',
+            order: order._id,
+            actor: req.session.admin_id,
+            actorType: 'admin'
+          });
         } catch (stockError) {
           console.error('Error restoring stock:', stockError);
         }
@@ -801,6 +847,9 @@ else if (activeCount === totalItems) {
         timestamp: new Date(),
         description: `Order status automatically updated to ${newOrderStatus} based on item statuses`
       });
+      if (newOrderStatus === 'Delivered') {
+        collectPreOrderBalance(order);
+      }
     }
 
     await order.save();
@@ -1,42 +1,251 @@
 // Admin product management controller
+const mongoose = require('mongoose');
 const Product = require('../../models/product-schema');
 const Category = require('../../models/category-schema');
-const sharp = require('sharp');
-const path = require('path');
-const fs = require('fs');
-const { uploadDir } = require('../../config/multer-config');
+const Brand = require('../../models/brand-schema');
+const { PRODUCT_ATTRIBUTES, parseProductAttributes } = require('../../utils/attribute-utils');
+const { syncProductSearchFields } = require('../../utils/search-utils');
+const { saveProductImage, deleteProductImage, mergeImageDerivatives } = require('../../utils/image-utils');
+const { recordStockChanges } = require('../../utils/stock-utils');
+const { getSubscriberCounts } = require('../../utils/restock-utils');
+const { parseMetaFields, generateUniqueSlug } = require('../../utils/seo-utils');
+const { CHANGE_SOURCES, recordProductChanges, getProductHistory, getPriceAsOf } = require('../../utils/product-history-utils');
+const { parseBundleItems, syncBundleStock } = require('../../utils/bundle-utils');
 
 const saveBase64Image = async (base64Data, filename) => {
     try {
         const base64Image = base64Data.replace(/^data:image\/[a-z]+;base64,/, '');
         const imageBuffer = Buffer.from(base64Image, 'base64');
-        
-        const outputPath = path.join(uploadDir, filename);
-        
-        await sharp(imageBuffer)
-            .resize(800, 800, {
-                fit: 'cover',
-                position: 'center'
-            })
-            .jpeg({ quality: 90 })
-            .toFile(outputPath);
-            
-        return filename;
+
+        // Writes the original plus thumb/card/detail/zoom renditions; returns the manifest entry
+        return await saveProductImage(imageBuffer, filename);
     } catch (error) {
         console.error('Error saving base64 image:', error);
         throw new Error('Failed to process image');
     }
 };
 
-const deleteImageFile = (filename) => {
+// Parses and validates the variants JSON sent by the product forms.
+// Existing variant ids are kept so cart and order references stay valid.
+const parseVariants = async (rawVariants, productId = null) => {
+    if (!rawVariants) return { variants: [] };
+
+    let variantData;
     try {
-        const filePath = path.join(uploadDir, filename);
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+        variantData = JSON.parse(rawVariants);
+    } catch (error) {
+        return { error: 'Invalid variant data format' };
+    }
+
+    if (!Array.isArray(variantData)) {
+        return { error: 'Invalid variant data format' };
+    }
+
+    const variants = [];
+    const seenSkus = new Set();
+
+    for (let i = 0; i < variantData.length; i++) {
+        const raw = variantData[i];
+        const sku = (raw.sku || '').trim().toUpperCase();
+        const regularPrice = parseFloat(raw.regularPrice);
+        const salePrice = parseFloat(raw.salePrice);
+        const quantity = parseInt(raw.quantity);
+
+        if (!sku) {
+            return { error: `Variant ${i + 1}: SKU is required` };
+        }
+        if (seenSkus.has(sku)) {
+            return { error: `Variant ${i + 1}: SKU ${sku} is used more than once` };
+        }
+        seenSkus.add(sku);
+
+        if (isNaN(regularPrice) || regularPrice <= 0 || isNaN(salePrice) || salePrice <= 0) {
+            return { error: `Variant ${sku}: prices must be greater than 0` };
+        }
+        if (salePrice > regularPrice) {
+            return { error: `Variant ${sku}: sale price cannot exceed regular price` };
+        }
+        if (isNaN(quantity) || quantity < 0) {
+            return { error: `Variant ${sku}: stock cannot be negative` };
+        }
+
+        const variant = {
+            sku,
+            scale: (raw.scale || '').trim(),
+            colour: (raw.colour || '').trim(),
+            edition: (raw.edition || '').trim(),
+            regularPrice,
+            salePrice,
+            quantity,
+            images: Array.isArray(raw.images) ? raw.images : [],
+            isActive: raw.isActive !== false
+        };
+        if (raw._id) variant._id = raw._id;
+
+        variants.push(variant);
+    }
+
+    if (variants.length > 0) {
+        const skuQuery = {
+            'variants.sku': { $in: [...seenSkus] },
+            isDeleted: false
+        };
+        if (productId) skuQuery._id = { $ne: productId };
+
+        const clash = await Product.findOne(skuQuery).select('productName variants.sku');
+        if (clash) {
+            const takenSku = clash.variants.find(v => seenSkus.has(v.sku)).sku;
+            return { error: `SKU ${takenSku} is already used by ${clash.productName}` };
         }
+    }
+
+    return { variants };
+};
+
+// Bundle contents from the product forms. A bundle's stock comes from its contents, so it
+// can't also have variants or take pre-orders, and a product inside a bundle can't become one.
+const parseBundleForm = async (rawItems, variants, preOrder, productId = null) => {
+    const bundleResult = await parseBundleItems(rawItems, productId);
+    if (bundleResult.error || bundleResult.bundleItems.length === 0) return bundleResult;
+
+    if (variants.length > 0) {
+        return { error: 'A bundle cannot have variants. Pick the variants in its contents instead.' };
+    }
+    if (preOrder.isEnabled) {
+        return { error: 'Bundles cannot take pre-orders' };
+    }
+    if (productId && await Product.exists({ 'bundleItems.product': productId })) {
+        return { error: 'This product is part of a bundle, so it cannot become a bundle itself' };
+    }
+    return bundleResult;
+};
+
+// Gift card flag from the product forms. A gift card is an emailed code, so it can't also be
+// a bundle or take pre-orders.
+const parseGiftCardFlag = (rawValue, isBundle, preOrder) => {
+    const isGiftCard = rawValue === true || rawValue === 'true';
+    if (isGiftCard && isBundle) {
+        return { error: 'A gift card cannot be a bundle' };
+    }
+    if (isGiftCard && preOrder.isEnabled) {
+        return { error: 'Gift cards cannot take pre-orders' };
+    }
+    return { isGiftCard };
+};
+
+// Products that can go inside a bundle, for the bundle editor on the product forms
+const getBundleCandidates = (excludeId = null) => {
+    const query = { isDeleted: false, isBundle: { $ne: true }, isGiftCard: { $ne: true } };
+    if (excludeId) query._id = { $ne: excludeId };
+    return Product.find(query)
+        .select('productName variants._id variants.sku variants.scale variants.colour variants.edition')
+        .sort({ productName: 1 })
+        .lean();
+};
+
+// Blank means "use the category default"
+const parseReorderThreshold = (rawThreshold) => {
+    if (rawThreshold === undefined || rawThreshold === null || String(rawThreshold).trim() === '') {
+        return { reorderThreshold: null };
+    }
+
+    const reorderThreshold = Number(rawThreshold);
+    if (!Number.isInteger(reorderThreshold) || reorderThreshold < 0) {
+        return { error: 'Reorder threshold must be a whole number of 0 or more' };
+    }
+    return { reorderThreshold };
+};
+
+// Blank limit means anyone can buy any quantity; blank window counts every past order
+const parsePurchaseLimit = (rawMax, rawWindow) => {
+    const maxPerCustomer = rawMax === undefined || String(rawMax).trim() === '' ? 0 : Number(rawMax);
+    const windowDays = rawWindow === undefined || String(rawWindow).trim() === '' ? 0 : Number(rawWindow);
+
+    if (!Number.isInteger(maxPerCustomer) || maxPerCustomer < 0) {
+        return { error: 'Max per customer must be a whole number of 0 or more' };
+    }
+    if (!Number.isInteger(windowDays) || windowDays < 0) {
+        return { error: 'Limit window must be a whole number of days' };
+    }
+    return { purchaseLimit: { maxPerCustomer, windowDays } };
+};
+
+// Pre-order settings arrive as a JSON string. The reserved count belongs to checkout and is
+// never taken from the form.
+const parsePreOrder = (rawPreOrder) => {
+    if (!rawPreOrder) {
+        return { preOrder: { isEnabled: false } };
+    }
+
+    let raw;
+    try {
+        raw = typeof rawPreOrder === 'string' ? JSON.parse(rawPreOrder) : rawPreOrder;
     } catch (error) {
-        console.error('Error deleting image file:', error);
+        return { error: 'Invalid pre-order data format' };
+    }
+
+    const paymentType = raw.paymentType === 'deposit' ? 'deposit' : 'full';
+    const depositPercentage = Number(raw.depositPercentage) || 20;
+    const cap = raw.cap === '' || raw.cap === undefined ? 0 : Number(raw.cap);
+    const releaseDate = raw.releaseDate ? new Date(raw.releaseDate) : null;
+
+    if (releaseDate && isNaN(releaseDate.getTime())) {
+        return { error: 'Please enter a valid expected release date' };
+    }
+    if (raw.isEnabled && !releaseDate) {
+        return { error: 'Pre-orders need an expected release date' };
+    }
+    if (paymentType === 'deposit' && (!Number.isInteger(depositPercentage) || depositPercentage < 1 || depositPercentage > 99)) {
+        return { error: 'Deposit must be a whole percentage between 1 and 99' };
+    }
+    if (!Number.isInteger(cap) || cap < 0) {
+        return { error: 'Pre-order cap must be a whole number of 0 or more' };
+    }
+    if (raw.isEnabled && cap < 1) {
+        return { error: 'Set a pre-order cap of at least 1 to accept pre-orders' };
+    }
+
+    return {
+        preOrder: {
+            isEnabled: !!raw.isEnabled,
+            releaseDate,
+            paymentType,
+            depositPercentage,
+            cap
+        }
+    };
+};
+
+// Products keep the brand's name alongside the reference for listings and text search
+const resolveBrand = async (brandId) => {
+    if (!mongoose.Types.ObjectId.isValid(brandId)) {
+        return { error: 'Please select a brand' };
+    }
+
+    const brand = await Brand.findOne({ _id: brandId, isDeleted: false }).select('name').lean();
+    if (!brand) {
+        return { error: 'Selected brand no longer exists' };
     }
+    return { brandId: brand._id, brand: brand.name };
+};
+
+// Validates the attributes JSON sent by the product forms against the category's attribute setup
+const parseAttributesForCategory = async (rawAttributes, categoryId) => {
+    let values = {};
+    if (rawAttributes) {
+        try {
+            values = JSON.parse(rawAttributes);
+        } catch (error) {
+            return { error: 'Invalid attribute data format' };
+        }
+    }
+
+    const category = await Category.findById(categoryId).select('attributes');
+    if (!category) {
+        return { error: 'Selected category does not exist' };
+    }
+
+    return parseProductAttributes(values, category.attributes);
 };
 
 const getProducts = async (req, res) => {
@@ -84,6 +293,8 @@ const getProducts = async (req, res) => {
         ]);
 
         const products = allProducts.filter(product => product.category !== null);
+        // Customers waiting on a "notify me", so admins can see what to restock first
+        const subscriberCounts = Object.fromEntries(await getSubscriberCounts(products.map(product => product._id)));
 
         const totalPages = Math.ceil(totalProducts / limit);
         const hasNextPage = page < totalPages;
@@ -109,6 +320,7 @@ const getProducts = async (req, res) => {
 
         res.render('admin/product', {
             products,
+            subscriberCounts,
             categories,
             currentPage: page,
             totalPages,
@@ -156,8 +368,17 @@ const getAddProduct = async (req, res) => {
             isListed: true,           
             isDeleted: false          
         }).sort({ name: 1 });
+        const brands = await Brand.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean();
         
-        res.render('admin/new-product', { categories, product: null });
+        const bundleCandidates = await getBundleCandidates();
+
+        res.render('admin/new-product', {
+            categories,
+            brands,
+            product: null,
+            attributeDefinitions: PRODUCT_ATTRIBUTES,
+            bundleCandidates
+        });
     } catch (error) {
         console.error('Error loading add product page:', error);
         res.status(500).send('Server Error');
@@ -173,12 +394,24 @@ const getEditProduct = async (req, res) => {
             isListed: true,           
             isDeleted: false          
         }).sort({ name: 1 });
+        const brands = await Brand.find({ isDeleted: false }).select('name').sort({ name: 1 }).lean();
         
         if (!product || product.isDeleted) {
             return res.status(404).send('Product not found');
         }
         
-        res.render('admin/edit-product', { product, categories });
+        const history = await getProductHistory(product._id);
+        const bundleCandidates = await getBundleCandidates(product._id);
+
+        res.render('admin/edit-product', {
+            product,
+            categories,
+            brands,
+            attributeDefinitions: PRODUCT_ATTRIBUTES,
+            history,
+            changeSources: CHANGE_SOURCES,
+            bundleCandidates
+        });
     } catch (error) {
         console.error('Error loading edit product page:', error);
         res.status(500).send('Server Error');
@@ -190,7 +423,7 @@ const addProduct = async (req, res) => {
         const {
             productName,
             description,
-            brand,
+            brandId,
             category,
             regularPrice,
             salePrice,
@@ -198,10 +431,12 @@ const addProduct = async (req, res) => {
             quantity,
             features,
             croppedImages,
-            mainImageIndex
+            mainImageIndex,
+            variants,
+            attributes
         } = req.body;
 
-        if (!productName || !description || !brand || !category || !regularPrice || !salePrice || !features) {
+        if (!productName || !description || !brandId || !category || !regularPrice || !salePrice || !features) {
             return res.status(400).json({ 
                 success: false, 
                 message: 'All required fields must be filled' 
@@ -229,6 +464,88 @@ const addProduct = async (req, res) => {
             });
         }
 
+        const thresholdResult = parseReorderThreshold(req.body.reorderThreshold);
+        if (thresholdResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: thresholdResult.error,
+                field: 'reorderThreshold'
+            });
+        }
+
+        const limitResult = parsePurchaseLimit(req.body.maxPerCustomer, req.body.limitWindowDays);
+        if (limitResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: limitResult.error,
+                field: 'maxPerCustomer'
+            });
+        }
+
+        const preOrderResult = parsePreOrder(req.body.preOrder);
+        if (preOrderResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: preOrderResult.error,
+                field: 'preOrder'
+            });
+        }
+
+        const metaResult = parseMetaFields(req.body.metaTitle, req.body.metaDescription);
+        if (metaResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: metaResult.error,
+                field: 'metaTitle'
+            });
+        }
+
+        const brandResult = await resolveBrand(brandId);
+        if (brandResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: brandResult.error,
+                field: 'brandId'
+            });
+        }
+
+        const variantResult = await parseVariants(variants);
+        if (variantResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: variantResult.error,
+                field: 'variants'
+            });
+        }
+
+        const bundleResult = await parseBundleForm(req.body.bundleItems, variantResult.variants, preOrderResult.preOrder);
+        if (bundleResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: bundleResult.error,
+                field: 'bundleItems'
+            });
+        }
+        const isBundle = bundleResult.bundleItems.length > 0;
+
+        const giftCardResult = parseGiftCardFlag(req.body.isGiftCard, isBundle, preOrderResult.preOrder);
+        if (giftCardResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: giftCardResult.error,
+                field: 'isGiftCard'
+            });
+        }
+
+        const attributeResult = await parseAttributesForCategory(attributes, category);
+        if (attributeResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: attributeResult.error,
+                field: 'attributes'
+            });
+        }
+
         let imageData = [];
         try {
             imageData = JSON.parse(croppedImages || '[]');
@@ -247,15 +564,16 @@ const addProduct = async (req, res) => {
         }
 
         const processedImages = [];
+        const imageDerivatives = [];
         for (let i = 0; i < imageData.length; i++) {
             const timestamp = Date.now();
             const filename = `product-${timestamp}-${i + 1}.jpg`;
 
             try {
-                await saveBase64Image(imageData[i], filename);
+                imageDerivatives.push(await saveBase64Image(imageData[i], filename));
                 processedImages.push(filename);
             } catch (error) {
-                processedImages.forEach(deleteImageFile);
+                [...processedImages, filename].forEach(deleteProductImage);
                 throw new Error(`Failed to process image ${i + 1}`);
             }
         }
@@ -269,21 +587,47 @@ const addProduct = async (req, res) => {
         const newProduct = new Product({
             productName,
             description,
-            brand,
+            brand: brandResult.brand,
+            brandId: brandResult.brandId,
             category,
             regularPrice: parseFloat(regularPrice),
             salePrice: parseFloat(salePrice),
             productOffer: parseFloat(productOffer) || 0,
-            quantity: parseInt(quantity) || 1,
+            // Bundle stock is worked out from the contents once the bundle is saved
+            quantity: isBundle ? 0 : parseInt(quantity) || 1,
+            reorderThreshold: thresholdResult.reorderThreshold,
+            purchaseLimit: limitResult.purchaseLimit,
+            preOrder: preOrderResult.preOrder,
+            metaTitle: metaResult.metaTitle,
+            metaDescription: metaResult.metaDescription,
             features,
+            // Variant images are assigned from the edit page once the product images exist
+            variants: variantResult.variants.map(variant => ({ ...variant, images: [] })),
+            isBundle,
+            bundleItems: bundleResult.bundleItems,
+            isGiftCard: giftCardResult.isGiftCard,
+            attributes: attributeResult.attributes,
             mainImage: mainImageFile,
             subImages: subImageFiles,
+            imageDerivatives,
             isDeleted: false,
             isBlocked: false,
             isListed: true
         });
 
         await newProduct.save();
+        await syncProductSearchFields(newProduct._id);
+        if (isBundle) {
+            await syncBundleStock({ bundleId: newProduct._id });
+        } else {
+            await recordStockChanges(null, newProduct, {
+                reason: 'manual',
+                actor: req.session.admin_id,
+                actorType: 'admin',
+                note: 'Opening stock'
+            });
+        }
+        await recordProductChanges(null, newProduct, { admin: req.session.admin_id });
 
         res.status(201).json({ 
             success: true, 
@@ -325,7 +669,7 @@ const updateProduct = async (req, res) => {
         const {
             productName,
             description,
-            brand,
+            brandId,
             category,
             regularPrice,
             salePrice,
@@ -334,7 +678,9 @@ const updateProduct = async (req, res) => {
             features,
             croppedImages,
             removedImages,
-            mainImage
+            mainImage,
+            variants,
+            attributes
         } = req.body;
 
         const existingProduct = await Product.findById(productId);
@@ -348,7 +694,6 @@ const updateProduct = async (req, res) => {
         const updateData = {
             productName,
             description,
-            brand,
             category,
             regularPrice: parseFloat(regularPrice),
             salePrice: parseFloat(salePrice),
@@ -365,17 +710,124 @@ const updateProduct = async (req, res) => {
             });
         }
 
+        const thresholdResult = parseReorderThreshold(req.body.reorderThreshold);
+        if (thresholdResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: thresholdResult.error,
+                field: 'reorderThreshold'
+            });
+        }
+        updateData.reorderThreshold = thresholdResult.reorderThreshold;
+
+        const limitResult = parsePurchaseLimit(req.body.maxPerCustomer, req.body.limitWindowDays);
+        if (limitResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: limitResult.error,
+                field: 'maxPerCustomer'
+            });
+        }
+
+        const preOrderResult = parsePreOrder(req.body.preOrder);
+        if (preOrderResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: preOrderResult.error,
+                field: 'preOrder'
+            });
+        }
+        updateData.purchaseLimit = limitResult.purchaseLimit;
+
+        // Set field by field so a reservation made meanwhile is not overwritten
+        for (const [key, value] of Object.entries(preOrderResult.preOrder)) {
+            updateData[`preOrder.${key}`] = value;
+        }
+
+        const metaResult = parseMetaFields(req.body.metaTitle, req.body.metaDescription);
+        if (metaResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: metaResult.error,
+                field: 'metaTitle'
+            });
+        }
+        updateData.metaTitle = metaResult.metaTitle;
+        updateData.metaDescription = metaResult.metaDescription;
+
+        // findByIdAndUpdate skips the validate hook; products from before slugs get one on their next edit
+        if (!existingProduct.slug) {
+            updateData.slug = await generateUniqueSlug(Product, productName, existingProduct._id, 'product');
+        }
+
+        const brandResult = await resolveBrand(brandId);
+        if (brandResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: brandResult.error,
+                field: 'brandId'
+            });
+        }
+        updateData.brand = brandResult.brand;
+        updateData.brandId = brandResult.brandId;
+
+        const variantResult = await parseVariants(variants, productId);
+        if (variantResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: variantResult.error,
+                field: 'variants'
+            });
+        }
+
+        const bundleResult = await parseBundleForm(req.body.bundleItems, variantResult.variants, preOrderResult.preOrder, productId);
+        if (bundleResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: bundleResult.error,
+                field: 'bundleItems'
+            });
+        }
+        const isBundle = bundleResult.bundleItems.length > 0;
+        updateData.isBundle = isBundle;
+        updateData.bundleItems = bundleResult.bundleItems;
+        if (isBundle) {
+            // Worked out from the contents below rather than taken from the form
+            updateData.quantity = existingProduct.quantity;
+        }
+
+        const giftCardResult = parseGiftCardFlag(req.body.isGiftCard, isBundle, preOrderResult.preOrder);
+        if (giftCardResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: giftCardResult.error,
+                field: 'isGiftCard'
+            });
+        }
+        updateData.isGiftCard = giftCardResult.isGiftCard;
+
+        const attributeResult = await parseAttributesForCategory(attributes, category);
+        if (attributeResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: attributeResult.error,
+                field: 'attributes'
+            });
+        }
+        updateData.attributes = attributeResult.attributes;
+
         let currentImages = [existingProduct.mainImage, ...existingProduct.subImages];
 
         if (removedImages) {
             const toRemove = JSON.parse(removedImages);
             toRemove.forEach(filename => {
-                deleteImageFile(filename);
+                deleteProductImage(filename);
                 currentImages = currentImages.filter(img => img !== filename);
             });
         }
 
         let newImageFilenames = [];
+        const newImageDerivatives = [];
         if (croppedImages) {
             const newImageData = JSON.parse(croppedImages);
             for (let i = 0; i < newImageData.length; i++) {
@@ -383,7 +835,7 @@ const updateProduct = async (req, res) => {
                 const filename = `product-${timestamp}-${i + 1}.jpg`;
 
                 try {
-                    await saveBase64Image(newImageData[i], filename);
+                    newImageDerivatives.push(await saveBase64Image(newImageData[i], filename));
                     newImageFilenames.push(filename);
                     currentImages.push(filename);
                 } catch (error) {
@@ -422,12 +874,42 @@ const updateProduct = async (req, res) => {
 
         updateData.mainImage = selectedMainImage;
         updateData.subImages = subImages;
+        updateData.imageDerivatives = mergeImageDerivatives(
+            existingProduct.imageDerivatives.map(entry => entry.toObject()),
+            currentImages,
+            newImageDerivatives
+        );
+
+        // Variant images may only reference the product's remaining images
+        updateData.variants = variantResult.variants.map(variant => ({
+            ...variant,
+            images: variant.images.filter(img => currentImages.includes(img))
+        }));
+
+        // findByIdAndUpdate skips the save hook, so sync the summary fields here
+        const summary = Product.summariseVariants(updateData.variants);
+        if (summary) Object.assign(updateData, summary);
 
         const updatedProduct = await Product.findByIdAndUpdate(
             productId,
             updateData,
             { new: true, runValidators: true }
         );
+        await syncProductSearchFields(productId);
+        if (isBundle) {
+            await syncBundleStock({ bundleId: productId });
+        } else {
+            await recordStockChanges(existingProduct, updatedProduct, {
+                reason: 'manual',
+                actor: req.session.admin_id,
+                actorType: 'admin',
+                note: 'Product edited'
+            });
+        }
+        await recordProductChanges(existingProduct, updatedProduct, {
+            source: 'edit',
+            admin: req.session.admin_id
+        });
 
         res.json({
             success: true,
@@ -452,7 +934,8 @@ const deleteProduct = async (req, res) => {
             productId,
             {
                 isDeleted: true,
-                isListed: false
+                isListed: false,
+                deletedAt: new Date()
             },
             { new: true }
         );
@@ -463,10 +946,12 @@ const deleteProduct = async (req, res) => {
                 message: 'Product not found'
             });
         }
+        // Bundles containing it run out until it is restored
+        await syncBundleStock({ componentId: product._id });
 
         res.json({
             success: true,
-            message: 'Product deleted successfully'
+            message: 'Product moved to trash'
         });
 
     } catch (error) {
@@ -490,9 +975,15 @@ const toggleProductStatus = async (req, res) => {
             });
         }
 
+        const before = product.toObject();
         product.isBlocked = !product.isBlocked;
         product.isListed = !product.isBlocked;
         await product.save();
+        await recordProductChanges(before, product, {
+            source: 'status',
+            admin: req.session.admin_id
+        });
+        await syncBundleStock({ componentId: product._id });
 
         res.json({
             success: true,
@@ -509,6 +1000,46 @@ const toggleProductStatus = async (req, res) => {
     }
 };
 
+// Support lookup for price disputes: what the product cost at a given moment
+const getProductPriceAsOf = async (req, res) => {
+    try {
+        const productId = req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return res.status(400).json({ success: false, message: 'Invalid product ID' });
+        }
+
+        const date = new Date(req.query.date);
+        if (!req.query.date || isNaN(date.getTime())) {
+            return res.status(400).json({ success: false, message: 'Please choose a valid date and time' });
+        }
+        if (date > new Date()) {
+            return res.status(400).json({ success: false, message: 'The date cannot be in the future' });
+        }
+
+        const product = await Product.findById(productId).lean();
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const prices = await getPriceAsOf(product, date);
+        if (!prices.existed) {
+            return res.json({
+                success: true,
+                message: 'The product had not been created yet on that date',
+                prices
+            });
+        }
+
+        res.json({ success: true, prices });
+    } catch (error) {
+        console.error('Error looking up product price:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to look up price'
+        });
+    }
+};
+
 module.exports = {
     getProducts,
     getAddProduct,
@@ -517,5 +1048,6 @@ module.exports = {
     getProductById,
     updateProduct,
     deleteProduct,
-    toggleProductStatus
+    toggleProductStatus,
+    getProductPriceAsOf
 };
@@ -0,0 +1,198 @@
+// Admin product Q&A controller – staff answers and moderation of questions and buyer answers
+const mongoose = require('mongoose');
+const Question = require('../../models/question-schema');
+const Answer = require('../../models/answer-schema');
+const { refreshQuestionCounts } = require('../../utils/question-utils');
+
+// Each tab is a saved query over the question's status and answer counts
+const QUESTION_TABS = {
+  Unanswered: { status: 'Published', answerCount: 0 },
+  'Awaiting Moderation': { pendingAnswerCount: { $gt: 0 } },
+  Answered: { status: 'Published', answerCount: { $gt: 0 } },
+  Hidden: { status: 'Hidden' }
+};
+
+const getQuestions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+    const skip = (page - 1) * limit;
+    const status = QUESTION_TABS[req.query.status] ? req.query.status : 'Unanswered';
+    const query = QUESTION_TABS[status];
+
+    const tabNames = Object.keys(QUESTION_TABS);
+    const [totalQuestions, questions, tabCounts] = await Promise.all([
+      Question.countDocuments(query),
+      Question.find(query)
+        .populate('user', 'fullName email')
+        .populate('product', 'productName mainImage')
+        .sort({ createdAt: status === 'Unanswered' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Promise.all(tabNames.map(name => Question.countDocuments(QUESTION_TABS[name])))
+    ]);
+
+    const counts = {};
+    tabNames.forEach((name, index) => { counts[name] = tabCounts[index]; });
+
+    const answers = await Answer.find({ question: { $in: questions.map(question => question._id) } })
+      .populate('user', 'fullName email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    questions.forEach(question => {
+      question.answers = answers.filter(answer => answer.question.toString() === question._id.toString());
+    });
+
+    const totalPages = Math.ceil(totalQuestions / limit);
+    const startIdx = skip;
+    const endIdx = Math.min(skip + limit, totalQuestions);
+
+    res.render('admin/questions', {
+      questions,
+      status,
+      tabs: tabNames,
+      counts,
+      currentPage: page,
+      totalPages,
+      totalQuestions,
+      startIdx,
+      endIdx,
+      title: 'Product Questions'
+    });
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch questions'
+    });
+  }
+};
+
+// Staff answers are published straight away
+const postAdminAnswer = async (req, res) => {
+  try {
+    const questionId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    }
+
+    const text = (req.body.text || '').trim();
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'Please write an answer' });
+    }
+    if (text.length > 1000) {
+      return res.status(400).json({ success: false, message: 'Answer cannot exceed 1000 characters' });
+    }
+
+    const question = await Question.findById(questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    await Answer.create({
+      question: question._id,
+      product: question.product,
+      user: req.session.admin_id,
+      authorType: 'admin',
+      text,
+      status: 'Approved',
+      moderatedAt: new Date()
+    });
+    const counts = await refreshQuestionCounts(question._id);
+
+    res.json({
+      success: true,
+      message: 'Answer published',
+      counts
+    });
+  } catch (error) {
+    console.error('Error posting admin answer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post answer'
+    });
+  }
+};
+
+const updateQuestionStatus = async (req, res) => {
+  try {
+    const questionId = req.params.id;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid question ID' });
+    }
+
+    if (!['Published', 'Hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be Published or Hidden' });
+    }
+
+    const question = await Question.findByIdAndUpdate(questionId, { status }, { new: true });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    res.json({
+      success: true,
+      message: status === 'Hidden' ? 'Question hidden from the product page' : 'Question published'
+    });
+  } catch (error) {
+    console.error('Error updating question status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question status'
+    });
+  }
+};
+
+const updateAnswerStatus = async (req, res) => {
+  try {
+    const answerId = req.params.id;
+    const { status, moderationNote } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(answerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid answer ID' });
+    }
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be Approved or Rejected' });
+    }
+
+    if (status === 'Rejected' && !(moderationNote || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for rejection' });
+    }
+
+    const answer = await Answer.findById(answerId);
+    if (!answer) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+
+    answer.status = status;
+    answer.moderationNote = (moderationNote || '').trim() || null;
+    answer.moderatedAt = new Date();
+    await answer.save();
+
+    const counts = await refreshQuestionCounts(answer.question);
+
+    res.json({
+      success: true,
+      message: `Answer ${status.toLowerCase()} successfully`,
+      counts
+    });
+  } catch (error) {
+    console.error('Error updating answer status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update answer status'
+    });
+  }
+};
+
+module.exports = {
+  getQuestions,
+  postAdminAnswer,
+  updateQuestionStatus,
+  updateAnswerStatus
+};
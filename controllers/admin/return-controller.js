@@ -4,6 +4,7 @@ const Order = require('../../models/order-schema');
 const User = require('../../models/user-model');
 const Product = require('../../models/product-schema');
 const Wallet = require('../../models/wallet-schema');
+const { adjustOrderItemStock } = require('../../utils/stock-utils');
 
 const getReturnRequests = async (req, res) => {
   try {
@@ -197,10 +198,7 @@ const approveReturnRequest = async (req, res) => {
           }
 
           // Restore product stock
-          await Product.findByIdAndUpdate(
-            item.product._id,
-            { $inc: { quantity: item.quantity } }
-          );
+          await adjustOrderItemStock(item, item.quantity, { reason: 'return', order: order._id, actor: req.session.admin_id, actorType: 'admin' });
         }
       }
 
@@ -240,10 +238,7 @@ const approveReturnRequest = async (req, res) => {
         returnedItemsDescription += `${item.product.productName} (₹${itemRefundAmount.toFixed(2)})`;
 
         // Restore product stock
-        await Product.findByIdAndUpdate(
-          item.product._id,
-          { $inc: { quantity: item.quantity } }
-        );
+        await adjustOrderItemStock(item, item.quantity, { reason: 'return', order: order._id, actor: req.session.admin_id, actorType: 'admin' });
       }
 
       // Update order status based on remaining items
@@ -0,0 +1,102 @@
+// Admin review moderation controller
+const mongoose = require('mongoose');
+const Review = require('../../models/review-schema');
+const { refreshProductRating } = require('../../utils/review-utils');
+
+const REVIEW_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+const getReviews = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+    const skip = (page - 1) * limit;
+    const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'Pending';
+
+    const [totalReviews, reviews, statusCounts] = await Promise.all([
+      Review.countDocuments({ status }),
+      Review.find({ status })
+        .populate('user', 'fullName email')
+        .populate('product', 'productName mainImage')
+        .populate('order', 'orderId')
+        .sort({ createdAt: status === 'Pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Review.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = { Pending: 0, Approved: 0, Rejected: 0 };
+    statusCounts.forEach(row => { counts[row._id] = row.count; });
+
+    const totalPages = Math.ceil(totalReviews / limit);
+    const startIdx = skip;
+    const endIdx = Math.min(skip + limit, totalReviews);
+
+    res.render('admin/reviews', {
+      reviews,
+      status,
+      counts,
+      currentPage: page,
+      totalPages,
+      totalReviews,
+      startIdx,
+      endIdx,
+      title: 'Review Moderation'
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews'
+    });
+  }
+};
+
+const updateReviewStatus = async (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    const { status, moderationNote } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+      return res.status(400).json({ success: false, message: 'Invalid review ID' });
+    }
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be Approved or Rejected' });
+    }
+
+    if (status === 'Rejected' && !(moderationNote || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for rejection' });
+    }
+
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderationNote = (moderationNote || '').trim() || null;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    // Approving or un-approving changes the product's public rating
+    const summary = await refreshProductRating(review.product);
+
+    res.json({
+      success: true,
+      message: `Review ${status.toLowerCase()} successfully`,
+      rating: summary
+    });
+  } catch (error) {
+    console.error('Error updating review status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review status'
+    });
+  }
+};
+
+module.exports = {
+  getReviews,
+  updateReviewStatus
+};
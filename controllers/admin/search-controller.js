@@ -0,0 +1,118 @@
+// Admin search synonym controller
+const mongoose = require('mongoose');
+const SearchSynonym = require('../../models/search-synonym-schema');
+const { parseSynonymTerms, invalidateVocabulary } = require('../../utils/search-utils');
+
+const getSearchSynonyms = async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.find().sort({ createdAt: -1 }).lean();
+
+    res.render('admin/search-synonyms', {
+      synonyms,
+      title: 'Search Synonyms'
+    });
+  } catch (error) {
+    console.error('Error fetching search synonyms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch search synonyms'
+    });
+  }
+};
+
+const addSearchSynonym = async (req, res) => {
+  try {
+    const { terms, error } = parseSynonymTerms(req.body.terms);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const synonym = await SearchSynonym.create({ terms });
+    invalidateVocabulary();
+
+    res.status(201).json({
+      success: true,
+      message: 'Synonym group added',
+      synonym
+    });
+  } catch (error) {
+    console.error('Error adding search synonym:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add synonym group'
+    });
+  }
+};
+
+const updateSearchSynonym = async (req, res) => {
+  try {
+    const synonymId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(synonymId)) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym ID' });
+    }
+
+    const synonym = await SearchSynonym.findById(synonymId);
+    if (!synonym) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+
+    if (req.body.terms !== undefined) {
+      const { terms, error } = parseSynonymTerms(req.body.terms);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      synonym.terms = terms;
+    }
+    if (typeof req.body.isActive === 'boolean') {
+      synonym.isActive = req.body.isActive;
+    }
+
+    await synonym.save();
+    invalidateVocabulary();
+
+    res.json({
+      success: true,
+      message: 'Synonym group updated',
+      synonym
+    });
+  } catch (error) {
+    console.error('Error updating search synonym:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update synonym group'
+    });
+  }
+};
+
+const deleteSearchSynonym = async (req, res) => {
+  try {
+    const synonymId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(synonymId)) {
+      return res.status(400).json({ success: false, message: 'Invalid synonym ID' });
+    }
+
+    const synonym = await SearchSynonym.findByIdAndDelete(synonymId);
+    if (!synonym) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+    invalidateVocabulary();
+
+    res.json({
+      success: true,
+      message: 'Synonym group deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting search synonym:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete synonym group'
+    });
+  }
+};
+
+module.exports = {
+  getSearchSynonyms,
+  addSearchSynonym,
+  updateSearchSynonym,
+  deleteSearchSynonym
+};
@@ -0,0 +1,79 @@
+// Admin trash: soft-deleted products, categories and coupons, restored or purged from one page
+const {
+    TRASH_RETENTION_DAYS,
+    TRASH_TYPES,
+    listTrash,
+    restoreFromTrash,
+    purgeFromTrash
+} = require('../../utils/trash-utils');
+
+const getTrashPage = async (req, res) => {
+    try {
+        const type = TRASH_TYPES[req.query.type] ? req.query.type : 'products';
+        const page = parseInt(req.query.page) || 1;
+        const limit = 10;
+        const skip = (page - 1) * limit;
+        const search = (req.query.search || '').trim();
+
+        const { items, total } = await listTrash(type, { search, page, limit });
+        const totalPages = Math.ceil(total / limit);
+
+        res.render('admin/trash', {
+            items,
+            type,
+            tabs: Object.entries(TRASH_TYPES).map(([key, config]) => ({ key, label: config.label })),
+            retentionDays: TRASH_RETENTION_DAYS,
+            search,
+            currentPage: page,
+            totalPages,
+            totalItems: total,
+            startIdx: skip,
+            endIdx: Math.min(skip + limit, total),
+            title: 'Trash'
+        });
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load trash'
+        });
+    }
+};
+
+const restoreItem = async (req, res) => {
+    try {
+        const message = await restoreFromTrash(req.params.type, req.params.id);
+        res.json({ success: true, message });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Error restoring item from trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore item'
+        });
+    }
+};
+
+const purgeItem = async (req, res) => {
+    try {
+        const message = await purgeFromTrash(req.params.type, req.params.id);
+        res.json({ success: true, message });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Error purging item from trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete item permanently'
+        });
+    }
+};
+
+module.exports = {
+    getTrashPage,
+    restoreItem,
+    purgeItem
+};
@@ -3,6 +3,12 @@ const Product = require('../../models/product-schema');
 const Wishlist = require('../../models/wishlist-schema');
 const User = require('../../models/user-model');
 const { calculateBestOffer } = require('../../utils/offer-utils'); 
+const { getFrequentlyBoughtTogether } = require('../../utils/recommendation-utils');
+const { getRecentlyViewedProducts } = require('../../utils/recently-viewed-utils');
+const { findVariant, resolveVariant, getVariantLabel, isSameLine } = require('../../utils/variant-utils');
+const { getOrderableQuantity, isPreOrderLine, checkPreOrderCart } = require('../../utils/preorder-utils');
+const { checkPurchaseLimit, checkCartPurchaseLimits, getCartQuantityForProduct } = require('../../utils/purchase-limit-utils');
+const { parseGiftCardRecipient } = require('../../utils/gift-card-utils');
 
 
 
@@ -49,7 +55,14 @@ const loadCart = async (req, res) => {
       
       // Use Promise.all for async operations
       await Promise.all(cartItems.map(async item => {
-        const offerData = await calculateBestOffer(item.productId);
+        const variant = findVariant(item.productId, item.variantId);
+        item.variant = variant;
+        item.variantLabel = getVariantLabel(variant);
+        // Pre-order lines count their open slots as stock
+        item.stock = getOrderableQuantity(item.productId, variant);
+        item.isPreOrder = isPreOrderLine(item.productId, variant);
+
+        const offerData = await calculateBestOffer(item.productId, variant);
         const currentPrice = offerData.finalPrice;
         
         if (item.price !== currentPrice) {
@@ -65,13 +78,31 @@ const loadCart = async (req, res) => {
       }
     }
 
+    // Pre-order lines have to be checked out on their own
+    const preOrderNotice = checkPreOrderCart(cartItems.filter(item => item.stock > 0)).error;
+
+    // Limited editions: past orders plus this cart must stay within the per-customer limit
+    const purchaseLimitNotice = await checkCartPurchaseLimits(userId, cartItems);
+
     // Add wishlist count
     const wishlist = await Wishlist.findOne({ userId }).lean();
     const wishlistCount = wishlist ? wishlist.products.length : 0;
 
+    // Recommendations for the basket as a whole
+    const cartProductIds = cartItems.map(item => item.productId._id);
+    const recommendations = await getFrequentlyBoughtTogether(cartProductIds, { limit: 4 });
+    const recentlyViewed = await getRecentlyViewedProducts(req, {
+      limit: 4,
+      excludeIds: [...cartProductIds, ...recommendations.map(product => product._id)]
+    });
+
     res.render('user/cart', {
       user,
       cartItems: cartItems || [],
+      preOrderNotice,
+      purchaseLimitNotice,
+      recommendations,
+      recentlyViewed,
       cartCount,        
       wishlistCount,
       isAuthenticated: true,
@@ -94,7 +125,7 @@ const loadCart = async (req, res) => {
 const addToCart = async (req, res) => {
   try {
     const userId = req.session.userId || req.session.googleUserId;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1, giftCard } = req.body;
 
     // Validate input
     if (!productId) {
@@ -139,8 +170,34 @@ const addToCart = async (req, res) => {
       });
     }
 
+    // Resolve the selected variant (defaults to the first in-stock variant)
+    const { variant, error: variantError } = resolveVariant(product, variantId);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+        code: 'VARIANT_UNAVAILABLE'
+      });
+    }
+    const availableStock = getOrderableQuantity(product, variant);
+    const selectedVariantId = variant ? variant._id : null;
+
+    // Gift cards need someone to send them to
+    let recipient = null;
+    if (product.isGiftCard) {
+      const recipientResult = parseGiftCardRecipient(giftCard);
+      if (recipientResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: recipientResult.error,
+          code: 'GIFT_CARD_RECIPIENT'
+        });
+      }
+      recipient = recipientResult.recipient;
+    }
+
     // Check stock availability
-    if (product.quantity === 0) {
+    if (availableStock === 0) {
       return res.status(403).json({
         success: false,
         message: 'This product is currently out of stock',
@@ -148,16 +205,16 @@ const addToCart = async (req, res) => {
       });
     }
 
-    if (product.quantity < parsedQuantity) {
+    if (availableStock < parsedQuantity) {
       return res.status(403).json({
         success: false,
-        message: `Only ${product.quantity} items available in stock`,
+        message: `Only ${availableStock} items available in stock`,
         code: 'INSUFFICIENT_STOCK'
       });
     }
 
     //  Calculate offer price
-    const offerData = await calculateBestOffer(product);
+    const offerData = await calculateBestOffer(product, variant);
     const cartPrice = offerData.finalPrice;
 
     // Find or create user's cart
@@ -169,20 +226,45 @@ const addToCart = async (req, res) => {
       });
     }
 
-    // Check if product already exists in cart
+    // Check if product (and variant) already exists in cart
     const existingItemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
+      item => isSameLine(item, productId, selectedVariantId)
+    );
+
+    const limitMessage = await checkPurchaseLimit(
+      userId,
+      product,
+      getCartQuantityForProduct(cart, productId) + parsedQuantity
     );
+    if (limitMessage) {
+      return res.status(403).json({
+        success: false,
+        message: limitMessage,
+        code: 'PURCHASE_LIMIT'
+      });
+    }
+
+    // A cart line has one recipient, so a second person needs their own checkout
+    if (recipient && existingItemIndex > -1) {
+      const existingRecipient = cart.items[existingItemIndex].giftCard;
+      if (existingRecipient && existingRecipient.recipientEmail !== recipient.recipientEmail) {
+        return res.status(400).json({
+          success: false,
+          message: `Your cart already has this gift card for ${existingRecipient.recipientEmail}. Check out or remove it before sending one to someone else.`,
+          code: 'GIFT_CARD_RECIPIENT'
+        });
+      }
+    }
 
     if (existingItemIndex > -1) {
       // Update existing item
       const existingItem = cart.items[existingItemIndex];
       const newQuantity = existingItem.quantity + parsedQuantity;
 
-      if (newQuantity > product.quantity) {
+      if (newQuantity > availableStock) {
         return res.status(403).json({
           success: false,
-          message: `Cannot add more items. Only ${product.quantity} available in stock. You already have ${existingItem.quantity} in your cart.`,
+          message: `Cannot add more items. Only ${availableStock} available in stock. You already have ${existingItem.quantity} in your cart.`,
           code: 'CART_STOCK_LIMIT'
         });
       }
@@ -198,11 +280,14 @@ const addToCart = async (req, res) => {
       existingItem.quantity = newQuantity;
       existingItem.price = cartPrice; 
       existingItem.totalPrice = cartPrice * newQuantity; 
+      if (recipient) existingItem.giftCard = recipient;
     } else {
       // Add new item
       cart.items.push({
         productId,
+        variantId: selectedVariantId,
         quantity: parsedQuantity,
+        giftCard: recipient,
         price: cartPrice, 
         totalPrice: cartPrice * parsedQuantity 
       });
@@ -266,7 +351,7 @@ const getCartCount = async (req, res) => {
 const updateCartQuantity = async (req, res) => {
   try {
     const userId = req.session.userId || req.session.googleUserId;
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Validate input
     if (!productId || !quantity) {
@@ -313,7 +398,7 @@ const updateCartQuantity = async (req, res) => {
 
     // Find the item in cart
     const itemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
+      item => isSameLine(item, productId, variantId || null)
     );
 
     if (itemIndex === -1) {
@@ -324,9 +409,11 @@ const updateCartQuantity = async (req, res) => {
     }
 
     const currentQuantity = cart.items[itemIndex].quantity;
+    const variant = findVariant(product, cart.items[itemIndex].variantId);
+    const availableStock = getOrderableQuantity(product, variant);
 
     // Enhanced stock validation - only check when increasing quantity
-    if (product.quantity === 0) {
+    if (availableStock === 0) {
       return res.status(403).json({
         success: false,
         message: 'This product is currently out of stock',
@@ -336,19 +423,36 @@ const updateCartQuantity = async (req, res) => {
     }
 
     // Only validate stock limits when increasing quantity
-    if (parsedQuantity > currentQuantity && product.quantity < parsedQuantity) {
+    if (parsedQuantity > currentQuantity && availableStock < parsedQuantity) {
       return res.status(403).json({
         success: false,
-        message: `Only ${product.quantity} items available in stock. Cannot increase to ${parsedQuantity} items.`,
+        message: `Only ${availableStock} items available in stock. Cannot increase to ${parsedQuantity} items.`,
         code: 'INSUFFICIENT_STOCK',
-        availableStock: product.quantity,
+        availableStock,
         requestedQuantity: parsedQuantity,
         currentQuantity: currentQuantity
       });
     }
 
+    if (parsedQuantity > currentQuantity) {
+      const limitMessage = await checkPurchaseLimit(
+        userId,
+        product,
+        getCartQuantityForProduct(cart, productId, cart.items[itemIndex]) + parsedQuantity
+      );
+      if (limitMessage) {
+        return res.status(403).json({
+          success: false,
+          message: limitMessage,
+          code: 'PURCHASE_LIMIT',
+          requestedQuantity: parsedQuantity,
+          currentQuantity: currentQuantity
+        });
+      }
+    }
+
     //  Calculate offer price
-    const offerData = await calculateBestOffer(product);
+    const offerData = await calculateBestOffer(product, variant);
     const cartPrice = offerData.finalPrice;
 
     // Update quantity and total price with offer price
@@ -381,7 +485,7 @@ const updateCartQuantity = async (req, res) => {
 const removeFromCart = async (req, res) => {
   try {
     const userId = req.session.userId || req.session.googleUserId;
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
 
     if (!productId) {
       return res.status(400).json({
@@ -402,7 +506,7 @@ const removeFromCart = async (req, res) => {
     // Remove the item from cart
     const initialLength = cart.items.length;
     cart.items = cart.items.filter(
-      item => item.productId.toString() !== productId
+      item => !isSameLine(item, productId, variantId || null)
     );
 
     if (cart.items.length === initialLength) {
@@ -494,7 +598,7 @@ const removeOutOfStockItems = async (req, res) => {
           item.productId.category.isDeleted ||
           !item.productId.isListed ||
           item.productId.isDeleted ||
-          item.productId.quantity === 0) {
+          getOrderableQuantity(item.productId, findVariant(item.productId, item.variantId)) === 0) {
         return false; 
       }
       return true; 
@@ -561,11 +665,15 @@ const validateCartItems = async (req, res) => {
     const outOfStockItems = [];
 
     cart.items.forEach(item => {
+      const variant = findVariant(item.productId, item.variantId);
+      const stock = getOrderableQuantity(item.productId, variant);
       const itemData = {
         productId: item.productId._id,
+        variantId: item.variantId,
+        variantLabel: getVariantLabel(variant),
         productName: item.productId.productName,
         quantity: item.quantity,
-        stock: item.productId.quantity,
+        stock,
         price: item.price,
         totalPrice: item.totalPrice
       };
@@ -577,10 +685,10 @@ const validateCartItems = async (req, res) => {
           item.productId.category.isDeleted ||
           !item.productId.isListed ||
           item.productId.isDeleted ||
-          item.productId.quantity === 0) {
+          stock === 0) {
         outOfStockItems.push({
           ...itemData,
-          reason: item.productId.quantity === 0 ? 'Out of stock' : 'Product unavailable'
+          reason: stock === 0 ? 'Out of stock' : 'Product unavailable'
         });
       } else {
         availableItems.push(itemData);
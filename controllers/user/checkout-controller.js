@@ -8,8 +8,15 @@ const Wallet = require('../../models/wallet-schema');
 const Wishlist = require('../../models/wishlist-schema');
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
-const { calculateFinalPrice, calculateItemTotal, calculateItemDiscount, syncAllCartPrices, calculateCartSummary } = require('../../utils/price-calculator');
-const { applyBestOffersToProducts } = require('../../utils/offer-utils');
+const { roundAmount, calculateFinalPrice, calculateItemTotal, calculateItemDiscount, syncAllCartPrices, calculateCartSummary } = require('../../utils/price-calculator');
+const { calculateBestOffer, buildAppliedOffer } = require('../../utils/offer-utils');
+const { findVariant, getAvailableStock, getVariantLabel } = require('../../utils/variant-utils');
+const { adjustOrderItemStock } = require('../../utils/stock-utils');
+const { buildBundleSnapshot, checkBundleComponentStock } = require('../../utils/bundle-utils');
+const { isPreOrderLine, checkPreOrderCart, splitPreOrderPayment, reservePreOrder, releaseReservation, releaseOrderPreOrders } = require('../../utils/preorder-utils');
+const { checkCartPurchaseLimits } = require('../../utils/purchase-limit-utils');
+const { getFrequentlyBoughtTogether } = require('../../utils/recommendation-utils');
+const { checkGiftCardCart, buildOrderGiftCard, getGiftCardPayment, chargeGiftCard, restoreGiftCard, issueOrderGiftCards } = require('../../utils/gift-card-utils');
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -60,13 +67,46 @@ const loadCheckout = async (req, res) => {
       return res.redirect('/cart');
     }
 
+    // Attach the selected variant to each line
+    cartItems.forEach(item => {
+      item.variant = findVariant(item.productId, item.variantId);
+      item.variantLabel = getVariantLabel(item.variant);
+      item.stock = getAvailableStock(item.productId, item.variant);
+      item.isPreOrder = isPreOrderLine(item.productId, item.variant);
+    });
+
     // Check for out-of-stock items
-    const outOfStockItems = cartItems.filter(item => item.productId.quantity === 0);
+    const outOfStockItems = cartItems.filter(item => item.stock === 0 && !item.isPreOrder);
     if (outOfStockItems.length > 0) {
       req.session.checkoutError = 'Some items in your cart are out of stock. Please remove them to proceed.';
       return res.redirect('/cart');
     }
 
+    // Bundles draw on their components' stock, so check what the whole cart needs of each
+    const bundleStockError = await checkBundleComponentStock(cartItems);
+    if (bundleStockError) {
+      req.session.checkoutError = bundleStockError;
+      return res.redirect('/cart');
+    }
+
+    const preOrderCheck = checkPreOrderCart(cartItems);
+    if (preOrderCheck.error) {
+      req.session.checkoutError = preOrderCheck.error;
+      return res.redirect('/cart');
+    }
+
+    const purchaseLimitError = await checkCartPurchaseLimits(userId, cartItems);
+    if (purchaseLimitError) {
+      req.session.checkoutError = purchaseLimitError;
+      return res.redirect('/cart');
+    }
+
+    const giftCardCheck = checkGiftCardCart(cartItems);
+    if (giftCardCheck.error) {
+      req.session.checkoutError = giftCardCheck.error;
+      return res.redirect('/cart');
+    }
+
     // Get user's addresses
     const addressDoc = await Address.findOne({ userId });
     const addresses = addressDoc ? addressDoc.address : [];
@@ -82,10 +122,13 @@ const loadCheckout = async (req, res) => {
     let subtotal = 0;
     let totalDiscount = 0;
     let amountAfterDiscount = 0;
+    let preOrderBalance = 0;
+    let giftCardLinesTotal = 0;
 
     cartItems.forEach(item => {
-      const regularPrice = item.productId.regularPrice || item.productId.salePrice;
-      const salePrice = item.productId.salePrice;
+      const pricing = item.variant || item.productId;
+      const regularPrice = pricing.regularPrice || pricing.salePrice;
+      const salePrice = pricing.salePrice;
       const quantity = item.quantity;
       
       // Use cart stored price or product sale price
@@ -96,13 +139,23 @@ const loadCheckout = async (req, res) => {
       const itemDiscount = (regularPrice - finalPrice) * quantity; 
       totalDiscount += itemDiscount;
       amountAfterDiscount += finalPrice * quantity; 
+      if (item.productId.isGiftCard) {
+        giftCardLinesTotal += finalPrice * quantity;
+      }
+
+      if (item.isPreOrder) {
+        preOrderBalance += splitPreOrderPayment(item.productId, finalPrice * quantity).balanceDue;
+      }
     });
 
-    const shippingCharges = amountAfterDiscount >= 500 ? 0 : 50;
+    // Gift cards are emailed, so an order of only gift cards ships free
+    const shippingCharges = amountAfterDiscount >= 500 || giftCardCheck.isGiftCardOnly ? 0 : 50;
     const finalAmount = amountAfterDiscount + shippingCharges;
+    // Gift cards are credit at face value, so coupons only discount the rest of the order
+    const couponableAmount = finalAmount - giftCardLinesTotal;
 
-    // COD available for orders <= ₹2000
-    const isCODAvailable = finalAmount <= 2000;
+    // COD available for orders <= ₹2000; pre-orders and gift cards are always paid up front
+    const isCODAvailable = finalAmount <= 2000 && !preOrderCheck.isPreOrder && !giftCardCheck.hasGiftCards;
 
     // Check for address success message from session
     const addressSuccess = req.session.addressSuccess;
@@ -127,8 +180,12 @@ const loadCheckout = async (req, res) => {
 
       // Filter coupons based on minimum purchase and usage limits
       availableCoupons = coupons.filter(coupon => {
+        if (couponableAmount <= 0) {
+          return false;
+        }
+
         // Check minimum purchase requirement
-        if (coupon.minPurchase && finalAmount < coupon.minPurchase) {
+        if (coupon.minPurchase && couponableAmount < coupon.minPurchase) {
           return false;
         }
         
@@ -163,8 +220,13 @@ const loadCheckout = async (req, res) => {
         subtotal,
         totalDiscount,
         shippingCharges,
-        finalAmount
+        finalAmount,
+        couponableAmount,
+        preOrderBalance,
+        amountDueNow: finalAmount - preOrderBalance
       },
+      isPreOrder: preOrderCheck.isPreOrder,
+      hasGiftCards: giftCardCheck.hasGiftCards,
       addressSuccess,
       isCODAvailable,
       availableCoupons,
@@ -190,11 +252,11 @@ const loadCheckout = async (req, res) => {
   }
 };
 
-// Process order placement (for COD and Wallet)
+// Process order placement (for COD, Wallet and orders a gift card covers in full)
 const placeOrder = async (req, res) => {
   try {
     const userId = req.session.userId || req.session.googleUserId;
-    const { selectedAddressId, paymentMethod = 'Cash on Delivery', appliedCoupon } = req.body;
+    const { selectedAddressId, paymentMethod = 'Cash on Delivery', appliedCoupon, giftCardCode } = req.body;
 
     // Validate address selection
     if (!selectedAddressId) {
@@ -230,9 +292,11 @@ const placeOrder = async (req, res) => {
       !item.productId.isDeleted
     );
 
-    // Final stock validation
+    // Final stock validation (pre-order lines are checked against their open slots instead)
     for (const item of cartItems) {
-      if (item.productId.quantity < item.quantity) {
+      item.variant = findVariant(item.productId, item.variantId);
+      if (isPreOrderLine(item.productId, item.variant)) continue;
+      if (getAvailableStock(item.productId, item.variant) < item.quantity) {
         return res.status(400).json({
           success: false,
           message: `Insufficient stock for ${item.productId.productName}`
@@ -240,6 +304,39 @@ const placeOrder = async (req, res) => {
       }
     }
 
+    const bundleStockError = await checkBundleComponentStock(cartItems);
+    if (bundleStockError) {
+      return res.status(400).json({
+        success: false,
+        message: bundleStockError
+      });
+    }
+
+    const preOrderCheck = checkPreOrderCart(cartItems);
+    if (preOrderCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: preOrderCheck.error
+      });
+    }
+
+    // Per-customer limits on limited editions, counting the customer's past orders
+    const purchaseLimitError = await checkCartPurchaseLimits(userId, cartItems);
+    if (purchaseLimitError) {
+      return res.status(400).json({
+        success: false,
+        message: purchaseLimitError
+      });
+    }
+
+    const giftCardCheck = checkGiftCardCart(cartItems);
+    if (giftCardCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: giftCardCheck.error
+      });
+    }
+
     // Get selected address
     const addressDoc = await Address.findOne({ userId });
     const selectedAddress = addressDoc.address.id(selectedAddressId);
@@ -251,14 +348,9 @@ const placeOrder = async (req, res) => {
       });
     }
 
-    // Apply offer calculations to cart items
-    if (cartItems.length > 0) {
-      const products = cartItems.map(item => item.productId);
-      const productsWithOffers = await applyBestOffersToProducts(products);
-
-      cartItems.forEach((item, index) => {
-        item.productId = productsWithOffers[index];
-      });
+    // Apply offer calculations to cart items (variant prices when a variant is selected)
+    for (const item of cartItems) {
+      item.offerDetails = await calculateBestOffer(item.productId, item.variant);
     }
 
     // Calculate order totals
@@ -268,12 +360,12 @@ const placeOrder = async (req, res) => {
     const orderedItems = [];
 
     cartItems.forEach(item => {
-      const salePrice = item.productId.salePrice;
+      const salePrice = (item.variant || item.productId).salePrice;
       const quantity = item.quantity;
 
       let finalPrice = item.price || salePrice;
-      if (item.productId.offerDetails && item.productId.offerDetails.finalPrice) {
-        finalPrice = item.productId.offerDetails.finalPrice;
+      if (item.offerDetails && item.offerDetails.finalPrice) {
+        finalPrice = item.offerDetails.finalPrice;
       }
 
       subtotal += salePrice * quantity;
@@ -284,27 +376,91 @@ const placeOrder = async (req, res) => {
 
       orderedItems.push({
         product: item.productId._id,
+        variantId: item.variant ? item.variant._id : null,
+        variantLabel: item.variant ? getVariantLabel(item.variant) : null,
+        sku: item.variant ? item.variant.sku : null,
         quantity: quantity,
         price: finalPrice,
-        totalPrice: itemFinalAmount
+        totalPrice: itemFinalAmount,
+        appliedOffer: buildAppliedOffer(item.offerDetails),
+        giftCard: buildOrderGiftCard(item)
       });
     });
 
-    const shippingCharges = amountAfterDiscount >= 500 ? 0 : 50;
+    // Bundle lines keep their contents as sold
+    for (const [index, item] of cartItems.entries()) {
+      if (item.productId.isBundle) {
+        orderedItems[index].bundleItems = await buildBundleSnapshot(item.productId);
+      }
+    }
+
+    // Pre-order lines are held outside the normal flow; deposits leave a balance for delivery
+    let preOrderBalance = 0;
+    if (preOrderCheck.isPreOrder) {
+      orderedItems.forEach((orderedItem, index) => {
+        const product = cartItems[index].productId;
+        const payment = splitPreOrderPayment(product, orderedItem.totalPrice);
+        orderedItem.status = 'Pre-Order';
+        orderedItem.preOrder = { releaseDate: product.preOrder.releaseDate, ...payment };
+        preOrderBalance += payment.balanceDue;
+      });
+    }
+
+    const shippingCharges = amountAfterDiscount >= 500 || giftCardCheck.isGiftCardOnly ? 0 : 50;
 
     // --- COUPON  HANDLING ---
     let rawFinalAmount = amountAfterDiscount + shippingCharges;
     let couponDiscount = 0;
     let couponCode = null;
-    if (appliedCoupon && appliedCoupon.discountAmount) {
-      couponDiscount = Math.min(rawFinalAmount, appliedCoupon.discountAmount);
+    // Gift card lines are credit at face value, so the coupon can only take from the rest
+    const couponableAmount = rawFinalAmount - orderedItems
+      .filter(item => item.giftCard)
+      .reduce((sum, item) => sum + item.totalPrice, 0);
+    if (appliedCoupon && appliedCoupon.discountAmount && couponableAmount > 0) {
+      couponDiscount = Math.min(couponableAmount, appliedCoupon.discountAmount);
       couponCode = appliedCoupon.code || null;
     }
     let finalAmount = rawFinalAmount - couponDiscount;
     if (finalAmount < 1) finalAmount = 1; // or 0 if you support free orders
 
+    // Charged now; any pre-order balance is collected on delivery
+    preOrderBalance = Math.max(0, Math.min(preOrderBalance, finalAmount - 1));
+    const amountDueNow = finalAmount - preOrderBalance;
+
+    // A gift card pays what it can of the amount due now; the chosen method pays the rest
+    const giftCardPayment = await getGiftCardPayment(giftCardCode, amountDueNow, giftCardCheck.hasGiftCards);
+    if (giftCardPayment.error) {
+      return res.status(400).json({
+        success: false,
+        message: giftCardPayment.error
+      });
+    }
+    const amountToPay = roundAmount(amountDueNow - giftCardPayment.amount);
+    const orderPaymentMethod = amountToPay > 0 ? paymentMethod : 'Gift Card';
+
+    if (preOrderCheck.isPreOrder && orderPaymentMethod === 'Cash on Delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pre-orders must be paid online or from your wallet.'
+      });
+    }
+
+    if (giftCardCheck.hasGiftCards && orderPaymentMethod === 'Cash on Delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift cards must be paid online or from your wallet.'
+      });
+    }
+
+    if (giftCardPayment.giftCard && orderPaymentMethod === 'Cash on Delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'A gift card cannot be combined with Cash on Delivery. Pay the rest online or from your wallet.'
+      });
+    }
+
     // Validate COD limit
-    if (paymentMethod === 'Cash on Delivery' && finalAmount > 2000) {
+    if (orderPaymentMethod === 'Cash on Delivery' && finalAmount > 2000) {
       return res.status(400).json({
         success: false,
         message: 'Cash on Delivery is not available for orders above ₹2000. Please select Online Payment or Wallet.'
@@ -312,16 +468,33 @@ const placeOrder = async (req, res) => {
     }
 
     // If wallet payment, check balance
-    if (paymentMethod === 'Wallet') {
+    if (orderPaymentMethod === 'Wallet') {
       const wallet = await Wallet.getOrCreateWallet(userId);
-      if (wallet.balance < finalAmount) {
+      if (wallet.balance < amountToPay) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient wallet balance. Available: ₹${wallet.balance.toFixed(2)}, Required: ₹${finalAmount.toFixed(2)}`
+          message: `Insufficient wallet balance. Available: ₹${wallet.balance.toFixed(2)}, Required: ₹${amountToPay.toFixed(2)}`
         });
       }
     }
 
+    // Hold pre-order slots before the order exists, so two checkouts can't take the last one
+    if (preOrderCheck.isPreOrder) {
+      const reserved = [];
+      for (const item of cartItems) {
+        if (!(await reservePreOrder(item.productId._id, item.quantity))) {
+          for (const held of reserved) {
+            await releaseReservation(held.productId._id, held.quantity);
+          }
+          return res.status(400).json({
+            success: false,
+            message: `Pre-orders for ${item.productId.productName} just filled up. Please reduce the quantity or try again later.`
+          });
+        }
+        reserved.push(item);
+      }
+    }
+
     // Create order
     const order = new Order({
       userId,
@@ -330,8 +503,11 @@ const placeOrder = async (req, res) => {
       discount: totalDiscount,
       couponCode,            
       couponDiscount,        
+      giftCardCode: giftCardPayment.giftCard ? giftCardPayment.giftCard.code : null,
+      giftCardAmount: giftCardPayment.amount,
       shippingCharges,
       finalAmount,
+      preOrderBalance,
       shippingAddress: {
         addressType: selectedAddress.addressType,
         name: selectedAddress.name,
@@ -342,33 +518,61 @@ const placeOrder = async (req, res) => {
         phone: selectedAddress.phone,
         altPhone: selectedAddress.altPhone
       },
-      paymentMethod,
-      paymentStatus: paymentMethod === 'Wallet' ? 'Completed' : 'Pending',
+      paymentMethod: orderPaymentMethod,
+      paymentStatus: ['Wallet', 'Gift Card'].includes(orderPaymentMethod) ? 'Completed' : 'Pending',
+      status: preOrderCheck.isPreOrder ? 'Pre-Order' : 'Pending',
       orderTimeline: [{
-        status: 'Pending',
-        description: 'Order placed successfully'
+        status: preOrderCheck.isPreOrder ? 'Pre-Order' : 'Pending',
+        description: preOrderCheck.isPreOrder
+          ? 'Pre-order placed; it ships once stock arrives'
+          : 'Order placed successfully'
       }]
     });
 
+    // Spend the gift card before saving, so a balance used up in the meantime stops the order
+    if (giftCardPayment.giftCard) {
+      try {
+        await chargeGiftCard(giftCardPayment.giftCard, giftCardPayment.amount, {
+          type: 'order',
+          order,
+          user: userId,
+          note: 'Checkout payment'
+        });
+      } catch (chargeError) {
+        if (preOrderCheck.isPreOrder) {
+          for (const item of cartItems) {
+            await releaseReservation(item.productId._id, item.quantity);
+          }
+        }
+        return res.status(chargeError.statusCode || 500).json({
+          success: false,
+          message: chargeError.message
+        });
+      }
+    }
+
     await order.save();
 
     // Process wallet payment
-    if (paymentMethod === 'Wallet') {
+    if (orderPaymentMethod === 'Wallet') {
       const wallet = await Wallet.getOrCreateWallet(userId);
       await wallet.deductMoney(
-        finalAmount,
+        amountToPay,
         `Order payment for ${order.orderId}`,
         order.orderId
       );
       await wallet.save();
     }
 
-    // Update product quantities
-    for (const item of cartItems) {
-      await Product.findByIdAndUpdate(
-        item.productId._id,
-        { $inc: { quantity: -item.quantity } }
-      );
+    // Update product quantities (pre-order lines take stock when they are released)
+    if (!preOrderCheck.isPreOrder) {
+      for (const item of order.orderedItems) {
+        await adjustOrderItemStock(item, -item.quantity, {
+          reason: 'sale',
+          order: order._id,
+          actor: userId
+        });
+      }
     }
 
     // Clear cart
@@ -377,6 +581,24 @@ const placeOrder = async (req, res) => {
       { $set: { items: [] } }
     );
 
+    // Paid up front, so any gift cards on the order go out now
+    if (order.paymentStatus === 'Completed') {
+      try {
+        await issueOrderGiftCards(order);
+      } catch (giftCardError) {
+        console.error('Error issuing gift cards for order:', order.orderId, giftCardError);
+      }
+    }
+
+    // Last, as it saves its own copy of the order: stock may already be in for the pre-order lines
+    if (preOrderCheck.isPreOrder && order.paymentStatus === 'Completed') {
+      try {
+        await releaseOrderPreOrders(order);
+      } catch (releaseError) {
+        console.error('Error releasing pre-orders for order:', order.orderId, releaseError);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Order placed successfully',
@@ -397,7 +619,7 @@ const placeOrder = async (req, res) => {
 const createRazorpayOrder = async (req, res) => {
   try {
     const userId = req.session.userId || req.session.googleUserId;
-    const { selectedAddressId, appliedCoupon } = req.body;
+    const { selectedAddressId, appliedCoupon, giftCardCode } = req.body;
 
     // Validate address selection
     if (!selectedAddressId) {
@@ -434,9 +656,11 @@ const createRazorpayOrder = async (req, res) => {
       !item.productId.isDeleted
     );
 
-    // Stock validation
+    // Stock validation (pre-order lines are checked against their open slots instead)
     for (const item of cartItems) {
-      if (item.productId.quantity < item.quantity) {
+      item.variant = findVariant(item.productId, item.variantId);
+      if (isPreOrderLine(item.productId, item.variant)) continue;
+      if (getAvailableStock(item.productId, item.variant) < item.quantity) {
         return res.status(400).json({
           success: false,
           message: `Insufficient stock for ${item.productId.productName}`
@@ -444,6 +668,39 @@ const createRazorpayOrder = async (req, res) => {
       }
     }
 
+    const bundleStockError = await checkBundleComponentStock(cartItems);
+    if (bundleStockError) {
+      return res.status(400).json({
+        success: false,
+        message: bundleStockError
+      });
+    }
+
+    const preOrderCheck = checkPreOrderCart(cartItems);
+    if (preOrderCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: preOrderCheck.error
+      });
+    }
+
+    // Per-customer limits on limited editions, counting the customer's past orders
+    const purchaseLimitError = await checkCartPurchaseLimits(userId, cartItems);
+    if (purchaseLimitError) {
+      return res.status(400).json({
+        success: false,
+        message: purchaseLimitError
+      });
+    }
+
+    const giftCardCheck = checkGiftCardCart(cartItems);
+    if (giftCardCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: giftCardCheck.error
+      });
+    }
+
     // Get selected address
     const addressDoc = await Address.findOne({ userId });
     const selectedAddress = addressDoc.address.id(selectedAddressId);
@@ -455,14 +712,9 @@ const createRazorpayOrder = async (req, res) => {
       });
     }
 
-    // Apply offer calculations
-    if (cartItems.length > 0) {
-      const products = cartItems.map(item => item.productId);
-      const productsWithOffers = await applyBestOffersToProducts(products);
-
-      cartItems.forEach((item, index) => {
-        item.productId = productsWithOffers[index];
-      });
+    // Apply offer calculations to cart items (variant prices when a variant is selected)
+    for (const item of cartItems) {
+      item.offerDetails = await calculateBestOffer(item.productId, item.variant);
     }
 
     // Calculate order totals
@@ -472,12 +724,12 @@ const createRazorpayOrder = async (req, res) => {
     const orderedItems = [];
 
     cartItems.forEach(item => {
-      const salePrice = item.productId.salePrice;
+      const salePrice = (item.variant || item.productId).salePrice;
       const quantity = item.quantity;
 
       let finalPrice = item.price || salePrice;
-      if (item.productId.offerDetails && item.productId.offerDetails.finalPrice) {
-        finalPrice = item.productId.offerDetails.finalPrice;
+      if (item.offerDetails && item.offerDetails.finalPrice) {
+        finalPrice = item.offerDetails.finalPrice;
       }
 
       subtotal += salePrice * quantity;
@@ -488,27 +740,75 @@ const createRazorpayOrder = async (req, res) => {
 
       orderedItems.push({
         product: item.productId._id,
+        variantId: item.variant ? item.variant._id : null,
+        variantLabel: item.variant ? getVariantLabel(item.variant) : null,
+        sku: item.variant ? item.variant.sku : null,
         quantity: quantity,
         price: finalPrice,
-        totalPrice: itemFinalAmount
+        totalPrice: itemFinalAmount,
+        appliedOffer: buildAppliedOffer(item.offerDetails),
+        giftCard: buildOrderGiftCard(item)
       });
     });
 
-    const shippingCharges = amountAfterDiscount >= 500 ? 0 : 50;
+    // Bundle lines keep their contents as sold
+    for (const [index, item] of cartItems.entries()) {
+      if (item.productId.isBundle) {
+        orderedItems[index].bundleItems = await buildBundleSnapshot(item.productId);
+      }
+    }
+
+    // Pre-order lines are held outside the normal flow; deposits leave a balance for delivery
+    let preOrderBalance = 0;
+    if (preOrderCheck.isPreOrder) {
+      orderedItems.forEach((orderedItem, index) => {
+        const product = cartItems[index].productId;
+        const payment = splitPreOrderPayment(product, orderedItem.totalPrice);
+        orderedItem.status = 'Pre-Order';
+        orderedItem.preOrder = { releaseDate: product.preOrder.releaseDate, ...payment };
+        preOrderBalance += payment.balanceDue;
+      });
+    }
+
+    const shippingCharges = amountAfterDiscount >= 500 || giftCardCheck.isGiftCardOnly ? 0 : 50;
 
     // ----- COUPON  HANDLING -----
     let rawFinalAmount = amountAfterDiscount + shippingCharges;
     let couponDiscount = 0;
     let couponCode = null;
+    // Gift card lines are credit at face value, so the coupon can only take from the rest
+    const couponableAmount = rawFinalAmount - orderedItems
+      .filter(item => item.giftCard)
+      .reduce((sum, item) => sum + item.totalPrice, 0);
 
-    if (appliedCoupon && appliedCoupon.discountAmount) {
-      couponDiscount = Math.min(rawFinalAmount, appliedCoupon.discountAmount);
+    if (appliedCoupon && appliedCoupon.discountAmount && couponableAmount > 0) {
+      couponDiscount = Math.min(couponableAmount, appliedCoupon.discountAmount);
       couponCode = appliedCoupon.code || null;
     }
 
     let finalAmount = rawFinalAmount - couponDiscount;
     if (finalAmount < 1) finalAmount = 1; // or 0 if "free" is allowed
 
+    // Charged now; any pre-order balance is collected on delivery
+    preOrderBalance = Math.max(0, Math.min(preOrderBalance, finalAmount - 1));
+    const amountDueNow = finalAmount - preOrderBalance;
+
+    // A gift card pays what it can; Razorpay collects the rest
+    const giftCardPayment = await getGiftCardPayment(giftCardCode, amountDueNow, giftCardCheck.hasGiftCards);
+    if (giftCardPayment.error) {
+      return res.status(400).json({
+        success: false,
+        message: giftCardPayment.error
+      });
+    }
+    const amountToPay = roundAmount(amountDueNow - giftCardPayment.amount);
+    if (amountToPay <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your gift card covers this order, so no online payment is needed. Please place the order again.'
+      });
+    }
+
     // Create order in database with Pending status
     const order = new Order({
       userId,
@@ -517,8 +817,11 @@ const createRazorpayOrder = async (req, res) => {
       discount: totalDiscount,
       couponCode,        
       couponDiscount,     
+      giftCardCode: giftCardPayment.giftCard ? giftCardPayment.giftCard.code : null,
+      giftCardAmount: giftCardPayment.amount,
       shippingCharges,
       finalAmount,
+      preOrderBalance,
       shippingAddress: {
         addressType: selectedAddress.addressType,
         name: selectedAddress.name,
@@ -531,24 +834,56 @@ const createRazorpayOrder = async (req, res) => {
       },
       paymentMethod: 'Online Payment',
       paymentStatus: 'Pending',
+      status: preOrderCheck.isPreOrder ? 'Pre-Order' : 'Pending',
       orderTimeline: [{
-        status: 'Pending',
-        description: 'Order created, awaiting payment'
+        status: preOrderCheck.isPreOrder ? 'Pre-Order' : 'Pending',
+        description: preOrderCheck.isPreOrder
+          ? 'Pre-order created, awaiting payment'
+          : 'Order created, awaiting payment'
       }]
     });
 
+    if (giftCardPayment.giftCard) {
+      try {
+        await chargeGiftCard(giftCardPayment.giftCard, giftCardPayment.amount, {
+          type: 'order',
+          order,
+          user: userId,
+          note: 'Checkout payment'
+        });
+      } catch (chargeError) {
+        return res.status(chargeError.statusCode || 500).json({
+          success: false,
+          message: chargeError.message
+        });
+      }
+    }
+
     await order.save();
 
     // Create Razorpay order
-    const razorpayOrder = await razorpay.orders.create({
-      amount: Math.round(finalAmount * 100), // Amount in paise
-      currency: 'INR',
-      receipt: order.orderId,
-      notes: {
-        orderId: order.orderId,
-        userId: userId.toString()
-      }
-    });
+    let razorpayOrder;
+    try {
+      razorpayOrder = await razorpay.orders.create({
+        amount: Math.round(amountToPay * 100), // Amount in paise
+        currency: 'INR',
+        receipt: order.orderId,
+        notes: {
+          orderId: order.orderId,
+          userId: userId.toString()
+        }
+      });
+    } catch (razorpayError) {
+      // Nothing will be paid, so the gift card gets its share back
+      await restoreGiftCard(order);
+      order.paymentStatus = 'Failed';
+      order.orderTimeline.push({
+        status: 'Payment Failed',
+        description: 'Payment could not be started'
+      });
+      await order.save();
+      throw razorpayError;
+    }
 
     // Get user data for prefill
     const user = await User.findById(userId).select('fullName email');
@@ -556,7 +891,7 @@ const createRazorpayOrder = async (req, res) => {
     res.status(200).json({
       success: true,
       razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-      amount: finalAmount,
+      amount: amountToPay,
       currency: 'INR',
       razorpayOrderId: razorpayOrder.id,
       orderId: order.orderId,
@@ -592,7 +927,8 @@ const verifyPayment = async (req, res) => {
     if (expectedSignature !== razorpay_signature) {
       // Mark payment as failed
       const order = await Order.findOne({ orderId });
-      if (order) {
+      if (order && order.paymentStatus !== 'Completed') {
+        await restoreGiftCard(order);
         order.paymentStatus = 'Failed';
         order.orderTimeline.push({
           status: 'Payment Failed',
@@ -617,6 +953,18 @@ const verifyPayment = async (req, res) => {
       });
     }
 
+    // Paid pre-order lines hold their slots; the cap still applies, since others may have paid first
+    const heldItems = [];
+    let preOrderFull = false;
+    for (const item of order.orderedItems) {
+      if (item.status !== 'Pre-Order') continue;
+      if (!(await reservePreOrder(item.product, item.quantity))) {
+        preOrderFull = true;
+        break;
+      }
+      heldItems.push(item);
+    }
+
     // Update order with payment details
     order.paymentStatus = 'Completed';
     order.razorpayOrderId = razorpay_order_id;
@@ -626,14 +974,53 @@ const verifyPayment = async (req, res) => {
       description: 'Payment verified successfully'
     });
 
+    // The slots filled up while the customer was paying: refund to the wallet rather than overbook
+    if (preOrderFull) {
+      for (const item of heldItems) {
+        await releaseReservation(item.product, item.quantity);
+      }
+
+      const refundAmount = roundAmount(order.finalAmount - order.preOrderBalance);
+      const wallet = await Wallet.getOrCreateWallet(order.userId);
+      await wallet.addMoney(
+        refundAmount,
+        `Refund for pre-order that filled up (Order: ${order.orderId})`,
+        order.orderId
+      );
+
+      order.orderedItems.forEach(item => {
+        item.status = 'Cancelled';
+        item.cancellationReason = 'Pre-order slots filled up before payment completed';
+        item.cancelledAt = new Date();
+      });
+      order.status = 'Cancelled';
+      order.totalPrice = 0;
+      order.finalAmount = 0;
+      order.preOrderBalance = 0;
+      order.orderTimeline.push({
+        status: 'Cancelled',
+        description: `Pre-order slots filled up before payment completed. ₹${refundAmount} refunded to wallet`
+      });
+      await order.save();
+
+      return res.status(409).json({
+        success: false,
+        refunded: true,
+        message: `Sorry, the last pre-order slots were taken while you were paying. ₹${refundAmount} has been refunded to your wallet.`,
+        orderId: order.orderId
+      });
+    }
+
     await order.save();
 
-    // Update product quantities
+    // Update product quantities; pre-order lines took their slots above
     for (const item of order.orderedItems) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { quantity: -item.quantity } }
-      );
+      if (item.status === 'Pre-Order') continue;
+      await adjustOrderItemStock(item, -item.quantity, {
+        reason: 'sale',
+        order: order._id,
+        actor: order.userId
+      });
     }
 
     // Clear cart
@@ -642,6 +1029,21 @@ const verifyPayment = async (req, res) => {
       { $set: { items: [] } }
     );
 
+    try {
+      await issueOrderGiftCards(order);
+    } catch (giftCardError) {
+      console.error('Error issuing gift cards for order:', order.orderId, giftCardError);
+    }
+
+    // Last, as it saves its own copy of the order: stock may have arrived while the customer paid
+    if (heldItems.length > 0) {
+      try {
+        await releaseOrderPreOrders(order);
+      } catch (releaseError) {
+        console.error('Error releasing pre-orders for order:', order.orderId, releaseError);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Payment verified successfully',
@@ -656,7 +1058,8 @@ const verifyPayment = async (req, res) => {
       const { orderId } = req.body;
       if (orderId) {
         const order = await Order.findOne({ orderId });
-        if (order) {
+        if (order && order.paymentStatus !== 'Completed') {
+          await restoreGiftCard(order);
           order.paymentStatus = 'Failed';
           order.orderTimeline.push({
             status: 'Payment Failed',
@@ -682,9 +1085,11 @@ const paymentFailed = async (req, res) => {
   try {
     const { orderId, error } = req.body;
 
-    // Update order status
+    // Update order status; a verified payment (including one refunded because pre-orders filled up) stays as it is
     const order = await Order.findOne({ orderId });
-    if (order) {
+    if (order && order.paymentStatus !== 'Completed') {
+      // The gift card's share goes back to the card; a retry charges the whole amount online
+      await restoreGiftCard(order);
       order.paymentStatus = 'Failed';
       order.orderTimeline.push({
         status: 'Payment Failed',
@@ -731,9 +1136,15 @@ const loadOrderSuccess = async (req, res) => {
     const cart = await Cart.findOne({ userId }).lean();
     const cartCount = cart && cart.items ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
 
+    const recommendations = await getFrequentlyBoughtTogether(
+      order.orderedItems.filter(item => item.product).map(item => item.product._id),
+      { limit: 4 }
+    );
+
     res.render('user/order-success', {
       user,
       order,
+      recommendations,
       wishlistCount,
       cartCount,
       isAuthenticated: true,
@@ -0,0 +1,148 @@
+// Product comparison controller – the compare tray lives in the session, so guests can use it too
+const mongoose = require('mongoose');
+const Cart = require('../../models/cart-schema');
+const Wishlist = require('../../models/wishlist-schema');
+const { COMPARE_LIMIT, getCompareList, loadComparableProducts, buildComparison } = require('../../utils/compare-utils');
+
+// Short summaries for the floating tray
+const toTrayItems = (products) => products.map(product => ({
+  _id: product._id,
+  productName: product.productName,
+  mainImage: product.mainImage
+}));
+
+const getComparePage = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+
+    const products = await loadComparableProducts(getCompareList(req));
+    // Drop anything that has since been unlisted or removed
+    req.session.compareList = products.map(product => product._id.toString());
+
+    const comparison = await buildComparison(products);
+
+    let cartCount = 0;
+    let wishlistCount = 0;
+    if (userId) {
+      const cart = await Cart.findOne({ userId }).lean();
+      cartCount = cart && cart.items ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
+      const wishlist = await Wishlist.findOne({ userId }).lean();
+      wishlistCount = wishlist ? wishlist.products.length : 0;
+    }
+
+    res.render('user/compare', {
+      comparison,
+      compareLimit: COMPARE_LIMIT,
+      cartCount,
+      wishlistCount,
+      user: res.locals.user || null,
+      isAuthenticated: !!userId,
+      currentPage: 'compare',
+      title: 'Compare Products'
+    });
+  } catch (error) {
+    console.error('Error loading compare page:', error);
+    res.status(500).render('error', {
+      error: {
+        status: 500,
+        message: 'Error loading comparison: ' + error.message
+      },
+      message: error.message,
+      user: res.locals.user || null,
+      cartCount: 0,
+      wishlistCount: 0
+    });
+  }
+};
+
+const getCompareTray = async (req, res) => {
+  try {
+    const products = await loadComparableProducts(getCompareList(req));
+    req.session.compareList = products.map(product => product._id.toString());
+
+    res.json({
+      success: true,
+      limit: COMPARE_LIMIT,
+      items: toTrayItems(products)
+    });
+  } catch (error) {
+    console.error('Error loading compare tray:', error);
+    res.status(500).json({ success: false, message: 'Failed to load compare tray' });
+  }
+};
+
+const addToCompare = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product' });
+    }
+
+    const compareList = getCompareList(req);
+    if (!compareList.includes(productId)) {
+      if (compareList.length >= COMPARE_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `You can compare up to ${COMPARE_LIMIT} products. Remove one to add another.`
+        });
+      }
+
+      const [product] = await loadComparableProducts([productId]);
+      if (!product) {
+        return res.status(404).json({ success: false, message: 'This product is not available' });
+      }
+      compareList.push(productId);
+    }
+
+    const products = await loadComparableProducts(compareList);
+    req.session.compareList = products.map(product => product._id.toString());
+
+    res.json({
+      success: true,
+      message: 'Added to compare',
+      limit: COMPARE_LIMIT,
+      items: toTrayItems(products)
+    });
+  } catch (error) {
+    console.error('Error adding to compare:', error);
+    res.status(500).json({ success: false, message: 'Failed to add product to compare' });
+  }
+};
+
+const removeFromCompare = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const compareList = getCompareList(req).filter(id => id !== productId);
+
+    const products = await loadComparableProducts(compareList);
+    req.session.compareList = products.map(product => product._id.toString());
+
+    res.json({
+      success: true,
+      message: 'Removed from compare',
+      limit: COMPARE_LIMIT,
+      items: toTrayItems(products)
+    });
+  } catch (error) {
+    console.error('Error removing from compare:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove product from compare' });
+  }
+};
+
+const clearCompare = async (req, res) => {
+  try {
+    req.session.compareList = [];
+    res.json({ success: true, message: 'Compare list cleared', limit: COMPARE_LIMIT, items: [] });
+  } catch (error) {
+    console.error('Error clearing compare list:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear compare list' });
+  }
+};
+
+module.exports = {
+  getComparePage,
+  getCompareTray,
+  addToCompare,
+  removeFromCompare,
+  clearCompare
+};
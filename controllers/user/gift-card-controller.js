@@ -0,0 +1,46 @@
+// Gift cards from the customer's side: checking a code at checkout and moving a balance into the wallet
+const { findRedeemableGiftCard, redeemGiftCardToWallet } = require('../../utils/gift-card-utils');
+
+const checkGiftCard = async (req, res) => {
+  try {
+    const { giftCard, error } = await findRedeemableGiftCard(req.body.code);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.json({
+      success: true,
+      code: giftCard.code,
+      balance: giftCard.balance,
+      expiresAt: giftCard.expiresAt
+    });
+  } catch (error) {
+    console.error('Error checking gift card:', error);
+    res.status(500).json({ success: false, message: 'Failed to check gift card' });
+  }
+};
+
+const addGiftCardToWallet = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+    const { amount, walletBalance } = await redeemGiftCardToWallet(req.body.code, userId);
+
+    res.json({
+      success: true,
+      message: `₹${amount.toFixed(2)} has been added to your wallet`,
+      amount,
+      walletBalance
+    });
+  } catch (error) {
+    console.error('Error adding gift card to wallet:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add gift card to wallet'
+    });
+  }
+};
+
+module.exports = {
+  checkGiftCard,
+  addGiftCardToWallet
+};
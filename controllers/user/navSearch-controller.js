@@ -1,11 +1,17 @@
 const Product = require('../../models/product-schema');
+const { findMatchingProductIds } = require('../../utils/search-utils');
+const { buildImageSet } = require('../../utils/image-utils');
 const searchProduct = async (req,res)=>{
     try {
         const query = req.query.q || '';
         if (query.length < 2) return res.json([]);
 
+        // Ranked matches; extra candidates cover products dropped by the category check below
+        const { ids } = await findMatchingProductIds(query, { limit: 30, complete: true });
+        if (ids.length === 0) return res.json([]);
+
         const products = await Product.aggregate([
-         
+            { $match: { _id: { $in: ids } } },
             {
                 $lookup: {
                     from: 'categories',
@@ -15,26 +21,26 @@ const searchProduct = async (req,res)=>{
                 }
             },
             { $unwind: '$category' },
-            
+
             {
                 $match: {
-                    $or: [
-                        { productName: { $regex: query, $options: 'i' } },
-                        { 'category.name': { $regex: `^${query}`, $options: 'i' } }  
-                    ],
-                    isListed: true,
-                    isDeleted: false,
-                    isBlocked: false,
                     'category.isListed': true,
                     'category.isDeleted': false
                 }
             },
+            { $addFields: { searchRank: { $indexOfArray: [ids, '$_id'] } } },
+            { $sort: { searchRank: 1 } },
             { $limit: 10 },
-            { $project: { _id: 1, productName: 1, brand: 1, mainImage: 1 } }
+            { $project: { _id: 1, slug: 1, productName: 1, brand: 1, mainImage: 1, imageDerivatives: 1 } }
         ]);
 
+        products.forEach(product => {
+            product.imageSet = buildImageSet(product, product.mainImage);
+            delete product.imageDerivatives;
+        });
+
         res.json(products);
-        
+
     }catch(error){
         console.log(' navbar search error:', error);
         res.status(500).json({error:'Server error'})
@@ -42,4 +48,4 @@ const searchProduct = async (req,res)=>{
 };
 
 
-module.exports={searchProduct}
\ No newline at end of file
+module.exports={searchProduct}
@@ -6,6 +6,10 @@ const Wallet = require('../../models/wallet-schema');
 const Wishlist = require('../../models/wishlist-schema');  
 const Cart = require('../../models/cart-schema');  
 const InvoiceGenerator = require('../../utils/pdf-invoice-generator');
+const { adjustOrderItemStock, hasOrderTakenStock } = require('../../utils/stock-utils');
+const { releaseReservation } = require('../../utils/preorder-utils');
+const { checkCartPurchaseLimits } = require('../../utils/purchase-limit-utils');
+const { restoreGiftCard } = require('../../utils/gift-card-utils');
 
 
 
@@ -161,13 +165,14 @@ const cancelOrderItem = async (req, res) => {
     }
 
     // Check if item can be cancelled - FIXED: Check for Pending, Processing statuses
-    const cancellableStatuses = ['Pending', 'Processing'];
+    const cancellableStatuses = ['Pre-Order', 'Pending', 'Processing'];
     if (!cancellableStatuses.includes(orderItem.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Item cannot be cancelled at this stage. Only pending and processing items can be cancelled.'
+        message: 'Item cannot be cancelled at this stage. Only pre-order, pending and processing items can be cancelled.'
       });
     }
+    const wasPreOrder = orderItem.status === 'Pre-Order';
 
     // Check if order-level status allows cancellation
     if (['Shipped', 'Delivered', 'Return Request', 'Returned', 'Cancelled'].includes(order.status)) {
@@ -182,20 +187,27 @@ const cancelOrderItem = async (req, res) => {
     orderItem.cancellationReason = reason || 'Item cancelled by customer';
     orderItem.cancelledAt = new Date();
 
-    // Restore product stock
+    // Restore product stock; pre-order lines never took any, so free their slot instead
     try {
-      await Product.findByIdAndUpdate(
-        orderItem.product._id,
-        { $inc: { quantity: orderItem.quantity } },
-        { new: true }
-      );
+      if (wasPreOrder) {
+        if (order.paymentStatus === 'Completed') {
+          await releaseReservation(orderItem.product._id, orderItem.quantity);
+        }
+        order.preOrderBalance = Math.max(0, order.preOrderBalance - orderItem.preOrder.balanceDue);
+      } else if (hasOrderTakenStock(order)) {
+        await adjustOrderItemStock(orderItem, orderItem.quantity, {
+          reason: 'cancel',
+          order: order._id,
+          actor: userId
+        });
+      }
     } catch (stockError) {
       console.error('Error restoring product stock:', stockError);
     }
 
     // Recalculate order amounts based on active items only
     const activeItems = order.orderedItems.filter(item => 
-      ['Pending', 'Processing', 'Shipped', 'Delivered'].includes(item.status)
+      ['Pre-Order', 'Pending', 'Processing', 'Shipped', 'Delivered'].includes(item.status)
     );
     const cancelledItems = order.orderedItems.filter(item => item.status === 'Cancelled');
     
@@ -205,8 +217,8 @@ const cancelOrderItem = async (req, res) => {
       order.totalPrice = 0;
       order.finalAmount = 0;
     } else {
-      // Partially cancelled
-      order.status = 'Partially Cancelled';
+      // Partially cancelled; orders still waiting on pre-order lines stay in Pre-Order
+      order.status = activeItems.some(item => item.status === 'Pre-Order') ? 'Pre-Order' : 'Partially Cancelled';
       
       const activeItemsTotal = activeItems.reduce((sum, item) => sum + item.totalPrice, 0);
       const cancelledItemsTotal = cancelledItems.reduce((sum, item) => sum + item.totalPrice, 0);
@@ -238,6 +250,8 @@ const couponShare = orderValue > 0
   ? (lineValue / orderValue) * (order.couponDiscount || 0)
   : 0;
 let walletCreditAmount = lineValue - couponShare;
+// A pre-order deposit only refunds what was actually paid
+if (wasPreOrder) walletCreditAmount -= orderItem.preOrder.balanceDue;
 if (walletCreditAmount < 0) walletCreditAmount = 0; 
 
 // Apply payment method logic as before
@@ -313,19 +327,29 @@ const cancelEntireOrder = async (req, res) => {
       });
     }
 
-    // Credit wallet for ALL cancelled orders (regardless of payment method) - BEFORE updating order amounts
+    // Sent gift cards can't be taken back, so only the order's other items can be cancelled
+    if (order.orderedItems.some(item => item.giftCard && item.giftCard.codes.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order includes gift cards that have already been sent. Please cancel its other items individually.'
+      });
+    }
+
+    // Credit the wallet only with what was actually collected - BEFORE updating order amounts
     let walletCreditAmount = 0;
-    
-    // For COD orders, credit only if payment was made 
-    // For online payments, credit the full amount regardless of payment status
-    if (order.paymentMethod === 'Cash on Delivery') {
-      // For COD, only credit if payment was actually collected (status Completed)
-      if (order.paymentStatus === 'Completed') {
-        walletCreditAmount = order.finalAmount;
-      }
+    let giftCardRestored = 0;
+
+    if (order.paymentStatus === 'Completed') {
+      // Paid orders refund everything charged, gift card share included, to the wallet
+      // Pre-order balances were never charged, so they aren't refunded
+      walletCreditAmount = order.finalAmount - order.preOrderBalance;
     } else {
-      // For online payments (including pending ones), always credit to wallet
-      walletCreditAmount = order.finalAmount;
+      // Nothing was collected (unpaid COD, or an online payment that never completed); only the gift card paid
+      try {
+        giftCardRestored = await restoreGiftCard(order);
+      } catch (giftCardError) {
+        console.error('Error restoring gift card for cancelled order:', order.orderId, giftCardError);
+      }
     }
     
     if (walletCreditAmount > 0) {
@@ -346,23 +370,42 @@ const cancelEntireOrder = async (req, res) => {
     order.status = 'Cancelled';
     order.totalPrice = 0;
     order.finalAmount = 0;
+    order.preOrderBalance = 0;
 
     // Cancel all active items and restore stock
     let itemsCancelled = 0;
     for (const item of order.orderedItems) {
-      if (item.status === 'Active') {
+      if (item.status === 'Pre-Order') {
+        item.status = 'Cancelled';
+        item.cancellationReason = reason || 'Pre-order cancelled by customer';
+        item.cancelledAt = new Date();
+        itemsCancelled++;
+
+        // Pre-order lines never took stock; free the slot they were holding
+        if (order.paymentStatus === 'Completed') {
+          try {
+            await releaseReservation(item.product._id, item.quantity);
+          } catch (reservationError) {
+            console.error('Error releasing pre-order slot for item:', item.product.productName, reservationError);
+          }
+        }
+        continue;
+      }
+
+      if (['Pending', 'Processing'].includes(item.status)) {
         item.status = 'Cancelled';
         item.cancellationReason = reason || 'Order cancelled by customer';
         item.cancelledAt = new Date();
         itemsCancelled++;
 
-        // Restore product stock
+        // Restore product stock, unless an unpaid online order never took any
+        if (!hasOrderTakenStock(order)) continue;
         try {
-          const productUpdateResult = await Product.findByIdAndUpdate(
-            item.product._id,
-            { $inc: { quantity: item.quantity } },
-            { new: true }
-          );
+          await adjustOrderItemStock(item, item.quantity, {
+            reason: 'cancel',
+            order: order._id,
+            actor: userId
+          });
         } catch (stockError) {
           console.error('Error restoring product stock for item:', item.product.productName, stockError);
           
@@ -379,9 +422,12 @@ const cancelEntireOrder = async (req, res) => {
 
     await order.save();
 
-    const responseMessage = walletCreditAmount > 0 
-      ? `Order cancelled successfully. ₹${walletCreditAmount} has been credited to your wallet.`
-      : 'Order cancelled successfully';
+    let responseMessage = 'Order cancelled successfully';
+    if (walletCreditAmount > 0) {
+      responseMessage = `Order cancelled successfully. ₹${walletCreditAmount} has been credited to your wallet.`;
+    } else if (giftCardRestored > 0) {
+      responseMessage = `Order cancelled successfully. ₹${giftCardRestored} has been returned to your gift card.`;
+    }
 
     res.status(200).json({
       success: true,
@@ -464,8 +510,8 @@ if (!allowedOrderStatusesForReturn.includes(order.status)) {
     // Define allowed statuses here
     const allowedItemStatuses = ['Active', 'Delivered']; 
     
-    //  Check if item is valid 
-    if (orderItem && allowedItemStatuses.includes(orderItem.status) && !orderItem.returnAttempted) {
+    //  Check if item is valid (gift cards are spent as soon as they are sent, so they can't be returned)
+    if (orderItem && allowedItemStatuses.includes(orderItem.status) && !orderItem.returnAttempted && !orderItem.giftCard) {
         orderItem.status = 'Return Request';
         orderItem.returnReason = returnItem.reason || reason || 'Return requested by customer';
         orderItem.returnRequestedAt = new Date();
@@ -516,6 +562,13 @@ if (!allowedOrderStatusesForReturn.includes(order.status)) {
       });
 
     } else {
+      if (order.orderedItems.some(item => item.giftCard)) {
+        return res.status(400).json({
+          success: false,
+          message: "Gift cards can't be returned. Please choose the items you want to return."
+        });
+      }
+
       // Entire order return (legacy support)
       order.status = 'Return Request';
       order.returnReason = reason || 'Return requested by customer';
@@ -658,6 +711,13 @@ if (!allowedItemReturnStatuses.includes(orderItem.status)) {
     });
 }
 
+    if (orderItem.giftCard) {
+      return res.status(400).json({
+        success: false,
+        message: "Gift cards can't be returned"
+      });
+    }
+
     // Check if return already attempted
     if (orderItem.returnAttempted) {
       return res.status(400).json({
@@ -751,9 +811,29 @@ const loadRetryPayment = async (req, res) => {
     const cart = await Cart.findOne({ userId }).lean();
     const cartCount = cart && cart.items ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
 
+    // Failed orders don't count towards purchase limits, so later orders may have used them up
+    const purchaseLimitError = await checkCartPurchaseLimits(
+      userId,
+      order.orderedItems
+        .filter(item => item.product && item.status !== 'Cancelled')
+        .map(item => ({ productId: item.product, quantity: item.quantity, bundleItems: item.bundleItems }))
+    );
+    if (purchaseLimitError) {
+      return res.status(400).render('error', {
+        error: {
+          status: 400,
+          message: purchaseLimitError
+        },
+        message: purchaseLimitError,
+        user: req.user || null,
+        wishlistCount,
+        cartCount
+      });
+    }
+
     // Create new Razorpay order for retry
     const razorpayOrder = await razorpay.orders.create({
-      amount: Math.round(order.finalAmount * 100), // Amount in paise
+      amount: Math.round((order.finalAmount - order.preOrderBalance - order.giftCardAmount) * 100), // Amount in paise; pre-order balances wait for delivery, gift cards already paid their part
       currency: 'INR',
       receipt: order.orderId + '_retry_' + Date.now(),
       notes: {
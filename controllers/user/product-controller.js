@@ -1,10 +1,29 @@
 const mongoose = require('mongoose');
 const Product = require('../../models/product-schema');
 const Category = require('../../models/category-schema');
+const Brand = require('../../models/brand-schema');
 const User = require('../../models/user-model');
 const Wishlist = require('../../models/wishlist-schema');
 const Cart= require('../../models/cart-schema')
-const { calculateBestOffer } = require('../../utils/offer-utils');
+const Review = require('../../models/review-schema');
+const Collection = require('../../models/collection-schema');
+const { calculateBestOffer, getActiveOffers, buildOfferPercentageExpressions, buildInheritedCategoryOfferExpressions } = require('../../utils/offer-utils');
+const { getCategoryMap, getCategoryFilterIds, getCategoryTrail, buildCategoryTree, flattenCategoryTree } = require('../../utils/category-utils');
+const { findVariant, hasVariants, getDefaultVariant, resolveVariant, getAvailableStock, getVariantLabel, isSameLine } = require('../../utils/variant-utils');
+const { findVerifiedPurchase } = require('../../utils/review-utils');
+const { getProductQuestions } = require('../../utils/question-utils');
+const { getFrequentlyBoughtTogether } = require('../../utils/recommendation-utils');
+const { getOrderableQuantity, getPreOrderRemaining } = require('../../utils/preorder-utils');
+const { checkPurchaseLimit, getPurchaseAllowance, describePurchaseLimit, getCartQuantityForProduct } = require('../../utils/purchase-limit-utils');
+const { recordProductView, getRecentlyViewedProducts } = require('../../utils/recently-viewed-utils');
+const { PRODUCT_ATTRIBUTES, parseFacetFilters, buildFacetMatch, buildFacetStages, formatFacets } = require('../../utils/attribute-utils');
+const { findMatchingProductIds } = require('../../utils/search-utils');
+const { buildImageSet } = require('../../utils/image-utils');
+const { buildBrandVisibilityStages } = require('../../utils/brand-utils');
+const { isObjectIdString, productPath, categoryPath, withQueryString, buildPageMeta } = require('../../utils/seo-utils');
+const { getBundleContents } = require('../../utils/bundle-utils');
+const { getWishlistPrice } = require('../../utils/price-alert-utils');
+const { visibleCollectionQuery, getCollectionProducts } = require('../../utils/collection-utils');
 
 
 
@@ -40,18 +59,15 @@ const getProducts = async (req, res) => {
             }
         ];
 
-        // Add category filter
+        // Add category filter (subcategories included)
         if (category) {
-            pipeline[2].$match.category = new mongoose.Types.ObjectId(category); 
+            pipeline[2].$match.category = { $in: await getCategoryFilterIds(category) };
         }
 
         // Add search filter
         if (search) {
-            pipeline[2].$match.$or = [
-                { productName: { $regex: search, $options: 'i' } },
-                { brand: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
+            const { ids } = await findMatchingProductIds(search);
+            pipeline[2].$match._id = { $in: ids };
         }
 
         // ADD CALCULATED FINAL PRICE FIELD
@@ -59,7 +75,7 @@ const getProducts = async (req, res) => {
             $addFields: {
                 finalSellingPrice: {
                     $cond: {
-                        if: { $and: [{ $gt: ["$productOffer", 0] }, { $ne: ["$productOffer", null] }] },
+                        if: { $and: [{ $gt: ["$productOffer", 0] }, { $ne: ["$productOffer", null] }, { $ne: ["$isGiftCard", true] }] },
                         then: {
                             $multiply: [
                                 "$salePrice",
@@ -87,6 +103,9 @@ const getProducts = async (req, res) => {
             case 'name-desc':
                 sortOptions = { productName: -1 };
                 break;
+            case 'rating':
+                sortOptions = { averageRating: -1, reviewCount: -1, createdAt: -1 };
+                break;
             case 'newest':
             default:
                 sortOptions = { createdAt: -1 };
@@ -112,6 +131,7 @@ const getProducts = async (req, res) => {
             product.discountAmount = offerDetails.discountAmount;
             product.offerPercentage = offerDetails.bestOfferPercentage;
             product.offerType = offerDetails.offerType;
+            product.imageSet = buildImageSet(product, product.mainImage);
            
 
             // Remove the temporary field
@@ -278,11 +298,14 @@ const getProductsByCategory = async (req, res) => {
             });
         }
 
+        // Products in this category or any of its subcategories
+        const categoryIds = await getCategoryFilterIds(categoryId);
+
         // Aggregation for products
         const pipeline = [
             {
                 $match: {
-                    category: categoryId,
+                    category: { $in: categoryIds },
                     isDeleted: false,
                     isBlocked: false,
                     isListed: true
@@ -310,7 +333,7 @@ const getProductsByCategory = async (req, res) => {
                 $addFields: {
                     finalSellingPrice: {
                         $cond: {
-                            if: { $and: [{ $gt: ["$productOffer", 0] }, { $ne: ["$productOffer", null] }] },
+                            if: { $and: [{ $gt: ["$productOffer", 0] }, { $ne: ["$productOffer", null] }, { $ne: ["$isGiftCard", true] }] },
                             then: {
                                 $multiply: [
                                     "$salePrice",
@@ -339,6 +362,9 @@ const getProductsByCategory = async (req, res) => {
             case 'name-desc':
                 sortOptions = { productName: -1 };
                 break;
+            case 'rating':
+                sortOptions = { averageRating: -1, reviewCount: -1, createdAt: -1 };
+                break;
             case 'newest':
             default:
                 sortOptions = { createdAt: -1 };
@@ -373,7 +399,7 @@ const getProductsByCategory = async (req, res) => {
 
         // Get total count for pagination
         const totalProducts = await Product.countDocuments({
-            category: categoryId,
+            category: { $in: categoryIds },
             isDeleted: false,
             isBlocked: false,
             isListed: true
@@ -409,6 +435,26 @@ const getFeaturedProducts = async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 8;
 
+        // ?collection=<slug> returns that collection's products in its own order
+        if (req.query.collection) {
+            const collection = await Collection.findOne({
+                slug: String(req.query.collection).toLowerCase(),
+                ...visibleCollectionQuery()
+            }).lean();
+            if (!collection) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Collection not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                collection: { name: collection.name, slug: collection.slug },
+                products: await getCollectionProducts(collection, { limit })
+            });
+        }
+
         // Use aggregation with category filtering
         const pipeline = [
             {
@@ -451,6 +497,7 @@ const getFeaturedProducts = async (req, res) => {
             product.discountAmount = offerDetails.discountAmount;
             product.offerPercentage = offerDetails.bestOfferPercentage;
             product.offerType = offerDetails.offerType;
+            product.imageSet = buildImageSet(product, product.mainImage);
         }
 
         res.json({
@@ -487,8 +534,13 @@ const searchProducts = async (req, res) => {
             });
         }
 
-        // Use aggregation with category filtering
+        const { ids, suggestion } = await findMatchingProductIds(query);
+
+        // Use aggregation with category filtering, keeping search relevance order
         const pipeline = [
+            {
+                $match: { _id: { $in: ids } }
+            },
             {
                 $lookup: {
                     from: "categories",
@@ -502,19 +554,12 @@ const searchProducts = async (req, res) => {
             },
             {
                 $match: {
-                    isDeleted: false,
-                    isBlocked: false,
-                    isListed: true,
                     "categoryData.isListed": true,
-                    "categoryData.isDeleted": false,
-                    $or: [
-                        { productName: { $regex: query, $options: 'i' } },
-                        { brand: { $regex: query, $options: 'i' } },
-                        { description: { $regex: query, $options: 'i' } }
-                    ]
+                    "categoryData.isDeleted": false
                 }
             },
-            { $sort: { createdAt: -1 } },
+            { $addFields: { searchRank: { $indexOfArray: [ids, "$_id"] } } },
+            { $sort: { searchRank: 1 } },
             { $skip: (page - 1) * limit },
             { $limit: limit }
         ];
@@ -538,6 +583,9 @@ const searchProducts = async (req, res) => {
 
         // Get total count for pagination
         const countPipeline = [
+            {
+                $match: { _id: { $in: ids } }
+            },
             {
                 $lookup: {
                     from: "categories",
@@ -551,16 +599,8 @@ const searchProducts = async (req, res) => {
             },
             {
                 $match: {
-                    isDeleted: false,
-                    isBlocked: false,
-                    isListed: true,
                     "categoryData.isListed": true,
-                    "categoryData.isDeleted": false,
-                    $or: [
-                        { productName: { $regex: query, $options: 'i' } },
-                        { brand: { $regex: query, $options: 'i' } },
-                        { description: { $regex: query, $options: 'i' } }
-                    ]
+                    "categoryData.isDeleted": false
                 }
             },
             { $count: "total" }
@@ -573,6 +613,7 @@ const searchProducts = async (req, res) => {
         res.json({
             success: true,
             query: query,
+            suggestion,
             products,
             pagination: {
                 currentPage: page,
@@ -591,8 +632,13 @@ const searchProducts = async (req, res) => {
     }
 };
 
-const getShopPage = async (req, res) => {
+// Shop listing with filters and pagination; a brand narrows it to that brand's landing page
+// A brand or category landing page passes its document as scope; the plain shop passes none
+const renderShopPage = async (req, res, { brand = null, category = null } = {}) => {
     try {
+        // The category landing page filters as if ?category= were set
+        const categoryQuery = category ? category._id.toString() : req.query.category;
+
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 12;
         const skip = (page - 1) * limit;
@@ -607,14 +653,14 @@ const getShopPage = async (req, res) => {
             "categoryData.isDeleted": false
         };
 
+        if (brand) {
+            baseMatch.brandId = brand._id;
+        }
+
         // Apply filters to base match
-        // Category filter
-        if (req.query.category && req.query.category !== 'all') {
-            if (Array.isArray(req.query.category)) {
-                baseMatch.category = { $in: req.query.category.map(id => new mongoose.Types.ObjectId(id)) };
-            } else {
-                baseMatch.category = new mongoose.Types.ObjectId(req.query.category);
-            }
+        // Category filter - a category also matches everything in its subcategories
+        if (categoryQuery && categoryQuery !== 'all') {
+            baseMatch.category = { $in: await getCategoryFilterIds(categoryQuery) };
         }
 
         // Price range filter - will be applied after calculating final price
@@ -629,25 +675,31 @@ const getShopPage = async (req, res) => {
             }
         }
 
-        // Search filter
+        // Search filter - ranked product ids from the search service
+        let searchIds = null;
+        let searchSuggestion = null;
         if(req.query.search){
-            const searchQuery = req.query.search;
-            baseMatch.$or = [
-                {productName:{$regex:searchQuery,$options:'i'}},
-                { brand: { $regex: `^${searchQuery}`, $options: 'i' } },
-                { description: { $regex: `^${searchQuery}`, $options: 'i' } }
-            ]
+            const searchResult = await findMatchingProductIds(req.query.search);
+            searchIds = searchResult.ids;
+            searchSuggestion = searchResult.suggestion;
+            baseMatch._id = { $in: searchIds };
         }
 
         // Availability filter
         if (req.query.availability) {
             if (req.query.availability === 'in-stock') {
                 baseMatch.quantity = { $gt: 0 };
-            } else if (req.query.availability === 'on-sale') {
-                baseMatch.productOffer = { $gt: 0 };
             }
         }
 
+        // Attribute facets - applied inside $facet so each facet can count without its own selection
+        const facetFilters = parseFacetFilters(req.query);
+        const facetOptions = { inStockOnly: req.query.availability === 'in-stock' };
+        const facetMatch = buildFacetMatch(facetFilters, facetOptions);
+
+        // Offers cascade from parent categories, so the price sort needs the whole tree
+        const categoryMap = await getCategoryMap();
+
         // Products pipeline
         let pipeline = [
             {
@@ -664,14 +716,23 @@ const getShopPage = async (req, res) => {
             {
                 $match: baseMatch
             },
+            ...buildBrandVisibilityStages(),
             // ADD CALCULATED FINAL PRICE FIELD - FIXED
             {
                 $addFields: {
-                    // Calculate best offer (max of product and category)
+                    // Calculate best offer (max of product, category and live scheduled offers); gift cards take none
                     bestOfferCalc: {
-                        $max: [
-                            { $ifNull: ["$productOffer", 0] },
-                            { $ifNull: ["$categoryData.categoryOffer", 0] }
+                        $cond: [
+                            { $eq: ["$isGiftCard", true] },
+                            0,
+                            {
+                                $max: [
+                                    { $ifNull: ["$productOffer", 0] },
+                                    { $ifNull: ["$categoryData.categoryOffer", 0] },
+                                    ...buildInheritedCategoryOfferExpressions(categoryMap),
+                                    ...buildOfferPercentageExpressions(await getActiveOffers(), categoryMap)
+                                ]
+                            }
                         ]
                     }
                 }
@@ -699,6 +760,13 @@ const getShopPage = async (req, res) => {
             }
         ];
 
+        // On sale means any offer is live, including category and scheduled offers
+        if (req.query.availability === 'on-sale') {
+            pipeline.push({
+                $match: { bestOfferCalc: { $gt: 0 } }
+            });
+        }
+
         // Apply price range filter on calculated final price
         if (priceFilter) {
             pipeline.push({
@@ -706,9 +774,16 @@ const getShopPage = async (req, res) => {
             });
         }
 
+        if (searchIds) {
+            pipeline.push({
+                $addFields: { searchRank: { $indexOfArray: [searchIds, "$_id"] } }
+            });
+        }
+
         // Build sort object - UPDATED
         let sort = {};
-        switch (req.query.sort) {
+        const sortOption = req.query.sort || (searchIds ? 'relevance' : 'newest');
+        switch (sortOption) {
             case 'price-low':
                 sort.finalSellingPrice = 1;
                 break;
@@ -724,17 +799,44 @@ const getShopPage = async (req, res) => {
             case 'oldest':
                 sort.createdAt = 1;
                 break;
+            case 'rating':
+                // Highest rated first; among equal ratings, the product with more reviews comes first
+                sort.averageRating = -1;
+                sort.reviewCount = -1;
+                sort.createdAt = -1;
+                break;
+            case 'relevance':
+                if (searchIds) {
+                    sort.searchRank = 1;
+                    break;
+                }
+                sort.createdAt = -1;
+                break;
             case 'newest':
             default:
                 sort.createdAt = -1;
                 break;
         }
 
-        pipeline.push({ $sort: sort });
-        pipeline.push({ $skip: skip });
-        pipeline.push({ $limit: limit });
+        // Page of products, total count and facet counts from one pass over the filtered set
+        pipeline.push({
+            $facet: {
+                products: [
+                    { $match: facetMatch },
+                    { $sort: sort },
+                    { $skip: skip },
+                    { $limit: limit }
+                ],
+                total: [
+                    { $match: facetMatch },
+                    { $count: "total" }
+                ],
+                ...buildFacetStages(facetFilters, facetOptions)
+            }
+        });
 
-        const products = await Product.aggregate(pipeline);
+        const [facetResult] = await Product.aggregate(pipeline);
+        const products = facetResult.products;
 
         for (const product of products) {
             if (product.categoryData) {
@@ -750,78 +852,43 @@ const getShopPage = async (req, res) => {
             product.offerPercentage = offerDetails.bestOfferPercentage;
             product.offerType = offerDetails.offerType;
 
+            product.brandSlug = product.brandData.length > 0 ? product.brandData[0].slug : null;
+
             // Remove the temporary fields
+            delete product.brandData;
             delete product.finalSellingPrice;
             delete product.bestOfferCalc;
-        }
-
-        //  Get total count with SAME filters as main pipeline
-        const countPipeline = [
-            {
-                $lookup: {
-                    from: "categories",
-                    localField: "category",
-                    foreignField: "_id",
-                    as: "categoryData"
-                }
-            },
-            {
-                $unwind: "$categoryData"
-            },
-            {
-                $match: baseMatch  
-            }
-        ];
+            delete product.searchRank;
 
-        // Add price filter to count pipeline if present
-        if (priceFilter) {
-            countPipeline.push({
-                $addFields: {
-                    bestOfferCalc: {
-                        $max: [
-                            { $ifNull: ["$productOffer", 0] },
-                            { $ifNull: ["$categoryData.categoryOffer", 0] }
-                        ]
-                    }
-                }
-            });
-            countPipeline.push({
-                $addFields: {
-                    finalSellingPrice: {
-                        $cond: {
-                            if: { $gt: ["$bestOfferCalc", 0] },
-                            then: {
-                                $subtract: [
-                                    "$regularPrice",
-                                    {
-                                        $multiply: [
-                                            "$regularPrice",
-                                            { $divide: ["$bestOfferCalc", 100] }
-                                        ]
-                                    }
-                                ]
-                            },
-                            else: { $ifNull: ["$salePrice", "$regularPrice"] }
-                        }
-                    }
-                }
-            });
-            countPipeline.push({
-                $match: { finalSellingPrice: priceFilter }
-            });
+            product.variantCount = hasVariants(product)
+                ? product.variants.filter(variant => variant.isActive !== false).length
+                : 0;
         }
 
-        countPipeline.push({ $count: "total" });
-
-        const countResult = await Product.aggregate(countPipeline);
-        const totalProducts = countResult.length > 0 ? countResult[0].total : 0;
+        const totalProducts = facetResult.total.length > 0 ? facetResult.total[0].total : 0;
         const totalPages = Math.ceil(totalProducts / limit);
 
-        // Get only active categories for filter dropdown
-        const categories = await Category.find({
+        // Get only active categories for filter dropdown, parents before their subcategories
+        const categories = flattenCategoryTree(buildCategoryTree(await Category.find({
             isListed: true,
             isDeleted: false
-        }).lean();
+        }).lean()));
+
+        // Breadcrumb for a single selected category
+        const categoryTrail = categoryQuery && !Array.isArray(categoryQuery) &&
+            mongoose.Types.ObjectId.isValid(categoryQuery)
+            ? await getCategoryTrail(categoryQuery)
+            : [];
+
+        // With a single category selected, only offer the facets that category uses
+        let facetKeys = PRODUCT_ATTRIBUTES.map(attribute => attribute.key);
+        const selectedCategory = categories.find(cat =>
+            categoryQuery && !Array.isArray(categoryQuery) && cat._id.toString() === categoryQuery
+        );
+        if (selectedCategory && selectedCategory.attributes && selectedCategory.attributes.length > 0) {
+            facetKeys = selectedCategory.attributes.map(attribute => attribute.key);
+        }
+        const facets = formatFacets(facetResult, facetFilters, facetKeys);
 
         // Get user's wishlist and cart data
         let userWishlistIds = [];
@@ -866,28 +933,65 @@ const getShopPage = async (req, res) => {
         }
 
         // Build query string for pagination links
-        const queryParams = { ...req.query };
-        delete queryParams.page;
-        const queryString = Object.keys(queryParams).length > 0
-            ? '&' + new URLSearchParams(queryParams).toString()
-            : '';
+        // (repeated keys such as scale are appended individually so they survive paging)
+        const queryParams = new URLSearchParams();
+        Object.entries(req.query).forEach(([key, value]) => {
+            if (key === 'page') return;
+            [].concat(value).forEach(v => queryParams.append(key, v));
+        });
+        const queryString = queryParams.toString() ? '&' + queryParams.toString() : '';
+
+        const recentlyViewed = await getRecentlyViewedProducts(req, { limit: 4 });
+
+        // Landing pages are canonical for their brand or category; filtered shop URLs point at the shop
+        let meta;
+        if (brand) {
+            meta = buildPageMeta({
+                title: `${brand.name} Diecast Models`,
+                description: brand.description || `Diecast models by ${brand.name}.`,
+                metaTitle: brand.metaTitle,
+                metaDescription: brand.metaDescription,
+                path: `/brand/${brand.slug}`,
+                image: brand.logo ? `/uploads/brands/${brand.logo}` : null
+            });
+        } else if (category) {
+            meta = buildPageMeta({
+                title: category.name,
+                description: category.description,
+                metaTitle: category.metaTitle,
+                metaDescription: category.metaDescription,
+                path: categoryPath(category)
+            });
+        } else {
+            meta = buildPageMeta({ title: 'Shop', path: '/shopPage' });
+        }
 
         res.render('user/shop', {
             products,
+            recentlyViewed,
+            brand,
+            category,
+            meta,
+            // The category page's filter form moves on to the shop, where ?category= takes over
+            basePath: brand ? `/brand/${brand.slug}` : '/shopPage',
             categories,
+            categoryTrail,
+            facets,
             pagination,
             totalProducts,
             queryString,
+            searchSuggestion,
             userWishlistIds,
             wishlistCount,
             cartCount,
             filters: {
-                category: req.query.category || '',
+                category: categoryQuery || '',
                 minPrice: req.query.minPrice || '',
                 maxPrice: req.query.maxPrice || '',
                 search: req.query.search || '',
                 availability: req.query.availability || '',
-                sort: req.query.sort || 'newest'
+                attributes: facetFilters,
+                sort: sortOption
             },
             user: res.locals.user || null,
             isAuthenticated: !!(req.session.userId || req.session.googleUserId),
@@ -895,7 +999,7 @@ const getShopPage = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error loading shop page:', error);
+        console.error(brand ? 'Error loading brand page:' : category ? 'Error loading category page:' : 'Error loading shop page:', error);
         res.status(500).render('error', {
             error: {
                 status: 500,
@@ -908,6 +1012,146 @@ const getShopPage = async (req, res) => {
 };
 
 
+const getShopPage = (req, res) => renderShopPage(req, res);
+
+// Brand landing page: the shop listing limited to one listed brand
+const getBrandPage = async (req, res) => {
+    try {
+        const matchById = isObjectIdString(req.params.slug);
+        const slug = String(req.params.slug).toLowerCase();
+        const brand = await Brand.findOne({
+            ...(matchById ? { _id: req.params.slug } : { slug }),
+            isListed: true,
+            isDeleted: false
+        }).lean();
+
+        // A slug the admin has since changed
+        const renamed = !brand && !matchById
+            ? await Brand.findOne({ previousSlugs: slug, isListed: true, isDeleted: false }).lean()
+            : null;
+        if (renamed) {
+            return res.redirect(301, withQueryString(req, `/brand/${renamed.slug}`));
+        }
+
+        if (!brand) {
+            return res.status(404).render('pageNotFound', {
+                message: 'Brand not found',
+                user: res.locals.user || null,
+                wishlistCount: 0
+            });
+        }
+
+        if (matchById) {
+            return res.redirect(301, withQueryString(req, `/brand/${brand.slug}`));
+        }
+
+        await renderShopPage(req, res, { brand });
+    } catch (error) {
+        console.error('Error loading brand page:', error);
+        res.status(500).render('error', {
+            error: {
+                status: 500,
+                message: 'Error loading brand page: ' + error.message
+            },
+            message: error.message,
+            user: res.locals.user || null
+        });
+    }
+};
+
+// Category landing page: the shop listing for a listed category and its subcategories
+const getCategoryPage = async (req, res) => {
+    try {
+        const matchById = isObjectIdString(req.params.slug);
+        const category = await Category.findOne({
+            ...(matchById ? { _id: req.params.slug } : { slug: String(req.params.slug).toLowerCase() }),
+            isListed: true,
+            isDeleted: false
+        }).lean();
+
+        if (!category) {
+            return res.status(404).render('pageNotFound', {
+                message: 'Category not found',
+                user: res.locals.user || null,
+                wishlistCount: 0
+            });
+        }
+
+        if (matchById && category.slug) {
+            return res.redirect(301, withQueryString(req, categoryPath(category)));
+        }
+
+        await renderShopPage(req, res, { category });
+    } catch (error) {
+        console.error('Error loading category page:', error);
+        res.status(500).render('error', {
+            error: {
+                status: 500,
+                message: 'Error loading category page: ' + error.message
+            },
+            message: error.message,
+            user: res.locals.user || null
+        });
+    }
+};
+
+// Collection page: every product in a listed collection that is inside its visibility window
+const getCollectionPage = async (req, res) => {
+    try {
+        const matchById = isObjectIdString(req.params.slug);
+        const slug = String(req.params.slug).toLowerCase();
+        const collection = await Collection.findOne({
+            ...(matchById ? { _id: req.params.slug } : { slug }),
+            ...visibleCollectionQuery()
+        }).lean();
+
+        // A slug the admin has since changed
+        const renamed = !collection && !matchById
+            ? await Collection.findOne({ previousSlugs: slug, ...visibleCollectionQuery() }).lean()
+            : null;
+        if (renamed) {
+            return res.redirect(301, withQueryString(req, `/collections/${renamed.slug}`));
+        }
+
+        if (!collection) {
+            return res.status(404).render('pageNotFound', {
+                message: 'Collection not found',
+                user: res.locals.user || null,
+                wishlistCount: 0
+            });
+        }
+
+        if (matchById) {
+            return res.redirect(301, withQueryString(req, `/collections/${collection.slug}`));
+        }
+
+        const products = await getCollectionProducts(collection);
+
+        res.render('user/collection', {
+            user: res.locals.user || null,
+            collection,
+            products,
+            meta: buildPageMeta({
+                title: collection.name,
+                description: collection.description,
+                metaTitle: collection.metaTitle,
+                metaDescription: collection.metaDescription,
+                path: `/collections/${collection.slug}`,
+                image: products.length > 0 ? `/uploads/products/${products[0].mainImage}` : null
+            })
+        });
+    } catch (error) {
+        console.error('Error loading collection page:', error);
+        res.status(500).render('error', {
+            error: {
+                status: 500,
+                message: 'Error loading collection page: ' + error.message
+            },
+            message: error.message,
+            user: res.locals.user || null
+        });
+    }
+};
 
 //  Product Details function
 const getProductDetails = async (req, res) => {
@@ -915,7 +1159,8 @@ const getProductDetails = async (req, res) => {
         //  Define user and userId consistently for both auth methods
         const user = req.session.user || null;
         const userId = req.session.userId || req.session.googleUserId;
-        const productId = req.params.id;
+        // Product pages live at /product/:slug; old /product/:id links redirect to it below
+        const matchById = isObjectIdString(req.params.id);
 
         // Fetch COMPLETE user profile data if needed
         let userProfile = null;
@@ -927,7 +1172,9 @@ const getProductDetails = async (req, res) => {
         const productPipeline = [
             {
                 $match: {
-                    _id: new mongoose.Types.ObjectId(productId), 
+                    ...(matchById
+                        ? { _id: new mongoose.Types.ObjectId(req.params.id) }
+                        : { slug: String(req.params.id).toLowerCase() }),
                     isDeleted: false,
                     isBlocked: false,
                     isListed: true
@@ -949,7 +1196,8 @@ const getProductDetails = async (req, res) => {
                     "categoryData.isListed": true,
                     "categoryData.isDeleted": false
                 }
-            }
+            },
+            ...buildBrandVisibilityStages()
         ];
 
         const productResult = await Product.aggregate(productPipeline);
@@ -963,6 +1211,14 @@ const getProductDetails = async (req, res) => {
         }
 
         const product = productResult[0];
+        const productId = product._id.toString();
+
+        if (matchById && product.slug) {
+            return res.redirect(301, withQueryString(req, productPath(product)));
+        }
+
+        //  RECENTLY VIEWED - history for the account or guest session, plus the view counter
+        await recordProductView(req, productId);
 
         //  Convert categoryData object 
         if (product.categoryData) {
@@ -970,6 +1226,13 @@ const getProductDetails = async (req, res) => {
             delete product.categoryData;
         }
 
+        // Breadcrumb through the parent categories
+        const categoryTrail = await getCategoryTrail(product.category._id);
+
+        // Brand page link, when the product is linked to a brand
+        product.brandSlug = product.brandData.length > 0 ? product.brandData[0].slug : null;
+        delete product.brandData;
+
         //  CATEGORY OFFERS 
         const offerDetails = await calculateBestOffer(product);
         product.finalPrice = offerDetails.finalPrice;
@@ -977,7 +1240,58 @@ const getProductDetails = async (req, res) => {
         product.discountAmount = offerDetails.discountAmount;
         product.offerPercentage = offerDetails.bestOfferPercentage;
         product.offerType = offerDetails.offerType;
- 
+
+        //  VARIANTS - price each active variant with the same offer rules
+        product.variantOptions = [];
+        let selectedVariant = null;
+        if (hasVariants(product)) {
+            for (const variant of product.variants.filter(v => v.isActive !== false)) {
+                const variantOffer = await calculateBestOffer(product, variant);
+                product.variantOptions.push({
+                    _id: variant._id.toString(),
+                    sku: variant.sku,
+                    scale: variant.scale,
+                    colour: variant.colour,
+                    edition: variant.edition,
+                    label: getVariantLabel(variant),
+                    quantity: variant.quantity,
+                    images: variant.images || [],
+                    regularPrice: variant.regularPrice,
+                    salePrice: variant.salePrice,
+                    finalPrice: variantOffer.finalPrice,
+                    hasOffer: variantOffer.hasOffer,
+                    discountAmount: variantOffer.discountAmount,
+                    offerPercentage: variantOffer.bestOfferPercentage
+                });
+            }
+
+            const requested = findVariant(product, req.query.variant);
+            const initial = requested && requested.isActive !== false ? requested : getDefaultVariant(product);
+            selectedVariant = product.variantOptions.find(option => option._id === initial._id.toString());
+        }
+
+        //  PRE-ORDER - out-of-stock lines can be reserved while slots remain
+        const preOrder = product.preOrder && product.preOrder.isEnabled
+            ? {
+                releaseDate: product.preOrder.releaseDate,
+                paymentType: product.preOrder.paymentType,
+                depositPercentage: product.preOrder.depositPercentage,
+                remaining: getPreOrderRemaining(product)
+            }
+            : null;
+
+        //  PURCHASE LIMIT - limited editions show the per-customer cap and what this customer has left
+        const allowance = await getPurchaseAllowance(userId, product);
+        const purchaseLimit = allowance
+            ? {
+                label: describePurchaseLimit(allowance),
+                remaining: userId ? allowance.remaining : null
+            }
+            : null;
+
+
+        //  FREQUENTLY BOUGHT TOGETHER - from order history, rebuilt nightly
+        const frequentlyBoughtTogether = await getFrequentlyBoughtTogether([productId], { limit: 4 });
 
         //  Related products query with proper ObjectId
         const relatedProducts = await Product.aggregate([
@@ -1037,8 +1351,70 @@ const getProductDetails = async (req, res) => {
             }
         }
 
+        //  ATTRIBUTES - typed specs shown in the specifications tab
+        product.attributeSpecs = PRODUCT_ATTRIBUTES
+            .filter(({ key }) => product.attributes && product.attributes[key] !== undefined && product.attributes[key] !== null && product.attributes[key] !== '')
+            .map(({ key, label }) => ({
+                label,
+                value: key === 'editionSize' ? `${product.attributes[key]} pieces` : product.attributes[key]
+            }));
+
+        //  REVIEWS - approved reviews, star breakdown and whether this user may write one
+        const reviews = await Review.find({ product: productId, status: 'Approved' })
+            .populate('user', 'fullName profilePhoto')
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .lean();
+
+        const ratingBreakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        const breakdownResult = await Review.aggregate([
+            { $match: { product: new mongoose.Types.ObjectId(productId), status: 'Approved' } },
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ]);
+        breakdownResult.forEach(row => { ratingBreakdown[row._id] = row.count; });
+
+        let userReview = null;
+        let canReview = false;
+        let canAnswer = false;
+        if (userId) {
+            userReview = await Review.findOne({ product: productId, user: userId }).lean();
+            const hasReceived = !!(await findVerifiedPurchase(userId, productId));
+            canReview = !userReview && hasReceived;
+            canAnswer = hasReceived;
+        }
+
+        //  Q&A - published questions with approved answers; buyers who received the product may answer
+        const { questions, totalQuestions } = await getProductQuestions(productId, userId);
+
+        //  BUNDLE - what comes in a gift set
+        const bundleContents = product.isBundle ? await getBundleContents(product) : [];
+
+        const meta = buildPageMeta({
+            title: product.productName,
+            description: product.description,
+            metaTitle: product.metaTitle,
+            metaDescription: product.metaDescription,
+            path: productPath(product),
+            image: `/uploads/products/${product.mainImage}`,
+            type: 'product'
+        });
+
         res.render('user/product-details', {
             product,
+            meta,
+            selectedVariant,
+            preOrder,
+            purchaseLimit,
+            bundleContents,
+            categoryTrail,
+            reviews,
+            ratingBreakdown,
+            userReview,
+            canReview,
+            questions,
+            totalQuestions,
+            canAnswer,
+            frequentlyBoughtTogether,
             relatedProducts,
             userWishlistIds,
             wishlistCount,
@@ -1119,7 +1495,7 @@ const getUserWishlistIds = async (req, res) => {
 const addToCart = async (req, res) => {
     try {
         const userId = req.session.userId || req.session.googleUserId;
-        const { productId, quantity = 1 } = req.body;
+        const { productId, variantId, quantity = 1 } = req.body;
 
         if (!userId) {
             return res.status(401).json({
@@ -1140,8 +1516,7 @@ const addToCart = async (req, res) => {
             _id: new mongoose.Types.ObjectId(productId),
             isListed: true,
             isDeleted: false,
-            isBlocked: false,
-            quantity: { $gt: 0 }
+            isBlocked: false
         }).populate('category');
 
         if (!product) {
@@ -1159,8 +1534,34 @@ const addToCart = async (req, res) => {
             });
         }
 
+        // Quick add has nowhere to enter a recipient
+        if (product.isGiftCard) {
+            return res.status(400).json({
+                success: false,
+                message: 'Choose a recipient on the gift card page to add it to your cart'
+            });
+        }
+
+        // Resolve the selected variant and its stock
+        const { variant, error: variantError } = resolveVariant(product, variantId);
+        if (variantError) {
+            return res.status(400).json({
+                success: false,
+                message: variantError
+            });
+        }
+        const availableStock = getOrderableQuantity(product, variant);
+        const selectedVariantId = variant ? variant._id : null;
+
+        if (availableStock === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found or out of stock'
+            });
+        }
+
         //  CATEGORY OFFERS
-        const offerDetails = await calculateBestOffer(product);
+        const offerDetails = await calculateBestOffer(product, variant);
         const cartPrice = offerDetails.finalPrice;  // Use final price after offer
       
 
@@ -1176,14 +1577,26 @@ const addToCart = async (req, res) => {
 
         // Check if product already in cart
         const existingItemIndex = cart.items.findIndex(
-            item => item.productId.toString() === productId
+            item => isSameLine(item, productId, selectedVariantId)
         );
 
+        const limitMessage = await checkPurchaseLimit(
+            userId,
+            product,
+            getCartQuantityForProduct(cart, productId) + parseInt(quantity)
+        );
+        if (limitMessage) {
+            return res.status(400).json({
+                success: false,
+                message: limitMessage
+            });
+        }
+
         if (existingItemIndex > -1) {
             // Update quantity if product already in cart
             const newQuantity = cart.items[existingItemIndex].quantity + parseInt(quantity);
             
-            if (newQuantity > product.quantity) {
+            if (newQuantity > availableStock) {
                 return res.status(400).json({
                     success: false,
                     message: 'Stock limit reached'
@@ -1197,6 +1610,7 @@ const addToCart = async (req, res) => {
             // Add new item to cart
             cart.items.push({
                 productId: new mongoose.Types.ObjectId(productId),
+                variantId: selectedVariantId,
                 quantity: parseInt(quantity),
                 price: cartPrice,  
                 totalPrice: cartPrice * parseInt(quantity)  
@@ -1294,7 +1708,8 @@ const toggleWishlist = async (req, res) => {
             // Add to wishlist
             wishlist.products.push({
                 productId: new mongoose.Types.ObjectId(productId),
-                addedAt: new Date()
+                addedOn: new Date(),
+                priceAtAdd: await getWishlistPrice(product)
             });
             action = 'added';
             message = 'Added to wishlist';
@@ -1364,6 +1779,9 @@ module.exports = {
     getFeaturedProducts,
     searchProducts,
     getShopPage,
+    getBrandPage,
+    getCategoryPage,
+    getCollectionPage,
     getProductDetails,
     getUserWishlistIds,
     addToCart,
@@ -0,0 +1,176 @@
+// User product Q&A controller – questions from any customer, answers from verified buyers
+const mongoose = require('mongoose');
+const Product = require('../../models/product-schema');
+const User = require('../../models/user-model');
+const Question = require('../../models/question-schema');
+const Answer = require('../../models/answer-schema');
+const { findVerifiedPurchase } = require('../../utils/review-utils');
+const { refreshQuestionCounts, notifyAdminsOfQuestion } = require('../../utils/question-utils');
+const { storeUrl } = require('../../utils/seo-utils');
+
+const askQuestion = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Please login to ask a question' });
+    }
+
+    const productId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product' });
+    }
+
+    const text = (req.body.text || '').trim();
+    if (text.length < 10) {
+      return res.status(400).json({ success: false, message: 'Question must be at least 10 characters long' });
+    }
+    if (text.length > 500) {
+      return res.status(400).json({ success: false, message: 'Question cannot exceed 500 characters' });
+    }
+
+    const product = await Product.findOne({ _id: productId, isDeleted: false }).select('productName');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const question = await Question.create({
+      product: productId,
+      user: userId,
+      text
+    });
+
+    const asker = await User.findById(userId).select('fullName');
+    notifyAdminsOfQuestion({
+      productName: product.productName,
+      questionText: text,
+      askerName: (asker && asker.fullName) || 'A customer',
+      adminUrl: storeUrl('/admin/questions?status=Unanswered')
+    });
+
+    res.json({
+      success: true,
+      message: 'Your question has been posted. We will let the community and our team know.',
+      questionId: question._id
+    });
+  } catch (error) {
+    console.error('Error asking question:', error);
+    res.status(500).json({ success: false, message: 'Failed to post question' });
+  }
+};
+
+const answerQuestion = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Please login to answer' });
+    }
+
+    const questionId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid question' });
+    }
+
+    const text = (req.body.text || '').trim();
+    if (text.length < 2) {
+      return res.status(400).json({ success: false, message: 'Please write an answer' });
+    }
+    if (text.length > 1000) {
+      return res.status(400).json({ success: false, message: 'Answer cannot exceed 1000 characters' });
+    }
+
+    const question = await Question.findOne({ _id: questionId, status: 'Published' });
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    const order = await findVerifiedPurchase(userId, question.product);
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers who have received this product can answer'
+      });
+    }
+
+    const existingAnswer = await Answer.findOne({
+      question: questionId,
+      user: userId,
+      status: { $ne: 'Rejected' }
+    });
+    if (existingAnswer) {
+      return res.status(400).json({ success: false, message: 'You have already answered this question' });
+    }
+
+    await Answer.create({
+      question: questionId,
+      product: question.product,
+      user: userId,
+      authorType: 'buyer',
+      order: order._id,
+      text
+    });
+    await refreshQuestionCounts(questionId);
+
+    res.json({
+      success: true,
+      message: 'Thanks for helping! Your answer will appear once it has been approved.'
+    });
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(500).json({ success: false, message: 'Failed to post answer' });
+  }
+};
+
+// Toggles the customer's upvote on an approved answer
+const toggleAnswerUpvote = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Please login to vote' });
+    }
+
+    const answerId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(answerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid answer' });
+    }
+
+    const answer = await Answer.findOne({ _id: answerId, status: 'Approved' }).select('user');
+    if (!answer) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+    if (answer.user.toString() === userId.toString()) {
+      return res.status(400).json({ success: false, message: 'You cannot upvote your own answer' });
+    }
+
+    // Conditional updates keep upvoteCount in step with the voter list under concurrent clicks
+    let updated = await Answer.findOneAndUpdate(
+      { _id: answerId, upvotes: { $ne: userId } },
+      { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } },
+      { new: true }
+    );
+    let upvoted = true;
+
+    if (!updated) {
+      updated = await Answer.findOneAndUpdate(
+        { _id: answerId, upvotes: userId },
+        { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+        { new: true }
+      );
+      upvoted = false;
+    }
+
+    res.json({
+      success: true,
+      upvoted,
+      upvoteCount: updated ? updated.upvoteCount : 0
+    });
+  } catch (error) {
+    console.error('Error toggling answer upvote:', error);
+    res.status(500).json({ success: false, message: 'Failed to update vote' });
+  }
+};
+
+module.exports = {
+  askQuestion,
+  answerQuestion,
+  toggleAnswerUpvote
+};
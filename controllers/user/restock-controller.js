@@ -0,0 +1,55 @@
+// Back-in-stock requests – logged-in customers use their account email, guests give one
+const mongoose = require('mongoose');
+const validator = require('validator');
+const Product = require('../../models/product-schema');
+const User = require('../../models/user-model');
+const { subscribeToRestock } = require('../../utils/restock-utils');
+
+const notifyWhenInStock = async (req, res) => {
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+
+    const productId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product' });
+    }
+
+    let email = (req.body.email || '').trim();
+    if (userId) {
+      const user = await User.findById(userId).select('email');
+      email = user ? user.email : email;
+    }
+    if (!email || !validator.isEmail(email)) {
+      return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+    }
+
+    const product = await Product.findOne({
+      _id: productId,
+      isListed: true,
+      isBlocked: false,
+      isDeleted: false
+    }).select('productName quantity');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.quantity > 0) {
+      return res.status(400).json({ success: false, message: 'This product is already in stock' });
+    }
+
+    const { created } = await subscribeToRestock(productId, { userId: userId || null, email });
+
+    res.json({
+      success: true,
+      message: created
+        ? `We'll email ${email} when ${product.productName} is back in stock`
+        : `You're already on the list for ${product.productName}`
+    });
+  } catch (error) {
+    console.error('Error subscribing to restock alert:', error);
+    res.status(500).json({ success: false, message: 'Failed to save your request' });
+  }
+};
+
+module.exports = {
+  notifyWhenInStock
+};
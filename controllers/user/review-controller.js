@@ -0,0 +1,95 @@
+// User review controller – verified-purchase reviews with photo uploads
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const Product = require('../../models/product-schema');
+const Review = require('../../models/review-schema');
+const { findVerifiedPurchase } = require('../../utils/review-utils');
+const { reviewUploadDir } = require('../../config/multer-config');
+
+const submitReview = async (req, res) => {
+  const savedImages = [];
+  try {
+    const userId = req.session.userId || req.session.googleUserId;
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Please login to write a review' });
+    }
+
+    const productId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product' });
+    }
+
+    const rating = parseInt(req.body.rating);
+    const title = (req.body.title || '').trim();
+    const comment = (req.body.comment || '').trim();
+
+    if (!rating || rating < 1 || rating > 5) {
+      return res.status(400).json({ success: false, message: 'Please select a rating between 1 and 5 stars' });
+    }
+    if (comment.length < 10) {
+      return res.status(400).json({ success: false, message: 'Review must be at least 10 characters long' });
+    }
+    if (comment.length > 2000) {
+      return res.status(400).json({ success: false, message: 'Review cannot exceed 2000 characters' });
+    }
+    if (title.length > 100) {
+      return res.status(400).json({ success: false, message: 'Title cannot exceed 100 characters' });
+    }
+
+    const product = await Product.findOne({ _id: productId, isDeleted: false });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const existingReview = await Review.findOne({ product: productId, user: userId });
+    if (existingReview) {
+      return res.status(400).json({ success: false, message: 'You have already reviewed this product' });
+    }
+
+    const order = await findVerifiedPurchase(userId, productId);
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers who have received this product can review it'
+      });
+    }
+
+    const files = req.files || [];
+    for (let i = 0; i < files.length; i++) {
+      const filename = `review_${userId}_${Date.now()}_${i + 1}.jpg`;
+      await sharp(files[i].buffer)
+        .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toFile(path.join(reviewUploadDir, filename));
+      savedImages.push(filename);
+    }
+
+    await Review.create({
+      product: productId,
+      user: userId,
+      order: order._id,
+      rating,
+      title,
+      comment,
+      images: savedImages
+    });
+
+    res.json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved.'
+    });
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    savedImages.forEach(filename => {
+      const filePath = path.join(reviewUploadDir, filename);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+    res.status(500).json({ success: false, message: 'Failed to submit review' });
+  }
+};
+
+module.exports = {
+  submitReview
+};
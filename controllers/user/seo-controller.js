@@ -0,0 +1,88 @@
+// Crawler files – both are built on request so they always match what the shop lists
+const Product = require('../../models/product-schema');
+const Category = require('../../models/category-schema');
+const Brand = require('../../models/brand-schema');
+const Collection = require('../../models/collection-schema');
+const { buildBrandVisibilityStages } = require('../../utils/brand-utils');
+const { visibleCollectionQuery } = require('../../utils/collection-utils');
+const { storeUrl, productPath, categoryPath, renderSitemap } = require('../../utils/seo-utils');
+
+// Account, checkout and API pages have nothing to index
+const DISALLOWED_PATHS = [
+  '/admin',
+  '/api/',
+  '/cart',
+  '/checkout',
+  '/compare',
+  '/profile',
+  '/address',
+  '/orders',
+  '/order-details',
+  '/wishlist',
+  '/wallet',
+  '/coupons',
+  '/login',
+  '/signup',
+  '/logout',
+  '/navbar-search'
+];
+
+const getSitemap = async (req, res) => {
+  try {
+    // Same visibility rules as the shop: listed, not deleted or blocked, in a listed category and brand
+    const products = await Product.aggregate([
+      { $match: { isListed: true, isDeleted: false, isBlocked: false } },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'category',
+          foreignField: '_id',
+          as: 'categoryData'
+        }
+      },
+      { $unwind: '$categoryData' },
+      { $match: { 'categoryData.isListed': true, 'categoryData.isDeleted': false } },
+      ...buildBrandVisibilityStages(),
+      { $project: { slug: 1, updatedAt: 1 } }
+    ]);
+
+    const categories = await Category.find({ isListed: true, isDeleted: false })
+      .select('slug updatedAt')
+      .lean();
+    const brands = await Brand.find({ isListed: true, isDeleted: false })
+      .select('slug updatedAt')
+      .lean();
+    const collections = await Collection.find(visibleCollectionQuery())
+      .select('slug updatedAt')
+      .lean();
+
+    const entries = [
+      { path: '/' },
+      { path: '/shopPage' },
+      ...categories.map(category => ({ path: categoryPath(category), lastModified: category.updatedAt })),
+      ...brands.map(brand => ({ path: `/brand/${brand.slug}`, lastModified: brand.updatedAt })),
+      ...collections.map(collection => ({ path: `/collections/${collection.slug}`, lastModified: collection.updatedAt })),
+      ...products.map(product => ({ path: productPath(product), lastModified: product.updatedAt }))
+    ];
+
+    res.type('application/xml').send(renderSitemap(entries));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).type('text/plain').send('Error generating sitemap');
+  }
+};
+
+const getRobotsTxt = (req, res) => {
+  const lines = [
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${storeUrl('/sitemap.xml')}`
+  ];
+  res.type('text/plain').send(lines.join('\n') + '\n');
+};
+
+module.exports = {
+  getSitemap,
+  getRobotsTxt
+};
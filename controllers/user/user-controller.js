@@ -5,12 +5,14 @@ const userModel = require('../../models/user-model');
 const bcrypt = require('bcrypt');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
-const Product = require('../../models/product-schema');
 const Category = require('../../models/category-schema');
 const Wishlist = require('../../models/wishlist-schema');
 const Cart = require('../../models/cart-schema');
 const Referral = require('../../models/referral-schema');
 const { generateUniqueReferralCode } = require('../../utils/generateReferralCode');
+const { mergeGuestHistory, getRecentlyViewedProducts } = require('../../utils/recently-viewed-utils');
+const { buildPageMeta } = require('../../utils/seo-utils');
+const { getHomeCollections } = require('../../utils/collection-utils');
 const Wallet = require('../../models/wallet-schema');
 
 // Rate-limiting middleware for resend-otp
@@ -37,52 +39,23 @@ const loadHome = async (req, res) => {
       { href: '#contact', text: 'Contact', active: false }
     ];
 
-    // Get featured products with proper filtering
-    const featuredProducts = await Product.aggregate([
-      {
-        $lookup: {
-          from: "categories",
-          localField: "category",
-          foreignField: "_id",
-          as: "categoryData"
-        }
-      },
-      {
-        $match: {
-          isListed: true,
-          isDeleted: false,        
-          isBlocked: false,
-          status: "Available",
-          "categoryData.isListed": true,
-          "categoryData.isDeleted": false
-        }
-      },
-      { $sort: { createdAt: -1 } },
-      { $limit: 8 }  // Show 8 featured products on home
-    ]);
-
-    // Add price calculations for home page products
-    featuredProducts.forEach(product => {
-      if (product.categoryData && product.categoryData.length > 0) {
-        product.category = product.categoryData[0];
-      }
-      delete product.categoryData;
-      
-      if (product.productOffer && product.productOffer > 0) {
-        product.finalPrice = product.salePrice * (1 - product.productOffer / 100);
-        product.hasOffer = true;
-        product.discountAmount = product.salePrice - product.finalPrice;
-      } else {
-        product.finalPrice = product.salePrice;
-        product.hasOffer = false;
-        product.discountAmount = 0;
-      }
-
-      const now = new Date();
-      const createdAt = new Date(product.createdAt);
-      const diffDays = (now - createdAt) / (1000 * 60 * 60 * 24);
-      product.isNew = diffDays <= 30;
-    });
+    // Admin-curated rails, in home page position order; only the fields the product cards use
+    const homeCollections = (await getHomeCollections()).map(({ collection, products }) => ({
+      name: collection.name,
+      slug: collection.slug,
+      products: products.map(product => ({
+        _id: product._id,
+        slug: product.slug,
+        productName: product.productName,
+        brand: product.brand,
+        quantity: product.quantity,
+        regularPrice: product.regularPrice,
+        finalPrice: product.finalPrice,
+        hasOffer: product.hasOffer,
+        offerPercentage: product.offerPercentage,
+        imageSet: product.imageSet
+      }))
+    }));
 
     // Get only active categories for any home page category sections
     const activeCategories = await Category.find({
@@ -112,14 +85,18 @@ const loadHome = async (req, res) => {
       }
     }
 
+    const recentlyViewed = await getRecentlyViewedProducts(req, { limit: 4 });
+
     res.render('user/home', {
       user: res.locals.user || null,  
       navLinks,
-      featuredProducts,
+      homeCollections,
+      recentlyViewed,
       activeCategories,
       userWishlistIds,
       wishlistCount,
       cartCount,
+      meta: buildPageMeta({ path: '/' }),
       isAuthenticated: !!(req.session.userId || req.session.googleUserId), 
       currentPage: 'home'
     });
@@ -382,13 +359,16 @@ const login = async (req, res) => {
       return res.render('user/login', { error: 'Please verify your email before logging in', blocked: false });
     }
 
+    // Regenerating the session drops the guest's browsing history, so carry it over
+    const guestHistory = req.session.recentlyViewed || [];
+
     req.session.regenerate((err) => {
       if (err) {
         console.error('Session regen error:', err);
         return res.status(500).render('user/login', { error: 'Session error. Please try again.', blocked: false });
       }
 
-      req.login(user, (err) => {
+      req.login(user, async (err) => {
         if (err) {
           console.error('Passport login error:', err);
           return res.status(500).render('user/login', { error: 'Login failed. Please try again.', blocked: false });
@@ -398,6 +378,7 @@ const login = async (req, res) => {
         req.session.email = user.email;
         req.session.user = user;
         req.session.loginTime = new Date();
+        await mergeGuestHistory(user._id, guestHistory);
 
         req.session.save((err) => {
           if (err) {
@@ -44,6 +44,14 @@ const applyCoupon = async (req, res) => {
       });
     }
 
+    // The checkout sends its total without gift card lines, which coupons never discount
+    if (!(cartTotal > 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Coupons cannot be used on gift cards" 
+      });
+    }
+
     // Find coupon
     const coupon = await Coupon.findOne({
       code: couponCode.toUpperCase(),
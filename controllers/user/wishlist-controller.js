@@ -1,6 +1,10 @@
 const Wishlist = require('../../models/wishlist-schema');
 const User = require('../../models/user-model'); const Cart = require('../../models/cart-schema');
  const { calculateBestOffer } = require('../../utils/offer-utils'); 
+const { getDefaultVariant, getAvailableStock, isSameLine } = require('../../utils/variant-utils');
+const { checkPurchaseLimit, getCartQuantityForProduct } = require('../../utils/purchase-limit-utils');
+const { getWishlistPrice, getLowestPrices } = require('../../utils/price-alert-utils');
+const Product = require('../../models/product-schema');
 
 
 
@@ -52,9 +56,11 @@ const loadWishlist = async (req, res) => {
       wishlistProducts = await Promise.all(
         filteredProducts.map(async item => {
           const offerData = await calculateBestOffer(item.productId);
+          const priceDrop = item.priceAtAdd != null ? Math.round(item.priceAtAdd - offerData.finalPrice) : 0;
           
           return {
             ...item.toObject ? item.toObject() : item,
+            priceDrop: priceDrop > 0 ? priceDrop : 0,
             productId: {
               ...item.productId.toObject ? item.productId.toObject() : item.productId,
               hasOffer: offerData.hasOffer,
@@ -68,6 +74,13 @@ const loadWishlist = async (req, res) => {
       );
     }
 
+    // Lowest price in the daily snapshots, so customers can tell a good deal from a normal price
+    const lowestPrices = await getLowestPrices(wishlistProducts.map(item => item.productId._id));
+    wishlistProducts.forEach(item => {
+      const lowest = lowestPrices.get(item.productId._id.toString());
+      item.lowestPrice = lowest != null && lowest < item.productId.finalPrice ? lowest : null;
+    });
+
     // Calculate wishlist count
     const wishlistCount = wishlistProducts.length;
     
@@ -150,10 +163,14 @@ const addToWishlist = async (req, res) => {
         action: 'removed' //  Indicate what action was taken
       });
     } else {
-      //  Add product to wishlist (existing logic)
+      //  Add product to wishlist, remembering today's price for drop alerts
+      const product = await Product.findById(productId)
+        .select('regularPrice salePrice productOffer category brandId isGiftCard')
+        .lean();
       wishlist.products.push({
         productId: productId,
-        addedOn: new Date()
+        addedOn: new Date(),
+        priceAtAdd: product ? await getWishlistPrice(product) : null
       });
 
       const savedWishlist = await wishlist.save();
@@ -302,18 +319,42 @@ const bulkTransferToCart = async (req, res) => {
     for (const wishlistItem of availableProducts) {
       const product = wishlistItem.productId;
       try {
+        if (product.isGiftCard) {
+          results.skipped.push({
+            productName: product.productName,
+            reason: 'Choose a recipient on the gift card page to add it to your cart'
+          });
+          continue;
+        }
+        // Wishlist entries have no variant choice, so use the default variant
+        const variant = getDefaultVariant(product);
+        const variantId = variant ? variant._id : null;
+        const availableStock = getAvailableStock(product, variant);
+        const salePrice = (variant || product).salePrice;
         // Check if product already exists in cart
         const existingItemIndex = cart.items.findIndex(
-          item => item.productId.toString() === product._id.toString()
+          item => isSameLine(item, product._id, variantId)
         );
+        const limitMessage = await checkPurchaseLimit(
+          userId,
+          product,
+          getCartQuantityForProduct(cart, product._id) + 1
+        );
+        if (limitMessage) {
+          results.skipped.push({
+            productName: product.productName,
+            reason: limitMessage
+          });
+          continue;
+        }
         if (existingItemIndex > -1) {
           // Update existing item
           const existingItem = cart.items[existingItemIndex];
           const newQuantity = existingItem.quantity + 1;
-          if (newQuantity > product.quantity) {
+          if (newQuantity > availableStock) {
             results.skipped.push({
               productName: product.productName,
-              reason: `Only ${product.quantity} available in stock. You already have ${existingItem.quantity} in your cart.`
+              reason: `Only ${availableStock} available in stock. You already have ${existingItem.quantity} in your cart.`
             });
             continue;
           }
@@ -325,15 +366,16 @@ const bulkTransferToCart = async (req, res) => {
             continue;
           }
           existingItem.quantity = newQuantity;
-          existingItem.price = product.salePrice;
-          existingItem.totalPrice = product.salePrice * newQuantity;
+          existingItem.price = salePrice;
+          existingItem.totalPrice = salePrice * newQuantity;
         } else {
           // Add new item
           cart.items.push({
             productId: product._id,
+            variantId,
             quantity: 1,
-            price: product.salePrice,
-            totalPrice: product.salePrice
+            price: salePrice,
+            totalPrice: salePrice
           });
         }
         results.added.push({
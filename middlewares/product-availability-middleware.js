@@ -308,6 +308,19 @@ const checkMultipleProductsAvailability = async (productIds) => {
 
 
 
+/**
+ * Utility function applying the checkProductAvailability rules to an already loaded product
+ * Expects category populated with isListed and isDeleted; used where a listing must only show buyable products
+ */
+const isProductPurchasable = (product) => {
+  if (!product || !product.category) return false;
+  if (product.category.isDeleted || !product.category.isListed) return false;
+  if (product.isBlocked || product.isDeleted || !product.isListed) return false;
+  return product.quantity > 0;
+};
+
+
+
 /**
  * Utility function to filter available products from a list
  * Returns only products that are available for purchase
@@ -492,6 +505,7 @@ module.exports = {
   checkProductAvailabilityForPage,
   checkProductAvailabilityForWishlist,
   checkMultipleProductsAvailability,
+  isProductPurchasable,
   filterAvailableProducts,
   checkCartProductsAvailability
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// An answer to a product question, from an admin or a customer who received the product.
+// Customer answers wait for moderation; admin answers are approved when posted.
+const answerSchema = new Schema({
+  question: {
+    type: Schema.Types.ObjectId,
+    ref: "Question",
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  authorType: {
+    type: String,
+    enum: ["admin", "buyer"],
+    required: true
+  },
+  // Delivered order that qualifies a buyer to answer
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true,
+    required: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ["Pending", "Approved", "Rejected"],
+    default: "Pending"
+  },
+  moderationNote: {
+    type: String,
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  upvotes: [{
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+answerSchema.index({ question: 1, status: 1, upvoteCount: -1 });
+answerSchema.index({ question: 1, user: 1 });
+
+const Answer = mongoose.model("Answer", answerSchema);
+
+module.exports = Answer;
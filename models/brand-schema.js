@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { slugify } = require('../utils/seo-utils');
+
+const brandSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Lowercase letters and digits of the name, so "Hot Wheels" and "hotwheels" resolve to one brand
+  nameKey: {
+    type: String,
+    required: true
+  },
+  // Public URL segment for /brand/:slug; kept when the brand is renamed so links don't break
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs the brand used before an admin changed it; /brand/:slug redirects them to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
+  // Filename under /uploads/brands
+  logo: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 1000
+  },
+  // Optional search-result title and description for the brand page
+  metaTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isListed: {
+    type: Boolean,
+    default: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+brandSchema.index({ nameKey: 1 });
+brandSchema.index({ previousSlugs: 1 });
+
+/**
+ * Key that brand names are matched on
+ * @param {String} name - Brand name as typed
+ * @returns {String} - e.g. "hotwheels" for "Hot Wheels"
+ */
+brandSchema.statics.toNameKey = function(name = '') {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * URL-safe slug for a brand name
+ * @param {String} name - Brand name or admin-entered slug
+ * @returns {String} - e.g. "hot-wheels"
+ */
+brandSchema.statics.slugify = function(name = '') {
+  return slugify(name);
+};
+
+brandSchema.pre('validate', async function(next) {
+  this.nameKey = this.constructor.toNameKey(this.name);
+
+  if (this.isModified('name') && !this.isDeleted) {
+    const exists = await this.constructor.findOne({
+      nameKey: this.nameKey,
+      isDeleted: false,
+      _id: { $ne: this._id }
+    });
+    if (exists) {
+      const err = new Error(`A brand named "${exists.name}" already exists.`);
+      err.statusCode = 409;
+      return next(err);
+    }
+  }
+
+  // New brands get a slug from the name; -2, -3... when it is taken, including by deleted brands
+  // and by another brand's old links
+  if (!this.slug || this.isModified('slug')) {
+    const base = this.constructor.slugify(this.slug || this.name) || 'brand';
+    let candidate = base;
+    let suffix = 2;
+    while (await this.constructor.exists({
+      $or: [{ slug: candidate }, { previousSlugs: candidate }],
+      _id: { $ne: this._id }
+    })) {
+      candidate = `${base}-${suffix++}`;
+    }
+    this.slug = candidate;
+  }
+  next();
+});
+
+const Brand = mongoose.model('Brand', brandSchema);
+module.exports = Brand;
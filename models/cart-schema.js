@@ -13,10 +13,23 @@ const cartSchema = new Schema({
       ref: 'Product',
       required: true
     },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
     quantity: {
       type: Number,
       default: 1
     },
+    // Gift card lines: who the cards go to; each unit is emailed to them as its own card
+    giftCard: {
+      type: new Schema({
+        recipientName: { type: String, default: '' },
+        recipientEmail: { type: String, required: true },
+        message: { type: String, default: '' }
+      }, { _id: false }),
+      default: null
+    },
     price: {
       type: Number,
       required: true
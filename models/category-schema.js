@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { ATTRIBUTE_KEYS } = require('../utils/attribute-utils');
+const { generateUniqueSlug } = require('../utils/seo-utils');
+
+// Which typed attributes products in this category carry
+const categoryAttributeSchema = new Schema({
+  key: {
+    type: String,
+    enum: ATTRIBUTE_KEYS,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values; empty means free entry
+  options: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
 
 const categorySchema = new Schema({
   name: {
@@ -19,6 +39,42 @@ const categorySchema = new Schema({
     required: true,
     trim: true
   },
+  // Public URL segment for /category/:slug, set once from the name and kept on rename
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    lowercase: true
+  },
+  // Optional search-result title and description for the category page
+  metaTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Parent in the category tree (null for top-level categories). Offers and shop filters
+  // cascade down to subcategories; see utils/category-utils.js.
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  attributes: {
+    type: [categoryAttributeSchema],
+    default: []
+  },
+  // Products at or below this stock count as low stock unless they set their own reorder threshold
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
   isListed: {
     type: Boolean,
     default: true
@@ -26,19 +82,44 @@ const categorySchema = new Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  // When the category was moved to the trash; purged automatically after TRASH_RETENTION_DAYS
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
+categorySchema.index({ parent: 1 });
+
+/**
+ * Another live category with the same name, ignoring case
+ * @param {String} name - Category name
+ * @param {Object} excludeId - The category's own id
+ * @returns {Object|null} - The clashing category
+ */
+categorySchema.statics.findNameConflict = function(name, excludeId) {
+  return this.findOne({
+    name: new RegExp(`^${String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    _id: { $ne: excludeId },
+    $or: [
+      { isDeleted: false },
+      { isDeleted: { $exists: false } }
+    ]
+  });
+};
+
+categorySchema.pre('validate', async function(next) {
+  if (!this.slug) {
+    this.slug = await generateUniqueSlug(this.constructor, this.name, this._id, 'category');
+  }
+  next();
+});
+
 categorySchema.pre('save', async function(next) {
   if (this.isModified('name')) {
-    const exists = await this.constructor.findOne({
-      name: new RegExp(`^${this.name}$`, 'i'),
-      $or: [
-        { isDeleted: false },
-        { isDeleted: { $exists: false } }
-      ]
-    });
-    if (exists && exists._id.toString() !== this._id.toString()) {
+    const exists = await this.constructor.findNameConflict(this.name, this._id);
+    if (exists) {
       const err = new Error('A category with this name already exists.');
       err.statusCode = 409;
       return next(err);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Orders a collection can be shown in; manual keeps the admin's product order
+const COLLECTION_SORTS = ['manual', 'newest', 'price-low', 'price-high', 'name'];
+
+// An admin-curated group of products with its own /collections/:slug page and, optionally,
+// a rail on the home page. Manual collections list their products; rule collections match
+// whatever products currently fit their filters.
+const collectionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Slugs the collection used before an admin changed it; they redirect to the current one
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: ['manual', 'rule'],
+    default: 'manual'
+  },
+  // Manual collections, in display order
+  products: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Rule collections; empty filters match everything
+  rules: {
+    categories: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    brands: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Brand'
+    }],
+    // Price after offers
+    minPrice: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    maxPrice: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    onOfferOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Added to the shop within this many days
+    newWithinDays: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    inStockOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  sortBy: {
+    type: String,
+    enum: COLLECTION_SORTS,
+    default: 'manual'
+  },
+  showOnHome: {
+    type: Boolean,
+    default: false
+  },
+  // Lower numbers come first on the home page
+  homePosition: {
+    type: Number,
+    default: 0
+  },
+  // Products in the home page rail; the collection page shows them all
+  homeLimit: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 12
+  },
+  // Visibility window; blank means no limit
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  metaTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isListed: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+collectionSchema.index({ previousSlugs: 1 });
+collectionSchema.index({ showOnHome: 1, homePosition: 1 });
+collectionSchema.index({ products: 1 });
+
+const Collection = mongoose.model('Collection', collectionSchema);
+module.exports = Collection;
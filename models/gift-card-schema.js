@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Every change to a card's balance, newest last
+const giftCardTransactionSchema = new Schema({
+  type: {
+    type: String,
+    // issue: bought; order: spent at checkout; refund: given back by an order that was never paid;
+    // wallet: moved to a wallet; void: cancelled by an admin
+    enum: ['issue', 'order', 'refund', 'wallet', 'void'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A digital gift card bought in the shop. Its code works like cash: whoever holds it can spend
+// the balance at checkout, in part or in full, or move it into their wallet until it expires.
+const giftCardSchema = new Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Buyer and the order line the card was bought on
+  purchaser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  recipientName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  recipientEmail: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Set once the recipient's email has gone out; admins can resend from the lookup page
+  emailedAt: {
+    type: Date,
+    default: null
+  },
+  isVoid: {
+    type: Boolean,
+    default: false
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidReason: {
+    type: String,
+    default: null
+  },
+  transactions: [giftCardTransactionSchema]
+}, { timestamps: true });
+
+giftCardSchema.index({ order: 1 });
+giftCardSchema.index({ recipientEmail: 1 });
+giftCardSchema.index({ 'transactions.order': 1 });
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+module.exports = GiftCard;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A time-boxed percentage discount on one product, category or brand.
+// Offers are never deleted so past promotions stay auditable against orders.
+const offerSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  discountPercentage: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 99
+  },
+  targetType: {
+    type: String,
+    enum: ["product", "category", "brand"],
+    required: true
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    default: null
+  },
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: "Category",
+    default: null
+  },
+  brand: {
+    type: Schema.Types.ObjectId,
+    ref: "Brand",
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Set when an admin ends or cancels the offer before its scheduled end
+  endedEarlyAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { timestamps: true });
+
+offerSchema.index({ startsAt: 1, endsAt: 1 });
+
+const Offer = mongoose.model("Offer", offerSchema);
+
+module.exports = Offer;
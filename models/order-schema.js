@@ -28,10 +28,32 @@ const orderSchema = new Schema({
       ref: 'Product',
       required: true
     },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    variantLabel: {
+      type: String,
+      default: null
+    },
+    sku: {
+      type: String,
+      default: null
+    },
     quantity: {
       type: Number,
       required: true
     },
+    // Bundle lines: the components per set as sold, so cancels and returns restock what
+    // the customer received even if the bundle is edited later
+    bundleItems: [{
+      _id: false,
+      product: { type: Schema.Types.ObjectId, ref: 'Product', required: true },
+      variantId: { type: Schema.Types.ObjectId, default: null },
+      name: { type: String, default: '' },
+      sku: { type: String, default: null },
+      quantity: { type: Number, required: true }
+    }],
     price: {
       type: Number,
       required: true
@@ -40,11 +62,44 @@ const orderSchema = new Schema({
       type: Number,
       required: true
     },
+    // Gift card lines: the recipient and value per card; codes are filled in once the order is paid
+    giftCard: {
+      type: new Schema({
+        recipientName: { type: String, default: '' },
+        recipientEmail: { type: String, required: true },
+        message: { type: String, default: '' },
+        amount: { type: Number, required: true },
+        codes: { type: [String], default: [] },
+        issuedAt: { type: Date, default: null }
+      }, { _id: false }),
+      default: null
+    },
+    // Offer behind the line price at checkout; offer is set only for scheduled offers
+    appliedOffer: {
+      type: new Schema({
+        offer: { type: Schema.Types.ObjectId, ref: 'Offer', default: null },
+        name: { type: String, default: null },
+        offerType: { type: String, enum: ['product', 'category', 'brand'] },
+        percentage: { type: Number }
+      }, { _id: false }),
+      default: null
+    },
     status: {
       type: String,
-      enum: ['Pending', 'Processing', 'Shipped', 'Delivered','Active', 'Cancelled', 'Return Request', 'Returned'],
+      enum: ['Pre-Order', 'Pending', 'Processing', 'Shipped', 'Delivered','Active', 'Cancelled', 'Return Request', 'Returned'],
       default: 'Pending'
     },
+    // Set on pre-order lines; amountPaid is what was charged at checkout, balanceDue is collected on delivery
+    preOrder: {
+      type: new Schema({
+        releaseDate: { type: Date, default: null },
+        paymentType: { type: String, enum: ['full', 'deposit'] },
+        amountPaid: { type: Number, default: 0 },
+        balanceDue: { type: Number, default: 0 },
+        releasedAt: { type: Date, default: null }
+      }, { _id: false }),
+      default: null
+    },
     cancellationReason: {
       type: String,
       default: null
@@ -94,6 +149,20 @@ couponDiscount: {
   type: Number,
   default: 0
 },
+  // Gift card spent on this order; it pays part of finalAmount and refunds of paid orders go to the wallet
+  giftCardCode: {
+    type: String,
+    default: null
+  },
+  giftCardAmount: {
+    type: Number,
+    default: 0
+  },
+  // Set when an unpaid order gave its gift card share back to the card (giftCardAmount is then 0)
+  giftCardRestoredAt: {
+    type: Date,
+    default: null
+  },
   shippingCharges: {
     type: Number,
     default: 0
@@ -102,6 +171,11 @@ couponDiscount: {
     type: Number,
     required: true
   },
+  // Pre-order balance still to be collected on delivery (part of finalAmount)
+  preOrderBalance: {
+    type: Number,
+    default: 0
+  },
   shippingAddress: {
     addressType: String,
     name: String,
@@ -114,7 +188,7 @@ couponDiscount: {
   },
   paymentMethod: {
     type: String,
-    enum: ['Cash on Delivery', 'Online Payment', 'Wallet'],
+    enum: ['Cash on Delivery', 'Online Payment', 'Wallet', 'Gift Card'],
     default: 'Cash on Delivery'
   },
   paymentStatus: {
@@ -136,7 +210,7 @@ couponDiscount: {
   },
   status: {
     type: String,
-    enum: ['Pending', 'Processing', 'Shipped', 'Delivered','Active', 'Cancelled', 'Return Request', 'Returned', 'Partially Cancelled', 'Partially Returned','Partially Delivered'],
+    enum: ['Pre-Order', 'Pending', 'Processing', 'Shipped', 'Delivered','Active', 'Cancelled', 'Return Request', 'Returned', 'Partially Cancelled', 'Partially Returned','Partially Delivered'],
     default: 'Pending'
   },
   orderTimeline: [{
@@ -191,6 +265,9 @@ couponDiscount: {
   },
 }, { timestamps: true });
 
+orderSchema.index({ 'orderedItems.appliedOffer.offer': 1 }, { sparse: true });
+orderSchema.index({ 'orderedItems.product': 1, 'orderedItems.status': 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One price per product per day, taken by the price-alert script. finalPrice is what the
+// shop charged after offers, the same figure the wishlist compares against.
+const priceHistorySchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  regularPrice: {
+    type: Number,
+    required: true
+  },
+  salePrice: {
+    type: Number,
+    required: true
+  },
+  finalPrice: {
+    type: Number,
+    required: true
+  },
+  offerPercentage: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+priceHistorySchema.index({ product: 1, date: -1 }, { unique: true });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+module.exports = PriceHistory;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Item-to-item "frequently bought together" scores, rebuilt from order history by
+// scripts/rebuild-product-affinities.js. One document per product that has co-purchases.
+const productAffinitySchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+    unique: true
+  },
+  // Orders containing this product within the lookback window
+  orderCount: {
+    type: Number,
+    default: 0
+  },
+  // Strongest partners first
+  related: [{
+    _id: false,
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true
+    },
+    coPurchases: {
+      type: Number,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    }
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ProductAffinity = mongoose.model("ProductAffinity", productAffinitySchema);
+
+module.exports = ProductAffinity;
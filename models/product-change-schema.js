@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One version of a product's audit trail: every tracked field an admin save changed, written by
+// recordProductChanges. Never edited or deleted, so past prices can be looked up for disputes.
+const productChangeSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  // 1 for the first recorded change of a product, counting up
+  version: {
+    type: Number,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    // Dotted path, e.g. "salePrice" or "variants.HW-911-RED.salePrice"
+    field: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true
+    },
+    oldValue: {
+      type: Schema.Types.Mixed,
+      default: null
+    },
+    newValue: {
+      type: Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  source: {
+    type: String,
+    enum: ["create", "edit", "import", "stock", "status"],
+    required: true
+  },
+  // Admin who saved the change; null for scripts
+  admin: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  }
+}, { timestamps: true });
+
+productChangeSchema.index({ product: 1, version: -1 });
+productChangeSchema.index({ product: 1, createdAt: -1 });
+
+const ProductChange = mongoose.model("ProductChange", productChangeSchema);
+
+module.exports = ProductChange;
@@ -1,5 +1,52 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { generateUniqueSlug } = require("../utils/seo-utils");
+
+const variantSchema = new Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  scale: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  colour: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  edition: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  regularPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  salePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  images: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new Schema({
   productName: { 
@@ -10,9 +57,34 @@ const productSchema = new Schema({
     type: String, 
     required: true 
   },
+  // Public URL segment for /product/:slug, set once from the name and kept on rename so links don't break
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    lowercase: true
+  },
+  // Optional search-result title and description; blank uses the product name and description
+  metaTitle: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  metaDescription: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Brand display name, kept in step with brandId by syncBrandName; listings and text search read it
   brand: { type: String,  
     required: true 
   },
+  brandId: {
+    type: Schema.Types.ObjectId,
+    ref: "Brand",
+    default: null
+  },
   category: {
     type: Schema.Types.ObjectId,
     ref: "Category",
@@ -36,6 +108,47 @@ const productSchema = new Schema({
     type: Number, 
     default: 0 
   },
+  variants: [variantSchema],
+  // Bundles and gift sets: one listing made of other products at its own price. A bundle holds
+  // no stock of its own; quantity is the number of complete sets its components allow, kept up
+  // to date by syncBundleStock.
+  isBundle: {
+    type: Boolean,
+    default: false
+  },
+  bundleItems: [{
+    _id: false,
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true
+    },
+    // Required when the component has variants
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  // Digital gift cards: each variant is a denomination (or the product itself when it has none)
+  // and buying one emails a code to the recipient entered on the product page
+  isGiftCard: {
+    type: Boolean,
+    default: false
+  },
+  // Typed attributes, validated against the category's attribute configuration
+  attributes: {
+    scale: { type: String, trim: true },
+    manufacturer: { type: String, trim: true },
+    material: { type: String, trim: true },
+    modelYear: { type: Number },
+    licence: { type: String, trim: true },
+    editionSize: { type: Number }
+  },
   features: {
     type: String,
     required: true
@@ -47,6 +160,18 @@ const productSchema = new Schema({
   subImages: [{ 
     type: String 
   }],
+  // Responsive renditions per image, written by saveProductImage / generateImageDerivatives
+  imageDerivatives: [{
+    _id: false,
+    filename: { type: String, required: true },
+    sizes: [{
+      _id: false,
+      name: { type: String, required: true },
+      width: { type: Number, required: true },
+      jpeg: { type: String, required: true },
+      webp: { type: String, required: true }
+    }]
+  }],
   isBlocked: { 
     type: Boolean, 
     default: false 
@@ -56,10 +181,125 @@ const productSchema = new Schema({
     enum: ["Available", "Out of Stock", "Discontinued"],
     default: "Available"
   },
+  // Low-stock alert level; null falls back to the category's lowStockThreshold
+  reorderThreshold: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Per-customer cap for limited editions, counted across variants. maxPerCustomer 0 means
+  // no limit; windowDays 0 counts every past order.
+  purchaseLimit: {
+    maxPerCustomer: { type: Number, default: 0, min: 0 },
+    windowDays: { type: Number, default: 0, min: 0 }
+  },
+  // Pre-order mode for announced releases. Lines ordered while the product is out of stock
+  // are held as Pre-Order and released by releasePreOrders when stock arrives.
+  preOrder: {
+    isEnabled: { type: Boolean, default: false },
+    releaseDate: { type: Date, default: null },
+    paymentType: {
+      type: String,
+      enum: ["full", "deposit"],
+      default: "full"
+    },
+    depositPercentage: { type: Number, default: 20, min: 1, max: 99 },
+    // Most units that may be held on pre-order at once
+    cap: { type: Number, default: 0, min: 0 },
+    // Units currently held, maintained by reservePreOrder / releaseReservation
+    reservedCount: { type: Number, default: 0, min: 0 }
+  },
+  // Denormalised text for the search index, maintained by syncProductSearchFields
+  search: {
+    categoryName: { type: String, default: '' },
+    attributesText: { type: String, default: '' }
+  },
+  // Maintained from approved reviews by refreshProductRating
+  averageRating: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  // Product page views, counted once per viewer per half hour by recordProductView
+  viewCount: {
+    type: Number,
+    default: 0
+  },
   isListed: { type: Boolean, default: true },
-  isDeleted: { type: Boolean, default: false }
+  isDeleted: { type: Boolean, default: false },
+  // When the product was moved to the trash; purged automatically after TRASH_RETENTION_DAYS
+  deletedAt: { type: Date, default: null }
 }, { timestamps: true });
 
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ brandId: 1 });
+productSchema.index({ 'bundleItems.product': 1 });
+productSchema.index({ viewCount: -1 });
+productSchema.index({ 'attributes.scale': 1 });
+productSchema.index({ 'attributes.manufacturer': 1 });
+productSchema.index(
+  {
+    productName: 'text',
+    brand: 'text',
+    'search.categoryName': 'text',
+    'search.attributesText': 'text',
+    description: 'text'
+  },
+  {
+    name: 'product_search_text',
+    weights: {
+      productName: 10,
+      brand: 6,
+      'search.categoryName': 4,
+      'search.attributesText': 3,
+      description: 1
+    }
+  }
+);
+
+/**
+ * Roll variant data up to the product-level fields that listings, filters and
+ * sorting read: total stock of active variants and the cheapest active price.
+ * @param {Array} variants - Variant subdocuments or plain objects
+ * @returns {Object|null} - { quantity, regularPrice, salePrice } or null when there are no active variants
+ */
+productSchema.statics.summariseVariants = function(variants = []) {
+  const active = variants.filter(variant => variant.isActive !== false);
+  if (active.length === 0) return null;
+
+  const cheapest = active.reduce((min, variant) =>
+    variant.salePrice < min.salePrice ? variant : min
+  );
+
+  return {
+    quantity: active.reduce((sum, variant) => sum + (variant.quantity || 0), 0),
+    regularPrice: cheapest.regularPrice,
+    salePrice: cheapest.salePrice
+  };
+};
+
+productSchema.pre('validate', async function(next) {
+  if (!this.slug) {
+    this.slug = await generateUniqueSlug(this.constructor, this.productName, this._id, 'product');
+  }
+  next();
+});
+
+productSchema.pre('save', function(next) {
+  if (this.isModified('variants')) {
+    const summary = this.constructor.summariseVariants(this.variants);
+    if (summary) {
+      this.quantity = summary.quantity;
+      this.regularPrice = summary.regularPrice;
+      this.salePrice = summary.salePrice;
+    }
+  }
+  next();
+});
+
 const Product = mongoose.model("Product", productSchema);
 
-module.exports = Product;
\ No newline at end of file
+module.exports = Product;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A customer's pre-purchase question about a product. Questions appear straight away;
+// admins can hide them.
+const questionSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  text: {
+    type: String,
+    trim: true,
+    required: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ["Published", "Hidden"],
+    default: "Published"
+  },
+  // Maintained from the question's answers by refreshQuestionCounts
+  answerCount: {
+    type: Number,
+    default: 0
+  },
+  pendingAnswerCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+questionSchema.index({ product: 1, status: 1, createdAt: -1 });
+questionSchema.index({ status: 1, answerCount: 1, createdAt: 1 });
+
+const Question = mongoose.model("Question", questionSchema);
+
+module.exports = Question;
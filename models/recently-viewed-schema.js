@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A logged-in customer's product view history, newest first. Guests keep the same
+// list in their session until they log in, when mergeGuestHistory folds it in here.
+const recentlyViewedSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, { timestamps: true });
+
+const RecentlyViewed = mongoose.model("RecentlyViewed", recentlyViewedSchema);
+
+module.exports = RecentlyViewed;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const reviewSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // Delivered order that qualifies this as a verified purchase
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ""
+  },
+  comment: {
+    type: String,
+    trim: true,
+    required: true,
+    maxlength: 2000
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ["Pending", "Approved", "Rejected"],
+    default: "Pending"
+  },
+  moderationNote: {
+    type: String,
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A group of interchangeable search terms, e.g. ["lambo", "lamborghini"]
+const searchSynonymSchema = new Schema({
+  terms: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: terms => terms.length >= 2,
+      message: "A synonym group needs at least two terms"
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+searchSynonymSchema.index({ terms: 1 });
+
+const SearchSynonym = mongoose.model("SearchSynonym", searchSynonymSchema);
+
+module.exports = SearchSynonym;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One row per stock change, written by adjustStock / recordStockMovement
+const stockMovementSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  // Set when the change applied to a single variant
+  variantId: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Stock of the variant (or the product, when there is no variant) after the change
+  quantityAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ["sale", "cancel", "return", "manual", "damage"],
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "Order",
+    default: null
+  },
+  // Customer or admin who caused the change; null for system changes
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: ["customer", "admin", "system"],
+    default: "system"
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  }
+}, { timestamps: true });
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// A "notify me" request for an out-of-stock product. Restocks move Waiting requests to
+// Queued; the restock script emails Queued ones in batches and marks them Notified.
+const stockSubscriptionSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: "Product",
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ["Waiting", "Queued", "Notified", "Cancelled"],
+    default: "Waiting"
+  },
+  queuedAt: {
+    type: Date,
+    default: null
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ status: 1, queuedAt: 1 });
+stockSubscriptionSchema.index({ product: 1, email: 1 });
+
+const StockSubscription = mongoose.model("StockSubscription", stockSubscriptionSchema);
+
+module.exports = StockSubscription;
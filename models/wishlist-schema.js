@@ -16,6 +16,20 @@ const wishlistSchema = new Schema({
     addedOn: {
       type: Date,
       default: Date.now
+    },
+    // Price after offers when saved, for "price dropped" messages and alerts
+    priceAtAdd: {
+      type: Number,
+      default: null
+    },
+    // Price the last drop alert quoted; the next alert needs a further drop from here
+    lastAlertedPrice: {
+      type: Number,
+      default: null
+    },
+    lastAlertedAt: {
+      type: Date,
+      default: null
     }
   }]
 }, { timestamps: true });
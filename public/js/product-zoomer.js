@@ -63,8 +63,8 @@ function initImageMagnifier() {
         const percentX = (cursorX / rect.width) * 100;
         const percentY = (cursorY / rect.height) * 100;
         
-        // Get current image src (ensure it's fully loaded)
-        const currentImageSrc = mainImage.complete ? mainImage.src : mainImage.getAttribute('src');
+        // Prefer the large zoom rendition; fall back to whichever source the browser picked
+        const currentImageSrc = mainImage.dataset.zoomSrc || mainImage.currentSrc || mainImage.src;
         
         // Update magnifier glass background
         magnifierGlass.style.backgroundImage = `url('${currentImageSrc}')`;
@@ -148,10 +148,7 @@ function initThumbnailGallery() {
     
     thumbnails.forEach(thumbnail => {
         thumbnail.addEventListener('click', function() {
-            // Extract image URL from onclick attribute
-            const onclickAttr = this.getAttribute('onclick');
-            const imageSrc = onclickAttr.match(/'([^']+)'/)[1];
-            changeImage(this, imageSrc);
+            showProductImage(this);
             
             // Reset zoom elements when changing image
             resetZoomElements();
@@ -220,12 +217,23 @@ function initProductTabs() {
 }
 
 /**
- * Image Change Function
+ * Show the photo behind a thumbnail in the main image, swapping the WebP and
+ * JPEG srcsets and the zoom rendition (window.productImageSets, keyed by filename)
  */
-function changeImage(thumbnail, imageSrc) {
+function showProductImage(thumbnail) {
     const mainImage = document.getElementById('mainImage');
-    if (mainImage) {
-        mainImage.src = imageSrc;
+    const imageSet = (window.productImageSets || {})[thumbnail.dataset.image];
+    if (mainImage && imageSet) {
+        const webpSource = mainImage.parentNode.querySelector('source[type="image/webp"]');
+        if (webpSource) webpSource.srcset = imageSet.webpSrcset;
+
+        if (imageSet.srcset) {
+            mainImage.srcset = imageSet.srcset;
+        } else {
+            mainImage.removeAttribute('srcset');
+        }
+        mainImage.src = imageSet.src;
+        mainImage.dataset.zoomSrc = imageSet.zoom;
     }
     
     // Update thumbnail active state
@@ -270,14 +278,15 @@ window.addEventListener('resize', function() {
 // Preload images for better performance
 function preloadImages() {
     const thumbnails = document.querySelectorAll('.thumbnail');
+    const mainImage = document.getElementById('mainImage');
     thumbnails.forEach(thumbnail => {
-        const img = new Image();
-        const onclickAttr = thumbnail.getAttribute('onclick');
-        if (onclickAttr) {
-            const imageSrc = onclickAttr.match(/'([^']+)'/);
-            if (imageSrc && imageSrc[1]) {
-                img.src = imageSrc[1];
-            }
+        const imageSet = (window.productImageSets || {})[thumbnail.dataset.image];
+        if (imageSet) {
+            // Same sizes hint as the main image so the browser fetches the rendition it will show
+            const img = new Image();
+            if (mainImage) img.sizes = mainImage.sizes;
+            if (imageSet.srcset) img.srcset = imageSet.srcset;
+            img.src = imageSet.src;
         }
     });
 }
@@ -12,7 +12,17 @@ const returnController = require("../../controllers/admin/return-controller");
 const salesReportController = require("../../controllers/admin/sales-report-controller");
 const couponController = require("../../controllers/admin/coupon-controller");
 const ledgerController = require("../../controllers/admin/ledger-controller");
-const { productUpload, handleMulterError } = require('../../config/multer-config');
+const reviewController = require("../../controllers/admin/review-controller");
+const questionController = require("../../controllers/admin/question-controller");
+const inventoryController = require("../../controllers/admin/inventory-controller");
+const searchController = require("../../controllers/admin/search-controller");
+const offerController = require("../../controllers/admin/offer-controller");
+const brandController = require("../../controllers/admin/brand-controller");
+const catalogueController = require("../../controllers/admin/catalogue-controller");
+const trashController = require("../../controllers/admin/trash-controller");
+const collectionController = require("../../controllers/admin/collection-controller");
+const giftCardController = require("../../controllers/admin/gift-card-controller");
+const { productUpload, brandUpload, catalogueUpload, handleMulterError } = require('../../config/multer-config');
 
 
 
@@ -35,6 +45,8 @@ adminRoute.get("/api/dashboard/best-selling-products", isAdminAuthenticated, das
 adminRoute.get("/api/dashboard/best-selling-category", isAdminAuthenticated, dashboardController.getBestSellingCategory);
 adminRoute.get("/api/dashboard/best-selling-brand", isAdminAuthenticated, dashboardController.getBestSellingBrand);
 adminRoute.get("/api/dashboard/revenue-distribution", isAdminAuthenticated, dashboardController.getRevenueDistribution);
+adminRoute.get("/api/dashboard/low-stock", isAdminAuthenticated, dashboardController.getLowStockProducts);
+adminRoute.get("/api/dashboard/most-viewed-products", isAdminAuthenticated, dashboardController.getMostViewedProducts);
 
 
 //User Management
@@ -50,7 +62,9 @@ adminRoute.get('/get-categories', isAdminAuthenticated, preventCache, getCategor
 adminRoute.post('/get-categories', isAdminAuthenticated, preventCache, getCategoryController.addCategoryAPI);
 adminRoute.put('/get-categories/:id', isAdminAuthenticated, preventCache, getCategoryController.updateCategoryAPI);
 adminRoute.patch('/get-categories/:id/offer', isAdminAuthenticated, preventCache, getCategoryController.updateCategoryOfferAPI);
+adminRoute.patch('/get-categories/:id/attributes', isAdminAuthenticated, preventCache, getCategoryController.updateCategoryAttributesAPI);
 adminRoute.patch('/get-categories/:id/status', isAdminAuthenticated, preventCache, getCategoryController.toggleCategoryStatusAPI);
+adminRoute.patch('/get-categories/:id/parent', isAdminAuthenticated, preventCache, getCategoryController.moveCategoryAPI);
 adminRoute.delete('/get-categories/:id', isAdminAuthenticated, preventCache, getCategoryController.deleteCategoryAPI);
 
 // Product Management Routes
@@ -58,6 +72,15 @@ adminRoute.get('/get-product', isAdminAuthenticated, preventCache, productContro
 adminRoute.get('/add-product', isAdminAuthenticated, preventCache, productController.getAddProduct);
 adminRoute.get('/edit-product/:id', isAdminAuthenticated, preventCache, productController.getEditProduct);
 
+// Catalogue Import/Export
+adminRoute.get('/products/import', isAdminAuthenticated, preventCache, catalogueController.getImportPage);
+adminRoute.post('/products/import', isAdminAuthenticated, preventCache, catalogueUpload.single('catalogueFile'), handleMulterError, catalogueController.importProducts);
+adminRoute.get('/products/export', isAdminAuthenticated, preventCache, catalogueController.exportProducts);
+
+// Stock Adjustments and Movement History
+adminRoute.get('/products/:id/stock', isAdminAuthenticated, preventCache, inventoryController.getStockPage);
+adminRoute.post('/products/:id/stock', isAdminAuthenticated, preventCache, inventoryController.adjustProductStock);
+
 
 // Product API Routes
 adminRoute.post('/api/products', isAdminAuthenticated, preventCache, productController.addProduct);
@@ -65,6 +88,7 @@ adminRoute.get('/api/products/:id', isAdminAuthenticated, preventCache, productC
 adminRoute.put('/api/products/:id', isAdminAuthenticated, preventCache, productUpload.array('productImages', 10), handleMulterError, productController.updateProduct);
 adminRoute.delete('/api/products/:id', isAdminAuthenticated, preventCache, productController.deleteProduct);
 adminRoute.patch('/api/products/:id/status', isAdminAuthenticated, preventCache, productController.toggleProductStatus);
+adminRoute.get('/api/products/:id/price-as-of', isAdminAuthenticated, preventCache, productController.getProductPriceAsOf);
 
 // Order Management Routes
 adminRoute.get('/get-orders', isAdminAuthenticated, preventCache, orderController.getOrders);
@@ -87,6 +111,59 @@ adminRoute.patch('/coupons/:id/toggle-status', isAdminAuthenticated, preventCach
 adminRoute.delete('/coupons/:id', isAdminAuthenticated, preventCache, couponController.deleteCoupon);
 
 
+// Scheduled Offers
+adminRoute.get("/offers", isAdminAuthenticated, preventCache, offerController.getOffersPage);
+adminRoute.post("/offers", isAdminAuthenticated, preventCache, offerController.createOffer);
+adminRoute.put("/offers/:id", isAdminAuthenticated, preventCache, offerController.updateOffer);
+adminRoute.patch("/offers/:id/end", isAdminAuthenticated, preventCache, offerController.endOffer);
+adminRoute.get("/offers/:id/orders", isAdminAuthenticated, preventCache, offerController.getOfferOrders);
+
+
+// Brands
+adminRoute.get("/brands", isAdminAuthenticated, preventCache, brandController.getBrandsPage);
+adminRoute.post("/brands", isAdminAuthenticated, preventCache, brandUpload.single('logo'), handleMulterError, brandController.createBrand);
+adminRoute.put("/brands/:id", isAdminAuthenticated, preventCache, brandUpload.single('logo'), handleMulterError, brandController.updateBrand);
+adminRoute.patch("/brands/:id/status", isAdminAuthenticated, preventCache, brandController.toggleBrandStatus);
+adminRoute.delete("/brands/:id", isAdminAuthenticated, preventCache, brandController.deleteBrand);
+
+// Collections
+adminRoute.get("/collections", isAdminAuthenticated, preventCache, collectionController.getCollectionsPage);
+adminRoute.post("/collections", isAdminAuthenticated, preventCache, collectionController.createCollection);
+adminRoute.put("/collections/:id", isAdminAuthenticated, preventCache, collectionController.updateCollection);
+adminRoute.patch("/collections/:id/status", isAdminAuthenticated, preventCache, collectionController.toggleCollectionStatus);
+adminRoute.delete("/collections/:id", isAdminAuthenticated, preventCache, collectionController.deleteCollection);
+
+// Gift cards
+adminRoute.get("/gift-cards", isAdminAuthenticated, preventCache, giftCardController.getGiftCardsPage);
+adminRoute.patch("/gift-cards/:id/void", isAdminAuthenticated, preventCache, giftCardController.voidGiftCardById);
+adminRoute.post("/gift-cards/:id/resend", isAdminAuthenticated, preventCache, giftCardController.resendGiftCard);
+
+
+// Trash
+adminRoute.get("/trash", isAdminAuthenticated, preventCache, trashController.getTrashPage);
+adminRoute.post("/trash/:type/:id/restore", isAdminAuthenticated, preventCache, trashController.restoreItem);
+adminRoute.delete("/trash/:type/:id", isAdminAuthenticated, preventCache, trashController.purgeItem);
+
+
+// Review Moderation
+adminRoute.get("/reviews", isAdminAuthenticated, preventCache, reviewController.getReviews);
+adminRoute.patch("/reviews/:id/status", isAdminAuthenticated, preventCache, reviewController.updateReviewStatus);
+
+
+// Product Q&A
+adminRoute.get("/questions", isAdminAuthenticated, preventCache, questionController.getQuestions);
+adminRoute.post("/questions/:id/answers", isAdminAuthenticated, preventCache, questionController.postAdminAnswer);
+adminRoute.patch("/questions/:id/status", isAdminAuthenticated, preventCache, questionController.updateQuestionStatus);
+adminRoute.patch("/answers/:id/status", isAdminAuthenticated, preventCache, questionController.updateAnswerStatus);
+
+
+// Search Synonyms
+adminRoute.get("/search-synonyms", isAdminAuthenticated, preventCache, searchController.getSearchSynonyms);
+adminRoute.post("/search-synonyms", isAdminAuthenticated, preventCache, searchController.addSearchSynonym);
+adminRoute.put("/search-synonyms/:id", isAdminAuthenticated, preventCache, searchController.updateSearchSynonym);
+adminRoute.delete("/search-synonyms/:id", isAdminAuthenticated, preventCache, searchController.deleteSearchSynonym);
+
+
 // Sales Report Management
 adminRoute.get("/sales-report", isAdminAuthenticated, preventCache, salesReportController.getSalesReport);
 adminRoute.get("/sales-report/export-pdf", isAdminAuthenticated, preventCache, salesReportController.exportPDF);
@@ -13,9 +13,16 @@ const checkoutController = require("../../controllers/user/checkout-controller")
 const userUtilityController = require("../../controllers/user/user-utility-controller");
 const { checkProductAvailabilityForPage, checkProductAvailability, checkProductAvailabilityForWishlist } = require("../../middlewares/product-availability-middleware");
 const { isUserAuthenticated, preventCache, redirectIfAuthenticated, validateSession, addUserContext, checkUserBlocked } = require("../../middlewares/user-middleware");
-const { profileUpload, handleMulterError } = require("../../config/multer-config");
+const { profileUpload, reviewUpload, handleMulterError } = require("../../config/multer-config");
 const referralController = require('../../controllers/user/referral-controller');
 const couponController = require("../../controllers/user/user-coupon-controller");
+const reviewController = require("../../controllers/user/review-controller");
+const questionController = require("../../controllers/user/question-controller");
+const compareController = require("../../controllers/user/compare-controller");
+const restockController = require("../../controllers/user/restock-controller");
+const seoController = require("../../controllers/user/seo-controller");
+const giftCardController = require("../../controllers/user/gift-card-controller");
+const { mergeGuestHistory } = require("../../utils/recently-viewed-utils");
 
 
 
@@ -27,8 +34,10 @@ router.get(
 // Google OAuth Callback 
 router.get(
   "/auth/google/callback",
-  passport.authenticate("google", { failureRedirect: "/signup" }),
+  // keepSessionInfo keeps the guest session's browsing history through Passport's own login
+  passport.authenticate("google", { failureRedirect: "/signup", keepSessionInfo: true }),
   (req, res, next) => {
+    const guestHistory = req.session.recentlyViewed || [];
     //  First, regenerate the session to prevent fixation attacks
     req.session.regenerate((err) => {
       if (err) {
@@ -36,7 +45,7 @@ router.get(
         return res.redirect("/login?error=session");
       }
       //  Now tell Passport to store the logged-in user in the new session
-      req.login(req.user, (err) => {
+      req.login(req.user, async (err) => {
         if (err) {
           console.error("Passport login error:", err);
           return res.redirect("/login?error=login");
@@ -45,6 +54,7 @@ router.get(
         req.session.email = req.user.email;
         req.session.loginTime = new Date();
         req.session.user = req.user;  
+        await mergeGuestHistory(req.user._id, guestHistory);
         req.session.save((err) => {
           if (err) {
             console.error("Session save error:", err);
@@ -106,7 +116,30 @@ router.get("/api/category/:categoryId/products", validateSession, addUserContext
 
 // Shop Page
 router.get("/shopPage", validateSession, addUserContext, checkUserBlocked, userProductController.getShopPage);
+router.get("/brand/:slug", validateSession, addUserContext, checkUserBlocked, userProductController.getBrandPage);
+router.get("/category/:slug", validateSession, addUserContext, checkUserBlocked, userProductController.getCategoryPage);
+router.get("/collections/:slug", validateSession, addUserContext, checkUserBlocked, userProductController.getCollectionPage);
+// Takes the product slug; an ObjectId redirects permanently to the slug URL
 router.get("/product/:id", validateSession, addUserContext, checkUserBlocked, userProductController.getProductDetails);
+
+// Crawler files, generated from the current catalogue
+router.get("/sitemap.xml", seoController.getSitemap);
+router.get("/robots.txt", seoController.getRobotsTxt);
+
+// Product comparison (session tray, open to guests)
+router.get("/compare", validateSession, addUserContext, checkUserBlocked, compareController.getComparePage);
+router.get("/compare/tray", validateSession, checkUserBlocked, compareController.getCompareTray);
+router.post("/compare/:id", validateSession, checkUserBlocked, compareController.addToCompare);
+router.delete("/compare/:id", validateSession, checkUserBlocked, compareController.removeFromCompare);
+router.delete("/compare", validateSession, checkUserBlocked, compareController.clearCompare);
+
+// Back-in-stock alerts (open to guests, who give an email)
+router.post("/product/:id/notify-restock", validateSession, checkUserBlocked, restockController.notifyWhenInStock);
+
+router.post("/product/:id/reviews", isUserAuthenticated, preventCache, checkUserBlocked, reviewUpload.array('reviewImages', 3), handleMulterError, reviewController.submitReview);
+router.post("/product/:id/questions", isUserAuthenticated, preventCache, checkUserBlocked, questionController.askQuestion);
+router.post("/questions/:id/answers", isUserAuthenticated, preventCache, checkUserBlocked, questionController.answerQuestion);
+router.post("/answers/:id/upvote", isUserAuthenticated, preventCache, checkUserBlocked, questionController.toggleAnswerUpvote);
 // Product API endpoints
 router.get("/api/wishlist/ids", validateSession, addUserContext, checkUserBlocked, userProductController.getUserWishlistIds);
 router.post("/api/cart/add", validateSession, addUserContext, checkUserBlocked, userProductController.addToCart);
@@ -165,6 +198,7 @@ router.post("/checkout/place-order", isUserAuthenticated, preventCache, checkUse
 router.post("/checkout/create-razorpay-order", isUserAuthenticated, preventCache, checkUserBlocked, checkoutController.createRazorpayOrder);
 router.post("/checkout/verify-payment", isUserAuthenticated, preventCache, checkUserBlocked, checkoutController.verifyPayment);
 router.post("/checkout/payment-failed", isUserAuthenticated, preventCache, checkUserBlocked, checkoutController.paymentFailed);
+router.post("/checkout/gift-card", isUserAuthenticated, preventCache, checkUserBlocked, giftCardController.checkGiftCard);
 router.get("/order-success/:orderId", isUserAuthenticated, preventCache, addUserContext, checkUserBlocked, checkoutController.loadOrderSuccess);
 
 // Order-related routes
@@ -180,6 +214,7 @@ router.get("/orders/:orderId/download-invoice", isUserAuthenticated, preventCach
 
 // Wallet route
 router.get("/wallet", isUserAuthenticated, preventCache, addUserContext, checkUserBlocked, userProfileController.loadWallet);
+router.post("/wallet/redeem-gift-card", isUserAuthenticated, preventCache, checkUserBlocked, giftCardController.addGiftCardToWallet);
 
 // Coupon-related routes
 router.get("/coupons", isUserAuthenticated, preventCache, addUserContext, checkUserBlocked, couponController.getUserCoupons);
@@ -0,0 +1,40 @@
+// Give products and categories saved before slugs existed a slug from their name, so their pages
+// move from /product/:id to /product/:slug (the id URLs redirect). Slugs that already exist are
+// never changed. Safe to re-run: npm run seo:slugs
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product-schema');
+const Category = require('../models/category-schema');
+const { generateUniqueSlug } = require('../utils/seo-utils');
+
+const backfill = async (Model, nameField, fallback) => {
+    const documents = await Model.find({ slug: null })
+        .select(nameField)
+        .sort({ createdAt: 1 })
+        .lean();
+
+    for (const document of documents) {
+        const slug = await generateUniqueSlug(Model, document[nameField], document._id, fallback);
+        await Model.updateOne({ _id: document._id }, { $set: { slug } });
+    }
+    return documents.length;
+};
+
+const backfillSlugs = async () => {
+    await connectDB();
+
+    await Product.syncIndexes();
+    await Category.syncIndexes();
+
+    const products = await backfill(Product, 'productName', 'product');
+    const categories = await backfill(Category, 'name', 'category');
+
+    console.log(`Slugs added: ${products} products, ${categories} categories`);
+    await mongoose.disconnect();
+};
+
+backfillSlugs().catch(async (error) => {
+    console.error('Error backfilling slugs:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+// Backfill responsive renditions (thumb/card/detail/zoom, JPEG + WebP) for product
+// photos uploaded before derivatives existed, and record them on each product.
+// Usage: npm run images:backfill            (only images without derivatives)
+//        npm run images:backfill -- --force (regenerate everything)
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product-schema');
+const { uploadDir } = require('../config/multer-config');
+const { generateImageDerivatives, mergeImageDerivatives } = require('../utils/image-utils');
+
+const force = process.argv.includes('--force');
+
+const backfillImageDerivatives = async () => {
+    await connectDB();
+
+    const products = await Product.find().select('productName mainImage subImages imageDerivatives');
+    let generated = 0;
+    let missing = 0;
+
+    for (const product of products) {
+        const images = [product.mainImage, ...product.subImages].filter(Boolean);
+        const existing = force ? [] : product.imageDerivatives.map(entry => entry.toObject());
+        const added = [];
+
+        for (const filename of images) {
+            if (existing.some(entry => entry.filename === filename)) continue;
+
+            const filePath = path.join(uploadDir, filename);
+            if (!fs.existsSync(filePath)) {
+                console.warn(`Missing file for ${product.productName}: ${filename}`);
+                missing++;
+                continue;
+            }
+
+            // Older originals are 800px, so their zoom rendition matches the detail size
+            added.push(await generateImageDerivatives(filePath, filename));
+            generated++;
+        }
+
+        if (added.length > 0 || force) {
+            // updateOne so the backfill doesn't touch updatedAt or run the save hooks
+            await Product.updateOne(
+                { _id: product._id },
+                { $set: { imageDerivatives: mergeImageDerivatives(existing, images, added) } },
+                { timestamps: false }
+            );
+        }
+    }
+
+    console.log(`Derivatives generated for ${generated} images across ${products.length} products (${missing} missing files)`);
+    await mongoose.disconnect();
+};
+
+backfillImageDerivatives().catch(async (error) => {
+    console.error('Error generating image derivatives:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
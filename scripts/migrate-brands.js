@@ -0,0 +1,71 @@
+// Create Brand documents from the free-text brand on each product and link products to them.
+// Spellings that differ only in case, spaces or punctuation ("Hot Wheels", "hotwheels") become one
+// brand named after the most common spelling. Safe to re-run: npm run brands:migrate
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Brand = require('../models/brand-schema');
+const Product = require('../models/product-schema');
+const Offer = require('../models/offer-schema');
+const { findOrCreateBrand } = require('../utils/brand-utils');
+
+const migrateBrands = async () => {
+    await connectDB();
+
+    await Brand.syncIndexes();
+    await Product.syncIndexes();
+
+    const spellings = await Product.aggregate([
+        { $match: { brandId: null, brand: { $nin: [null, ''] } } },
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+
+    // nameKey -> spellings, most common first
+    const groups = new Map();
+    spellings.forEach(({ _id: spelling }) => {
+        const nameKey = Brand.toNameKey(spelling);
+        if (!nameKey) return;
+        if (!groups.has(nameKey)) groups.set(nameKey, []);
+        groups.get(nameKey).push(spelling);
+    });
+
+    let brandsCreated = 0;
+    let productsLinked = 0;
+    const brandIdsByName = new Map();
+
+    for (const variants of groups.values()) {
+        const { brand, created } = await findOrCreateBrand(variants[0].trim());
+        if (created) brandsCreated++;
+
+        const result = await Product.updateMany(
+            { brandId: null, brand: { $in: variants } },
+            { $set: { brandId: brand._id, brand: brand.name } }
+        );
+        productsLinked += result.modifiedCount;
+        variants.forEach(spelling => brandIdsByName.set(spelling.trim().toLowerCase(), brand._id));
+    }
+
+    // Brand offers created before brands existed stored the name; point them at the brand
+    let offersLinked = 0;
+    const legacyOffers = await Offer.collection
+        .find({ targetType: 'brand', brand: { $type: 'string' } })
+        .toArray();
+    for (const offer of legacyOffers) {
+        let brandId = brandIdsByName.get(offer.brand.trim().toLowerCase());
+        if (!brandId) {
+            const { brand } = await findOrCreateBrand(offer.brand);
+            brandId = brand._id;
+        }
+        await Offer.collection.updateOne({ _id: offer._id }, { $set: { brand: brandId } });
+        offersLinked++;
+    }
+
+    console.log(`Brands created: ${brandsCreated}, products linked: ${productsLinked}, offers linked: ${offersLinked}`);
+    await mongoose.disconnect();
+};
+
+migrateBrands().catch(async (error) => {
+    console.error('Error migrating brands:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
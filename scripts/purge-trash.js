@@ -0,0 +1,22 @@
+// Permanently delete products, categories and coupons that have been in the admin trash longer
+// than TRASH_RETENTION_DAYS (default 30). Schedule daily, e.g. cron: 30 3 * * * cd /path/to/app && npm run trash:purge
+// Items that orders or offers still reference stay in the trash.
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { purgeExpiredTrash, TRASH_RETENTION_DAYS } = require('../utils/trash-utils');
+
+const purgeTrash = async () => {
+    await connectDB();
+
+    const { purged, kept } = await purgeExpiredTrash();
+    console.log(`Trash older than ${TRASH_RETENTION_DAYS} days purged: ${purged.products} products, ` +
+        `${purged.categories} categories, ${purged.coupons} coupons (${kept} kept)`);
+
+    await mongoose.disconnect();
+};
+
+purgeTrash().catch(async (error) => {
+    console.error('Error purging trash:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
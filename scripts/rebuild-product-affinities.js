@@ -0,0 +1,22 @@
+// Rebuild "frequently bought together" scores from order history.
+// Schedule nightly, e.g. cron: 30 2 * * * cd /path/to/app && npm run recommendations:rebuild
+// AFFINITY_LOOKBACK_DAYS (default 365) limits how far back orders are considered.
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { rebuildProductAffinities } = require('../utils/recommendation-utils');
+
+const rebuild = async () => {
+    await connectDB();
+
+    const lookbackDays = parseInt(process.env.AFFINITY_LOOKBACK_DAYS) || 365;
+    const { products, pairs } = await rebuildProductAffinities({ lookbackDays });
+    console.log(`Affinities rebuilt for ${products} product(s) from ${pairs} co-purchase pair(s) over ${lookbackDays} days`);
+
+    await mongoose.disconnect();
+};
+
+rebuild().catch(async (error) => {
+    console.error('Error rebuilding product affinities:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,26 @@
+// Recompute the denormalised search fields for every product and sync the text index.
+// Run once after deploying search, or whenever the fields drift: npm run search:rebuild
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product-schema');
+const { syncProductSearchFields } = require('../utils/search-utils');
+
+const rebuildSearchFields = async () => {
+    await connectDB();
+
+    await Product.syncIndexes();
+
+    const products = await Product.find().select('_id').lean();
+    for (const product of products) {
+        await syncProductSearchFields(product._id);
+    }
+
+    console.log(`Search fields rebuilt for ${products.length} products`);
+    await mongoose.disconnect();
+};
+
+rebuildSearchFields().catch(async (error) => {
+    console.error('Error rebuilding search fields:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,40 @@
+// Email admins the products at or below their reorder threshold.
+// Schedule once a day, e.g. cron: 0 8 * * * cd /path/to/app && npm run stock:digest
+// Recipients default to all active admins; set LOW_STOCK_DIGEST_TO (comma-separated) to override.
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/user-model');
+const { getLowStockReport } = require('../utils/stock-utils');
+const { sendLowStockDigest, closeMailer } = require('../utils/mailer');
+
+const VELOCITY_DAYS = 30;
+
+const getRecipients = async () => {
+    if (process.env.LOW_STOCK_DIGEST_TO) {
+        return process.env.LOW_STOCK_DIGEST_TO.split(',').map(email => email.trim()).filter(Boolean);
+    }
+
+    const admins = await User.find({ isAdmin: true, isBlocked: false }).select('email').lean();
+    return admins.map(admin => admin.email);
+};
+
+const sendDigest = async () => {
+    await connectDB();
+
+    const products = await getLowStockReport({ velocityDays: VELOCITY_DAYS });
+    if (products.length === 0) {
+        console.log('No products below their reorder threshold; digest not sent');
+    } else {
+        await sendLowStockDigest(await getRecipients(), products, VELOCITY_DAYS);
+    }
+
+    closeMailer();
+    await mongoose.disconnect();
+};
+
+sendDigest().catch(async (error) => {
+    console.error('Error sending low-stock digest:', error);
+    closeMailer();
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Record today's prices and email customers whose wishlisted models have dropped in price.
+// Schedule once a day, e.g. cron: 0 9 * * * cd /path/to/app && npm run wishlist:price-alerts
+// A drop must be at least PRICE_DROP_ALERT_PERCENT (default 5) below the price when saved, or
+// below the last alert. Each run emails up to PRICE_ALERT_BATCH_SIZE customers (default 50).
+// Links in the email use STORE_URL, e.g. https://minitorque.example.com
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { recordDailyPrices, sendPriceDropAlerts } = require('../utils/price-alert-utils');
+const { closeMailer } = require('../utils/mailer');
+
+const sendAlerts = async () => {
+    await connectDB();
+
+    const recorded = await recordDailyPrices();
+    console.log(`Price history: ${recorded} products recorded`);
+
+    const batchSize = parseInt(process.env.PRICE_ALERT_BATCH_SIZE) || 50;
+    const summary = await sendPriceDropAlerts({ batchSize });
+    console.log(`Price drop alerts: ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+    closeMailer();
+    await mongoose.disconnect();
+};
+
+sendAlerts().catch(async (error) => {
+    console.error('Error sending price drop alerts:', error);
+    closeMailer();
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Email customers whose "notify me" products are back in stock.
+// Schedule every 15 minutes, e.g. cron: */15 * * * * cd /path/to/app && npm run stock:notify
+// Each run emails up to RESTOCK_BATCH_SIZE addresses (default 50); the rest wait for the next run.
+// Links in the email use STORE_URL, e.g. https://minitorque.example.com
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { sendQueuedRestockEmails } = require('../utils/restock-utils');
+const { closeMailer } = require('../utils/mailer');
+
+const sendNotifications = async () => {
+    await connectDB();
+
+    const batchSize = parseInt(process.env.RESTOCK_BATCH_SIZE) || 50;
+    const summary = await sendQueuedRestockEmails({ batchSize });
+    console.log(`Restock notifications: ${summary.sent} sent, ${summary.failed} failed, ` +
+        `${summary.requeued} back to waiting, ${summary.cancelled} cancelled`);
+
+    closeMailer();
+    await mongoose.disconnect();
+};
+
+sendNotifications().catch(async (error) => {
+    console.error('Error sending restock notifications:', error);
+    closeMailer();
+    await mongoose.disconnect();
+    process.exit(1);
+});
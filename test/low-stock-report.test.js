@@ -0,0 +1,46 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+
+process.env.NODEMAILER_EMAIL = process.env.NODEMAILER_EMAIL || 'test@example.com';
+process.env.NODEMAILER_PASSWORD = process.env.NODEMAILER_PASSWORD || 'test';
+
+// No database or mail server here: any query that isn't stubbed fails straight away instead of
+// waiting, and the mailer gets a transport that doesn't connect
+mongoose.set('bufferCommands', false);
+mock.method(nodemailer, 'createTransport', () => ({ verify() {}, sendMail: async () => ({}) }));
+
+const Product = require('../models/product-schema');
+const StockMovement = require('../models/stock-movement-schema');
+const { getLowStockReport } = require('../utils/stock-utils');
+
+afterEach(() => mock.restoreAll());
+
+test('each variant is reported against the threshold with its own sales', async () => {
+  const productId = new mongoose.Types.ObjectId();
+  const red = { _id: new mongoose.Types.ObjectId(), sku: 'GT-RED', colour: 'Red', quantity: 0 };
+  const blue = { _id: new mongoose.Types.ObjectId(), sku: 'GT-BLUE', colour: 'Blue', quantity: 3 };
+
+  const productAggregate = mock.method(Product, 'aggregate', async () => [
+    { _id: productId, productName: 'GT40', threshold: 5, categoryName: 'Le Mans', stockLine: red },
+    { _id: productId, productName: 'GT40', threshold: 5, categoryName: 'Le Mans', stockLine: blue }
+  ]);
+  mock.method(StockMovement, 'aggregate', async () => [
+    { _id: { product: productId, variantId: blue._id }, unitsSold: 30 }
+  ]);
+
+  const report = await getLowStockReport({ velocityDays: 30 });
+
+  // Variants are checked one by one, not the product's total
+  const pipeline = productAggregate.mock.calls[0].arguments[0];
+  assert.ok(pipeline.some(stage => stage.$unwind === '$stockLine'));
+
+  assert.deepStrictEqual(report.map(row => [row.sku, row.variantLabel, row.quantity, row.isOutOfStock]), [
+    ['GT-RED', 'Red', 0, true],
+    ['GT-BLUE', 'Blue', 3, false]
+  ]);
+  assert.strictEqual(report[0].unitsSold, 0);
+  assert.strictEqual(report[1].unitsSold, 30);
+  assert.strictEqual(report[1].daysOfCover, 3);
+});
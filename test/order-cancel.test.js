@@ -0,0 +1,69 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+
+// The controllers set up Razorpay and the mailer when loaded
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'test';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test';
+process.env.NODEMAILER_EMAIL = process.env.NODEMAILER_EMAIL || 'test@example.com';
+process.env.NODEMAILER_PASSWORD = process.env.NODEMAILER_PASSWORD || 'test';
+
+// No database or mail server here: any query that isn't stubbed fails straight away instead of
+// waiting, and the mailer gets a transport that doesn't connect
+mongoose.set('bufferCommands', false);
+mock.method(nodemailer, 'createTransport', () => ({ verify() {}, sendMail: async () => ({}) }));
+
+const Order = require('../models/order-schema');
+const Product = require('../models/product-schema');
+const { cancelEntireOrder } = require('../controllers/user/order-controller');
+
+afterEach(() => mock.restoreAll());
+
+const mockResponse = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('cancelling an online order whose payment failed leaves stock alone', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const product = { _id: new mongoose.Types.ObjectId(), quantity: 5 };
+
+  const order = new Order({
+    orderId: 'ORD-TEST-1',
+    userId,
+    orderedItems: [{ product: product._id, quantity: 2, price: 100, totalPrice: 200, status: 'Pending' }],
+    totalPrice: 200,
+    finalAmount: 200,
+    paymentMethod: 'Online Payment',
+    paymentStatus: 'Failed',
+    status: 'Pending'
+  });
+  mock.method(order, 'save', async () => order);
+  mock.method(Order, 'findOne', () => ({ populate: async () => order }));
+
+  const applyStock = (filter, update) => {
+    product.quantity += update.$inc.quantity;
+    return product;
+  };
+  const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', async (filter, update) => applyStock(filter, update));
+  const findByIdAndUpdate = mock.method(Product, 'findByIdAndUpdate', async (id, update) => applyStock(id, update));
+
+  const res = mockResponse();
+  await cancelEntireOrder({ params: { orderId: order.orderId }, body: {}, session: { userId } }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.success, true);
+  assert.strictEqual(order.status, 'Cancelled');
+  assert.strictEqual(order.orderedItems[0].status, 'Cancelled');
+  assert.strictEqual(product.quantity, 5);
+  assert.strictEqual(findOneAndUpdate.mock.callCount(), 0);
+  assert.strictEqual(findByIdAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,39 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database here: any query that isn't stubbed fails straight away instead of waiting
+mongoose.set('bufferCommands', false);
+
+const Order = require('../models/order-schema');
+const Product = require('../models/product-schema');
+const { checkCartPurchaseLimits } = require('../utils/purchase-limit-utils');
+
+afterEach(() => mock.restoreAll());
+
+test('bundles in the cart count towards the limits of the products inside them', async () => {
+  const limited = {
+    _id: new mongoose.Types.ObjectId(),
+    productName: 'Limited Edition',
+    purchaseLimit: { maxPerCustomer: 2, windowDays: 0 }
+  };
+  const bundle = {
+    _id: new mongoose.Types.ObjectId(),
+    productName: 'Gift Set',
+    isBundle: true,
+    bundleItems: [{ product: limited._id, variantId: null, quantity: 1 }]
+  };
+
+  // Nothing bought before
+  mock.method(Order, 'aggregate', async () => []);
+  mock.method(Product, 'find', () => ({ select: () => ({ lean: async () => [limited] }) }));
+
+  const userId = new mongoose.Types.ObjectId();
+  assert.strictEqual(await checkCartPurchaseLimits(userId, [{ productId: bundle, quantity: 2 }]), null);
+
+  const message = await checkCartPurchaseLimits(userId, [
+    { productId: bundle, quantity: 2 },
+    { productId: limited, quantity: 1 }
+  ]);
+  assert.match(message, /Limited Edition is limited to 2 per customer/);
+});
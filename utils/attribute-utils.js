@@ -0,0 +1,228 @@
+/**
+ * Typed diecast attributes. Categories choose which of these apply to their
+ * products; the shop page builds one facet per attribute.
+ */
+const PRODUCT_ATTRIBUTES = [
+    { key: 'scale', label: 'Scale', type: 'text' },
+    { key: 'manufacturer', label: 'Manufacturer', type: 'text' },
+    { key: 'material', label: 'Material', type: 'text' },
+    { key: 'modelYear', label: 'Model Year', type: 'number' },
+    { key: 'licence', label: 'Licence', type: 'text' },
+    { key: 'editionSize', label: 'Limited Edition Run', type: 'number' }
+];
+
+const ATTRIBUTE_KEYS = PRODUCT_ATTRIBUTES.map(attribute => attribute.key);
+
+
+/**
+ * Look up an attribute definition by key
+ * @param {String} key - Attribute key
+ * @returns {Object|null} - Attribute definition
+ */
+const getAttributeDefinition = (key) => {
+    return PRODUCT_ATTRIBUTES.find(attribute => attribute.key === key) || null;
+};
+
+/**
+ * Validate a category's attribute configuration as submitted by the admin
+ * @param {Array} rawAttributes - [{ key, required, options }]
+ * @returns {Object} - { attributes } or { error }
+ */
+const parseCategoryAttributes = (rawAttributes) => {
+    if (!Array.isArray(rawAttributes)) {
+        return { error: 'Attributes must be a list' };
+    }
+
+    const seen = new Set();
+    const attributes = [];
+
+    for (const raw of rawAttributes) {
+        const definition = getAttributeDefinition(raw.key);
+        if (!definition) {
+            return { error: `Unknown attribute: ${raw.key}` };
+        }
+        if (seen.has(raw.key)) continue;
+        seen.add(raw.key);
+
+        const options = Array.isArray(raw.options)
+            ? [...new Set(raw.options.map(option => String(option).trim()).filter(Boolean))]
+            : [];
+
+        if (definition.type === 'number' && options.some(option => isNaN(Number(option)))) {
+            return { error: `${definition.label} options must be numbers` };
+        }
+
+        attributes.push({
+            key: raw.key,
+            required: !!raw.required,
+            options
+        });
+    }
+
+    return { attributes };
+};
+
+/**
+ * Validate product attribute values against the category's attribute configuration.
+ * Attributes the category doesn't use are dropped.
+ * @param {Object} rawValues - { key: value } from the product form
+ * @param {Array} categoryAttributes - Category attribute configuration
+ * @returns {Object} - { attributes } or { error }
+ */
+const parseProductAttributes = (rawValues, categoryAttributes = []) => {
+    const values = rawValues && typeof rawValues === 'object' ? rawValues : {};
+    const attributes = {};
+
+    for (const config of categoryAttributes) {
+        const definition = getAttributeDefinition(config.key);
+        if (!definition) continue;
+
+        const raw = values[config.key];
+        const isEmpty = raw === undefined || raw === null || String(raw).trim() === '';
+
+        if (isEmpty) {
+            if (config.required) {
+                return { error: `${definition.label} is required for this category` };
+            }
+            continue;
+        }
+
+        let value = String(raw).trim();
+        if (definition.type === 'number') {
+            value = Number(value);
+            if (!Number.isInteger(value) || value <= 0) {
+                return { error: `${definition.label} must be a positive whole number` };
+            }
+        }
+
+        if (config.options && config.options.length > 0 && !config.options.includes(String(value))) {
+            return { error: `${definition.label} must be one of: ${config.options.join(', ')}` };
+        }
+
+        attributes[config.key] = value;
+    }
+
+    return { attributes };
+};
+
+/**
+ * Read selected facet values from the shop query string
+ * @param {Object} query - req.query
+ * @returns {Object} - { key: [values] } for every attribute, empty arrays when unselected
+ */
+const parseFacetFilters = (query) => {
+    const filters = {};
+    PRODUCT_ATTRIBUTES.forEach(({ key, type }) => {
+        const selected = [].concat(query[key] || []).map(value => String(value).trim()).filter(Boolean);
+        filters[key] = type === 'number'
+            ? selected.map(Number).filter(value => !isNaN(value))
+            : selected;
+    });
+    return filters;
+};
+
+/**
+ * Build the $match for the selected facets. Scale also matches active variant scales.
+ * @param {Object} facetFilters - Output of parseFacetFilters
+ * @param {Object} options - { exclude: key to leave out (for that facet's own counts), inStockOnly }
+ * @returns {Object} - Mongo match expression ({} when nothing is selected)
+ */
+const buildFacetMatch = (facetFilters, { exclude = null, inStockOnly = false } = {}) => {
+    const conditions = [];
+
+    Object.entries(facetFilters).forEach(([key, values]) => {
+        if (key === exclude || values.length === 0) return;
+
+        if (key === 'scale') {
+            const variantMatch = { scale: { $in: values }, isActive: true };
+            if (inStockOnly) variantMatch.quantity = { $gt: 0 };
+            conditions.push({
+                $or: [
+                    { 'attributes.scale': { $in: values } },
+                    { variants: { $elemMatch: variantMatch } }
+                ]
+            });
+        } else {
+            conditions.push({ [`attributes.${key}`]: { $in: values } });
+        }
+    });
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Build $facet sub-pipelines that count products per attribute value.
+ * Each facet ignores its own selection so customers can add more values to it.
+ * @param {Object} facetFilters - Output of parseFacetFilters
+ * @param {Object} options - { inStockOnly }
+ * @returns {Object} - { facet_<key>: [stages] }
+ */
+const buildFacetStages = (facetFilters, { inStockOnly = false } = {}) => {
+    const stages = {};
+
+    PRODUCT_ATTRIBUTES.forEach(({ key }) => {
+        const valueExpression = key === 'scale'
+            ? {
+                $setUnion: [
+                    [{ $ifNull: ['$attributes.scale', null] }],
+                    {
+                        $map: {
+                            input: {
+                                $filter: {
+                                    input: { $ifNull: ['$variants', []] },
+                                    cond: { $ne: ['$$this.isActive', false] }
+                                }
+                            },
+                            in: '$$this.scale'
+                        }
+                    }
+                ]
+            }
+            : `$attributes.${key}`;
+
+        stages[`facet_${key}`] = [
+            { $match: buildFacetMatch(facetFilters, { exclude: key, inStockOnly }) },
+            { $project: { value: valueExpression } },
+            { $unwind: '$value' },
+            { $match: { value: { $nin: [null, ''] } } },
+            { $group: { _id: '$value', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ];
+    });
+
+    return stages;
+};
+
+/**
+ * Turn $facet output into view-ready facet groups, dropping attributes with no values
+ * @param {Object} facetResult - First document of the $facet output
+ * @param {Object} facetFilters - Output of parseFacetFilters
+ * @param {Array} keys - Attribute keys to include (defaults to all)
+ * @returns {Array} - [{ key, label, values: [{ value, count, selected }] }]
+ */
+const formatFacets = (facetResult, facetFilters, keys = ATTRIBUTE_KEYS) => {
+    return PRODUCT_ATTRIBUTES
+        .filter(({ key }) => keys.includes(key))
+        .map(({ key, label }) => ({
+            key,
+            label,
+            values: (facetResult[`facet_${key}`] || []).map(row => ({
+                value: row._id,
+                count: row.count,
+                selected: facetFilters[key].includes(row._id)
+            }))
+        }))
+        .filter(facet => facet.values.length > 0);
+};
+
+module.exports = {
+    PRODUCT_ATTRIBUTES,
+    ATTRIBUTE_KEYS,
+    getAttributeDefinition,
+    parseCategoryAttributes,
+    parseProductAttributes,
+    parseFacetFilters,
+    buildFacetMatch,
+    buildFacetStages,
+    formatFacets
+};
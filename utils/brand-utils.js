@@ -0,0 +1,113 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const Brand = require('../models/brand-schema');
+const Product = require('../models/product-schema');
+const { brandUploadDir } = require('../config/multer-config');
+
+
+/**
+ * Find a live brand by name, ignoring case, spaces and punctuation
+ * @param {String} name - Brand name as typed
+ * @returns {Object|null} - The brand document
+ */
+const findBrandByName = async (name) => {
+    const nameKey = Brand.toNameKey(name);
+    if (!nameKey) return null;
+    return Brand.findOne({ nameKey, isDeleted: false });
+};
+
+/**
+ * Find a brand by name, creating it when none matches
+ * @param {String} name - Brand name as typed
+ * @returns {Object} - { brand, created }
+ */
+const findOrCreateBrand = async (name) => {
+    const existing = await findBrandByName(name);
+    if (existing) {
+        return { brand: existing, created: false };
+    }
+
+    const brand = new Brand({ name: name.trim() });
+    await brand.save();
+    return { brand, created: true };
+};
+
+/**
+ * Copy a brand's current name onto its products, which keep it for listings and text search
+ * @param {Object} brand - Brand document
+ * @returns {Number} - Products updated
+ */
+const syncBrandName = async (brand) => {
+    const result = await Product.updateMany(
+        { brandId: brand._id, brand: { $ne: brand.name } },
+        { $set: { brand: brand.name } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Aggregation stages that drop products whose brand is unlisted or deleted. Products not yet
+ * linked to a brand stay visible. Leaves a brandData array on each product.
+ * @returns {Array} - $lookup and $match stages
+ */
+const buildBrandVisibilityStages = () => [
+    {
+        $lookup: {
+            from: 'brands',
+            localField: 'brandId',
+            foreignField: '_id',
+            as: 'brandData'
+        }
+    },
+    {
+        $match: {
+            'brandData.isListed': { $ne: false },
+            'brandData.isDeleted': { $ne: true }
+        }
+    }
+];
+
+/**
+ * Save an uploaded logo as a 400px PNG, fitted inside the square so wordmarks aren't cropped
+ * @param {Buffer} imageBuffer - Decoded upload
+ * @param {String} slug - Brand slug, used in the filename
+ * @returns {String} - Filename under /uploads/brands
+ */
+const saveBrandLogo = async (imageBuffer, slug) => {
+    const filename = `brand-${slug}-${Date.now()}.png`;
+    await sharp(imageBuffer)
+        .rotate()
+        .resize(400, 400, {
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .png()
+        .toFile(path.join(brandUploadDir, filename));
+    return filename;
+};
+
+/**
+ * Delete a logo file
+ * @param {String} filename - Filename under /uploads/brands
+ */
+const deleteBrandLogo = (filename) => {
+    if (!filename) return;
+    try {
+        const filePath = path.join(brandUploadDir, filename);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    } catch (error) {
+        console.error('Error deleting brand logo:', error);
+    }
+};
+
+module.exports = {
+    findBrandByName,
+    findOrCreateBrand,
+    syncBrandName,
+    buildBrandVisibilityStages,
+    saveBrandLogo,
+    deleteBrandLogo
+};
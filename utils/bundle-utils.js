@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const { queueRestockNotifications } = require('./restock-utils');
+const { getVariantLabel } = require('./variant-utils');
+
+// Limits for the bundle editor
+const MAX_BUNDLE_COMPONENTS = 10;
+const MAX_COMPONENT_QUANTITY = 10;
+
+
+/**
+ * Validate bundle contents sent by the product forms. Components must be live products without
+ * contents of their own; products with variants must name the variant that goes in the set.
+ * @param {string} rawItems - JSON array of { product, variantId, quantity }
+ * @param {string|Object} bundleId - The bundle's own id when editing (optional)
+ * @returns {Object} - { bundleItems } (empty for a normal product) or { error }
+ */
+const parseBundleItems = async (rawItems, bundleId = null) => {
+    if (!rawItems) return { bundleItems: [] };
+
+    let items;
+    try {
+        items = typeof rawItems === 'string' ? JSON.parse(rawItems) : rawItems;
+    } catch (error) {
+        return { error: 'Invalid bundle contents' };
+    }
+    if (!Array.isArray(items)) return { error: 'Invalid bundle contents' };
+    if (items.length === 0) return { bundleItems: [] };
+    if (items.length > MAX_BUNDLE_COMPONENTS) {
+        return { error: `A bundle can contain at most ${MAX_BUNDLE_COMPONENTS} products` };
+    }
+
+    for (const item of items) {
+        if (!item || !mongoose.Types.ObjectId.isValid(item.product)) {
+            return { error: 'Choose a product for every bundle row' };
+        }
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COMPONENT_QUANTITY) {
+            return { error: `Bundle quantities must be whole numbers from 1 to ${MAX_COMPONENT_QUANTITY}` };
+        }
+    }
+
+    const productIds = [...new Set(items.map(item => String(item.product)))];
+    const components = await Product.find({ _id: { $in: productIds }, isDeleted: false })
+        .select('productName variants isBundle')
+        .lean();
+    const componentsById = new Map(components.map(component => [component._id.toString(), component]));
+
+    const bundleItems = [];
+    const seen = new Set();
+    for (const item of items) {
+        const component = componentsById.get(String(item.product));
+        if (!component) return { error: 'A product in the bundle was not found' };
+        if (bundleId && component._id.toString() === String(bundleId)) {
+            return { error: 'A bundle cannot contain itself' };
+        }
+        if (component.isBundle) {
+            return { error: `${component.productName} is a bundle and cannot go inside another bundle` };
+        }
+
+        let variantId = null;
+        if (component.variants.length > 0) {
+            const variant = component.variants.find(v => v._id.toString() === String(item.variantId));
+            if (!variant) return { error: `Choose which variant of ${component.productName} goes in the bundle` };
+            variantId = variant._id;
+        }
+
+        const key = `${component._id}:${variantId || ''}`;
+        if (seen.has(key)) {
+            return { error: `${component.productName} is listed twice; raise its quantity instead` };
+        }
+        seen.add(key);
+
+        bundleItems.push({ product: component._id, variantId, quantity: Number(item.quantity) });
+    }
+
+    if (bundleItems.reduce((sum, item) => sum + item.quantity, 0) < 2) {
+        return { error: 'A bundle needs at least two items' };
+    }
+    return { bundleItems };
+};
+
+/**
+ * Load the components of some bundles
+ * @param {Array} bundles - Products with bundleItems
+ * @returns {Map} - id string -> lean product
+ */
+const loadComponents = async (bundles) => {
+    const ids = [...new Set(bundles.flatMap(bundle => bundle.bundleItems.map(item => item.product.toString())))];
+    const components = await Product.find({ _id: { $in: ids } })
+        .select('productName quantity variants isDeleted isListed isBlocked')
+        .lean();
+    return new Map(components.map(component => [component._id.toString(), component]));
+};
+
+/**
+ * Stock of one bundle component. Deleted, unlisted or blocked products and inactive variants
+ * have none to give.
+ * @param {Object} component - Lean product
+ * @param {string|Object} variantId - Variant the bundle uses (null for products without variants)
+ * @returns {number}
+ */
+const getComponentStock = (component, variantId) => {
+    if (!component || component.isDeleted || !component.isListed || component.isBlocked) return 0;
+    if (!variantId) return component.quantity;
+
+    const variant = component.variants.find(v => v._id.toString() === variantId.toString());
+    return variant && variant.isActive !== false ? variant.quantity : 0;
+};
+
+/**
+ * Complete sets the components allow
+ * @param {Array} bundleItems - { product, variantId, quantity }
+ * @param {Map} componentsById - From loadComponents
+ * @returns {number}
+ */
+const countAvailableSets = (bundleItems, componentsById) => {
+    if (bundleItems.length === 0) return 0;
+    return Math.min(...bundleItems.map(item => {
+        const stock = getComponentStock(componentsById.get(item.product.toString()), item.variantId);
+        return Math.max(0, Math.floor(stock / item.quantity));
+    }));
+};
+
+/**
+ * Recalculate bundle stock. A bundle holds no stock of its own; its quantity is how many
+ * complete sets its components allow, refreshed whenever a component's stock or visibility changes.
+ * @param {Object} options - { componentId } for bundles containing a product, or { bundleId } for one bundle
+ * @returns {number} - Bundles whose stock changed
+ */
+const syncBundleStock = async ({ componentId = null, bundleId = null } = {}) => {
+    const query = { isBundle: true };
+    if (componentId) query['bundleItems.product'] = componentId;
+    if (bundleId) query._id = bundleId;
+
+    const bundles = await Product.find(query).select('quantity bundleItems').lean();
+    if (bundles.length === 0) return 0;
+
+    const componentsById = await loadComponents(bundles);
+    let changed = 0;
+    for (const bundle of bundles) {
+        const quantity = countAvailableSets(bundle.bundleItems, componentsById);
+        if (quantity === bundle.quantity) continue;
+
+        await Product.updateOne({ _id: bundle._id }, { $set: { quantity } });
+        changed++;
+        // Coming back from zero releases anyone waiting on a "notify me", as for normal products
+        if (bundle.quantity <= 0 && quantity > 0) {
+            await queueRestockNotifications(bundle._id);
+        }
+    }
+    return changed;
+};
+
+/**
+ * Bundle contents as stored on an order line, with names and SKUs as sold, so cancels and
+ * returns restock what the customer actually received
+ * @param {Object} bundle - Bundle product with bundleItems
+ * @returns {Array} - [{ product, variantId, name, sku, quantity }]
+ */
+const buildBundleSnapshot = async (bundle) => {
+    const componentsById = await loadComponents([bundle]);
+    return bundle.bundleItems.map(item => {
+        const component = componentsById.get(item.product.toString());
+        const variant = component && item.variantId
+            ? component.variants.find(v => v._id.toString() === item.variantId.toString())
+            : null;
+        const label = getVariantLabel(variant);
+        const name = component ? component.productName : 'Product';
+        return {
+            product: item.product,
+            variantId: item.variantId || null,
+            name: label ? `${name} (${label})` : name,
+            sku: variant ? variant.sku : null,
+            quantity: item.quantity
+        };
+    });
+};
+
+/**
+ * Components of a bundle for its product page, in bundle order
+ * @param {Object} bundle - Bundle product with bundleItems
+ * @returns {Array} - [{ product (lean, with slug and mainImage), variantLabel, quantity }]
+ */
+const getBundleContents = async (bundle) => {
+    const ids = bundle.bundleItems.map(item => item.product);
+    const components = await Product.find({ _id: { $in: ids } })
+        .select('productName slug mainImage variants isDeleted isListed isBlocked')
+        .lean();
+    const componentsById = new Map(components.map(component => [component._id.toString(), component]));
+
+    return bundle.bundleItems
+        .map(item => {
+            const component = componentsById.get(item.product.toString());
+            if (!component) return null;
+            const variant = item.variantId
+                ? component.variants.find(v => v._id.toString() === item.variantId.toString())
+                : null;
+            return {
+                product: component,
+                variantLabel: getVariantLabel(variant),
+                quantity: item.quantity,
+                isVisible: !component.isDeleted && component.isListed && !component.isBlocked
+            };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Check that the bundles and loose items in a cart don't together need more of a component
+ * than is in stock (each line is checked on its own elsewhere)
+ * @param {Array} cartItems - Cart lines with populated productId and their variant
+ * @returns {string|null} - Error message, or null if there is enough
+ */
+const checkBundleComponentStock = async (cartItems) => {
+    const bundleLines = cartItems.filter(item => item.productId.isBundle);
+    if (bundleLines.length === 0) return null;
+
+    const demand = new Map();
+    const addDemand = (productId, variantId, units) => {
+        const key = `${productId}:${variantId || ''}`;
+        demand.set(key, (demand.get(key) || 0) + units);
+    };
+    cartItems.forEach(item => {
+        if (item.productId.isBundle) {
+            item.productId.bundleItems.forEach(component => {
+                addDemand(component.product, component.variantId, component.quantity * item.quantity);
+            });
+        } else {
+            addDemand(item.productId._id, item.variant ? item.variant._id : null, item.quantity);
+        }
+    });
+
+    const componentsById = await loadComponents(bundleLines.map(item => item.productId));
+    for (const [key, units] of demand) {
+        const [productId, variantId] = key.split(':');
+        const component = componentsById.get(productId);
+        if (!component) continue;
+        if (units > getComponentStock(component, variantId || null)) {
+            return `There isn't enough stock of ${component.productName} for everything in your cart. Please reduce a quantity.`;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_BUNDLE_COMPONENTS,
+    parseBundleItems,
+    syncBundleStock,
+    buildBundleSnapshot,
+    getBundleContents,
+    checkBundleComponentStock
+};
@@ -0,0 +1,404 @@
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const Brand = require('../models/brand-schema');
+const { PRODUCT_ATTRIBUTES, parseProductAttributes } = require('./attribute-utils');
+const { hasVariants } = require('./variant-utils');
+
+/**
+ * Columns of the catalogue spreadsheet, shared by import and export so an
+ * exported file can be edited and imported again. Columns marked exportOnly
+ * are informational and ignored on import.
+ */
+const CATALOGUE_COLUMNS = [
+    { key: 'productId', header: 'Product ID', width: 26 },
+    { key: 'productName', header: 'Product Name', width: 36 },
+    { key: 'brand', header: 'Brand', width: 18 },
+    { key: 'category', header: 'Category', width: 18 },
+    { key: 'description', header: 'Description', width: 50 },
+    { key: 'features', header: 'Features', width: 40 },
+    { key: 'regularPrice', header: 'Regular Price', width: 14 },
+    { key: 'salePrice', header: 'Sale Price', width: 14 },
+    { key: 'productOffer', header: 'Product Offer (%)', width: 16 },
+    { key: 'categoryOffer', header: 'Category Offer (%)', width: 17, exportOnly: true },
+    { key: 'finalPrice', header: 'Final Price', width: 14, exportOnly: true },
+    { key: 'quantity', header: 'Stock', width: 10 },
+    { key: 'variantStock', header: 'Variant Stock', width: 30 },
+    { key: 'status', header: 'Status', width: 14 },
+    { key: 'listed', header: 'Listed', width: 10 },
+    ...PRODUCT_ATTRIBUTES.map(({ key, label }) => ({ key: `attr_${key}`, header: label, width: 16 })),
+    { key: 'images', header: 'Images', width: 60 }
+];
+
+const PRODUCT_STATUSES = ['Available', 'Out of Stock', 'Discontinued'];
+const IMPORT_ROW_LIMIT = 1000;
+const MIN_PRODUCT_IMAGES = 3;
+
+
+/**
+ * Read a CSV or XLSX upload into plain row objects keyed by column key
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Object} - { rows: [{ rowNumber, values }] } or { error }
+ */
+const readCatalogueFile = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+        if (format === 'csv') {
+            worksheet = await workbook.csv.read(Readable.from(buffer.toString('utf8')));
+        } else {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        }
+    } catch (error) {
+        return { error: 'The file could not be read. Please upload a valid CSV or XLSX file.' };
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+        return { error: 'The file has no product rows' };
+    }
+
+    // Map header text to column keys so column order doesn't matter
+    const headerRow = worksheet.getRow(1);
+    const columnKeys = {};
+    headerRow.eachCell((cell, colNumber) => {
+        const header = cell.text.trim().toLowerCase();
+        const column = CATALOGUE_COLUMNS.find(col => col.header.toLowerCase() === header);
+        if (column && !column.exportOnly) columnKeys[colNumber] = column.key;
+    });
+
+    const missing = ['productName', 'category']
+        .filter(key => !Object.values(columnKeys).includes(key))
+        .map(key => CATALOGUE_COLUMNS.find(col => col.key === key).header);
+    if (missing.length > 0) {
+        return { error: `Missing required columns: ${missing.join(', ')}` };
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        Object.entries(columnKeys).forEach(([colNumber, key]) => {
+            values[key] = row.getCell(Number(colNumber)).text.trim();
+        });
+
+        if (Object.values(values).some(Boolean)) {
+            rows.push({ rowNumber, values });
+        }
+    });
+
+    if (rows.length === 0) {
+        return { error: 'The file has no product rows' };
+    }
+    if (rows.length > IMPORT_ROW_LIMIT) {
+        return { error: `A single import can contain at most ${IMPORT_ROW_LIMIT} products` };
+    }
+
+    return { rows };
+};
+
+/**
+ * Parse the Variant Stock cell, e.g. "MT-F40-18:5 | MT-F40-43:12"
+ * @param {String} text - Cell text
+ * @returns {Object} - { stock: { SKU: quantity } } or { error }
+ */
+const parseVariantStock = (text) => {
+    const stock = {};
+    const entries = text.split('|').map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of entries) {
+        const [sku, quantity] = entry.split(':').map(part => (part || '').trim());
+        const amount = Number(quantity);
+        if (!sku || quantity === '' || !Number.isInteger(amount) || amount < 0) {
+            return { error: `Variant Stock entry "${entry}" must look like SKU:quantity` };
+        }
+        stock[sku.toUpperCase()] = amount;
+    }
+
+    return { stock };
+};
+
+/**
+ * Validate imported rows against categories, existing products and the price rules
+ * used by the product forms. Nothing is written.
+ * @param {Array} rows - Output of readCatalogueFile
+ * @param {Object} context - { categories, brands, products } loaded by the caller
+ * @returns {Array} - [{ rowNumber, action, productName, productId, data, variantStock, imageSources, errors, warnings }]
+ */
+const validateCatalogueRows = (rows, { categories, brands, products }) => {
+    const categoriesByName = new Map(categories.map(cat => [cat.name.trim().toLowerCase(), cat]));
+    const brandsByKey = new Map(brands.map(brand => [brand.nameKey, brand]));
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const productsByName = new Map(products.map(product => [product.productName.trim().toLowerCase(), product]));
+    const namesInFile = new Map();
+
+    return rows.map(({ rowNumber, values }) => {
+        const errors = [];
+        const warnings = [];
+        const result = {
+            rowNumber,
+            productName: values.productName || '',
+            action: 'create',
+            productId: null,
+            data: {},
+            variantStock: null,
+            imageSources: [],
+            errors,
+            warnings
+        };
+
+        // Match to an existing product by ID, falling back to the product name
+        let existing = null;
+        if (values.productId) {
+            if (!mongoose.Types.ObjectId.isValid(values.productId) || !productsById.has(values.productId)) {
+                errors.push('Product ID does not match an existing product');
+            } else {
+                existing = productsById.get(values.productId);
+            }
+        } else if (values.productName) {
+            existing = productsByName.get(values.productName.trim().toLowerCase()) || null;
+        }
+
+        if (existing) {
+            result.action = 'update';
+            result.productId = existing._id.toString();
+        }
+
+        // Text fields: required for new products, optional (keep current) for updates
+        ['productName', 'brand', 'category', 'description', 'features'].forEach(key => {
+            if (!values[key] && !existing) {
+                const header = CATALOGUE_COLUMNS.find(col => col.key === key).header;
+                errors.push(`${header} is required`);
+            }
+        });
+
+        if (values.productName) {
+            const name = values.productName.trim();
+            const nameKey = name.toLowerCase();
+            const owner = productsByName.get(nameKey);
+            if (owner && (!existing || owner._id.toString() !== existing._id.toString())) {
+                errors.push('A product with this name already exists');
+            }
+            if (namesInFile.has(nameKey)) {
+                errors.push(`Product name is repeated on row ${namesInFile.get(nameKey)}`);
+            } else {
+                namesInFile.set(nameKey, rowNumber);
+            }
+            result.data.productName = name;
+        }
+
+        if (values.brand) {
+            const brand = brandsByKey.get(Brand.toNameKey(values.brand));
+            if (!brand) {
+                errors.push(`Brand "${values.brand}" does not exist`);
+            } else {
+                result.data.brand = brand.name;
+                result.data.brandId = brand._id;
+            }
+        }
+        if (values.description) result.data.description = values.description;
+        if (values.features) result.data.features = values.features;
+
+        let category = null;
+        if (values.category) {
+            category = categoriesByName.get(values.category.trim().toLowerCase());
+            if (!category) {
+                errors.push(`Category "${values.category}" does not exist`);
+            } else {
+                result.data.category = category._id;
+            }
+        } else if (existing) {
+            category = categories.find(cat => cat._id.toString() === existing.category.toString()) || null;
+        }
+
+        // Prices and stock follow the same rules as the product forms
+        const productHasVariants = existing && hasVariants(existing);
+        const regularPrice = values.regularPrice !== undefined && values.regularPrice !== '' ? Number(values.regularPrice) : null;
+        const salePrice = values.salePrice !== undefined && values.salePrice !== '' ? Number(values.salePrice) : null;
+
+        if (productHasVariants && (regularPrice !== null || salePrice !== null || values.quantity)) {
+            warnings.push('Price and stock are managed per variant; use the Variant Stock column for stock');
+        } else {
+            if (!existing && (regularPrice === null || salePrice === null)) {
+                errors.push('Regular Price and Sale Price are required');
+            }
+            if (regularPrice !== null && (isNaN(regularPrice) || regularPrice <= 0)) {
+                errors.push('Regular Price must be greater than 0');
+            }
+            if (salePrice !== null && (isNaN(salePrice) || salePrice <= 0)) {
+                errors.push('Sale Price must be greater than 0');
+            }
+            const effectiveRegular = regularPrice !== null ? regularPrice : existing && existing.regularPrice;
+            const effectiveSale = salePrice !== null ? salePrice : existing && existing.salePrice;
+            if (effectiveRegular > 0 && effectiveSale > effectiveRegular) {
+                errors.push('Sale Price cannot exceed Regular Price');
+            }
+            if (regularPrice !== null && !isNaN(regularPrice)) result.data.regularPrice = regularPrice;
+            if (salePrice !== null && !isNaN(salePrice)) result.data.salePrice = salePrice;
+
+            if (values.quantity) {
+                const quantity = Number(values.quantity);
+                if (!Number.isInteger(quantity) || quantity < 0) {
+                    errors.push('Stock must be a whole number of 0 or more');
+                } else {
+                    result.data.quantity = quantity;
+                }
+            } else if (!existing) {
+                result.data.quantity = 0;
+            }
+        }
+
+        if (values.productOffer) {
+            const productOffer = Number(values.productOffer);
+            if (isNaN(productOffer) || productOffer < 0 || productOffer >= 100) {
+                errors.push('Product Offer must be between 0 and 99');
+            } else {
+                result.data.productOffer = productOffer;
+            }
+        }
+
+        if (values.variantStock) {
+            if (!productHasVariants) {
+                errors.push('Variant Stock can only be set on existing products with variants');
+            } else {
+                const { stock, error } = parseVariantStock(values.variantStock);
+                if (error) {
+                    errors.push(error);
+                } else {
+                    const knownSkus = existing.variants.map(variant => variant.sku);
+                    const unknown = Object.keys(stock).filter(sku => !knownSkus.includes(sku));
+                    if (unknown.length > 0) {
+                        errors.push(`Unknown variant SKU: ${unknown.join(', ')}`);
+                    } else {
+                        result.variantStock = stock;
+                    }
+                }
+            }
+        }
+
+        if (values.status) {
+            const status = PRODUCT_STATUSES.find(option => option.toLowerCase() === values.status.toLowerCase());
+            if (!status) {
+                errors.push(`Status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+            } else {
+                result.data.status = status;
+            }
+        }
+
+        if (values.listed) {
+            const listed = values.listed.toLowerCase();
+            if (!['yes', 'no'].includes(listed)) {
+                errors.push('Listed must be Yes or No');
+            } else {
+                result.data.isListed = listed === 'yes';
+            }
+        }
+
+        // Attributes are checked against the (new or current) category's configuration
+        if (category) {
+            const rawAttributes = {};
+            PRODUCT_ATTRIBUTES.forEach(({ key }) => {
+                const value = values[`attr_${key}`];
+                if (value) {
+                    rawAttributes[key] = value;
+                } else if (existing && existing.attributes && existing.attributes[key] !== undefined) {
+                    rawAttributes[key] = existing.attributes[key];
+                }
+            });
+
+            const attributeResult = parseProductAttributes(rawAttributes, category.attributes || []);
+            if (attributeResult.error) {
+                errors.push(attributeResult.error);
+            } else {
+                result.data.attributes = attributeResult.attributes;
+            }
+        }
+
+        // Images: existing filenames are kept, URLs are downloaded when the import runs
+        if (values.images) {
+            const sources = values.images.split('|').map(source => source.trim()).filter(Boolean);
+            const currentImages = existing ? [existing.mainImage, ...(existing.subImages || [])] : [];
+
+            for (const source of sources) {
+                if (/^https?:\/\//i.test(source)) {
+                    result.imageSources.push({ url: source });
+                } else if (currentImages.includes(source)) {
+                    result.imageSources.push({ filename: source });
+                } else {
+                    errors.push(`Image "${source}" is not a URL or one of this product's images`);
+                }
+            }
+
+            if (sources.length < MIN_PRODUCT_IMAGES) {
+                errors.push(`At least ${MIN_PRODUCT_IMAGES} images are required`);
+            }
+        } else if (!existing) {
+            errors.push(`Images are required for new products (at least ${MIN_PRODUCT_IMAGES} URLs separated by |)`);
+        }
+
+        return result;
+    });
+};
+
+/**
+ * Build the catalogue workbook for export
+ * @param {Array} products - Products with populated category and offer details ({ offer })
+ * @returns {Object} - ExcelJS workbook
+ */
+const buildCatalogueWorkbook = (products) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'miniTorque Catalogue';
+    workbook.created = new Date();
+
+    const worksheet = workbook.addWorksheet('Catalogue');
+    worksheet.columns = CATALOGUE_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    products.forEach(product => {
+        const row = {
+            productId: product._id.toString(),
+            productName: product.productName,
+            brand: product.brand,
+            category: product.category ? product.category.name : '',
+            description: product.description,
+            features: product.features,
+            regularPrice: product.regularPrice,
+            salePrice: product.salePrice,
+            productOffer: product.productOffer || 0,
+            categoryOffer: product.offer.categoryOffer,
+            finalPrice: product.offer.finalPrice,
+            quantity: product.quantity,
+            variantStock: hasVariants(product)
+                ? product.variants
+                    .filter(variant => variant.isActive !== false)
+                    .map(variant => `${variant.sku}:${variant.quantity}`)
+                    .join(' | ')
+                : '',
+            status: product.status,
+            listed: product.isListed ? 'Yes' : 'No',
+            images: [product.mainImage, ...(product.subImages || [])].filter(Boolean).join(' | ')
+        };
+
+        PRODUCT_ATTRIBUTES.forEach(({ key }) => {
+            const value = product.attributes && product.attributes[key];
+            row[`attr_${key}`] = value !== undefined && value !== null ? value : '';
+        });
+
+        worksheet.addRow(row);
+    });
+
+    return workbook;
+};
+
+module.exports = {
+    CATALOGUE_COLUMNS,
+    MIN_PRODUCT_IMAGES,
+    readCatalogueFile,
+    parseVariantStock,
+    validateCatalogueRows,
+    buildCatalogueWorkbook
+};
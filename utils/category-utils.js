@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Category = require('../models/category-schema');
+
+// The tree is small and read for nearly every price, so it is cached briefly like scheduled offers
+const CATEGORY_CACHE_TTL = 60 * 1000;
+let categoryCache = null;
+
+
+/**
+ * Drop the cached category tree (call after an admin adds, edits, moves or deletes a category)
+ */
+const invalidateCategoryCache = () => {
+    categoryCache = null;
+};
+
+/**
+ * Every category that hasn't been deleted, keyed by id
+ * @returns {Map} - id string -> lean category { _id, name, slug, parent, categoryOffer, isListed }
+ */
+const getCategoryMap = async () => {
+    if (!categoryCache || Date.now() - categoryCache.loadedAt > CATEGORY_CACHE_TTL) {
+        const categories = await Category.find({ isDeleted: false })
+            .select('name slug parent categoryOffer isListed')
+            .lean();
+        categoryCache = {
+            loadedAt: Date.now(),
+            byId: new Map(categories.map(category => [category._id.toString(), category]))
+        };
+    }
+    return categoryCache.byId;
+};
+
+/**
+ * A category and its ancestors, root first. Stops at a deleted parent or a loop.
+ * @param {Map} byId - From getCategoryMap
+ * @param {string|Object} categoryId - Category ObjectId
+ * @returns {Array} - Lean categories from the root down to categoryId
+ */
+const getAncestorChain = (byId, categoryId) => {
+    const chain = [];
+    const seen = new Set();
+    let current = categoryId ? byId.get(categoryId.toString()) : null;
+
+    while (current && !seen.has(current._id.toString())) {
+        seen.add(current._id.toString());
+        chain.unshift(current);
+        current = current.parent ? byId.get(current.parent.toString()) : null;
+    }
+    return chain;
+};
+
+/**
+ * Ids of the given categories and everything below them
+ * @param {Map} byId - From getCategoryMap
+ * @param {Array} categoryIds - Category ObjectIds or id strings
+ * @returns {Array} - Id strings
+ */
+const collectDescendantIds = (byId, categoryIds) => {
+    const childrenByParent = new Map();
+    for (const category of byId.values()) {
+        if (!category.parent) continue;
+        const key = category.parent.toString();
+        if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+        childrenByParent.get(key).push(category._id.toString());
+    }
+
+    const found = new Set();
+    const queue = categoryIds.map(id => id.toString());
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (found.has(id)) continue;
+        found.add(id);
+        queue.push(...(childrenByParent.get(id) || []));
+    }
+    return [...found];
+};
+
+/**
+ * Category filter that also matches products in child categories
+ * @param {string|Array} categoryIds - One or more category ids from the query string
+ * @returns {Array} - ObjectIds for a $in match
+ */
+const getCategoryFilterIds = async (categoryIds) => {
+    const ids = [].concat(categoryIds).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const byId = await getCategoryMap();
+    return collectDescendantIds(byId, ids).map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Breadcrumb trail for a category, root first
+ * @param {string|Object} categoryId - Category ObjectId
+ * @returns {Array} - [{ _id, name, slug }]
+ */
+const getCategoryTrail = async (categoryId) => {
+    const byId = await getCategoryMap();
+    return getAncestorChain(byId, categoryId).map(category => ({ _id: category._id, name: category.name, slug: category.slug }));
+};
+
+/**
+ * Offer a category gets from itself or any ancestor, whichever is highest
+ * @param {string|Object} categoryId - Category ObjectId
+ * @returns {Object} - { percentage, sourceId } where sourceId is the category the offer comes from
+ */
+const getInheritedCategoryOffer = async (categoryId) => {
+    const byId = await getCategoryMap();
+    return getAncestorChain(byId, categoryId).reduce((best, category) => {
+        const percentage = category.categoryOffer || 0;
+        return percentage > best.percentage ? { percentage, sourceId: category._id } : best;
+    }, { percentage: 0, sourceId: null });
+};
+
+/**
+ * Nest categories under their parents for tree views. Categories whose parent is missing
+ * from the list become roots.
+ * @param {Array} categories - Plain categories with _id and parent
+ * @returns {Array} - Roots, each with a children array, sorted by name at every level
+ */
+const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    const sortLevel = (level) => {
+        level.sort((a, b) => a.name.localeCompare(b.name));
+        level.forEach(node => sortLevel(node.children));
+        return level;
+    };
+    return sortLevel(roots);
+};
+
+/**
+ * Flatten a category tree depth first, recording each category's depth for indented lists
+ * @param {Array} tree - From buildCategoryTree
+ * @param {number} depth - Depth of the given level
+ * @returns {Array} - Categories with a depth field, parents before their children
+ */
+const flattenCategoryTree = (tree, depth = 0) => {
+    return tree.flatMap(({ children, ...category }) => [
+        { ...category, depth },
+        ...flattenCategoryTree(children, depth + 1)
+    ]);
+};
+
+/**
+ * Check that a category can be placed under a new parent
+ * @param {string|Object} categoryId - Category being moved
+ * @param {string|Object|null} parentId - New parent, or null for the top level
+ * @returns {string|null} - Error message, or null if the move is allowed
+ */
+const validateCategoryParent = async (categoryId, parentId) => {
+    if (!parentId) return null;
+    if (!mongoose.Types.ObjectId.isValid(parentId)) return 'Invalid parent category.';
+
+    const byId = await getCategoryMap();
+    if (!byId.has(parentId.toString())) return 'Parent category not found.';
+    if (categoryId && collectDescendantIds(byId, [categoryId]).includes(parentId.toString())) {
+        return 'A category cannot be moved under itself or one of its subcategories.';
+    }
+    return null;
+};
+
+module.exports = {
+    invalidateCategoryCache,
+    getCategoryMap,
+    getAncestorChain,
+    collectDescendantIds,
+    getCategoryFilterIds,
+    getCategoryTrail,
+    getInheritedCategoryOffer,
+    buildCategoryTree,
+    flattenCategoryTree,
+    validateCategoryParent
+};
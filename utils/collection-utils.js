@@ -0,0 +1,170 @@
+const Product = require('../models/product-schema');
+const Brand = require('../models/brand-schema');
+const Collection = require('../models/collection-schema');
+const { calculateBestOffer } = require('./offer-utils');
+const { getCategoryFilterIds } = require('./category-utils');
+const { buildImageSet } = require('./image-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels for the sort orders a collection can use
+const COLLECTION_SORTS = {
+    manual: 'Manual order',
+    newest: 'Newest first',
+    'price-low': 'Price: low to high',
+    'price-high': 'Price: high to low',
+    name: 'Name A–Z'
+};
+
+
+/**
+ * Query for collections the shop shows right now: listed and inside their visibility window
+ * @param {Date} now
+ * @returns {Object} - Mongo query
+ */
+const visibleCollectionQuery = (now = new Date()) => ({
+    isListed: true,
+    $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+    ]
+});
+
+/**
+ * Whether the shop shows a collection right now
+ * @param {Object} collection
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isCollectionVisible = (collection, now = new Date()) =>
+    collection.isListed &&
+    (!collection.startsAt || new Date(collection.startsAt) <= now) &&
+    (!collection.endsAt || new Date(collection.endsAt) > now);
+
+/**
+ * Mongo filter for the products a collection could contain. Price and offer rules depend on
+ * offers, so they are applied after pricing.
+ * @param {Object} collection
+ * @returns {Object|null} - Product query, or null when the collection can't contain anything
+ */
+const buildProductQuery = async (collection) => {
+    const query = { isListed: true, isBlocked: false, isDeleted: false };
+
+    if (collection.type === 'manual') {
+        if (collection.products.length === 0) return null;
+        query._id = { $in: collection.products };
+        return query;
+    }
+
+    const rules = collection.rules || {};
+    if (rules.categories && rules.categories.length > 0) {
+        query.category = { $in: await getCategoryFilterIds(rules.categories.map(String)) };
+    }
+    if (rules.brands && rules.brands.length > 0) {
+        query.brandId = { $in: rules.brands };
+    }
+    if (rules.newWithinDays) {
+        query.createdAt = { $gte: new Date(Date.now() - rules.newWithinDays * DAY_MS) };
+    }
+    if (rules.inStockOnly) {
+        query.quantity = { $gt: 0 };
+    }
+    return query;
+};
+
+/**
+ * Put priced products in the collection's order
+ * @param {Array} products - Priced lean products
+ * @param {Object} collection
+ * @returns {Array}
+ */
+const sortCollectionProducts = (products, collection) => {
+    const sorted = [...products];
+    switch (collection.sortBy) {
+        case 'price-low':
+            return sorted.sort((a, b) => a.finalPrice - b.finalPrice);
+        case 'price-high':
+            return sorted.sort((a, b) => b.finalPrice - a.finalPrice);
+        case 'name':
+            return sorted.sort((a, b) => a.productName.localeCompare(b.productName));
+        case 'manual':
+            if (collection.type === 'manual') {
+                const position = new Map(collection.products.map((id, index) => [String(id), index]));
+                return sorted.sort((a, b) => position.get(String(a._id)) - position.get(String(b._id)));
+            }
+            // Rule collections have no manual order of their own
+            return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        default:
+            return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+};
+
+/**
+ * Products a collection shows in the shop, priced and in order. Products that are hidden,
+ * or whose category or brand is hidden, are left out.
+ * @param {Object} collection - Lean collection
+ * @param {Object} options - { limit }
+ * @returns {Array} - Lean products with finalPrice, hasOffer, offerPercentage and imageSet
+ */
+const getCollectionProducts = async (collection, { limit = null } = {}) => {
+    const query = await buildProductQuery(collection);
+    if (!query) return [];
+
+    const found = await Product.find(query)
+        .populate('category', 'name isListed isDeleted categoryOffer')
+        .populate({ path: 'brandId', model: Brand, select: 'isListed isDeleted' })
+        .lean();
+
+    const products = found
+        .filter(product => product.category && product.category.isListed && !product.category.isDeleted)
+        .filter(product => !product.brandId || (product.brandId.isListed && !product.brandId.isDeleted));
+
+    for (const product of products) {
+        const offerDetails = await calculateBestOffer(product);
+        product.finalPrice = offerDetails.finalPrice;
+        product.hasOffer = offerDetails.hasOffer;
+        product.discountAmount = offerDetails.discountAmount;
+        product.offerPercentage = offerDetails.bestOfferPercentage;
+        product.offerType = offerDetails.offerType;
+        product.imageSet = buildImageSet(product, product.mainImage);
+    }
+
+    let matching = products;
+    if (collection.type === 'rule') {
+        const rules = collection.rules || {};
+        matching = products.filter(product =>
+            (rules.minPrice == null || product.finalPrice >= rules.minPrice) &&
+            (rules.maxPrice == null || product.finalPrice <= rules.maxPrice) &&
+            (!rules.onOfferOnly || product.hasOffer)
+        );
+    }
+
+    const sorted = sortCollectionProducts(matching, collection);
+    return limit ? sorted.slice(0, limit) : sorted;
+};
+
+/**
+ * Collections to show on the home page, in position order, each with its first products.
+ * Collections with nothing to show are left out.
+ * @returns {Array} - [{ collection, products }]
+ */
+const getHomeCollections = async () => {
+    const collections = await Collection.find({ ...visibleCollectionQuery(), showOnHome: true })
+        .sort({ homePosition: 1, createdAt: 1 })
+        .lean();
+
+    const rails = [];
+    for (const collection of collections) {
+        const products = await getCollectionProducts(collection, { limit: collection.homeLimit });
+        if (products.length > 0) rails.push({ collection, products });
+    }
+    return rails;
+};
+
+module.exports = {
+    COLLECTION_SORTS,
+    visibleCollectionQuery,
+    isCollectionVisible,
+    getCollectionProducts,
+    getHomeCollections
+};
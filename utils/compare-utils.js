@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const Brand = require('../models/brand-schema');
+const { calculateBestOffer } = require('./offer-utils');
+const { hasVariants } = require('./variant-utils');
+
+const COMPARE_LIMIT = 4;
+const LOW_STOCK_LEVEL = 5;
+
+
+/**
+ * Product IDs in the visitor's compare tray, in the order they were added
+ * @param {Object} req - Express request
+ * @returns {Array} - Product ID strings
+ */
+const getCompareList = (req) => {
+    return (req.session.compareList || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+};
+
+/**
+ * Load products for comparison, skipping any that can no longer be opened (unlisted, blocked,
+ * deleted, hidden category or brand). Order follows productIds.
+ * @param {Array} productIds - Product ID strings
+ * @returns {Array} - Lean products with category populated
+ */
+const loadComparableProducts = async (productIds) => {
+    if (productIds.length === 0) return [];
+
+    const found = await Product.find({
+        _id: { $in: productIds },
+        isListed: true,
+        isBlocked: false,
+        isDeleted: false
+    })
+        .populate('category', 'name isListed isDeleted categoryOffer')
+        .populate({ path: 'brandId', model: Brand, select: 'name slug isListed isDeleted' })
+        .lean();
+
+    const productById = new Map(found
+        .filter(product => product.category && product.category.isListed && !product.category.isDeleted)
+        .filter(product => !product.brandId || (product.brandId.isListed && !product.brandId.isDeleted))
+        .map(product => [product._id.toString(), product]));
+
+    return productIds.map(id => productById.get(id)).filter(Boolean);
+};
+
+/**
+ * Stock wording shown on the comparison page
+ * @param {Number} quantity - Units in stock
+ * @returns {Object} - { label, level } where level is in, low or out
+ */
+const describeStock = (quantity) => {
+    if (quantity <= 0) return { label: 'Out of stock', level: 'out' };
+    if (quantity <= LOW_STOCK_LEVEL) return { label: `Only ${quantity} left`, level: 'low' };
+    return { label: 'In stock', level: 'in' };
+};
+
+/**
+ * Comparison rows for the given products: best-offer price, brand, scale, material, stock,
+ * rating and features, lined up column by column
+ * @param {Array} products - From loadComparableProducts
+ * @returns {Array} - One summary per product
+ */
+const buildComparison = async (products) => {
+    const summaries = [];
+
+    for (const product of products) {
+        const offerDetails = await calculateBestOffer(product);
+        const activeVariants = hasVariants(product)
+            ? product.variants.filter(variant => variant.isActive !== false)
+            : [];
+        const variantScales = [...new Set(activeVariants.map(variant => variant.scale).filter(Boolean))];
+
+        summaries.push({
+            _id: product._id,
+            slug: product.slug,
+            productName: product.productName,
+            mainImage: product.mainImage,
+            imageDerivatives: product.imageDerivatives,
+            brand: product.brand,
+            brandSlug: product.brandId ? product.brandId.slug : null,
+            category: product.category.name,
+            regularPrice: product.regularPrice,
+            finalPrice: offerDetails.finalPrice,
+            hasOffer: offerDetails.hasOffer,
+            offerPercentage: offerDetails.bestOfferPercentage,
+            hasVariants: activeVariants.length > 1,
+            scale: variantScales.length > 0
+                ? variantScales.join(', ')
+                : (product.attributes && product.attributes.scale) || null,
+            manufacturer: (product.attributes && product.attributes.manufacturer) || null,
+            material: (product.attributes && product.attributes.material) || null,
+            modelYear: (product.attributes && product.attributes.modelYear) || null,
+            stock: describeStock(product.quantity),
+            averageRating: product.averageRating || 0,
+            reviewCount: product.reviewCount || 0,
+            features: product.features
+        });
+    }
+
+    // Flag the cheapest so the page can highlight it
+    if (summaries.length > 1) {
+        const lowest = Math.min(...summaries.map(summary => summary.finalPrice));
+        summaries.forEach(summary => { summary.isLowestPrice = summary.finalPrice === lowest; });
+    }
+
+    return summaries;
+};
+
+module.exports = {
+    COMPARE_LIMIT,
+    getCompareList,
+    loadComparableProducts,
+    buildComparison
+};
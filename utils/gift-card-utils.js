@@ -0,0 +1,452 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const GiftCard = require('../models/gift-card-schema');
+const Order = require('../models/order-schema');
+const User = require('../models/user-model');
+const Wallet = require('../models/wallet-schema');
+const { sendGiftCard } = require('./mailer');
+const { storeUrl } = require('./seo-utils');
+const { roundAmount } = require('./price-calculator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a gift card can be spent after it is bought
+const GIFT_CARD_VALIDITY_DAYS = Number(process.env.GIFT_CARD_VALIDITY_DAYS) || 365;
+
+const RECIPIENT_NAME_MAX = 60;
+const GIFT_MESSAGE_MAX = 200;
+
+// No 0/O or 1/I, so codes read back correctly from an email or a screenshot
+const CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+
+/**
+ * Random code in XXXX-XXXX-XXXX-XXXX form
+ * @returns {string}
+ */
+const generateGiftCardCode = () => {
+    const characters = Array.from(crypto.randomBytes(16), byte => CODE_CHARACTERS[byte % CODE_CHARACTERS.length]);
+    return characters.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Code no other card uses
+ * @returns {Promise<string>}
+ */
+const generateUniqueGiftCardCode = async () => {
+    let code = generateGiftCardCode();
+    while (await GiftCard.exists({ code })) {
+        code = generateGiftCardCode();
+    }
+    return code;
+};
+
+/**
+ * Tidy a code typed by a customer or admin: any case, with or without dashes and spaces
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeGiftCardCode = (code) => {
+    const cleaned = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return cleaned.length === 16 ? cleaned.match(/.{4}/g).join('-') : cleaned;
+};
+
+/**
+ * Value of one card bought from a gift card product. Each variant is a denomination; the
+ * regular price is the card's value, so a lower sale price works as a promotion.
+ * @param {Object} product
+ * @param {Object|null} variant
+ * @returns {number}
+ */
+const getGiftCardValue = (product, variant = null) => (variant || product).regularPrice;
+
+/**
+ * Validate the recipient details entered with a gift card on the product page
+ * @param {Object} raw - { recipientName, recipientEmail, message }
+ * @returns {Object} - { recipient } or { error }
+ */
+const parseGiftCardRecipient = (raw = {}) => {
+    const recipientName = String(raw.recipientName || '').trim();
+    const recipientEmail = String(raw.recipientEmail || '').trim().toLowerCase();
+    const message = String(raw.message || '').trim();
+
+    if (!recipientEmail || !validator.isEmail(recipientEmail)) {
+        return { error: "Enter the recipient's email address" };
+    }
+    if (recipientName.length > RECIPIENT_NAME_MAX) {
+        return { error: `Recipient name cannot exceed ${RECIPIENT_NAME_MAX} characters` };
+    }
+    if (message.length > GIFT_MESSAGE_MAX) {
+        return { error: `Gift message cannot exceed ${GIFT_MESSAGE_MAX} characters` };
+    }
+    return { recipient: { recipientName, recipientEmail, message } };
+};
+
+/**
+ * Check the gift card lines in a cart before checkout
+ * @param {Array} cartItems - Cart items with productId populated
+ * @returns {Object} - { hasGiftCards, isGiftCardOnly } or { error }
+ */
+const checkGiftCardCart = (cartItems) => {
+    const giftCardItems = cartItems.filter(item => item.productId.isGiftCard);
+    const missingRecipient = giftCardItems.find(item => !item.giftCard || !item.giftCard.recipientEmail);
+    if (missingRecipient) {
+        return { error: `${missingRecipient.productId.productName} has no recipient. Remove it and add it again from its page.` };
+    }
+    return {
+        hasGiftCards: giftCardItems.length > 0,
+        isGiftCardOnly: cartItems.length > 0 && giftCardItems.length === cartItems.length
+    };
+};
+
+/**
+ * Gift card details for an order line; null for everything else
+ * @param {Object} item - Cart item with productId populated and variant resolved
+ * @returns {Object|null}
+ */
+const buildOrderGiftCard = (item) => {
+    if (!item.productId.isGiftCard || !item.giftCard) return null;
+    return {
+        recipientName: item.giftCard.recipientName,
+        recipientEmail: item.giftCard.recipientEmail,
+        message: item.giftCard.message,
+        amount: getGiftCardValue(item.productId, item.variant)
+    };
+};
+
+/**
+ * Where a card stands today
+ * @param {Object} giftCard
+ * @param {Date} now
+ * @returns {string} - 'Active', 'Used', 'Expired' or 'Void'
+ */
+const getGiftCardStatus = (giftCard, now = new Date()) => {
+    if (giftCard.isVoid) return 'Void';
+    if (new Date(giftCard.expiresAt) <= now) return 'Expired';
+    if (giftCard.balance <= 0) return 'Used';
+    return 'Active';
+};
+
+/**
+ * Look up a card that can be spent right now
+ * @param {string} code - As typed by the customer
+ * @returns {Object} - { giftCard } or { error }
+ */
+const findRedeemableGiftCard = async (code) => {
+    const normalized = normalizeGiftCardCode(code);
+    if (!normalized) {
+        return { error: 'Enter a gift card code' };
+    }
+
+    const giftCard = await GiftCard.findOne({ code: normalized });
+    if (!giftCard) {
+        return { error: 'Gift card not found. Check the code and try again.' };
+    }
+
+    switch (getGiftCardStatus(giftCard)) {
+        case 'Void':
+            return { error: 'This gift card has been cancelled' };
+        case 'Expired':
+            return { error: `This gift card expired on ${giftCard.expiresAt.toLocaleDateString('en-IN', { dateStyle: 'medium' })}` };
+        case 'Used':
+            return { error: 'This gift card has no balance left' };
+        default:
+            return { giftCard };
+    }
+};
+
+/**
+ * How much of a checkout a gift card pays: as much of the amount due now as its balance covers
+ * @param {string} code - As typed by the customer; blank for no gift card
+ * @param {number} amountDueNow
+ * @param {boolean} hasGiftCards - Whether the order buys gift cards
+ * @returns {Object} - { giftCard, amount } or { error }
+ */
+const getGiftCardPayment = async (code, amountDueNow, hasGiftCards) => {
+    if (!code || !String(code).trim()) return { giftCard: null, amount: 0 };
+    if (hasGiftCards) {
+        return { error: 'A gift card cannot be used to buy other gift cards' };
+    }
+
+    const { giftCard, error } = await findRedeemableGiftCard(code);
+    if (error) return { error };
+    return { giftCard, amount: roundAmount(Math.min(giftCard.balance, amountDueNow)) };
+};
+
+/**
+ * Change a card's balance and log the transaction in one pipeline update, so concurrent
+ * changes can't overwrite each other and balanceAfter is the balance this change left.
+ * Text goes in as $literal so it is never read as a field path.
+ * @param {Object} filter - The card, plus any conditions the change depends on
+ * @param {Object} change - { amount, balanceAfter }: numbers or expressions on the card
+ * @param {Object} details - { type, order, user, note }
+ * @param {Object} fields - Other fields set in the same update (optional)
+ * @returns {Promise<Object|null>} - Updated card, or null when the filter didn't match
+ */
+const updateGiftCardBalance = (filter, { amount, balanceAfter }, { type, order = null, user = null, note = '' }, fields = {}) => {
+    const transaction = {
+        _id: new mongoose.Types.ObjectId(),
+        type: { $literal: type },
+        amount,
+        balanceAfter,
+        order: order ? order._id : null,
+        orderId: { $literal: order ? order.orderId : null },
+        user: user ? new mongoose.Types.ObjectId(String(user)) : null,
+        note: { $literal: note },
+        createdAt: '$$NOW'
+    };
+
+    return GiftCard.findOneAndUpdate(
+        filter,
+        [{
+            $set: {
+                ...fields,
+                balance: balanceAfter,
+                transactions: { $concatArrays: ['$transactions', [transaction]] }
+            }
+        }],
+        { new: true }
+    );
+};
+
+/**
+ * Take an amount off a card. The balance check and the deduction are one update, so two
+ * checkouts can't spend the same balance.
+ * @param {Object} giftCard
+ * @param {number} amount
+ * @param {Object} details - { type: 'order' or 'wallet', order, user, note }
+ * @returns {Promise<Object>} - Updated card
+ * @throws {Error} - statusCode 409 when the card can no longer cover the amount
+ */
+const chargeGiftCard = async (giftCard, amount, details) => {
+    const charge = roundAmount(amount);
+    const updated = await updateGiftCardBalance(
+        { _id: giftCard._id, isVoid: false, expiresAt: { $gt: new Date() }, balance: { $gte: charge } },
+        { amount: charge, balanceAfter: { $round: [{ $subtract: ['$balance', charge] }, 2] } },
+        details
+    );
+    if (!updated) {
+        const error = new Error('Your gift card balance has changed. Please check it and try again.');
+        error.statusCode = 409;
+        throw error;
+    }
+    return updated;
+};
+
+/**
+ * Give an unpaid order's gift card share back to the card, e.g. when its online payment fails.
+ * The order is claimed in the same update that clears its gift card amount, so the card is
+ * only credited once however many times this runs, and a retried payment charges the full amount.
+ * @param {Object} order - Order document; its gift card fields are updated to match
+ * @returns {Promise<number>} - Amount given back (0 when there was nothing to restore)
+ */
+const restoreGiftCard = async (order) => {
+    if (!order.giftCardCode || !(order.giftCardAmount > 0)) return 0;
+
+    const restoredAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, giftCardRestoredAt: null, giftCardAmount: { $gt: 0 } },
+        { $set: { giftCardAmount: 0, giftCardRestoredAt: restoredAt } }
+    );
+    if (!claimed) return 0;
+    order.giftCardAmount = 0;
+    order.giftCardRestoredAt = restoredAt;
+
+    const amount = roundAmount(claimed.giftCardAmount);
+    const updated = await updateGiftCardBalance(
+        { code: claimed.giftCardCode },
+        { amount, balanceAfter: { $round: [{ $add: ['$balance', amount] }, 2] } },
+        { type: 'refund', order, user: order.userId, note: 'Order was not paid' }
+    );
+    if (!updated) {
+        throw new Error(`Gift card ${claimed.giftCardCode} not found while restoring order ${order.orderId}`);
+    }
+    return amount;
+};
+
+/**
+ * Move a card's whole balance into a customer's wallet
+ * @param {string} code - As typed by the customer
+ * @param {string} userId
+ * @returns {Promise<Object>} - { amount, walletBalance }
+ * @throws {Error} - statusCode 400 when the card can't be used
+ */
+const redeemGiftCardToWallet = async (code, userId) => {
+    const { giftCard, error } = await findRedeemableGiftCard(code);
+    if (error) {
+        const redeemError = new Error(error);
+        redeemError.statusCode = 400;
+        throw redeemError;
+    }
+
+    const amount = giftCard.balance;
+    await chargeGiftCard(giftCard, amount, { type: 'wallet', user: userId, note: 'Added to wallet' });
+
+    const wallet = await Wallet.getOrCreateWallet(userId);
+    await wallet.addMoney(amount, `Gift card ${giftCard.code} added to wallet`);
+    return { amount, walletBalance: wallet.balance };
+};
+
+/**
+ * Create and email the cards bought on an order once it is paid. Each unit of a gift card
+ * line is its own card. Lines that already have their cards are skipped, so calling this
+ * twice for an order is safe. Gift card lines are delivered once their cards exist.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} - Cards created
+ */
+const issueOrderGiftCards = async (order) => {
+    const lines = order.orderedItems.filter(item =>
+        item.giftCard && item.giftCard.codes.length === 0 && item.status !== 'Cancelled'
+    );
+    if (lines.length === 0) return 0;
+
+    const purchaser = await User.findById(order.userId).select('fullName').lean();
+    const expiresAt = new Date(Date.now() + GIFT_CARD_VALIDITY_DAYS * DAY_MS);
+    let issued = 0;
+
+    for (const line of lines) {
+        const { recipientName, recipientEmail, message, amount } = line.giftCard;
+        const codes = [];
+
+        for (let i = 0; i < line.quantity; i++) {
+            const giftCard = await GiftCard.create({
+                code: await generateUniqueGiftCardCode(),
+                initialAmount: amount,
+                balance: amount,
+                expiresAt,
+                purchaser: order.userId,
+                order: order._id,
+                orderId: order.orderId,
+                product: line.product,
+                recipientName,
+                recipientEmail,
+                message,
+                transactions: [{
+                    type: 'issue',
+                    amount,
+                    balanceAfter: amount,
+                    order: order._id,
+                    orderId: order.orderId,
+                    user: order.userId
+                }]
+            });
+            codes.push(giftCard.code);
+            issued++;
+
+            // A failed email leaves emailedAt empty; the card still works and admins can see its code
+            try {
+                await sendGiftCard(recipientEmail, {
+                    recipientName,
+                    senderName: purchaser ? purchaser.fullName : '',
+                    amount,
+                    code: giftCard.code,
+                    message,
+                    expiresAt,
+                    shopUrl: storeUrl('/shopPage')
+                });
+                giftCard.emailedAt = new Date();
+                await giftCard.save();
+            } catch (error) {
+                console.error(`Error emailing gift card ${giftCard.code}:`, error);
+            }
+        }
+
+        line.giftCard.codes = codes;
+        line.giftCard.issuedAt = new Date();
+        line.status = 'Delivered';
+    }
+
+    order.orderTimeline.push({
+        status: 'Gift Cards Sent',
+        description: `${issued} gift card${issued === 1 ? '' : 's'} emailed to ${[...new Set(lines.map(line => line.giftCard.recipientEmail))].join(', ')}`
+    });
+
+    // An order of nothing but gift cards is complete once they are sent
+    const openItems = order.orderedItems.filter(item => item.status !== 'Cancelled');
+    if (openItems.every(item => item.status === 'Delivered')) {
+        order.status = 'Delivered';
+        order.orderTimeline.push({
+            status: 'Delivered',
+            description: 'Gift cards delivered by email'
+        });
+    }
+
+    await order.save();
+    return issued;
+};
+
+/**
+ * Cancel a card so it can't be spent. The remaining balance is written off.
+ * @param {string} giftCardId
+ * @param {string} reason
+ * @returns {Promise<Object>} - Voided card
+ * @throws {Error} - statusCode 404 when missing, 400 when already void
+ */
+const voidGiftCard = async (giftCardId, reason) => {
+    // One conditional update, so a redemption can't spend the balance being written off
+    const giftCard = await updateGiftCardBalance(
+        { _id: giftCardId, isVoid: false },
+        { amount: '$balance', balanceAfter: 0 },
+        { type: 'void', note: reason },
+        { isVoid: true, voidedAt: '$$NOW', voidReason: { $literal: reason } }
+    );
+    if (giftCard) return giftCard;
+
+    const exists = await GiftCard.exists({ _id: giftCardId });
+    const error = new Error(exists ? 'This gift card is already void' : 'Gift card not found');
+    error.statusCode = exists ? 400 : 404;
+    throw error;
+};
+
+/**
+ * Email a card to its recipient again, e.g. when the first email failed or was lost
+ * @param {string} giftCardId
+ * @returns {Promise<Object>} - Emailed card
+ * @throws {Error} - statusCode 404 when missing, 400 when the card can no longer be spent
+ */
+const resendGiftCardEmail = async (giftCardId) => {
+    const giftCard = await GiftCard.findById(giftCardId).populate('purchaser', 'fullName');
+    if (!giftCard) {
+        const error = new Error('Gift card not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    if (getGiftCardStatus(giftCard) !== 'Active') {
+        const error = new Error('Only active gift cards can be emailed');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    await sendGiftCard(giftCard.recipientEmail, {
+        recipientName: giftCard.recipientName,
+        senderName: giftCard.purchaser ? giftCard.purchaser.fullName : '',
+        amount: giftCard.balance,
+        code: giftCard.code,
+        message: giftCard.message,
+        expiresAt: giftCard.expiresAt,
+        shopUrl: storeUrl('/shopPage')
+    });
+    giftCard.emailedAt = new Date();
+    await giftCard.save();
+    return giftCard;
+};
+
+module.exports = {
+    GIFT_CARD_VALIDITY_DAYS,
+    GIFT_MESSAGE_MAX,
+    normalizeGiftCardCode,
+    getGiftCardValue,
+    parseGiftCardRecipient,
+    checkGiftCardCart,
+    buildOrderGiftCard,
+    getGiftCardStatus,
+    findRedeemableGiftCard,
+    getGiftCardPayment,
+    chargeGiftCard,
+    restoreGiftCard,
+    redeemGiftCardToWallet,
+    issueOrderGiftCards,
+    voidGiftCard,
+    resendGiftCardEmail
+};
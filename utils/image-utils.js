@@ -0,0 +1,154 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const { uploadDir } = require('../config/multer-config');
+
+/**
+ * Renditions generated for every product photo. Each is a square crop written
+ * as JPEG and WebP next to the original, e.g. product-123-1-card.webp.
+ */
+const IMAGE_SIZES = [
+    { name: 'thumb', width: 150 },
+    { name: 'card', width: 400 },
+    { name: 'detail', width: 800 },
+    { name: 'zoom', width: 1600 }
+];
+
+const PRODUCT_IMAGE_URL = '/uploads/products/';
+
+
+/**
+ * Name of a derivative file for an original upload
+ * @param {String} filename - Original filename, e.g. product-123-1.jpg
+ * @param {String} sizeName - Rendition name
+ * @param {String} extension - 'jpg' or 'webp'
+ * @returns {String} - e.g. product-123-1-card.webp
+ */
+const getDerivativeFilename = (filename, sizeName, extension) => {
+    const baseName = path.basename(filename, path.extname(filename));
+    return `${baseName}-${sizeName}.${extension}`;
+};
+
+/**
+ * Write the JPEG and WebP renditions of an image. Sources smaller than a
+ * rendition are not upscaled, so the largest renditions may share a width.
+ * @param {Buffer|String} source - Image buffer or path to the original file
+ * @param {String} filename - Original filename the renditions belong to
+ * @returns {Object} - Manifest entry { filename, sizes: [{ name, width, jpeg, webp }] }
+ */
+const generateImageDerivatives = async (source, filename) => {
+    const sizes = [];
+    const metadata = await sharp(source).metadata();
+    const shortestEdge = Math.min(metadata.width, metadata.height);
+
+    for (const { name, width } of IMAGE_SIZES) {
+        const edge = Math.min(width, shortestEdge);
+        const resized = sharp(source).rotate().resize(edge, edge, {
+            fit: 'cover',
+            position: 'center'
+        });
+
+        const jpeg = getDerivativeFilename(filename, name, 'jpg');
+        const webp = getDerivativeFilename(filename, name, 'webp');
+
+        const info = await resized.clone().jpeg({ quality: 85, progressive: true }).toFile(path.join(uploadDir, jpeg));
+        await resized.clone().webp({ quality: 80 }).toFile(path.join(uploadDir, webp));
+
+        sizes.push({ name, width: info.width, jpeg, webp });
+    }
+
+    return { filename, sizes };
+};
+
+/**
+ * Save an uploaded product photo: the 800px JPEG original that orders, invoices
+ * and admin pages reference, plus its responsive renditions
+ * @param {Buffer} imageBuffer - Decoded upload
+ * @param {String} filename - Filename for the original
+ * @returns {Object} - Manifest entry for the product's imageDerivatives
+ */
+const saveProductImage = async (imageBuffer, filename) => {
+    await sharp(imageBuffer)
+        .rotate()
+        .resize(800, 800, {
+            fit: 'cover',
+            position: 'center'
+        })
+        .jpeg({ quality: 90 })
+        .toFile(path.join(uploadDir, filename));
+
+    return generateImageDerivatives(imageBuffer, filename);
+};
+
+/**
+ * Delete a product photo and all of its renditions
+ * @param {String} filename - Original filename
+ */
+const deleteProductImage = (filename) => {
+    const files = [filename];
+    IMAGE_SIZES.forEach(({ name }) => {
+        files.push(getDerivativeFilename(filename, name, 'jpg'), getDerivativeFilename(filename, name, 'webp'));
+    });
+
+    files.forEach(file => {
+        try {
+            const filePath = path.join(uploadDir, file);
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (error) {
+            console.error('Error deleting image file:', error);
+        }
+    });
+};
+
+/**
+ * Keep the manifest entries for a product's current images, adding new ones
+ * @param {Array} existing - Current imageDerivatives
+ * @param {Array} images - Filenames the product now uses
+ * @param {Array} added - Manifest entries for newly saved images
+ * @returns {Array} - Updated imageDerivatives
+ */
+const mergeImageDerivatives = (existing = [], images = [], added = []) => {
+    return [...existing, ...added].filter((entry, index, all) =>
+        images.includes(entry.filename) &&
+        all.findIndex(other => other.filename === entry.filename) === index
+    );
+};
+
+/**
+ * URLs for rendering one product photo responsively
+ * @param {Object} product - Product with imageDerivatives
+ * @param {String} filename - Original filename
+ * @returns {Object} - { src, srcset, webpSrcset, zoom } (srcsets empty until derivatives exist)
+ */
+const buildImageSet = (product, filename) => {
+    const entry = ((product && product.imageDerivatives) || []).find(item => item.filename === filename);
+    const original = PRODUCT_IMAGE_URL + filename;
+
+    if (!entry || !entry.sizes || entry.sizes.length === 0) {
+        return { src: original, srcset: '', webpSrcset: '', zoom: original };
+    }
+
+    // The zoom rendition only feeds the magnifier; listing it would let large screens download it up front
+    const renditions = entry.sizes.filter(size => size.name !== 'zoom');
+    const zoom = entry.sizes.find(size => size.name === 'zoom');
+    const detail = entry.sizes.find(size => size.name === 'detail');
+
+    return {
+        src: detail ? PRODUCT_IMAGE_URL + detail.jpeg : original,
+        srcset: renditions.map(size => `${PRODUCT_IMAGE_URL}${size.jpeg} ${size.width}w`).join(', '),
+        webpSrcset: renditions.map(size => `${PRODUCT_IMAGE_URL}${size.webp} ${size.width}w`).join(', '),
+        zoom: zoom ? PRODUCT_IMAGE_URL + zoom.jpeg : original
+    };
+};
+
+module.exports = {
+    IMAGE_SIZES,
+    getDerivativeFilename,
+    generateImageDerivatives,
+    saveProductImage,
+    deleteProductImage,
+    mergeImageDerivatives,
+    buildImageSet
+};
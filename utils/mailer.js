@@ -200,4 +200,356 @@ If you didn't request this verification, please ignore this email.
   }
 }
 
-module.exports = { sendOTP };
\ No newline at end of file
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Sends the daily low-stock digest to the admins.
+ * @param {string[]} toEmails - Admin email addresses.
+ * @param {Object[]} products - Rows from getLowStockReport.
+ * @param {number} velocityDays - Days the sales velocity is averaged over.
+ * @returns {Promise<{success: boolean, message: string}>} Result of the operation.
+ * @throws {Error} If there are no valid recipients or sending fails.
+ */
+async function sendLowStockDigest(toEmails, products, velocityDays = 30) {
+  const recipients = toEmails.filter(email => email && validator.isEmail(email));
+  if (recipients.length === 0) {
+    throw new Error('No valid recipients for the low-stock digest');
+  }
+
+  const outOfStock = products.filter(product => product.isOutOfStock).length;
+  const describeItem = (product) => product.variantLabel
+    ? `${product.productName} (${product.variantLabel})`
+    : product.productName;
+  const describeCover = (product) => product.daysOfCover === null
+    ? `No sales in ${velocityDays} days`
+    : `${product.daysOfCover} day(s)`;
+
+  const rows = products.map(product => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #e9ecef;">${escapeHtml(describeItem(product))}<br>
+            <span style="color: #6c757d; font-size: 12px;">${escapeHtml(product.categoryName || 'Uncategorised')}</span></td>
+          <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: center; color: ${product.isOutOfStock ? '#dc3545' : '#b58500'}; font-weight: 700;">${product.quantity}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: center;">${product.threshold}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: center;">${product.unitsSold} (${product.dailyVelocity}/day)</td>
+          <td style="padding: 8px; border-bottom: 1px solid #e9ecef; text-align: center;">${describeCover(product)}</td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: `"miniTorque" <${NODEMAILER_EMAIL}>`,
+    to: recipients.join(', '),
+    subject: `Low stock: ${products.length} item(s) need reordering - miniTorque`,
+    html: `
+    <div style="max-width: 700px; margin: 0 auto; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50;">
+      <div style="background: #000000; padding: 20px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; letter-spacing: 2px;">miniTorque</h1>
+        <p style="color: rgba(255,255,255,0.8); margin: 6px 0 0 0;">Daily Low-Stock Digest</p>
+      </div>
+      <div style="background: #ffffff; padding: 24px;">
+        <p style="margin: 0 0 16px 0;">${products.length} item(s) are at or below their reorder threshold, ${outOfStock} of them out of stock.</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <thead>
+            <tr style="background: #f8f9fa;">
+              <th style="padding: 8px; text-align: left;">Product</th>
+              <th style="padding: 8px;">In Stock</th>
+              <th style="padding: 8px;">Threshold</th>
+              <th style="padding: 8px;">Sold (${velocityDays} days)</th>
+              <th style="padding: 8px;">Cover</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>
+      <div style="background: #2c3e50; padding: 16px; text-align: center;">
+        <p style="color: rgba(255,255,255,0.7); margin: 0; font-size: 12px;">This is an automated message, please do not reply.</p>
+      </div>
+    </div>
+  `,
+    text: `miniTorque - Daily Low-Stock Digest
+
+${products.length} item(s) are at or below their reorder threshold, ${outOfStock} of them out of stock.
+
+${products.map(product => `- ${describeItem(product)}: ${product.quantity} in stock (threshold ${product.threshold}), ` +
+  `${product.unitsSold} sold in ${velocityDays} days, cover: ${describeCover(product)}`).join('\n')}`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Low-stock digest sent to ${recipients.join(', ')}`);
+    return { success: true, message: 'Low-stock digest sent' };
+  } catch (error) {
+    console.error('Error sending low-stock digest:', error);
+    throw new Error('Failed to send low-stock digest');
+  }
+}
+
+/**
+ * Tells the admins a customer has asked a new product question.
+ * @param {string[]} toEmails - Admin email addresses.
+ * @param {Object} details - { productName, questionText, askerName, adminUrl }.
+ * @returns {Promise<{success: boolean, message: string}>} Result of the operation.
+ * @throws {Error} If there are no valid recipients or sending fails.
+ */
+async function sendNewQuestionAlert(toEmails, { productName, questionText, askerName, adminUrl }) {
+  const recipients = toEmails.filter(email => email && validator.isEmail(email));
+  if (recipients.length === 0) {
+    throw new Error('No valid recipients for the question alert');
+  }
+
+  const mailOptions = {
+    from: `"miniTorque" <${NODEMAILER_EMAIL}>`,
+    to: recipients.join(', '),
+    subject: `New question on ${productName} - miniTorque`,
+    html: `
+    <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50;">
+      <div style="background: #000000; padding: 20px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; letter-spacing: 2px;">miniTorque</h1>
+        <p style="color: rgba(255,255,255,0.8); margin: 6px 0 0 0;">New Product Question</p>
+      </div>
+      <div style="background: #ffffff; padding: 24px;">
+        <p style="margin: 0 0 8px 0;"><strong>${escapeHtml(askerName)}</strong> asked about <strong>${escapeHtml(productName)}</strong>:</p>
+        <blockquote style="margin: 0 0 20px 0; padding: 12px 16px; background: #f8f9fa; border-left: 4px solid #000000;">${escapeHtml(questionText)}</blockquote>
+        <a href="${escapeHtml(adminUrl)}" style="display: inline-block; background: #000000; color: #ffffff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">Answer in admin</a>
+      </div>
+      <div style="background: #2c3e50; padding: 16px; text-align: center;">
+        <p style="color: rgba(255,255,255,0.7); margin: 0; font-size: 12px;">This is an automated message, please do not reply.</p>
+      </div>
+    </div>
+  `,
+    text: `miniTorque - New Product Question
+
+${askerName} asked about ${productName}:
+
+${questionText}
+
+Answer it here: ${adminUrl}`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Question alert sent to ${recipients.join(', ')}`);
+    return { success: true, message: 'Question alert sent' };
+  } catch (error) {
+    console.error('Error sending question alert:', error);
+    throw new Error('Failed to send question alert');
+  }
+}
+
+/**
+ * Tells a customer that products they asked about are back in stock.
+ * @param {string} toEmail - Subscriber's email address.
+ * @param {Object} details - { customerName, products: [{ productName, url }] }.
+ * @returns {Promise<{success: boolean, message: string}>} Result of the operation.
+ * @throws {Error} If the email is invalid or sending fails.
+ */
+async function sendRestockNotification(toEmail, { customerName, products }) {
+  if (!toEmail || !validator.isEmail(toEmail)) {
+    throw new Error('Invalid email address for restock notification');
+  }
+
+  const greeting = customerName ? `Hi ${customerName},` : 'Hi,';
+  const subject = products.length === 1
+    ? `${products[0].productName} is back in stock - miniTorque`
+    : `${products.length} products you wanted are back in stock - miniTorque`;
+
+  const items = products.map(product => `
+        <tr>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e9ecef;">${escapeHtml(product.productName)}</td>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e9ecef; text-align: right;">
+            <a href="${escapeHtml(product.url)}" style="display: inline-block; background: #000000; color: #ffffff; padding: 6px 14px; border-radius: 6px; text-decoration: none; font-size: 13px;">Shop now</a>
+          </td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: `"miniTorque" <${NODEMAILER_EMAIL}>`,
+    to: toEmail,
+    subject,
+    html: `
+    <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50;">
+      <div style="background: #000000; padding: 20px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; letter-spacing: 2px;">miniTorque</h1>
+        <p style="color: rgba(255,255,255,0.8); margin: 6px 0 0 0;">Back in Stock</p>
+      </div>
+      <div style="background: #ffffff; padding: 24px;">
+        <p style="margin: 0 0 8px 0;">${escapeHtml(greeting)}</p>
+        <p style="margin: 0 0 16px 0;">Good news - ${products.length === 1 ? 'a model you asked about is' : 'models you asked about are'} available again. Stock is limited, so don't wait too long.</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tbody>${items}
+          </tbody>
+        </table>
+      </div>
+      <div style="background: #2c3e50; padding: 16px; text-align: center;">
+        <p style="color: rgba(255,255,255,0.7); margin: 0; font-size: 12px;">You asked us to let you know when these were restocked. We only send this once per request.</p>
+      </div>
+    </div>
+  `,
+    text: `miniTorque - Back in Stock
+
+${greeting}
+
+Good news - ${products.length === 1 ? 'a model you asked about is' : 'models you asked about are'} available again:
+
+${products.map(product => `- ${product.productName}: ${product.url}`).join('\n')}`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Restock notification sent to ${toEmail}`);
+    return { success: true, message: 'Restock notification sent' };
+  } catch (error) {
+    console.error('Error sending restock notification:', error);
+    throw new Error('Failed to send restock notification');
+  }
+}
+
+/**
+ * Tells a customer that products on their wishlist now cost less than when they saved them.
+ * @param {string} toEmail - Customer's email address.
+ * @param {Object} details - { customerName, products: [{ productName, url, savedPrice, currentPrice }] }.
+ * @returns {Promise<{success: boolean, message: string}>} Result of the operation.
+ * @throws {Error} If the email is invalid or sending fails.
+ */
+async function sendPriceDropAlert(toEmail, { customerName, products }) {
+  if (!toEmail || !validator.isEmail(toEmail)) {
+    throw new Error('Invalid email address for price drop alert');
+  }
+
+  const greeting = customerName ? `Hi ${customerName},` : 'Hi,';
+  const subject = products.length === 1
+    ? `Price drop: ${products[0].productName} - miniTorque`
+    : `${products.length} models on your wishlist now cost less - miniTorque`;
+  const formatPrice = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+  const items = products.map(product => `
+        <tr>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e9ecef;">${escapeHtml(product.productName)}</td>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e9ecef; text-align: right; white-space: nowrap;">
+            <span style="text-decoration: line-through; color: #6c757d;">${formatPrice(product.savedPrice)}</span>
+            <strong style="color: #059669; margin-left: 6px;">${formatPrice(product.currentPrice)}</strong>
+          </td>
+          <td style="padding: 10px 8px; border-bottom: 1px solid #e9ecef; text-align: right;">
+            <a href="${escapeHtml(product.url)}" style="display: inline-block; background: #000000; color: #ffffff; padding: 6px 14px; border-radius: 6px; text-decoration: none; font-size: 13px;">Shop now</a>
+          </td>
+        </tr>`).join('');
+
+  const mailOptions = {
+    from: `"miniTorque" <${NODEMAILER_EMAIL}>`,
+    to: toEmail,
+    subject,
+    html: `
+    <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50;">
+      <div style="background: #000000; padding: 20px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; letter-spacing: 2px;">miniTorque</h1>
+        <p style="color: rgba(255,255,255,0.8); margin: 6px 0 0 0;">Price Drop</p>
+      </div>
+      <div style="background: #ffffff; padding: 24px;">
+        <p style="margin: 0 0 8px 0;">${escapeHtml(greeting)}</p>
+        <p style="margin: 0 0 16px 0;">${products.length === 1 ? 'A model on your wishlist costs' : 'Models on your wishlist cost'} less than when you saved ${products.length === 1 ? 'it' : 'them'}.</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tbody>${items}
+          </tbody>
+        </table>
+      </div>
+      <div style="background: #2c3e50; padding: 16px; text-align: center;">
+        <p style="color: rgba(255,255,255,0.7); margin: 0; font-size: 12px;">You're getting this because these models are on your wishlist. Remove them from your wishlist to stop these emails.</p>
+      </div>
+    </div>
+  `,
+    text: `miniTorque - Price Drop
+
+${greeting}
+
+${products.length === 1 ? 'A model on your wishlist costs' : 'Models on your wishlist cost'} less than when you saved ${products.length === 1 ? 'it' : 'them'}:
+
+${products.map(product => `- ${product.productName}: ${formatPrice(product.savedPrice)} -> ${formatPrice(product.currentPrice)} ${product.url}`).join('\n')}`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Price drop alert sent to ${toEmail}`);
+    return { success: true, message: 'Price drop alert sent' };
+  } catch (error) {
+    console.error('Error sending price drop alert:', error);
+    throw new Error('Failed to send price drop alert');
+  }
+}
+
+/**
+ * Sends a gift card's code to the person it was bought for.
+ * @param {string} toEmail - Recipient's email address.
+ * @param {Object} details - { recipientName, senderName, amount, code, message, expiresAt, shopUrl }.
+ * @returns {Promise<{success: boolean, message: string}>} Result of the operation.
+ * @throws {Error} If the email is invalid or sending fails.
+ */
+async function sendGiftCard(toEmail, { recipientName, senderName, amount, code, message, expiresAt, shopUrl }) {
+  if (!toEmail || !validator.isEmail(toEmail)) {
+    throw new Error('Invalid email address for gift card');
+  }
+
+  const greeting = recipientName ? `Hi ${recipientName},` : 'Hi,';
+  const from = senderName || 'Someone';
+  const value = `₹${Math.round(amount).toLocaleString('en-IN')}`;
+  const expiry = new Date(expiresAt).toLocaleDateString('en-IN', { dateStyle: 'long' });
+
+  const mailOptions = {
+    from: `"miniTorque" <${NODEMAILER_EMAIL}>`,
+    to: toEmail,
+    subject: `${from} sent you a ${value} miniTorque gift card`,
+    html: `
+    <div style="max-width: 600px; margin: 0 auto; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50;">
+      <div style="background: #000000; padding: 20px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; letter-spacing: 2px;">miniTorque</h1>
+        <p style="color: rgba(255,255,255,0.8); margin: 6px 0 0 0;">Gift Card</p>
+      </div>
+      <div style="background: #ffffff; padding: 24px;">
+        <p style="margin: 0 0 8px 0;">${escapeHtml(greeting)}</p>
+        <p style="margin: 0 0 16px 0;">${escapeHtml(from)} sent you a miniTorque gift card worth <strong>${value}</strong>.</p>
+        ${message ? `<blockquote style="margin: 0 0 16px 0; padding: 12px 16px; background: #f8f9fa; border-left: 4px solid #000000; font-style: italic;">${escapeHtml(message)}</blockquote>` : ''}
+        <div style="text-align: center; margin: 24px 0;">
+          <div style="display: inline-block; border: 2px dashed #000000; border-radius: 8px; padding: 14px 24px; font-size: 22px; font-weight: 700; letter-spacing: 3px;">${escapeHtml(code)}</div>
+        </div>
+        <p style="margin: 0 0 8px 0;">Enter the code at checkout, or add it to your wallet from your account. You can spend it over several orders until <strong>${expiry}</strong>.</p>
+        <p style="text-align: center; margin: 24px 0 0 0;">
+          <a href="${escapeHtml(shopUrl)}" style="display: inline-block; background: #000000; color: #ffffff; padding: 10px 24px; border-radius: 6px; text-decoration: none;">Start shopping</a>
+        </p>
+      </div>
+      <div style="background: #2c3e50; padding: 16px; text-align: center;">
+        <p style="color: rgba(255,255,255,0.7); margin: 0; font-size: 12px;">Keep this code safe: anyone who has it can spend the balance.</p>
+      </div>
+    </div>
+  `,
+    text: `miniTorque - Gift Card
+
+${greeting}
+
+${from} sent you a miniTorque gift card worth ${value}.
+${message ? `\n"${message}"\n` : ''}
+Code: ${code}
+
+Enter the code at checkout, or add it to your wallet from your account. You can spend it over several orders until ${expiry}.
+
+${shopUrl}`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Gift card sent to ${toEmail}`);
+    return { success: true, message: 'Gift card sent' };
+  } catch (error) {
+    console.error('Error sending gift card:', error);
+    throw new Error('Failed to send gift card');
+  }
+}
+
+/**
+ * Closes pooled SMTP connections so one-off scripts can exit.
+ */
+function closeMailer() {
+  transporter.close();
+}
+
+module.exports = { sendOTP, sendLowStockDigest, sendNewQuestionAlert, sendRestockNotification, sendPriceDropAlert, sendGiftCard, closeMailer };
\ No newline at end of file
@@ -1,36 +1,157 @@
-const Category = require('../models/category-schema');
+const mongoose = require('mongoose');
 const Product = require('../models/product-schema');
+const Offer = require('../models/offer-schema');
+const { getCategoryMap, getAncestorChain, collectDescendantIds } = require('./category-utils');
+
+// Scheduled offers change rarely, so they are cached briefly rather than queried per product
+const OFFER_CACHE_TTL = 60 * 1000;
+let offerCache = null;
+
+
+/**
+ * Drop the cached scheduled offers (call after an admin creates, edits or ends one)
+ */
+const invalidateOfferCache = () => {
+    offerCache = null;
+};
+
+/**
+ * Scheduled offers live at a given moment
+ * The cache also holds offers starting within its TTL so they switch on at their start time.
+ * @param {Date} now - Moment to check (defaults to the current time)
+ * @returns {Array} - Lean offer documents
+ */
+const getActiveOffers = async (now = new Date()) => {
+    if (!offerCache || now - offerCache.loadedAt > OFFER_CACHE_TTL) {
+        const offers = await Offer.find({
+            startsAt: { $lte: new Date(now.getTime() + OFFER_CACHE_TTL) },
+            endsAt: { $gt: now }
+        }).lean();
+        offerCache = { loadedAt: now, offers };
+    }
+
+    return offerCache.offers.filter(offer => offer.startsAt <= now && offer.endsAt > now);
+};
+
+/**
+ * Where an offer is in its lifecycle
+ * @param {Object} offer - Offer document
+ * @param {Date} now - Moment to check (defaults to the current time)
+ * @returns {String} - 'Scheduled', 'Active', 'Ended' or 'Cancelled'
+ */
+const getOfferStatus = (offer, now = new Date()) => {
+    if (offer.endedEarlyAt && offer.endedEarlyAt <= offer.startsAt) return 'Cancelled';
+    if (offer.startsAt > now) return 'Scheduled';
+    if (offer.endsAt > now) return 'Active';
+    return 'Ended';
+};
+
+/**
+ * Highest scheduled offer that applies to a product
+ * @param {Object} product - Product with category id or populated category
+ * @param {Array} offers - Active offers from getActiveOffers
+ * @param {Array} categoryIds - The product's category and its ancestors, so offers on a parent
+ *                              category apply too (optional, defaults to the category alone)
+ * @returns {Object|null} - The winning offer
+ */
+const findBestScheduledOffer = (product, offers, categoryIds = null) => {
+    const productId = String(product._id);
+    const categoryId = product.category ? String(product.category._id || product.category) : null;
+    const matchingCategoryIds = (categoryIds && categoryIds.length > 0 ? categoryIds : [categoryId])
+        .filter(Boolean)
+        .map(String);
+    const brandId = product.brandId ? String(product.brandId._id || product.brandId) : null;
+
+    return offers.reduce((best, offer) => {
+        const applies =
+            (offer.targetType === 'product' && String(offer.product) === productId) ||
+            (offer.targetType === 'category' && matchingCategoryIds.includes(String(offer.category))) ||
+            (offer.targetType === 'brand' && String(offer.brand) === brandId);
+
+        if (!applies) return best;
+        return !best || offer.discountPercentage > best.discountPercentage ? offer : best;
+    }, null);
+};
+
+/**
+ * Aggregation expressions giving each offer's percentage for the current product document, or 0
+ * when it doesn't apply; spread into a $max alongside productOffer and categoryOffer
+ * @param {Array} offers - Active offers from getActiveOffers
+ * @param {Map} categoryMap - From getCategoryMap; category offers then cover subcategories too (optional)
+ * @returns {Array} - $cond expressions
+ */
+const buildOfferPercentageExpressions = (offers, categoryMap = null) => {
+    return offers.map(offer => {
+        let condition;
+        if (offer.targetType === 'product') {
+            condition = { $eq: ['$_id', offer.product] };
+        } else if (offer.targetType === 'category') {
+            condition = categoryMap
+                ? { $in: ['$category', collectDescendantIds(categoryMap, [offer.category]).map(id => new mongoose.Types.ObjectId(id))] }
+                : { $eq: ['$category', offer.category] };
+        } else {
+            condition = { $eq: ['$brandId', offer.brand] };
+        }
+        return { $cond: [condition, offer.discountPercentage, 0] };
+    });
+};
+
+/**
+ * Aggregation expressions giving the offer each category inherits from its ancestors, for
+ * the same $max as buildOfferPercentageExpressions
+ * @param {Map} categoryMap - From getCategoryMap
+ * @returns {Array} - $cond expressions, one per category with an inherited offer
+ */
+const buildInheritedCategoryOfferExpressions = (categoryMap) => {
+    const expressions = [];
+    for (const category of categoryMap.values()) {
+        const inherited = Math.max(0, ...getAncestorChain(categoryMap, category._id)
+            .map(ancestor => ancestor.categoryOffer || 0));
+        if (inherited > (category.categoryOffer || 0)) {
+            expressions.push({ $cond: [{ $eq: ['$category', category._id] }, inherited, 0] });
+        }
+    }
+    return expressions;
+};
 
 
 /**
- * Calculate the best offer for a product considering both product-level and category-level offers
+ * Calculate the best offer for a product considering product-level and category-level offers
+ * and any scheduled offer live right now. Gift cards never take offers: their price buys
+ * credit at face value, so only an admin-set sale price can lower it.
  * @param {Object} product - Product object with populated category
+ * @param {Object} variant - Variant whose prices should be used instead of the product's (optional)
  * @returns {Object} - Object containing the best offer details
  */
-const calculateBestOffer = async (product) => {
+const calculateBestOffer = async (product, variant = null) => {
+    const pricing = variant || product;
     try {
         let categoryOffer = 0;
-        let productOffer = product.productOffer || 0;
+        let productOffer = product.isGiftCard ? 0 : (product.productOffer || 0);
+        let categoryIds = [];
 
-        // Get category offer if category is populated
-        if (product.category) {
-            if (typeof product.category === 'object' && product.category.categoryOffer !== undefined) {
-                // Category is already populated
-                categoryOffer = product.category.categoryOffer || 0;
-            } else {
-                // Category is just an ID, need to fetch it
-                const category = await Category.findById(product.category);
-                categoryOffer = category ? (category.categoryOffer || 0) : 0;
-            }
+        // Category offers cascade down the tree, so the best along the chain of parents applies
+        if (product.category && !product.isGiftCard) {
+            const chain = getAncestorChain(await getCategoryMap(), product.category._id || product.category);
+            categoryIds = chain.map(category => category._id);
+            categoryOffer = Math.max(0, ...chain.map(category => category.categoryOffer || 0));
         }
 
+        const scheduledOffer = product.isGiftCard
+            ? null
+            : findBestScheduledOffer(product, await getActiveOffers(), categoryIds);
+        const scheduledOfferPercentage = scheduledOffer ? scheduledOffer.discountPercentage : 0;
+
         // Determine the best offer
-        const bestOfferPercentage = Math.max(productOffer, categoryOffer);
+        const bestOfferPercentage = Math.max(productOffer, categoryOffer, scheduledOfferPercentage);
         
-        // Determine offer type - if both are equal, prefer product offer
+        // Determine offer type - a scheduled offer must beat the standing offers; if those are equal, prefer product offer
         let offerType = 'none';
+        const usesScheduledOffer = scheduledOfferPercentage > Math.max(productOffer, categoryOffer);
         if (bestOfferPercentage > 0) {
-            if (productOffer >= categoryOffer) {
+            if (usesScheduledOffer) {
+                offerType = scheduledOffer.targetType;
+            } else if (productOffer >= categoryOffer) {
                 offerType = 'product';
             } else {
                 offerType = 'category';
@@ -41,7 +162,7 @@ const calculateBestOffer = async (product) => {
         let originalPrice, discountAmount, finalPrice;
         
         // Always use regular price as the base for offer calculations
-        originalPrice = product.regularPrice;
+        originalPrice = pricing.regularPrice;
         
         if (bestOfferPercentage > 0) {
             // Apply the best offer on regular price
@@ -50,7 +171,7 @@ const calculateBestOffer = async (product) => {
         } else {
             // No offer - use sale price if available, otherwise regular price
             discountAmount = 0;
-            finalPrice = product.salePrice || product.regularPrice;
+            finalPrice = pricing.salePrice || pricing.regularPrice;
         }
 
         return {
@@ -61,19 +182,27 @@ const calculateBestOffer = async (product) => {
             finalPrice: Math.round(finalPrice), // Round to nearest whole number
             productOffer,
             categoryOffer,
+            scheduledOfferPercentage,
+            offerId: usesScheduledOffer ? scheduledOffer._id : null,
+            offerName: usesScheduledOffer ? scheduledOffer.name : null,
+            offerEndsAt: usesScheduledOffer ? scheduledOffer.endsAt : null,
             hasOffer: bestOfferPercentage > 0
         };
     } catch (error) {
         console.error('Error calculating best offer:', error);
-        const fallbackPrice = product.salePrice || product.regularPrice;
+        const fallbackPrice = pricing.salePrice || pricing.regularPrice;
         return {
-            originalPrice: product.regularPrice || fallbackPrice,
+            originalPrice: pricing.regularPrice || fallbackPrice,
             bestOfferPercentage: 0,
             offerType: 'none',
             discountAmount: 0,
             finalPrice: fallbackPrice,
             productOffer: 0,
             categoryOffer: 0,
+            scheduledOfferPercentage: 0,
+            offerId: null,
+            offerName: null,
+            offerEndsAt: null,
             hasOffer: false
         };
     }
@@ -81,6 +210,24 @@ const calculateBestOffer = async (product) => {
 
 
 
+/**
+ * Snapshot of the offer behind a price, stored on order items for auditing
+ * @param {Object} offerDetails - Result of calculateBestOffer
+ * @returns {Object|null} - { offer, name, offerType, percentage }, or null when no offer applied
+ */
+const buildAppliedOffer = (offerDetails) => {
+    if (!offerDetails || !offerDetails.hasOffer) return null;
+
+    return {
+        offer: offerDetails.offerId,
+        name: offerDetails.offerName,
+        offerType: offerDetails.offerType,
+        percentage: offerDetails.bestOfferPercentage
+    };
+};
+
+
+
 /**
  * Apply best offers to an array of products
  * @param {Array} products - Array of product objects
@@ -112,6 +259,10 @@ const applyBestOffersToProducts = async (products) => {
                     finalPrice: fallbackPrice,
                     productOffer: 0,
                     categoryOffer: 0,
+                    scheduledOfferPercentage: 0,
+                    offerId: null,
+                    offerName: null,
+                    offerEndsAt: null,
                     hasOffer: false
                 }
             };
@@ -167,7 +318,14 @@ const getProductsWithBestOffers = async (filter = {}, options = {}) => {
 
 
 module.exports = {
+    invalidateOfferCache,
+    getActiveOffers,
+    getOfferStatus,
+    findBestScheduledOffer,
+    buildOfferPercentageExpressions,
+    buildInheritedCategoryOfferExpressions,
     calculateBestOffer,
+    buildAppliedOffer,
     applyBestOffersToProducts,
     getProductsWithBestOffers
 };
\ No newline at end of file
@@ -108,7 +108,12 @@ class InvoiceGenerator {
       { label: 'Invoice No:', value: `${companyConfig.invoice.prefix}-${order.orderId}` },
       { label: 'Order ID:', value: order.orderId },
       { label: 'Date:', value: new Date(order.invoiceDate || order.createdAt).toLocaleDateString('en-IN') },
-      { label: 'Payment:', value: order.paymentMethod }
+      {
+        label: 'Payment:',
+        value: order.giftCardAmount > 0 && order.paymentMethod !== 'Gift Card'
+          ? `${order.paymentMethod} + Gift Card`
+          : order.paymentMethod
+      }
     ];
     
     details.forEach(detail => {
@@ -254,7 +259,29 @@ class InvoiceGenerator {
         .fontSize(8)
         .fillColor('#000000')
         .font('Helvetica')
-        .text(this.truncateText(item.product.productName, 35), this.margin + 10, rowY + 8);
+        .text(this.truncateText(
+          item.variantLabel ? `${item.product.productName} (${item.variantLabel})` : item.product.productName,
+          35
+        ), this.margin + 10, rowY + 8);
+
+      // Bundle contents under the name, so the invoice shows what was in the set
+      if (item.bundleItems && item.bundleItems.length > 0) {
+        this.doc
+          .fontSize(6)
+          .fillColor('#666666')
+          .text(this.truncateText(
+            'Includes: ' + item.bundleItems.map(component => `${component.quantity} x ${component.name}`).join(', '),
+            60
+          ), this.margin + 10, rowY + 17);
+      }
+
+      // Gift cards show who they were sent to
+      if (item.giftCard) {
+        this.doc
+          .fontSize(6)
+          .fillColor('#666666')
+          .text(this.truncateText('Gift card for ' + item.giftCard.recipientEmail, 60), this.margin + 10, rowY + 17);
+      }
       
       // Quantity
       this.doc
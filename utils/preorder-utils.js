@@ -0,0 +1,212 @@
+const Product = require('../models/product-schema');
+const Order = require('../models/order-schema');
+const { getAvailableStock } = require('./variant-utils');
+const { adjustStock } = require('./stock-utils');
+const { roundAmount } = require('./price-calculator');
+
+
+/**
+ * Pre-order slots still open on a product
+ * @param {Object} product - Product document or plain object
+ * @returns {number} - Units that can still be reserved
+ */
+const getPreOrderRemaining = (product) => {
+    const preOrder = product && product.preOrder;
+    if (!preOrder || !preOrder.isEnabled) return 0;
+    return Math.max(0, (preOrder.cap || 0) - (preOrder.reservedCount || 0));
+};
+
+/**
+ * Whether a product line would be ordered as a pre-order: pre-orders are switched on
+ * and the line itself has no stock
+ * @param {Object} product - Product document or plain object
+ * @param {Object} variant - Variant (optional)
+ * @returns {boolean}
+ */
+const isPreOrderLine = (product, variant = null) => {
+    return !!(product && product.preOrder && product.preOrder.isEnabled) &&
+        getAvailableStock(product, variant) === 0;
+};
+
+/**
+ * Most units of a line a customer can order right now: stock on hand, or the
+ * open pre-order slots when the line is out of stock
+ * @param {Object} product - Product document or plain object
+ * @param {Object} variant - Variant (optional)
+ * @returns {number}
+ */
+const getOrderableQuantity = (product, variant = null) => {
+    const stock = getAvailableStock(product, variant);
+    if (stock > 0) return stock;
+    return isPreOrderLine(product, variant) ? getPreOrderRemaining(product) : 0;
+};
+
+/**
+ * Split a pre-order line into what is charged at checkout and what is left for delivery
+ * @param {Object} product - Product with preOrder settings
+ * @param {number} lineTotal - Line total after offers
+ * @returns {Object} - { paymentType, amountPaid, balanceDue }
+ */
+const splitPreOrderPayment = (product, lineTotal) => {
+    if (product.preOrder.paymentType !== 'deposit') {
+        return { paymentType: 'full', amountPaid: roundAmount(lineTotal), balanceDue: 0 };
+    }
+
+    const amountPaid = roundAmount(lineTotal * product.preOrder.depositPercentage / 100);
+    return { paymentType: 'deposit', amountPaid, balanceDue: roundAmount(lineTotal - amountPaid) };
+};
+
+/**
+ * Check a cart before checkout. Pre-order lines are held outside the normal order flow,
+ * so they can't share an order with in-stock lines, and each must fit the open slots.
+ * @param {Array} cartItems - Cart lines with productId populated and variant attached
+ * @returns {Object} - { isPreOrder, error }
+ */
+const checkPreOrderCart = (cartItems) => {
+    const preOrderItems = cartItems.filter(item => isPreOrderLine(item.productId, item.variant));
+    if (preOrderItems.length === 0) {
+        return { isPreOrder: false, error: null };
+    }
+    if (preOrderItems.length !== cartItems.length) {
+        return {
+            isPreOrder: true,
+            error: 'Pre-order items must be ordered separately from in-stock items. Please check them out on their own.'
+        };
+    }
+
+    for (const item of preOrderItems) {
+        const remaining = getPreOrderRemaining(item.productId);
+        if (item.quantity > remaining) {
+            return {
+                isPreOrder: true,
+                error: remaining > 0
+                    ? `Only ${remaining} pre-order slot${remaining === 1 ? '' : 's'} left for ${item.productId.productName}`
+                    : `Pre-orders for ${item.productId.productName} are full`
+            };
+        }
+    }
+    return { isPreOrder: true, error: null };
+};
+
+/**
+ * Hold pre-order slots for a line. The update only applies while the slots are
+ * still free, so two checkouts can't both take the last one.
+ * @param {string|Object} productId - Product ObjectId
+ * @param {number} quantity - Units to hold
+ * @returns {boolean} - Whether the slots were reserved
+ */
+const reservePreOrder = async (productId, quantity) => {
+    const result = await Product.updateOne(
+        {
+            _id: productId,
+            $expr: { $lte: [{ $add: ['$preOrder.reservedCount', quantity] }, '$preOrder.cap'] }
+        },
+        { $inc: { 'preOrder.reservedCount': quantity } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Give back pre-order slots when a line is released or cancelled
+ * @param {string|Object} productId - Product ObjectId
+ * @param {number} quantity - Units to free
+ */
+const releaseReservation = async (productId, quantity) => {
+    await Product.updateOne(
+        { _id: productId },
+        [{ $set: { 'preOrder.reservedCount': { $max: [0, { $subtract: ['$preOrder.reservedCount', quantity] }] } } }]
+    );
+};
+
+/**
+ * Move paid pre-order lines for a product into the normal order flow, oldest order
+ * first, taking stock as they go. A line that can't be filled holds back later lines
+ * of the same variant so the queue stays in order. Orders leave the Pre-Order state
+ * once none of their lines are waiting.
+ * @param {string|Object} productId - Product ObjectId
+ * @returns {number} - Lines released
+ */
+const releasePreOrders = async (productId) => {
+    const orders = await Order.find({
+        paymentStatus: 'Completed',
+        orderedItems: { $elemMatch: { product: productId, status: 'Pre-Order' } }
+    }).sort({ createdAt: 1 });
+    if (orders.length === 0) return 0;
+
+    let released = 0;
+    const blockedLines = new Set();
+
+    for (const order of orders) {
+        const releasedNames = [];
+
+        for (const item of order.orderedItems) {
+            if (item.status !== 'Pre-Order' || item.product.toString() !== productId.toString()) continue;
+
+            const lineKey = String(item.variantId || '');
+            if (blockedLines.has(lineKey)) continue;
+
+            // Only takes the stock if it is still there, so a concurrent sale can't push it negative
+            const product = await adjustStock(productId, item.variantId, -item.quantity, {
+                reason: 'sale',
+                order: order._id,
+                actorType: 'system',
+                note: 'Pre-order released'
+            }, { requireStock: true });
+            if (!product) {
+                blockedLines.add(lineKey);
+                continue;
+            }
+            await releaseReservation(productId, item.quantity);
+
+            item.status = 'Pending';
+            item.preOrder.releasedAt = new Date();
+            releasedNames.push(item.variantLabel ? `${product.productName} (${item.variantLabel})` : product.productName);
+            released++;
+        }
+
+        if (releasedNames.length === 0) continue;
+
+        const stillWaiting = order.orderedItems.some(item => item.status === 'Pre-Order');
+        if (!stillWaiting) {
+            order.status = order.orderedItems.some(item => item.status === 'Cancelled') ? 'Partially Cancelled' : 'Pending';
+        }
+        order.orderTimeline.push({
+            status: order.status,
+            description: `Pre-order released: ${releasedNames.join(', ')} ${releasedNames.length === 1 ? 'is' : 'are'} in stock and being prepared`
+        });
+        await order.save();
+    }
+
+    return released;
+};
+
+/**
+ * Release a newly paid order's pre-order lines straight away if their stock came in while
+ * the order was being placed; releasePreOrders otherwise only runs when stock goes up.
+ * Older orders for the same products still go first.
+ * @param {Object} order - Order document
+ * @returns {number} - Lines released, across all orders
+ */
+const releaseOrderPreOrders = async (order) => {
+    const productIds = new Set(order.orderedItems
+        .filter(item => item.status === 'Pre-Order')
+        .map(item => item.product.toString()));
+
+    let released = 0;
+    for (const productId of productIds) {
+        released += await releasePreOrders(productId);
+    }
+    return released;
+};
+
+module.exports = {
+    getPreOrderRemaining,
+    isPreOrderLine,
+    getOrderableQuantity,
+    splitPreOrderPayment,
+    checkPreOrderCart,
+    reservePreOrder,
+    releaseReservation,
+    releasePreOrders,
+    releaseOrderPreOrders
+};
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const Category = require('../models/category-schema');
+const User = require('../models/user-model');
+const Wishlist = require('../models/wishlist-schema');
+const PriceHistory = require('../models/price-history-schema');
+const { isProductPurchasable } = require('../middlewares/product-availability-middleware');
+const { calculateBestOffer } = require('./offer-utils');
+const { sendPriceDropAlert } = require('./mailer');
+const { storeUrl, productPath } = require('./seo-utils');
+
+// How far (in %) a wishlisted price must fall below the saved price, or the last alert, to email
+const PRICE_DROP_ALERT_PERCENT = Number(process.env.PRICE_DROP_ALERT_PERCENT) || 5;
+
+
+/**
+ * Price a customer pays for a product today, after offers. The wishlist page and its
+ * alerts both use this figure.
+ * @param {Object} product - Product with category
+ * @returns {number}
+ */
+const getWishlistPrice = async (product) => {
+    const offerData = await calculateBestOffer(product);
+    return offerData.finalPrice;
+};
+
+/**
+ * Midnight at the start of a date, the key for daily snapshots
+ * @param {Date} date
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Save today's price for every product in the catalogue. Running again on the same day
+ * overwrites that day's entry, so a snapshot always shows the latest price of the day.
+ * @returns {number} - Products recorded
+ */
+const recordDailyPrices = async () => {
+    const products = await Product.find({ isDeleted: false })
+        .select('regularPrice salePrice productOffer category brandId isGiftCard')
+        .lean();
+    const date = startOfDay();
+
+    const operations = [];
+    for (const product of products) {
+        const offerData = await calculateBestOffer(product);
+        operations.push({
+            updateOne: {
+                filter: { product: product._id, date },
+                update: {
+                    $set: {
+                        regularPrice: product.regularPrice,
+                        salePrice: product.salePrice,
+                        finalPrice: offerData.finalPrice,
+                        offerPercentage: offerData.bestOfferPercentage
+                    }
+                },
+                upsert: true
+            }
+        });
+    }
+
+    if (operations.length > 0) {
+        await PriceHistory.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+};
+
+/**
+ * Lowest daily price of some products over a recent window, from the snapshots
+ * @param {Array} productIds - Product ObjectIds
+ * @param {Object} options - { days: how far back to look (default 90) }
+ * @returns {Map} - Product ID string -> lowest finalPrice
+ */
+const getLowestPrices = async (productIds, { days = 90 } = {}) => {
+    if (productIds.length === 0) return new Map();
+
+    const since = startOfDay(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+    const lows = await PriceHistory.aggregate([
+        {
+            $match: {
+                product: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+                date: { $gte: since }
+            }
+        },
+        { $group: { _id: '$product', lowest: { $min: '$finalPrice' } } }
+    ]);
+    return new Map(lows.map(entry => [entry._id.toString(), entry.lowest]));
+};
+
+/**
+ * Whether a price has fallen far enough below a reference price to be worth an email
+ * @param {number} reference - Saved price or last alerted price
+ * @param {number} current - Today's price
+ * @returns {boolean}
+ */
+const isAlertableDrop = (reference, current) =>
+    reference > 0 && current <= reference * (1 - PRICE_DROP_ALERT_PERCENT / 100);
+
+/**
+ * Email customers whose wishlisted products have dropped in price, one email per customer
+ * listing every drop. Only products that can be bought right now are included. Entries saved
+ * before prices were recorded on the wishlist have nothing to compare with and are skipped.
+ * Failed sends are retried on the next run.
+ * @param {Object} options - { batchSize: customers per run, delayMs: pause between emails }
+ * @returns {Object} - { sent, failed, skipped }
+ */
+const sendPriceDropAlerts = async ({ batchSize = 50, delayMs = 1000 } = {}) => {
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+
+    const wishlists = await Wishlist.find({ 'products.priceAtAdd': { $ne: null } }).lean();
+    if (wishlists.length === 0) return summary;
+
+    const productIds = [...new Set(wishlists.flatMap(wishlist =>
+        wishlist.products.filter(item => item.priceAtAdd != null).map(item => item.productId.toString())
+    ))];
+    const products = await Product.find({ _id: { $in: productIds } })
+        .populate({ path: 'category', model: Category, select: 'isListed isDeleted categoryOffer' })
+        .select('productName slug quantity regularPrice salePrice productOffer brandId isListed isBlocked isDeleted category isGiftCard')
+        .lean();
+
+    const priceById = new Map();
+    for (const product of products) {
+        if (!isProductPurchasable(product)) continue;
+        priceById.set(product._id.toString(), { product, price: await getWishlistPrice(product) });
+    }
+
+    const candidates = [];
+    for (const wishlist of wishlists) {
+        const drops = [];
+        for (const item of wishlist.products) {
+            if (item.priceAtAdd == null) continue;
+            const entry = priceById.get(item.productId.toString());
+            if (!entry) continue;
+
+            const reference = item.lastAlertedPrice != null
+                ? Math.min(item.lastAlertedPrice, item.priceAtAdd)
+                : item.priceAtAdd;
+            if (!isAlertableDrop(reference, entry.price)) continue;
+
+            drops.push({
+                productId: entry.product._id,
+                productName: entry.product.productName,
+                url: storeUrl(productPath(entry.product)),
+                savedPrice: item.priceAtAdd,
+                currentPrice: entry.price
+            });
+        }
+        if (drops.length > 0) candidates.push({ userId: wishlist.userId, drops });
+    }
+
+    // Blocked or deleted accounts don't get emails, and don't take up the batch
+    const users = await User.find({ _id: { $in: candidates.map(candidate => candidate.userId) } })
+        .select('fullName email isBlocked')
+        .lean();
+    const userById = new Map(users.filter(user => !user.isBlocked && user.email).map(user => [user._id.toString(), user]));
+    const recipients = candidates.filter(candidate => userById.has(candidate.userId.toString()));
+    summary.skipped = candidates.length - recipients.length;
+
+    for (const { userId, drops } of recipients.slice(0, batchSize)) {
+        const user = userById.get(userId.toString());
+        try {
+            await sendPriceDropAlert(user.email, { customerName: user.fullName, products: drops });
+            const alertedAt = new Date();
+            for (const drop of drops) {
+                await Wishlist.updateOne(
+                    { userId, 'products.productId': drop.productId },
+                    {
+                        $set: {
+                            'products.$.lastAlertedPrice': drop.currentPrice,
+                            'products.$.lastAlertedAt': alertedAt
+                        }
+                    }
+                );
+            }
+            summary.sent++;
+        } catch (error) {
+            console.error(`Error sending price drop alert to ${user.email}:`, error);
+            summary.failed++;
+        }
+
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    PRICE_DROP_ALERT_PERCENT,
+    getWishlistPrice,
+    recordDailyPrices,
+    getLowestPrices,
+    sendPriceDropAlerts
+};
@@ -11,6 +11,15 @@
 const { calculateBestOffer } = require('./offer-utils');
 
 
+/**
+ * Round a rupee amount to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} The amount to two decimal places
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+
+
 /**
  * Calculate the final price customer pays after applying best offer
  * @param {Object} product - The product object with category populated
@@ -231,6 +240,7 @@ const calculateEffectivePrice = async (product, productOffer = 0) => {
 
 
 module.exports = {
+  roundAmount,
   calculateFinalPrice,
   calculateFinalPriceSync,
   calculateItemTotal,
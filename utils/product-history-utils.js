@@ -0,0 +1,261 @@
+const ProductChange = require('../models/product-change-schema');
+const Category = require('../models/category-schema');
+const Offer = require('../models/offer-schema');
+const { getCategoryMap, getAncestorChain } = require('./category-utils');
+const { findBestScheduledOffer } = require('./offer-utils');
+
+// Product fields kept in the audit trail. Prices and stock on products with variants are
+// tracked per variant instead, since the product-level values are only summaries.
+const TRACKED_FIELDS = [
+    { field: 'productName', label: 'Name' },
+    { field: 'description', label: 'Description' },
+    { field: 'brand', label: 'Brand' },
+    { field: 'category', label: 'Category' },
+    { field: 'regularPrice', label: 'Regular price', summary: true },
+    { field: 'salePrice', label: 'Sale price', summary: true },
+    { field: 'productOffer', label: 'Product offer %' },
+    { field: 'quantity', label: 'Stock', summary: true },
+    { field: 'reorderThreshold', label: 'Reorder threshold' },
+    { field: 'purchaseLimit.maxPerCustomer', label: 'Limit per customer' },
+    { field: 'purchaseLimit.windowDays', label: 'Limit window (days)' },
+    { field: 'isListed', label: 'Listed' },
+    { field: 'isBlocked', label: 'Blocked' },
+    { field: 'metaTitle', label: 'Meta title' },
+    { field: 'metaDescription', label: 'Meta description' }
+];
+
+const VARIANT_FIELDS = [
+    { field: 'regularPrice', label: 'regular price' },
+    { field: 'salePrice', label: 'sale price' },
+    { field: 'quantity', label: 'stock' },
+    { field: 'isActive', label: 'active' }
+];
+
+// Fields the price lookup rewinds
+const PRICE_FIELDS = ['regularPrice', 'salePrice', 'productOffer'];
+const VARIANT_PRICE_FIELDS = ['regularPrice', 'salePrice', 'isActive'];
+
+// Labels for the source of a change on the timeline
+const CHANGE_SOURCES = {
+    create: 'Created',
+    edit: 'Edited',
+    import: 'Catalogue import',
+    stock: 'Stock adjustment',
+    status: 'Status change'
+};
+
+
+/**
+ * Read a dotted path from a plain object
+ * @param {Object} object
+ * @param {string} path - e.g. "purchaseLimit.maxPerCustomer"
+ * @returns {*}
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Normalise a value for storage and comparison: ObjectIds become strings, missing becomes null
+ * @param {*} value
+ * @returns {*}
+ */
+const normaliseValue = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'object' && !(value instanceof Date) && value.toString) return value.toString();
+    return value;
+};
+
+/**
+ * Split a variant change path into its SKU and field. SKUs may contain dots.
+ * @param {string} path - e.g. "variants.HW-911-RED.salePrice" or "variants.HW-911-RED"
+ * @returns {Object} - { sku, field } where field is null for an added or removed variant
+ */
+const parseVariantPath = (path) => {
+    const rest = path.slice('variants.'.length);
+    const lastDot = rest.lastIndexOf('.');
+    const field = lastDot === -1 ? null : rest.slice(lastDot + 1);
+    if (field && VARIANT_FIELDS.some(entry => entry.field === field)) {
+        return { sku: rest.slice(0, lastDot), field };
+    }
+    return { sku: rest, field: null };
+};
+
+/**
+ * Tracked fields that differ between two versions of a product
+ * @param {Object|null} before - Plain product before the change (null for a new product)
+ * @param {Object} after - Plain product after the change
+ * @returns {Array} - [{ field, label, oldValue, newValue }]
+ */
+const diffProducts = (before, after) => {
+    const changes = [];
+    const hasVariants = (after.variants || []).length > 0 || (before && (before.variants || []).length > 0);
+
+    for (const { field, label, summary } of TRACKED_FIELDS) {
+        if (summary && hasVariants) continue;
+        const oldValue = before ? normaliseValue(getPath(before, field)) : null;
+        const newValue = normaliseValue(getPath(after, field));
+        if (String(oldValue) !== String(newValue)) {
+            changes.push({ field, label, oldValue, newValue });
+        }
+    }
+
+    const beforeBySku = new Map(((before && before.variants) || []).map(variant => [variant.sku, variant]));
+    const afterBySku = new Map((after.variants || []).map(variant => [variant.sku, variant]));
+
+    for (const [sku, variant] of afterBySku) {
+        const previous = beforeBySku.get(sku);
+        if (before && !previous) {
+            changes.push({ field: `variants.${sku}`, label: `Variant ${sku}`, oldValue: null, newValue: 'added' });
+        }
+        for (const { field, label } of VARIANT_FIELDS) {
+            const oldValue = previous ? normaliseValue(previous[field]) : null;
+            const newValue = normaliseValue(variant[field]);
+            if (String(oldValue) !== String(newValue)) {
+                changes.push({ field: `variants.${sku}.${field}`, label: `${sku} ${label}`, oldValue, newValue });
+            }
+        }
+    }
+    // A removed variant keeps its last prices so the price lookup can still show them
+    for (const [sku, variant] of beforeBySku) {
+        if (!afterBySku.has(sku)) {
+            const oldValue = { regularPrice: variant.regularPrice, salePrice: variant.salePrice, isActive: variant.isActive };
+            changes.push({ field: `variants.${sku}`, label: `Variant ${sku}`, oldValue, newValue: 'removed' });
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Show category names rather than ids in the trail, so it still reads right after a rename or purge
+ * @param {Array} changes - From diffProducts
+ */
+const nameCategories = async (changes) => {
+    const change = changes.find(entry => entry.field === 'category');
+    if (!change) return;
+
+    const ids = [change.oldValue, change.newValue].filter(Boolean);
+    const categories = await Category.find({ _id: { $in: ids } }).select('name').lean();
+    const names = new Map(categories.map(category => [category._id.toString(), category.name]));
+    change.oldValue = change.oldValue ? names.get(change.oldValue) || change.oldValue : null;
+    change.newValue = change.newValue ? names.get(change.newValue) || change.newValue : null;
+};
+
+/**
+ * Add a version to a product's audit trail for whatever changed between two saves. Nothing is
+ * written when no tracked field changed.
+ * @param {Object|null} before - Product before the change (document or plain object; null when created)
+ * @param {Object} after - Product after the change
+ * @param {Object} options - { source (a CHANGE_SOURCES key), admin, note }
+ * @returns {Object|null} - The ProductChange document
+ */
+const recordProductChanges = async (before, after, { source = 'edit', admin = null, note = '' } = {}) => {
+    const toPlain = (product) => (product && product.toObject ? product.toObject() : product);
+    const changes = diffProducts(toPlain(before), toPlain(after));
+    if (changes.length === 0) return null;
+
+    await nameCategories(changes);
+
+    const latest = await ProductChange.findOne({ product: after._id })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+
+    return ProductChange.create({
+        product: after._id,
+        version: latest ? latest.version + 1 : 1,
+        changes,
+        source: before ? source : 'create',
+        admin,
+        note
+    });
+};
+
+/**
+ * A product's audit trail, newest first
+ * @param {string|Object} productId - Product ObjectId
+ * @param {Object} options - { limit }
+ * @returns {Array} - Lean ProductChange documents with the admin's fullName and email
+ */
+const getProductHistory = async (productId, { limit = 100 } = {}) => {
+    return ProductChange.find({ product: productId })
+        .sort({ version: -1 })
+        .limit(limit)
+        .populate('admin', 'fullName email')
+        .lean();
+};
+
+/**
+ * Prices a product had at a moment, found by rewinding its audit trail from the current values
+ * @param {Object} product - Current product (plain or document, with category and brandId)
+ * @param {Date} date - Moment to look up
+ * @returns {Object} - { existed, beforeHistory, regularPrice, salePrice, productOffer, variants, offer }
+ *   beforeHistory is set when the date is older than the trail, so the prices are the earliest known
+ */
+const getPriceAsOf = async (product, date) => {
+    const plain = product.toObject ? product.toObject() : product;
+    if (plain.createdAt && new Date(plain.createdAt) > date) {
+        return { existed: false };
+    }
+
+    const prices = {};
+    PRICE_FIELDS.forEach(field => { prices[field] = plain[field]; });
+    const variants = new Map((plain.variants || []).map(variant => [variant.sku, {
+        sku: variant.sku,
+        regularPrice: variant.regularPrice,
+        salePrice: variant.salePrice,
+        isActive: variant.isActive
+    }]));
+
+    const laterVersions = await ProductChange.find({ product: plain._id, createdAt: { $gt: date } })
+        .sort({ version: -1 })
+        .lean();
+
+    for (const version of laterVersions) {
+        for (const change of version.changes) {
+            if (PRICE_FIELDS.includes(change.field)) {
+                prices[change.field] = change.oldValue;
+                continue;
+            }
+
+            if (!change.field.startsWith('variants.')) continue;
+            const { sku, field } = parseVariantPath(change.field);
+            if (!field) {
+                // The variant was added after the date, or removed since
+                if (change.newValue === 'added') variants.delete(sku);
+                if (change.newValue === 'removed') variants.set(sku, { sku, ...change.oldValue });
+            } else if (VARIANT_PRICE_FIELDS.includes(field) && variants.has(sku)) {
+                variants.get(sku)[field] = change.oldValue;
+            }
+        }
+    }
+
+    const firstVersion = await ProductChange.findOne({ product: plain._id })
+        .sort({ version: 1 })
+        .select('source createdAt')
+        .lean();
+    const beforeHistory = firstVersion
+        ? firstVersion.source !== 'create' && date < firstVersion.createdAt
+        : new Date(plain.updatedAt) > date;
+
+    // Scheduled offers running at that moment, matched against today's category tree
+    const offers = await Offer.find({ startsAt: { $lte: date }, endsAt: { $gt: date } }).lean();
+    const categoryIds = getAncestorChain(await getCategoryMap(), plain.category && (plain.category._id || plain.category))
+        .map(category => category._id);
+    const offer = findBestScheduledOffer(plain, offers, categoryIds);
+
+    return {
+        existed: true,
+        beforeHistory,
+        ...prices,
+        variants: [...variants.values()],
+        offer: offer ? { name: offer.name, discountPercentage: offer.discountPercentage } : null
+    };
+};
+
+module.exports = {
+    CHANGE_SOURCES,
+    diffProducts,
+    recordProductChanges,
+    getProductHistory,
+    getPriceAsOf
+};
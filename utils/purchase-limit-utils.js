@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order-schema');
+const Product = require('../models/product-schema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lines that no longer count towards a customer's limit
+const RELEASED_ITEM_STATUSES = ['Cancelled', 'Returned'];
+
+
+/**
+ * Per-customer limit set on a product
+ * @param {Object} product - Product document or plain object
+ * @returns {Object|null} - { maxPerCustomer, windowDays }, or null when the product has no limit
+ */
+const getPurchaseLimit = (product) => {
+    const limit = product && product.purchaseLimit;
+    if (!limit || !limit.maxPerCustomer) return null;
+    return { maxPerCustomer: limit.maxPerCustomer, windowDays: limit.windowDays || 0 };
+};
+
+/**
+ * Wording for a limit, e.g. "2 per customer every 30 days"
+ * @param {Object} limit - From getPurchaseLimit
+ * @returns {string}
+ */
+const describePurchaseLimit = (limit) => {
+    const window = limit.windowDays > 0
+        ? ` every ${limit.windowDays} day${limit.windowDays === 1 ? '' : 's'}`
+        : '';
+    return `${limit.maxPerCustomer} per customer${window}`;
+};
+
+/**
+ * Units of a product a customer has already ordered, across all variants and including
+ * units inside bundles. Only paid orders and live Cash on Delivery orders count, so
+ * abandoned online checkouts don't use up the limit; cancelled and returned lines don't either.
+ * @param {string|Object} userId - User ObjectId
+ * @param {string|Object} productId - Product ObjectId
+ * @param {number} windowDays - Only count orders from the last this many days (0 for all)
+ * @returns {number}
+ */
+const getPurchasedQuantity = async (userId, productId, windowDays = 0) => {
+    const productObjectId = new mongoose.Types.ObjectId(String(productId));
+    const match = {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        $and: [
+            {
+                $or: [
+                    { paymentStatus: 'Completed' },
+                    { paymentMethod: 'Cash on Delivery', status: { $ne: 'Cancelled' } }
+                ]
+            },
+            {
+                $or: [
+                    { 'orderedItems.product': productObjectId },
+                    { 'orderedItems.bundleItems.product': productObjectId }
+                ]
+            }
+        ]
+    };
+    if (windowDays > 0) {
+        match.createdAt = { $gte: new Date(Date.now() - windowDays * DAY_MS) };
+    }
+
+    const [result] = await Order.aggregate([
+        { $match: match },
+        { $unwind: '$orderedItems' },
+        { $match: { 'orderedItems.status': { $nin: RELEASED_ITEM_STATUSES } } },
+        {
+            // A bundle line holds quantity x the component's per-set amount of the product
+            $project: {
+                quantity: {
+                    $add: [
+                        { $cond: [{ $eq: ['$orderedItems.product', productObjectId] }, '$orderedItems.quantity', 0] },
+                        {
+                            $multiply: [
+                                '$orderedItems.quantity',
+                                {
+                                    $sum: {
+                                        $map: {
+                                            input: {
+                                                $filter: {
+                                                    input: { $ifNull: ['$orderedItems.bundleItems', []] },
+                                                    cond: { $eq: ['$$this.product', productObjectId] }
+                                                }
+                                            },
+                                            in: '$$this.quantity'
+                                        }
+                                    }
+                                }
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]);
+
+    return result ? result.quantity : 0;
+};
+
+/**
+ * How much more of a product a customer may order
+ * @param {string|Object} userId - User ObjectId
+ * @param {Object} product - Product with purchaseLimit
+ * @returns {Object|null} - { maxPerCustomer, windowDays, purchased, remaining }, or null without a limit
+ */
+const getPurchaseAllowance = async (userId, product) => {
+    const limit = getPurchaseLimit(product);
+    if (!limit) return null;
+
+    const purchased = userId ? await getPurchasedQuantity(userId, product._id, limit.windowDays) : 0;
+    return { ...limit, purchased, remaining: Math.max(0, limit.maxPerCustomer - purchased) };
+};
+
+/**
+ * Check that a quantity of a product fits the customer's limit
+ * @param {string|Object} userId - User ObjectId
+ * @param {Object} product - Product with purchaseLimit
+ * @param {number} quantity - Units the customer would hold in the cart or order, across variants
+ * @returns {string|null} - Message explaining the limit, or null if the quantity is allowed
+ */
+const checkPurchaseLimit = async (userId, product, quantity) => {
+    const allowance = await getPurchaseAllowance(userId, product);
+    if (!allowance || quantity <= allowance.remaining) return null;
+
+    const limitText = `${product.productName} is limited to ${describePurchaseLimit(allowance)}.`;
+    if (allowance.remaining === 0) {
+        return `${limitText} You have already reached this limit.`;
+    }
+    return `${limitText} You can order ${allowance.remaining} more.`;
+};
+
+/**
+ * Check every product in a cart or order against its limit. Lines of the same product
+ * (different variants) are added together, and a bundle line also counts towards each
+ * product inside it (the component's quantity per set times the line quantity).
+ * @param {string|Object} userId - User ObjectId
+ * @param {Array} cartItems - Lines with productId populated and a quantity; order lines may
+ *                            pass their own bundleItems snapshot
+ * @returns {string|null} - First limit message, or null if the whole cart is allowed
+ */
+const checkCartPurchaseLimits = async (userId, cartItems) => {
+    const lines = new Map();
+    const addUnits = (productId, product, quantity) => {
+        const key = productId.toString();
+        const line = lines.get(key) || { product: null, quantity: 0 };
+        line.product = line.product || product;
+        line.quantity += quantity;
+        lines.set(key, line);
+    };
+
+    for (const item of cartItems) {
+        addUnits(item.productId._id, item.productId, item.quantity);
+
+        const bundleItems = item.bundleItems || item.productId.bundleItems || [];
+        for (const component of bundleItems) {
+            addUnits(component.product._id || component.product, null, item.quantity * component.quantity);
+        }
+    }
+
+    // Components only known by id from a bundle need their limits loaded
+    const missingIds = [...lines.entries()].filter(([, line]) => !line.product).map(([id]) => id);
+    if (missingIds.length > 0) {
+        const components = await Product.find({ _id: { $in: missingIds } })
+            .select('productName purchaseLimit')
+            .lean();
+        components.forEach(component => {
+            lines.get(component._id.toString()).product = component;
+        });
+    }
+
+    for (const { product, quantity } of lines.values()) {
+        if (!product) continue;
+        const message = await checkPurchaseLimit(userId, product, quantity);
+        if (message) return message;
+    }
+    return null;
+};
+
+/**
+ * Units of a product already in a cart, across its variants
+ * @param {Object} cart - Cart document
+ * @param {string|Object} productId - Product ObjectId
+ * @param {Object} excludeItem - Cart line to leave out, e.g. the one being updated (optional)
+ * @returns {number}
+ */
+const getCartQuantityForProduct = (cart, productId, excludeItem = null) => {
+    return cart.items
+        .filter(item => item !== excludeItem &&
+            (item.productId._id || item.productId).toString() === productId.toString())
+        .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+module.exports = {
+    getPurchaseLimit,
+    describePurchaseLimit,
+    getPurchasedQuantity,
+    getPurchaseAllowance,
+    checkPurchaseLimit,
+    checkCartPurchaseLimits,
+    getCartQuantityForProduct
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Question = require('../models/question-schema');
+const Answer = require('../models/answer-schema');
+const User = require('../models/user-model');
+const { sendNewQuestionAlert } = require('./mailer');
+
+
+/**
+ * Recompute a question's approved and pending answer counts
+ * @param {String} questionId - Question ID
+ * @returns {Object} - { answerCount, pendingAnswerCount }
+ */
+const refreshQuestionCounts = async (questionId) => {
+    const rows = await Answer.aggregate([
+        { $match: { question: new mongoose.Types.ObjectId(questionId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const countFor = (status) => (rows.find(row => row._id === status) || { count: 0 }).count;
+
+    const counts = {
+        answerCount: countFor('Approved'),
+        pendingAnswerCount: countFor('Pending')
+    };
+
+    await Question.findByIdAndUpdate(questionId, counts);
+    return counts;
+};
+
+/**
+ * Published questions for a product page with their approved answers, most upvoted first.
+ * The viewer's own answers awaiting moderation are included and flagged so they can see them.
+ * @param {String} productId - Product ID
+ * @param {String} userId - Logged-in customer (optional)
+ * @param {Number} limit - Most recent questions to load
+ * @returns {Object} - { questions, totalQuestions }
+ */
+const getProductQuestions = async (productId, userId = null, limit = 20) => {
+    const query = { product: productId, status: 'Published' };
+
+    const [totalQuestions, questions] = await Promise.all([
+        Question.countDocuments(query),
+        Question.find(query)
+            .populate('user', 'fullName')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean()
+    ]);
+
+    const answerQuery = {
+        question: { $in: questions.map(question => question._id) },
+        $or: [{ status: 'Approved' }]
+    };
+    if (userId) {
+        answerQuery.$or.push({ status: 'Pending', user: userId });
+    }
+
+    const answers = await Answer.find(answerQuery)
+        .populate('user', 'fullName')
+        .sort({ upvoteCount: -1, createdAt: 1 })
+        .lean();
+
+    const answersByQuestion = new Map();
+    answers.forEach(answer => {
+        const key = answer.question.toString();
+        if (!answersByQuestion.has(key)) answersByQuestion.set(key, []);
+        answersByQuestion.get(key).push({
+            _id: answer._id,
+            text: answer.text,
+            authorType: answer.authorType,
+            authorName: answer.authorType === 'admin'
+                ? 'miniTorque Team'
+                : (answer.user && answer.user.fullName) || 'Customer',
+            isPending: answer.status === 'Pending',
+            isOwn: !!userId && answer.user && answer.user._id.toString() === userId.toString(),
+            hasUpvoted: !!userId && answer.upvotes.some(id => id.toString() === userId.toString()),
+            upvoteCount: answer.upvoteCount,
+            createdAt: answer.createdAt
+        });
+    });
+
+    questions.forEach(question => {
+        question.askerName = (question.user && question.user.fullName) || 'Customer';
+        question.answers = answersByQuestion.get(question._id.toString()) || [];
+    });
+
+    return { questions, totalQuestions };
+};
+
+/**
+ * Email the admins about a new question. Failures are logged, not thrown, so asking never fails
+ * because mail is down. Recipients default to all active admins; QUESTION_ALERT_TO overrides.
+ * @param {Object} details - { productName, questionText, askerName, adminUrl }
+ */
+const notifyAdminsOfQuestion = async (details) => {
+    try {
+        let recipients;
+        if (process.env.QUESTION_ALERT_TO) {
+            recipients = process.env.QUESTION_ALERT_TO.split(',').map(email => email.trim()).filter(Boolean);
+        } else {
+            const admins = await User.find({ isAdmin: true, isBlocked: false }).select('email').lean();
+            recipients = admins.map(admin => admin.email);
+        }
+
+        await sendNewQuestionAlert(recipients, details);
+    } catch (error) {
+        console.error('Error notifying admins of new question:', error);
+    }
+};
+
+module.exports = {
+    refreshQuestionCounts,
+    getProductQuestions,
+    notifyAdminsOfQuestion
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const Brand = require('../models/brand-schema');
+const RecentlyViewed = require('../models/recently-viewed-schema');
+const { calculateBestOffer } = require('./offer-utils');
+
+const HISTORY_LIMIT = 20;
+// Repeat views by the same customer inside this window don't count towards viewCount
+const VIEW_COUNT_WINDOW_MS = 30 * 60 * 1000;
+
+
+/**
+ * Move a product to the front of a history list, trimmed to HISTORY_LIMIT
+ * @param {Array} items - { product, viewedAt } entries, newest first
+ * @param {String} productId - Product just viewed
+ * @param {Date} viewedAt - When it was viewed
+ * @returns {Array} - New history list
+ */
+const addToHistory = (items, productId, viewedAt) => [
+    { product: productId, viewedAt },
+    ...items.filter(item => String(item.product) !== String(productId))
+].slice(0, HISTORY_LIMIT);
+
+/**
+ * Record a product page view in the customer's history (account for logged-in customers,
+ * session for guests) and bump the product's view counter. Never throws, so a failure
+ * here can't break the product page.
+ * @param {Object} req - Express request
+ * @param {String} productId - Product viewed
+ */
+const recordProductView = async (req, productId) => {
+    try {
+        const userId = req.session.userId || req.session.googleUserId;
+        const viewedAt = new Date();
+
+        let history;
+        if (userId) {
+            const existing = await RecentlyViewed.findOne({ user: userId }).lean();
+            history = existing ? existing.items : [];
+        } else {
+            history = req.session.recentlyViewed || [];
+        }
+
+        const previous = history.find(item => String(item.product) === String(productId));
+        const items = addToHistory(history, productId, viewedAt);
+
+        if (userId) {
+            await RecentlyViewed.updateOne({ user: userId }, { $set: { items } }, { upsert: true });
+        } else {
+            req.session.recentlyViewed = items.map(item => ({
+                product: String(item.product),
+                viewedAt: item.viewedAt
+            }));
+        }
+
+        if (!previous || viewedAt - new Date(previous.viewedAt) > VIEW_COUNT_WINDOW_MS) {
+            await Product.updateOne({ _id: productId }, { $inc: { viewCount: 1 } });
+        }
+    } catch (error) {
+        console.error('Error recording product view:', error);
+    }
+};
+
+/**
+ * Fold a guest session's history into the customer's account on login, keeping the
+ * latest view of each product. Views were already counted, so viewCount is untouched.
+ * @param {String} userId - Customer who just logged in
+ * @param {Array} guestItems - req.session.recentlyViewed from before login
+ */
+const mergeGuestHistory = async (userId, guestItems) => {
+    try {
+        if (!guestItems || guestItems.length === 0) return;
+
+        const existing = await RecentlyViewed.findOne({ user: userId }).lean();
+        const latestById = new Map();
+        [...(existing ? existing.items : []), ...guestItems].forEach(item => {
+            if (!mongoose.Types.ObjectId.isValid(item.product)) return;
+            const key = String(item.product);
+            const viewedAt = new Date(item.viewedAt);
+            if (!latestById.has(key) || latestById.get(key) < viewedAt) {
+                latestById.set(key, viewedAt);
+            }
+        });
+
+        const items = [...latestById.entries()]
+            .map(([product, viewedAt]) => ({ product, viewedAt }))
+            .sort((a, b) => b.viewedAt - a.viewedAt)
+            .slice(0, HISTORY_LIMIT);
+
+        await RecentlyViewed.updateOne({ user: userId }, { $set: { items } }, { upsert: true });
+    } catch (error) {
+        console.error('Error merging guest view history:', error);
+    }
+};
+
+/**
+ * The current visitor's recently viewed products, newest first and priced with live offers.
+ * Products that can no longer be opened (unlisted, blocked, deleted, hidden category or brand)
+ * are skipped; out-of-stock ones stay, as their pages still load.
+ * @param {Object} req - Express request
+ * @param {Object} options - { limit, excludeIds }
+ * @returns {Array} - Lean products with finalPrice, hasOffer and offerPercentage
+ */
+const getRecentlyViewedProducts = async (req, { limit = 8, excludeIds = [] } = {}) => {
+    const userId = req.session.userId || req.session.googleUserId;
+
+    let history;
+    if (userId) {
+        const existing = await RecentlyViewed.findOne({ user: userId }).lean();
+        history = existing ? existing.items : [];
+    } else {
+        history = req.session.recentlyViewed || [];
+    }
+
+    const excluded = new Set(excludeIds.map(id => String(id)));
+    const productIds = history
+        .map(item => String(item.product))
+        .filter(id => !excluded.has(id) && mongoose.Types.ObjectId.isValid(id));
+    if (productIds.length === 0) return [];
+
+    const found = await Product.find({
+        _id: { $in: productIds },
+        isListed: true,
+        isBlocked: false,
+        isDeleted: false
+    })
+        .populate('category', 'name isListed isDeleted categoryOffer')
+        .populate({ path: 'brandId', model: Brand, select: 'isListed isDeleted' })
+        .lean();
+
+    const productById = new Map(found
+        .filter(product => product.category && product.category.isListed && !product.category.isDeleted)
+        .filter(product => !product.brandId || (product.brandId.isListed && !product.brandId.isDeleted))
+        .map(product => [product._id.toString(), product]));
+
+    const products = productIds
+        .map(id => productById.get(id))
+        .filter(Boolean)
+        .slice(0, limit);
+
+    for (const product of products) {
+        const offerDetails = await calculateBestOffer(product);
+        product.finalPrice = offerDetails.finalPrice;
+        product.hasOffer = offerDetails.hasOffer;
+        product.discountAmount = offerDetails.discountAmount;
+        product.offerPercentage = offerDetails.bestOfferPercentage;
+        product.offerType = offerDetails.offerType;
+    }
+
+    return products;
+};
+
+module.exports = {
+    recordProductView,
+    mergeGuestHistory,
+    getRecentlyViewedProducts
+};
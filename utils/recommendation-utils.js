@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order-schema');
+const Product = require('../models/product-schema');
+const Brand = require('../models/brand-schema');
+const ProductAffinity = require('../models/product-affinity-schema');
+const { isProductPurchasable } = require('../middlewares/product-availability-middleware');
+const { calculateBestOffer } = require('./offer-utils');
+
+
+// Orders that never turned into a sale don't say anything about what goes together
+const orderHistoryStages = (since) => [
+    {
+        $match: {
+            createdAt: { $gte: since },
+            status: { $ne: 'Cancelled' },
+            paymentStatus: { $ne: 'Failed' }
+        }
+    },
+    {
+        $project: {
+            products: {
+                $setUnion: [{
+                    $map: {
+                        input: {
+                            $filter: {
+                                input: '$orderedItems',
+                                as: 'item',
+                                cond: { $ne: ['$$item.status', 'Cancelled'] }
+                            }
+                        },
+                        as: 'item',
+                        in: '$$item.product'
+                    }
+                }]
+            }
+        }
+    }
+];
+
+/**
+ * Rebuild item-to-item affinity scores from order co-occurrence. A pair's score is the cosine
+ * similarity of the two products' order sets, so best-sellers don't dominate every list.
+ * @param {Object} options - { lookbackDays, maxRelated, minCoPurchases }
+ * @returns {Object} - { products, pairs } written
+ */
+const rebuildProductAffinities = async ({ lookbackDays = 365, maxRelated = 12, minCoPurchases = 1 } = {}) => {
+    const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    const [orderCounts, pairs] = await Promise.all([
+        Order.aggregate([
+            ...orderHistoryStages(since),
+            { $unwind: '$products' },
+            { $group: { _id: '$products', count: { $sum: 1 } } }
+        ]).allowDiskUse(true),
+        Order.aggregate([
+            ...orderHistoryStages(since),
+            { $match: { 'products.1': { $exists: true } } },
+            { $project: { product: '$products', partner: '$products' } },
+            { $unwind: '$product' },
+            { $unwind: '$partner' },
+            { $match: { $expr: { $ne: ['$product', '$partner'] } } },
+            { $group: { _id: { product: '$product', partner: '$partner' }, count: { $sum: 1 } } },
+            { $match: { count: { $gte: minCoPurchases } } }
+        ]).allowDiskUse(true)
+    ]);
+
+    const countById = new Map(orderCounts.map(row => [row._id.toString(), row.count]));
+    const relatedById = new Map();
+    pairs.forEach(({ _id, count }) => {
+        const key = _id.product.toString();
+        const score = count / Math.sqrt(countById.get(key) * countById.get(_id.partner.toString()));
+        if (!relatedById.has(key)) relatedById.set(key, []);
+        relatedById.get(key).push({
+            product: _id.partner,
+            coPurchases: count,
+            score: Math.round(score * 10000) / 10000
+        });
+    });
+
+    const computedAt = new Date();
+    const operations = [...relatedById.entries()].map(([productId, related]) => ({
+        updateOne: {
+            filter: { product: productId },
+            update: {
+                $set: {
+                    orderCount: countById.get(productId),
+                    related: related
+                        .sort((a, b) => b.score - a.score || b.coPurchases - a.coPurchases)
+                        .slice(0, maxRelated),
+                    computedAt
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    if (operations.length > 0) {
+        await ProductAffinity.bulkWrite(operations, { ordered: false });
+    }
+    // Products that no longer have any co-purchases in the window
+    await ProductAffinity.deleteMany({ computedAt: { $lt: computedAt } });
+
+    return { products: operations.length, pairs: pairs.length };
+};
+
+/**
+ * Products most often bought with the given ones, priced with live offers. Only products that
+ * pass the checkProductAvailability rules (listed, not blocked or deleted, listed category,
+ * in stock) are returned, and products under a hidden brand are skipped like the shop does.
+ * @param {Array} productIds - Product(s) being viewed, in the cart or just ordered
+ * @param {Object} options - { limit, excludeIds }
+ * @returns {Array} - Lean products with finalPrice, hasOffer and offerPercentage
+ */
+const getFrequentlyBoughtTogether = async (productIds, { limit = 4, excludeIds = [] } = {}) => {
+    const sourceIds = productIds.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => id.toString());
+    if (sourceIds.length === 0) return [];
+
+    const affinities = await ProductAffinity.find({ product: { $in: sourceIds } }).lean();
+
+    // Partners of several cart items add up, so items that go with the whole basket rank first
+    const excluded = new Set([...sourceIds, ...excludeIds.map(id => id.toString())]);
+    const scoreById = new Map();
+    affinities.forEach(affinity => {
+        affinity.related.forEach(({ product, score }) => {
+            const key = product.toString();
+            if (excluded.has(key)) return;
+            scoreById.set(key, (scoreById.get(key) || 0) + score);
+        });
+    });
+    if (scoreById.size === 0) return [];
+
+    const candidates = await Product.find({
+        _id: { $in: [...scoreById.keys()] },
+        isListed: true,
+        isBlocked: false,
+        isDeleted: false,
+        quantity: { $gt: 0 }
+    })
+        .populate('category', 'name isListed isDeleted categoryOffer')
+        .populate({ path: 'brandId', model: Brand, select: 'isListed isDeleted' })
+        .lean();
+
+    const products = candidates
+        .filter(product => isProductPurchasable(product))
+        .filter(product => !product.brandId || (product.brandId.isListed && !product.brandId.isDeleted))
+        .sort((a, b) => scoreById.get(b._id.toString()) - scoreById.get(a._id.toString()))
+        .slice(0, limit);
+
+    for (const product of products) {
+        const offerDetails = await calculateBestOffer(product);
+        product.finalPrice = offerDetails.finalPrice;
+        product.hasOffer = offerDetails.hasOffer;
+        product.discountAmount = offerDetails.discountAmount;
+        product.offerPercentage = offerDetails.bestOfferPercentage;
+        product.offerType = offerDetails.offerType;
+    }
+
+    return products;
+};
+
+module.exports = {
+    rebuildProductAffinities,
+    getFrequentlyBoughtTogether
+};
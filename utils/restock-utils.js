@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const Category = require('../models/category-schema');
+const User = require('../models/user-model');
+const StockSubscription = require('../models/stock-subscription-schema');
+const { isProductPurchasable } = require('../middlewares/product-availability-middleware');
+const { sendRestockNotification } = require('./mailer');
+const { storeUrl, productPath } = require('./seo-utils');
+
+// Subscriptions still waiting for an email
+const OPEN_STATUSES = ['Waiting', 'Queued'];
+
+
+/**
+ * Ask to be emailed when a product is back in stock. Repeat requests for the same
+ * product and address reuse the open subscription instead of creating another.
+ * @param {string} productId - Product ObjectId
+ * @param {Object} subscriber - { userId, email }
+ * @returns {Object} - { subscription, created }
+ */
+const subscribeToRestock = async (productId, { userId = null, email }) => {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existing = await StockSubscription.findOne({
+        product: productId,
+        email: normalizedEmail,
+        status: { $in: OPEN_STATUSES }
+    });
+    if (existing) {
+        return { subscription: existing, created: false };
+    }
+
+    const subscription = await StockSubscription.create({
+        product: productId,
+        user: userId,
+        email: normalizedEmail
+    });
+    return { subscription, created: true };
+};
+
+/**
+ * Mark a product's waiting subscriptions as ready to email. Called whenever stock goes
+ * up; the restock script does the sending so a big restock doesn't hold up the request.
+ * @param {string|Object} productId - Product ObjectId
+ * @returns {number} - Subscriptions queued
+ */
+const queueRestockNotifications = async (productId) => {
+    const result = await StockSubscription.updateMany(
+        { product: productId, status: 'Waiting' },
+        { $set: { status: 'Queued', queuedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Email queued subscribers, one email per address listing all of their restocked products.
+ * Products that sold out again or were hidden before the email went out go back to
+ * Waiting; deleted products cancel their subscriptions. Failed sends stay Queued for
+ * the next run.
+ * @param {Object} options - { batchSize: addresses per run, delayMs: pause between emails }
+ * @returns {Object} - { sent, failed, requeued, cancelled }
+ */
+const sendQueuedRestockEmails = async ({ batchSize = 50, delayMs = 1000 } = {}) => {
+    const summary = { sent: 0, failed: 0, requeued: 0, cancelled: 0 };
+
+    const queued = await StockSubscription.find({ status: 'Queued' })
+        .sort({ queuedAt: 1 })
+        .lean();
+    if (queued.length === 0) return summary;
+
+    const productIds = [...new Set(queued.map(subscription => subscription.product.toString()))];
+    const products = await Product.find({ _id: { $in: productIds } })
+        .populate({ path: 'category', model: Category, select: 'isListed isDeleted' })
+        .select('productName slug quantity isListed isBlocked isDeleted category')
+        .lean();
+    const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const deletedIds = productIds.filter(id => !productById.has(id) || productById.get(id).isDeleted);
+    const unavailableIds = productIds.filter(id =>
+        !deletedIds.includes(id) && !isProductPurchasable(productById.get(id))
+    );
+
+    if (deletedIds.length > 0) {
+        const result = await StockSubscription.updateMany(
+            { product: { $in: deletedIds }, status: 'Queued' },
+            { $set: { status: 'Cancelled' } }
+        );
+        summary.cancelled = result.modifiedCount;
+    }
+    if (unavailableIds.length > 0) {
+        const result = await StockSubscription.updateMany(
+            { product: { $in: unavailableIds }, status: 'Queued' },
+            { $set: { status: 'Waiting', queuedAt: null } }
+        );
+        summary.requeued = result.modifiedCount;
+    }
+
+    // Group what's left by address, oldest queue entries first
+    const skippedIds = new Set([...deletedIds, ...unavailableIds]);
+    const byEmail = new Map();
+    for (const subscription of queued) {
+        if (skippedIds.has(subscription.product.toString())) continue;
+        if (!byEmail.has(subscription.email)) byEmail.set(subscription.email, []);
+        byEmail.get(subscription.email).push(subscription);
+    }
+
+    const batch = [...byEmail.entries()].slice(0, batchSize);
+    const userIds = batch.flatMap(([, subscriptions]) => subscriptions.map(s => s.user)).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } }).select('fullName').lean();
+    const nameById = new Map(users.map(user => [user._id.toString(), user.fullName]));
+
+    for (const [email, subscriptions] of batch) {
+        const owner = subscriptions.find(subscription => subscription.user);
+        const seen = new Set();
+        const items = [];
+        for (const subscription of subscriptions) {
+            const id = subscription.product.toString();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            items.push({
+                productName: productById.get(id).productName,
+                url: storeUrl(productPath(productById.get(id)))
+            });
+        }
+
+        try {
+            await sendRestockNotification(email, {
+                customerName: owner ? nameById.get(owner.user.toString()) : null,
+                products: items
+            });
+            await StockSubscription.updateMany(
+                { _id: { $in: subscriptions.map(subscription => subscription._id) } },
+                { $set: { status: 'Notified', notifiedAt: new Date() } }
+            );
+            summary.sent++;
+        } catch (error) {
+            console.error(`Error sending restock notification to ${email}:`, error);
+            summary.failed++;
+        }
+
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Open subscription counts per product, for the admin product list
+ * @param {Array} productIds - Product ObjectIds
+ * @returns {Map} - Product ID string -> number of customers waiting
+ */
+const getSubscriberCounts = async (productIds) => {
+    if (productIds.length === 0) return new Map();
+
+    const counts = await StockSubscription.aggregate([
+        {
+            $match: {
+                product: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+                status: { $in: OPEN_STATUSES }
+            }
+        },
+        { $group: { _id: '$product', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+module.exports = {
+    subscribeToRestock,
+    queueRestockNotifications,
+    sendQueuedRestockEmails,
+    getSubscriberCounts
+};
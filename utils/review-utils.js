@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order-schema');
+const Product = require('../models/product-schema');
+const Review = require('../models/review-schema');
+
+
+/**
+ * Find the user's most recent order in which this product was delivered
+ * @param {String} userId - User ID
+ * @param {String} productId - Product ID
+ * @returns {Object|null} - Qualifying order, or null if the user has not received the product
+ */
+const findVerifiedPurchase = async (userId, productId) => {
+    return Order.findOne({
+        userId,
+        orderedItems: {
+            $elemMatch: { product: productId, status: 'Delivered' }
+        }
+    })
+        .sort({ createdAt: -1 })
+        .select('_id orderId');
+};
+
+/**
+ * Recompute a product's average rating and review count from its approved reviews
+ * @param {String} productId - Product ID
+ * @returns {Object} - { averageRating, reviewCount }
+ */
+const refreshProductRating = async (productId) => {
+    const [stats] = await Review.aggregate([
+        {
+            $match: {
+                product: new mongoose.Types.ObjectId(productId),
+                status: 'Approved'
+            }
+        },
+        {
+            $group: {
+                _id: '$product',
+                averageRating: { $avg: '$rating' },
+                reviewCount: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const summary = {
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        reviewCount: stats ? stats.reviewCount : 0
+    };
+
+    await Product.findByIdAndUpdate(productId, summary);
+    return summary;
+};
+
+module.exports = {
+    findVerifiedPurchase,
+    refreshProductRating
+};
@@ -0,0 +1,294 @@
+const Product = require('../models/product-schema');
+const Category = require('../models/category-schema');
+const SearchSynonym = require('../models/search-synonym-schema');
+const { PRODUCT_ATTRIBUTES } = require('./attribute-utils');
+
+// Vocabulary of indexed words, used for typo correction and as-you-type completion
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let vocabularyCache = { terms: null, builtAt: 0 };
+
+const VISIBLE_PRODUCT_MATCH = {
+    isListed: true,
+    isDeleted: false,
+    isBlocked: false
+};
+
+
+/**
+ * Escape a string for safe use inside a RegExp
+ * @param {String} text - Raw user input
+ * @returns {String} - Escaped text
+ */
+const escapeRegex = (text) => {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Split text into lowercase search words
+ * @param {String} text - Text to split
+ * @returns {Array} - Words of two or more characters
+ */
+const tokenize = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length >= 2);
+};
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent swaps)
+ * @param {String} a - First word
+ * @param {String} b - Second word
+ * @param {Number} maxDistance - Stop early once the distance is known to exceed this
+ * @returns {Number} - Distance, or maxDistance + 1 when it is larger than maxDistance
+ */
+const editDistance = (a, b, maxDistance = 2) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = current[0];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Build the denormalised search fields for a product
+ * @param {Object} product - Product document or plain object
+ * @param {String} categoryName - Name of the product's category
+ * @returns {Object} - { categoryName, attributesText }
+ */
+const buildSearchFields = (product, categoryName = '') => {
+    const words = [];
+
+    PRODUCT_ATTRIBUTES.forEach(({ key }) => {
+        const value = product.attributes && product.attributes[key];
+        if (value !== undefined && value !== null && value !== '') words.push(String(value));
+    });
+
+    (product.variants || []).forEach(variant => {
+        [variant.sku, variant.scale, variant.colour, variant.edition]
+            .filter(Boolean)
+            .forEach(value => words.push(value));
+    });
+
+    return {
+        categoryName: categoryName || '',
+        attributesText: [...new Set(words)].join(' ')
+    };
+};
+
+/**
+ * Drop the cached vocabulary so the next search rebuilds it
+ */
+const invalidateVocabulary = () => {
+    vocabularyCache = { terms: null, builtAt: 0 };
+};
+
+/**
+ * Recompute and store a product's search fields
+ * @param {String} productId - Product ID
+ */
+const syncProductSearchFields = async (productId) => {
+    const product = await Product.findById(productId).select('category attributes variants').lean();
+    if (!product) return;
+
+    const category = await Category.findById(product.category).select('name').lean();
+    const search = buildSearchFields(product, category ? category.name : '');
+
+    await Product.updateOne({ _id: productId }, { $set: { search } });
+    invalidateVocabulary();
+};
+
+/**
+ * Update the category name stored on all of a category's products
+ * @param {String} categoryId - Category ID
+ * @param {String} categoryName - New category name
+ */
+const syncCategorySearchFields = async (categoryId, categoryName) => {
+    await Product.updateMany({ category: categoryId }, { $set: { 'search.categoryName': categoryName } });
+    invalidateVocabulary();
+};
+
+/**
+ * Load (or reuse) the set of words that appear in visible products
+ * @returns {Set} - Vocabulary words
+ */
+const getVocabulary = async () => {
+    if (vocabularyCache.terms && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+        return vocabularyCache.terms;
+    }
+
+    const products = await Product.find(VISIBLE_PRODUCT_MATCH)
+        .select('productName brand search')
+        .lean();
+
+    const terms = new Set();
+    products.forEach(product => {
+        [product.productName, product.brand, product.search && product.search.categoryName, product.search && product.search.attributesText]
+            .forEach(text => tokenize(text).forEach(word => terms.add(word)));
+    });
+
+    vocabularyCache = { terms, builtAt: Date.now() };
+    return terms;
+};
+
+/**
+ * Find the vocabulary words closest to a misspelt word
+ * @param {String} word - Word not found in the vocabulary
+ * @param {Set} vocabulary - Known words
+ * @returns {Array} - Best matches (may be empty)
+ */
+const findCorrections = (word, vocabulary) => {
+    // Short words tolerate one typo, longer words two
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    let best = [];
+    let bestDistance = maxDistance + 1;
+
+    vocabulary.forEach(term => {
+        const distance = editDistance(word, term, maxDistance);
+        if (distance < bestDistance) {
+            best = [term];
+            bestDistance = distance;
+        } else if (distance === bestDistance && distance <= maxDistance) {
+            best.push(term);
+        }
+    });
+
+    return best.slice(0, 3);
+};
+
+/**
+ * Expand a raw query into search terms using synonyms, completions and typo corrections
+ * @param {String} query - Raw user query
+ * @param {Object} options - { complete: treat the last word as a prefix (type-ahead) }
+ * @returns {Object} - { terms, suggestion } where suggestion is the corrected query, or null if unchanged
+ */
+const expandQuery = async (query, { complete = false } = {}) => {
+    const words = tokenize(query);
+    if (words.length === 0) return { terms: [], suggestion: null };
+
+    const vocabulary = await getVocabulary();
+    const terms = new Set();
+    const correctedWords = [];
+
+    words.forEach((word, index) => {
+        terms.add(word);
+
+        if (vocabulary.has(word)) {
+            correctedWords.push(word);
+            return;
+        }
+
+        const isLastWord = index === words.length - 1;
+        if (complete && isLastWord && word.length >= 2) {
+            const completions = [...vocabulary].filter(term => term.startsWith(word)).slice(0, 5);
+            if (completions.length > 0) {
+                completions.forEach(term => terms.add(term));
+                correctedWords.push(word);
+                return;
+            }
+        }
+
+        const corrections = findCorrections(word, vocabulary);
+        corrections.forEach(term => terms.add(term));
+        correctedWords.push(corrections[0] || word);
+    });
+
+    const groups = await SearchSynonym.find({ isActive: true, terms: { $in: [...terms] } }).lean();
+    groups.forEach(group => group.terms.forEach(term => terms.add(term)));
+
+    const corrected = correctedWords.join(' ');
+    return {
+        terms: [...terms],
+        suggestion: corrected !== words.join(' ') ? corrected : null
+    };
+};
+
+/**
+ * Validate a synonym group as submitted by the admin
+ * @param {Array|String} rawTerms - Terms as a list or comma-separated string
+ * @returns {Object} - { terms } or { error }
+ */
+const parseSynonymTerms = (rawTerms) => {
+    const list = Array.isArray(rawTerms) ? rawTerms : String(rawTerms || '').split(',');
+    const terms = [...new Set(list.map(term => String(term).trim().toLowerCase()).filter(Boolean))];
+
+    const invalid = terms.find(term => !/^[a-z0-9]{2,30}$/.test(term));
+    if (invalid) {
+        return { error: `"${invalid}" must be a single word of 2-30 letters or numbers` };
+    }
+    if (terms.length < 2) {
+        return { error: 'A synonym group needs at least two different terms' };
+    }
+
+    return { terms };
+};
+
+/**
+ * Find visible products matching a query, best match first
+ * @param {String} query - Raw user query
+ * @param {Object} options - { limit, complete }
+ * @returns {Object} - { ids: ranked product IDs, suggestion }
+ */
+const findMatchingProductIds = async (query, { limit = 500, complete = false } = {}) => {
+    const { terms, suggestion } = await expandQuery(query, { complete });
+    if (terms.length === 0) return { ids: [], suggestion: null };
+
+    let matches = await Product.aggregate([
+        { $match: { $text: { $search: terms.join(' ') }, ...VISIBLE_PRODUCT_MATCH } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: -1, createdAt: -1 } },
+        { $limit: limit },
+        { $project: { _id: 1 } }
+    ]);
+
+    // Text search matches whole words only; fall back to substring matching on the name and brand
+    if (matches.length === 0) {
+        const patterns = terms.map(term => new RegExp(escapeRegex(term), 'i'));
+        matches = await Product.find({
+            ...VISIBLE_PRODUCT_MATCH,
+            $or: [
+                { productName: { $in: patterns } },
+                { brand: { $in: patterns } }
+            ]
+        })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('_id')
+            .lean();
+    }
+
+    return {
+        ids: matches.map(match => match._id),
+        suggestion
+    };
+};
+
+module.exports = {
+    escapeRegex,
+    tokenize,
+    editDistance,
+    buildSearchFields,
+    invalidateVocabulary,
+    syncProductSearchFields,
+    syncCategorySearchFields,
+    expandQuery,
+    parseSynonymTerms,
+    findMatchingProductIds
+};
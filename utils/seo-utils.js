@@ -0,0 +1,191 @@
+const SITE_NAME = 'miniTorque';
+const DEFAULT_DESCRIPTION = 'Premium diecast models from the world\'s finest automotive brands.';
+
+// Search engines cut titles and descriptions around these lengths
+const META_TITLE_MAX = 70;
+const META_DESCRIPTION_MAX = 160;
+
+// A 24-character hex string is an old ObjectId URL, never a slug
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+
+/**
+ * Absolute storefront URL for emails, canonical links and the sitemap. Set STORE_URL in production.
+ * @param {string} path - Path starting with /
+ * @returns {string} - Full URL
+ */
+const storeUrl = (path) => {
+    const base = process.env.STORE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return base.replace(/\/+$/, '') + path;
+};
+
+/**
+ * URL-safe slug for a name
+ * @param {string} text - Product, category or brand name
+ * @returns {string} - e.g. "porsche-911-gt3-rs" for "Porsche 911 GT3 RS"
+ */
+const slugify = (text = '') => {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Whether a URL segment is an ObjectId rather than a slug
+ * @param {string} value - Route parameter
+ * @returns {boolean}
+ */
+const isObjectIdString = (value) => OBJECT_ID_PATTERN.test(String(value));
+
+/**
+ * Slug that no other document of the model uses, deleted ones included, so an old link never
+ * points at a different item. Taken slugs get -2, -3...
+ * @param {Object} Model - Mongoose model with a slug field
+ * @param {string} text - Name to build the slug from
+ * @param {Object} excludeId - The document's own id, so it doesn't clash with itself (optional)
+ * @param {string} fallback - Slug to use when the name has no usable characters
+ * @returns {string}
+ */
+const generateUniqueSlug = async (Model, text, excludeId = null, fallback = 'item') => {
+    let base = slugify(text) || fallback;
+    if (isObjectIdString(base)) base = `${base}-${fallback}`;
+
+    let candidate = base;
+    let suffix = 2;
+    while (await Model.exists({ slug: candidate, _id: { $ne: excludeId } })) {
+        candidate = `${base}-${suffix++}`;
+    }
+    return candidate;
+};
+
+/**
+ * Storefront path of a product. Products saved before slugs existed use their id until
+ * npm run seo:slugs has run; that URL still works.
+ * @param {Object} product - Product with _id and slug
+ * @returns {string}
+ */
+const productPath = (product) => `/product/${product.slug || product._id}`;
+
+/**
+ * Storefront path of a category's landing page, or the filtered shop for one without a slug
+ * @param {Object} category - Category with _id and slug
+ * @returns {string}
+ */
+const categoryPath = (category) => {
+    return category.slug ? `/category/${category.slug}` : `/shopPage?category=${category._id}`;
+};
+
+/**
+ * Path of the current request with its query string, for permanent redirects to the slug URL
+ * @param {Object} req - Express request
+ * @param {string} path - Target path
+ * @returns {string}
+ */
+const withQueryString = (req, path) => {
+    const queryIndex = req.originalUrl.indexOf('?');
+    return queryIndex === -1 ? path : path + req.originalUrl.slice(queryIndex);
+};
+
+/**
+ * Collapse whitespace and cut text to a length at a word boundary
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const truncateText = (text = '', maxLength) => {
+    const clean = String(text).replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+    const cut = clean.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut) + '…';
+};
+
+/**
+ * Title, description and OpenGraph values for views/partials/seo-meta.ejs. Admin-entered meta
+ * fields win over the generated ones.
+ * @param {Object} options - { title, description, metaTitle, metaDescription, path, image, type }
+ * @returns {Object} - { title, description, canonical, image, type, siteName }
+ */
+const buildPageMeta = ({ title, description, metaTitle, metaDescription, path, image = null, type = 'website' }) => {
+    const pageTitle = metaTitle || (title ? `${title} | ${SITE_NAME}` : SITE_NAME);
+    return {
+        title: truncateText(pageTitle, META_TITLE_MAX),
+        description: truncateText(metaDescription || description || DEFAULT_DESCRIPTION, META_DESCRIPTION_MAX),
+        canonical: storeUrl(path),
+        image: image ? storeUrl(image) : null,
+        type,
+        siteName: SITE_NAME
+    };
+};
+
+/**
+ * Validate admin-entered meta fields. Blank fields fall back to generated text on the page.
+ * @param {string} rawTitle
+ * @param {string} rawDescription
+ * @returns {Object} - { metaTitle, metaDescription } or { error }
+ */
+const parseMetaFields = (rawTitle, rawDescription) => {
+    const metaTitle = String(rawTitle || '').trim();
+    const metaDescription = String(rawDescription || '').trim();
+
+    if (metaTitle.length > META_TITLE_MAX) {
+        return { error: `Meta title must be ${META_TITLE_MAX} characters or fewer` };
+    }
+    if (metaDescription.length > META_DESCRIPTION_MAX) {
+        return { error: `Meta description must be ${META_DESCRIPTION_MAX} characters or fewer` };
+    }
+    return { metaTitle, metaDescription };
+};
+
+/**
+ * Escape text for XML element content
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * sitemap.xml document
+ * @param {Array} entries - { path, lastModified }
+ * @returns {string}
+ */
+const renderSitemap = (entries) => {
+    const urls = entries.map(({ path, lastModified }) => [
+        '  <url>',
+        `    <loc>${escapeXml(storeUrl(path))}</loc>`,
+        lastModified ? `    <lastmod>${new Date(lastModified).toISOString()}</lastmod>` : null,
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>'
+    ].join('\n');
+};
+
+module.exports = {
+    SITE_NAME,
+    META_TITLE_MAX,
+    META_DESCRIPTION_MAX,
+    storeUrl,
+    slugify,
+    isObjectIdString,
+    generateUniqueSlug,
+    productPath,
+    categoryPath,
+    withQueryString,
+    truncateText,
+    buildPageMeta,
+    parseMetaFields,
+    renderSitemap
+};
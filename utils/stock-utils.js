@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const StockMovement = require('../models/stock-movement-schema');
+const { queueRestockNotifications } = require('./restock-utils');
+const { syncBundleStock } = require('./bundle-utils');
+const { getVariantLabel } = require('./variant-utils');
+
+/**
+ * Why stock changed. Keys are stored on each movement; labels are for admin screens.
+ */
+const STOCK_REASONS = {
+    sale: 'Sale',
+    cancel: 'Cancellation',
+    return: 'Return',
+    manual: 'Manual adjustment',
+    damage: 'Damage / write-off'
+};
+
+
+/**
+ * Write a stock movement for a change that has already been applied
+ * (product edits and imports set stock directly rather than through adjustStock)
+ * @param {Object} product - Product after the change
+ * @param {string|Object} variantId - Variant ObjectId (null for product-level stock)
+ * @param {number} delta - Change in stock
+ * @param {Object} movement - { reason, order, actor, actorType, note }
+ * @returns {Object} - The movement document
+ */
+const recordStockMovement = async (product, variantId, delta, movement) => {
+    const variant = variantId
+        ? product.variants.find(v => v._id.toString() === variantId.toString())
+        : null;
+
+    const stockMovement = await StockMovement.create({
+        product: product._id,
+        variantId: variant ? variant._id : null,
+        sku: variant ? variant.sku : '',
+        delta,
+        quantityAfter: variant ? variant.quantity : product.quantity,
+        reason: movement.reason,
+        order: movement.order || null,
+        actor: movement.actor || null,
+        actorType: movement.actorType || (movement.actor ? 'customer' : 'system'),
+        note: movement.note || ''
+    });
+
+    if (delta > 0) {
+        // Required here rather than at the top: preorder-utils takes stock through adjustStock
+        const { releasePreOrders } = require('./preorder-utils');
+        // Paid pre-orders get first call on new stock
+        await releasePreOrders(product._id);
+        // Coming back from zero releases anyone waiting on a "notify me"
+        if (product.quantity > 0) {
+            await queueRestockNotifications(product._id);
+        }
+    }
+
+    // Bundles containing this product can now make more or fewer sets
+    await syncBundleStock({ componentId: product._id });
+
+    return stockMovement;
+};
+
+/**
+ * Log the stock differences between two versions of a product, one movement
+ * per variant (or for the product itself when it has no variants)
+ * @param {Object|null} before - Product before the change (null for a new product)
+ * @param {Object} after - Product after the change
+ * @param {Object} movement - { reason, actor, actorType, note }
+ * @returns {number} - Number of movements written
+ */
+const recordStockChanges = async (before, after, movement) => {
+    let written = 0;
+
+    if (after.variants && after.variants.length > 0) {
+        for (const variant of after.variants) {
+            const previous = before
+                ? before.variants.find(v => v._id.toString() === variant._id.toString())
+                : null;
+            const delta = variant.quantity - (previous ? previous.quantity : 0);
+            if (delta !== 0) {
+                await recordStockMovement(after, variant._id, delta, movement);
+                written++;
+            }
+        }
+        return written;
+    }
+
+    const delta = after.quantity - (before ? before.quantity : 0);
+    if (delta !== 0) {
+        await recordStockMovement(after, null, delta, movement);
+        written++;
+    }
+    return written;
+};
+
+/**
+ * Change the stock of a product, or of one of its variants, and log the movement
+ * Variant stock and the product-level total move together so listings stay in sync.
+ * @param {string|Object} productId - Product ObjectId
+ * @param {string|Object} variantId - Variant ObjectId (null for products without variants)
+ * @param {number} delta - Positive to restock, negative to sell
+ * @param {Object} movement - { reason (a STOCK_REASONS key), order, actor, actorType, note }
+ * @param {Object} options - { requireStock: only apply a sale while enough stock is left }
+ * @returns {Object|null} - The updated product, or null when requireStock finds too little stock
+ */
+const adjustStock = async (productId, variantId, delta, movement = {}, { requireStock = false } = {}) => {
+    if (!STOCK_REASONS[movement.reason]) {
+        throw new Error(`Unknown stock movement reason: ${movement.reason}`);
+    }
+
+    let product;
+    if (variantId) {
+        const variantMatch = requireStock
+            ? { variants: { $elemMatch: { _id: variantId, quantity: { $gte: -delta } } } }
+            : { 'variants._id': variantId };
+        product = await Product.findOneAndUpdate(
+            { _id: productId, ...variantMatch },
+            { $inc: { 'variants.$.quantity': delta, quantity: delta } },
+            { new: true }
+        );
+    } else {
+        const filter = { _id: productId };
+        if (requireStock) {
+            filter.quantity = { $gte: -delta };
+        }
+        product = await Product.findOneAndUpdate(
+            filter,
+            { $inc: { quantity: delta } },
+            { new: true }
+        );
+    }
+
+    if (product) {
+        await recordStockMovement(product, variantId, delta, movement);
+    }
+
+    return product;
+};
+
+/**
+ * Whether an order's lines have taken stock yet. Online payments only take it once the
+ * payment is verified; every other method takes it when the order is placed.
+ * @param {Object} order - Order with paymentMethod and paymentStatus
+ * @returns {boolean}
+ */
+const hasOrderTakenStock = (order) => {
+    return order.paymentMethod !== 'Online Payment' || order.paymentStatus === 'Completed';
+};
+
+/**
+ * Move the stock behind an order line. Bundle lines move each component by the amounts
+ * recorded on the order, so later edits to the bundle don't change what a cancel or return restocks.
+ * @param {Object} item - Order line with product, variantId and bundleItems
+ * @param {number} delta - Units of the line: negative to sell, positive to restock
+ * @param {Object} movement - { reason, order, actor, actorType, note } as for adjustStock
+ */
+const adjustOrderItemStock = async (item, delta, movement) => {
+    if (item.bundleItems && item.bundleItems.length > 0) {
+        for (const component of item.bundleItems) {
+            await adjustStock(component.product, component.variantId, delta * component.quantity, {
+                ...movement,
+                note: movement.note || 'Bundle component'
+            });
+        }
+        return;
+    }
+
+    await adjustStock(item.product._id || item.product, item.variantId, delta, movement);
+};
+
+/**
+ * Fallback reorder level for products whose category predates lowStockThreshold
+ */
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Stock lines at or below their reorder threshold, with recent sales velocity. Each variant
+ * is checked on its own, so one sold-out variant shows up even while the others have stock.
+ * Velocity is net units sold (sales less cancellations) from the movement ledger.
+ * @param {Object} options - { velocityDays: days of sales history to average over (default 30) }
+ * @returns {Array} - [{ _id, productName, brand, mainImage, categoryName, variantId, variantLabel, sku,
+ *                     quantity, threshold, isOutOfStock, unitsSold, dailyVelocity, daysOfCover }],
+ *                     most urgent first; variant fields are null for products without variants and
+ *                     daysOfCover is null when nothing sold in the window
+ */
+const getLowStockReport = async ({ velocityDays = 30 } = {}) => {
+    const products = await Product.aggregate([
+        // Bundles have nothing to reorder; their components show up here instead
+        { $match: { isDeleted: false, isBlocked: false, isBundle: { $ne: true }, status: { $ne: 'Discontinued' } } },
+        {
+            $lookup: {
+                from: 'categories',
+                localField: 'category',
+                foreignField: '_id',
+                as: 'categoryDoc'
+            }
+        },
+        { $unwind: { path: '$categoryDoc', preserveNullAndEmptyArrays: true } },
+        {
+            $addFields: {
+                threshold: {
+                    $ifNull: ['$reorderThreshold', { $ifNull: ['$categoryDoc.lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] }]
+                }
+            }
+        },
+        {
+            // One stock line per variant, or the product itself when it has none
+            $addFields: {
+                stockLine: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                        '$variants',
+                        [{ _id: null, sku: null, quantity: '$quantity' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$stockLine' },
+        { $match: { $expr: { $lte: ['$stockLine.quantity', '$threshold'] } } },
+        {
+            $project: {
+                productName: 1,
+                brand: 1,
+                mainImage: 1,
+                threshold: 1,
+                categoryName: '$categoryDoc.name',
+                stockLine: 1
+            }
+        }
+    ]);
+
+    if (products.length === 0) return [];
+
+    const since = new Date(Date.now() - velocityDays * 24 * 60 * 60 * 1000);
+    const sales = await StockMovement.aggregate([
+        {
+            $match: {
+                product: { $in: products.map(product => new mongoose.Types.ObjectId(product._id)) },
+                reason: { $in: ['sale', 'cancel'] },
+                createdAt: { $gte: since }
+            }
+        },
+        {
+            $group: {
+                _id: { product: '$product', variantId: '$variantId' },
+                unitsSold: { $sum: { $multiply: ['$delta', -1] } }
+            }
+        }
+    ]);
+    const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+    const unitsSoldByLine = new Map(sales.map(row => [
+        lineKey(row._id.product, row._id.variantId),
+        Math.max(0, row.unitsSold)
+    ]));
+
+    return products
+        .map(({ stockLine, ...product }) => {
+            const variantId = stockLine._id || null;
+            const quantity = stockLine.quantity;
+            const unitsSold = unitsSoldByLine.get(lineKey(product._id, variantId)) || 0;
+            const dailyVelocity = unitsSold / velocityDays;
+
+            return {
+                ...product,
+                variantId,
+                variantLabel: variantId ? getVariantLabel(stockLine) : null,
+                sku: stockLine.sku || null,
+                quantity,
+                isOutOfStock: quantity <= 0,
+                unitsSold,
+                dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+                daysOfCover: dailyVelocity > 0 ? Math.floor(quantity / dailyVelocity) : null
+            };
+        })
+        .sort((a, b) =>
+            (b.isOutOfStock - a.isOutOfStock) ||
+            ((a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)) ||
+            (a.quantity - b.quantity)
+        );
+};
+
+
+
+module.exports = {
+    STOCK_REASONS,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    adjustStock,
+    adjustOrderItemStock,
+    hasOrderTakenStock,
+    recordStockMovement,
+    recordStockChanges,
+    getLowStockReport
+};
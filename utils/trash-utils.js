@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product-schema');
+const Category = require('../models/category-schema');
+const Coupon = require('../models/coupon-schema');
+const Order = require('../models/order-schema');
+const Offer = require('../models/offer-schema');
+const Cart = require('../models/cart-schema');
+const Wishlist = require('../models/wishlist-schema');
+const RecentlyViewed = require('../models/recently-viewed-schema');
+const StockMovement = require('../models/stock-movement-schema');
+const StockSubscription = require('../models/stock-subscription-schema');
+const Question = require('../models/question-schema');
+const Answer = require('../models/answer-schema');
+const PriceHistory = require('../models/price-history-schema');
+const Collection = require('../models/collection-schema');
+const { deleteProductImage } = require('./image-utils');
+const { invalidateCategoryCache } = require('./category-utils');
+const { escapeRegex } = require('./search-utils');
+const { syncBundleStock } = require('./bundle-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days an item stays in the trash before purgeExpiredTrash removes it for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// What the trash page lists for each kind of item
+const TRASH_TYPES = {
+    products: { label: 'Products', Model: Product, nameField: 'productName' },
+    categories: { label: 'Categories', Model: Category, nameField: 'name' },
+    coupons: { label: 'Coupons', Model: Coupon, nameField: 'code' }
+};
+
+
+/**
+ * Error carrying the HTTP status the controller should answer with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const trashError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * When a deleted item was trashed. Items deleted before deletedAt was recorded fall back to
+ * their last update, which was the deletion.
+ * @param {Object} item - Soft-deleted document
+ * @returns {Date}
+ */
+const getDeletedAt = (item) => item.deletedAt || item.updatedAt;
+
+/**
+ * When an item will be purged automatically
+ * @param {Object} item - Soft-deleted document
+ * @returns {Date}
+ */
+const getPurgeDate = (item) => new Date(new Date(getDeletedAt(item)).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Look up a trashed item
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id - Document ObjectId
+ * @returns {Object} - Mongoose document
+ */
+const findTrashedItem = async (type, id) => {
+    const config = TRASH_TYPES[type];
+    if (!config) throw trashError('Unknown trash type', 400);
+
+    const item = mongoose.Types.ObjectId.isValid(id)
+        ? await config.Model.findOne({ _id: id, isDeleted: true })
+        : null;
+    if (!item) throw trashError(`Item not found in the ${config.label.toLowerCase()} trash`, 404);
+    return item;
+};
+
+/**
+ * One page of trashed items, most recently deleted first
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} options - { search, page, limit }
+ * @returns {Object} - { items, total }; each item has name, detail, deletedAt and purgeAt
+ */
+const listTrash = async (type, { search = '', page = 1, limit = 10 } = {}) => {
+    const config = TRASH_TYPES[type];
+    const query = { isDeleted: true };
+    if (search) {
+        query[config.nameField] = { $regex: escapeRegex(search), $options: 'i' };
+    }
+
+    let findQuery = config.Model.find(query)
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+    if (type === 'products') {
+        findQuery = findQuery.populate('category', 'name isDeleted');
+    }
+
+    const [total, documents] = await Promise.all([
+        config.Model.countDocuments(query),
+        findQuery.lean()
+    ]);
+
+    const items = documents.map(document => {
+        let detail = '';
+        let image = null;
+        if (type === 'products') {
+            detail = document.category ? `${document.brand} · ${document.category.name}` : document.brand;
+            image = document.mainImage;
+        } else if (type === 'categories') {
+            detail = document.description;
+        } else {
+            detail = document.discountType === 'percentage'
+                ? `${document.discount}% off`
+                : `₹${document.discount} off`;
+        }
+        return {
+            _id: document._id,
+            name: document[config.nameField],
+            detail,
+            image,
+            deletedAt: getDeletedAt(document),
+            purgeAt: getPurgeDate(document)
+        };
+    });
+
+    return { items, total };
+};
+
+/**
+ * Take an item out of the trash. Names (and product SKUs) are checked against live items the
+ * same way they are on create; restored products and categories stay unlisted until an admin lists them.
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id - Document ObjectId
+ * @returns {string} - Message for the admin
+ */
+const restoreFromTrash = async (type, id) => {
+    const item = await findTrashedItem(type, id);
+
+    if (type === 'products') {
+        const clash = await Product.findOne({
+            productName: item.productName.trim(),
+            isDeleted: false,
+            _id: { $ne: item._id }
+        }).select('_id');
+        if (clash) {
+            throw trashError(`A product named "${item.productName}" already exists. Rename it before restoring this one.`, 409);
+        }
+
+        const skus = item.variants.map(variant => variant.sku);
+        if (skus.length > 0) {
+            const skuClash = await Product.findOne({
+                'variants.sku': { $in: skus },
+                isDeleted: false,
+                _id: { $ne: item._id }
+            }).select('productName variants.sku');
+            if (skuClash) {
+                const takenSku = skuClash.variants.find(variant => skus.includes(variant.sku)).sku;
+                throw trashError(`SKU ${takenSku} is now used by ${skuClash.productName}. Change it there before restoring this product.`, 409);
+            }
+        }
+    }
+
+    let note = '';
+    if (type === 'categories') {
+        const clash = await Category.findNameConflict(item.name, item._id);
+        if (clash) {
+            throw trashError(`A category named "${clash.name}" already exists. Rename it before restoring this one.`, 409);
+        }
+
+        // Its subcategories moved up when it was deleted; it comes back under its old parent if that still exists
+        if (item.parent && !(await Category.exists({ _id: item.parent, isDeleted: false }))) {
+            item.parent = null;
+            note = ' at the top level';
+        }
+    }
+
+    item.isDeleted = false;
+    item.deletedAt = null;
+    await item.save();
+
+    if (type === 'categories') invalidateCategoryCache();
+    if (type === 'products') await syncBundleStock({ componentId: item._id });
+
+    const config = TRASH_TYPES[type];
+    const name = item[config.nameField];
+    if (type === 'coupons') {
+        return `Coupon ${name} restored`;
+    }
+    return `"${name}" restored${note}. It is unlisted until you list it again.`;
+};
+
+/**
+ * Why an item can't be purged, if anything. Orders and offers keep references for audit,
+ * so their products and categories stay in the trash.
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} item - Trashed document
+ * @returns {string|null}
+ */
+const getPurgeBlocker = async (type, item) => {
+    if (type === 'products') {
+        if (await Order.exists({ 'orderedItems.product': item._id })) {
+            return 'it appears in customer orders';
+        }
+        if (await Offer.exists({ product: item._id })) {
+            return 'offers were run on it';
+        }
+        if (await Product.exists({ 'bundleItems.product': item._id })) {
+            return 'a bundle still contains it';
+        }
+    }
+    if (type === 'categories') {
+        if (await Product.exists({ category: item._id })) {
+            return 'products (including trashed ones) still belong to it';
+        }
+        if (await Offer.exists({ category: item._id })) {
+            return 'offers were run on it';
+        }
+    }
+    return null;
+};
+
+/**
+ * Delete a trashed item for good, with its image files and anything that only pointed at it
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {Object} item - Trashed document
+ */
+const purgeItem = async (type, item) => {
+    if (type === 'products') {
+        const images = new Set([item.mainImage, ...(item.subImages || [])]);
+        item.variants.forEach(variant => variant.images.forEach(image => images.add(image)));
+        images.forEach(image => image && deleteProductImage(image));
+
+        await Promise.all([
+            Cart.updateMany({}, { $pull: { items: { productId: item._id } } }),
+            Wishlist.updateMany({}, { $pull: { products: { productId: item._id } } }),
+            RecentlyViewed.updateMany({}, { $pull: { items: { product: item._id } } }),
+            Coupon.updateMany({}, { $pull: { applicableProducts: item._id } }),
+            Collection.updateMany({ products: item._id }, { $pull: { products: item._id } }),
+            StockSubscription.deleteMany({ product: item._id }),
+            StockMovement.deleteMany({ product: item._id }),
+            PriceHistory.deleteMany({ product: item._id }),
+            Answer.deleteMany({ product: item._id }),
+            Question.deleteMany({ product: item._id })
+        ]);
+    }
+
+    if (type === 'categories') {
+        await Coupon.updateMany({}, { $pull: { applicableCategories: item._id } });
+        await Collection.updateMany({ 'rules.categories': item._id }, { $pull: { 'rules.categories': item._id } });
+        await Category.updateMany({ parent: item._id }, { $set: { parent: item.parent || null } });
+    }
+
+    await item.deleteOne();
+    if (type === 'categories') invalidateCategoryCache();
+};
+
+/**
+ * Permanently delete one trashed item
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {string} id - Document ObjectId
+ * @returns {string} - Message for the admin
+ */
+const purgeFromTrash = async (type, id) => {
+    const item = await findTrashedItem(type, id);
+    const name = item[TRASH_TYPES[type].nameField];
+
+    const blocker = await getPurgeBlocker(type, item);
+    if (blocker) {
+        throw trashError(`"${name}" can't be deleted permanently because ${blocker}. It can stay in the trash.`, 409);
+    }
+
+    await purgeItem(type, item);
+    return `"${name}" deleted permanently`;
+};
+
+/**
+ * Purge everything that has been in the trash longer than TRASH_RETENTION_DAYS. Items that
+ * can't be purged are left where they are and counted as kept.
+ * @returns {Object} - { purged: { products, categories, coupons }, kept }
+ */
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const purged = {};
+    let kept = 0;
+
+    // Products first, so categories they emptied can go in the same run
+    for (const type of ['products', 'coupons', 'categories']) {
+        const { Model } = TRASH_TYPES[type];
+        const expired = await Model.find({
+            isDeleted: true,
+            $or: [
+                { deletedAt: { $lte: cutoff } },
+                { deletedAt: null, updatedAt: { $lte: cutoff } }
+            ]
+        });
+
+        purged[type] = 0;
+        for (const item of expired) {
+            if (await getPurgeBlocker(type, item)) {
+                kept++;
+                continue;
+            }
+            await purgeItem(type, item);
+            purged[type]++;
+        }
+    }
+
+    return { purged, kept };
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TRASH_TYPES,
+    listTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    purgeExpiredTrash
+};
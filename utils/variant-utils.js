@@ -0,0 +1,138 @@
+/**
+ * Helpers for working with product variants (scale, colour, edition).
+ * Products without variants keep using their own price and stock fields,
+ * so every helper here falls back to the product when no variant applies.
+ */
+
+
+/**
+ * Find a variant on a product by its id
+ * @param {Object} product - Product document or plain object
+ * @param {string|Object} variantId - Variant ObjectId or string
+ * @returns {Object|null} - The variant or null if not found
+ */
+const findVariant = (product, variantId) => {
+    if (!product || !variantId || !Array.isArray(product.variants)) return null;
+    return product.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
+
+
+/**
+ * Check whether a product is sold in variants
+ * @param {Object} product - Product document or plain object
+ * @returns {boolean}
+ */
+const hasVariants = (product) => {
+    return !!(product && Array.isArray(product.variants) &&
+        product.variants.some(variant => variant.isActive !== false));
+};
+
+
+
+/**
+ * Pick the variant to use when the customer has not chosen one (shop cards, wishlist transfers)
+ * Prefers the first active variant with stock, then the first active variant.
+ * @param {Object} product - Product document or plain object
+ * @returns {Object|null} - The default variant or null for products without variants
+ */
+const getDefaultVariant = (product) => {
+    if (!hasVariants(product)) return null;
+    const active = product.variants.filter(variant => variant.isActive !== false);
+    return active.find(variant => variant.quantity > 0) || active[0];
+};
+
+
+
+/**
+ * Resolve the variant a request refers to
+ * @param {Object} product - Product document or plain object
+ * @param {string} variantId - Requested variant id (optional)
+ * @returns {{ variant: Object|null, error: string|null }}
+ */
+const resolveVariant = (product, variantId) => {
+    if (!hasVariants(product)) {
+        return { variant: null, error: null };
+    }
+
+    if (!variantId) {
+        return { variant: getDefaultVariant(product), error: null };
+    }
+
+    const variant = findVariant(product, variantId);
+    if (!variant || variant.isActive === false) {
+        return { variant: null, error: 'Selected variant is not available' };
+    }
+    return { variant, error: null };
+};
+
+
+
+/**
+ * Stock available for a product line, taking the variant into account
+ * @param {Object} product - Product document or plain object
+ * @param {Object} variant - Variant (optional)
+ * @returns {number}
+ */
+const getAvailableStock = (product, variant = null) => {
+    if (variant) return variant.quantity || 0;
+    return product ? (product.quantity || 0) : 0;
+};
+
+
+
+/**
+ * Human readable label for a variant, e.g. "1:18 / Gulf Livery / Limited"
+ * @param {Object} variant - Variant object
+ * @returns {string}
+ */
+const getVariantLabel = (variant) => {
+    if (!variant) return '';
+    const parts = [variant.scale, variant.colour, variant.edition].filter(part => part && part.trim());
+    return parts.length > 0 ? parts.join(' / ') : variant.sku;
+};
+
+
+
+/**
+ * Image to show for a product line: the variant's first image when it has one
+ * @param {Object} product - Product document or plain object
+ * @param {Object} variant - Variant (optional)
+ * @returns {string} - Image filename
+ */
+const getVariantImage = (product, variant = null) => {
+    if (variant && variant.images && variant.images.length > 0) {
+        return variant.images[0];
+    }
+    return product.mainImage;
+};
+
+
+
+/**
+ * Whether two cart/order lines refer to the same product and variant
+ * @param {Object} item - Cart item with productId and variantId
+ * @param {string} productId - Product id to compare
+ * @param {string} variantId - Variant id to compare (optional)
+ * @returns {boolean}
+ */
+const isSameLine = (item, productId, variantId = null) => {
+    const itemProductId = item.productId && item.productId._id ? item.productId._id : item.productId;
+    if (itemProductId.toString() !== productId.toString()) return false;
+    const itemVariantId = item.variantId ? item.variantId.toString() : null;
+    const otherVariantId = variantId ? variantId.toString() : null;
+    return itemVariantId === otherVariantId;
+};
+
+
+
+module.exports = {
+    findVariant,
+    hasVariants,
+    getDefaultVariant,
+    resolveVariant,
+    getAvailableStock,
+    getVariantLabel,
+    getVariantImage,
+    isSameLine
+};
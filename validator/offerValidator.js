@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['product', 'category', 'brand'];
+
+/**
+ * Validates the offer form for creating or editing a scheduled offer
+ * @param {object} formData - { name, discountPercentage, targetType, product, category, brand, startsAt, endsAt }
+ * @param {object} options - { startLocked: true when the offer has started, so only name and end may change }
+ * @returns {object} - { isValid: boolean, errors: object, validatedData: object }
+ */
+const validateOfferForm = (formData, { startLocked = false } = {}) => {
+    const { name, discountPercentage, targetType, product, category, brand, startsAt, endsAt } = formData;
+    const errors = {};
+    const validatedData = {};
+    const now = new Date();
+
+    if (!name || name.trim() === '') {
+        errors.name = 'Offer name is required';
+    } else if (name.trim().length > 80) {
+        errors.name = 'Offer name cannot exceed 80 characters';
+    } else {
+        validatedData.name = name.trim();
+    }
+
+    const end = endsAt ? new Date(endsAt) : null;
+    if (!end || isNaN(end.getTime())) {
+        errors.endsAt = 'End date is required';
+    } else if (end <= now) {
+        errors.endsAt = 'End date must be in the future';
+    } else {
+        validatedData.endsAt = end;
+    }
+
+    // Discount, target and start are fixed once customers may have ordered at the offer price
+    if (startLocked) {
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors,
+            validatedData
+        };
+    }
+
+    const percentage = Number(discountPercentage);
+    if (discountPercentage === undefined || discountPercentage === '' || !Number.isInteger(percentage)) {
+        errors.discountPercentage = 'Discount must be a whole number';
+    } else if (percentage < 1 || percentage > 99) {
+        errors.discountPercentage = 'Discount must be between 1 and 99';
+    } else {
+        validatedData.discountPercentage = percentage;
+    }
+
+    if (!TARGET_TYPES.includes(targetType)) {
+        errors.targetType = 'Please choose what the offer applies to';
+    } else {
+        validatedData.targetType = targetType;
+        validatedData.product = null;
+        validatedData.category = null;
+        validatedData.brand = null;
+
+        if (targetType === 'product') {
+            if (!mongoose.Types.ObjectId.isValid(product)) {
+                errors.product = 'Please select a product';
+            } else {
+                validatedData.product = product;
+            }
+        } else if (targetType === 'category') {
+            if (!mongoose.Types.ObjectId.isValid(category)) {
+                errors.category = 'Please select a category';
+            } else {
+                validatedData.category = category;
+            }
+        } else if (!mongoose.Types.ObjectId.isValid(brand)) {
+            errors.brand = 'Please select a brand';
+        } else {
+            validatedData.brand = brand;
+        }
+    }
+
+    const start = startsAt ? new Date(startsAt) : null;
+    if (!start || isNaN(start.getTime())) {
+        errors.startsAt = 'Start date is required';
+    } else {
+        validatedData.startsAt = start;
+        if (validatedData.endsAt && start >= validatedData.endsAt) {
+            errors.endsAt = 'End date must be after start date';
+        }
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        validatedData
+    };
+};
+
+module.exports = {
+    validateOfferForm
+};